@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./DatasetAccess.sol";
+
+/**
+ * @title AccessDurations
+ * @dev Length of each fixed access duration, shared by DatasetAccess and the access modules
+ */
+library AccessDurations {
+    /**
+     * @dev Get duration in seconds for AccessDuration enum
+     * @param duration AccessDuration enum value
+     * @return uint256 Duration in seconds
+     */
+    function getDurationInSeconds(DatasetAccess.AccessDuration duration) internal pure returns (uint256) {
+        if (duration == DatasetAccess.AccessDuration.HOUR_1) return 1 hours;
+        if (duration == DatasetAccess.AccessDuration.HOURS_24) return 24 hours;
+        if (duration == DatasetAccess.AccessDuration.DAYS_7) return 7 days;
+        if (duration == DatasetAccess.AccessDuration.DAYS_30) return 30 days;
+        if (duration == DatasetAccess.AccessDuration.DAYS_90) return 90 days;
+        if (duration == DatasetAccess.AccessDuration.DAYS_365) return 365 days;
+        revert("Invalid duration");
+    }
+}
@@ -4,15 +4,46 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "./DatasetToken.sol";
+import "./DatasetAccessLib.sol";
+import "./Pagination.sol";
+import "./AccessDurations.sol";
+
+/**
+ * @dev Escrow agent asked by DatasetAccess whether to hold a purchase payment, and by access
+ * modules whether a held payment was refunded
+ */
+interface IDatasetEscrowAgent {
+    function holdPayment(uint256 purchaseId, uint256 datasetId) external returns (bool);
+
+    function isRefunded(uint256 purchaseId) external view returns (bool);
+}
+
+/**
+ * @dev Pricing agent asked by DatasetAccess for the ETH price of a purchase or renewal
+ */
+interface IDatasetPricingAgent {
+    function applyPrice(
+        uint256 datasetId,
+        DatasetAccess.AccessDuration duration,
+        uint256 listPrice,
+        address buyer
+    ) external returns (uint256 price, uint256 planId);
+}
 
 /**
  * @title DatasetAccess
  * @dev Main marketplace contract for dataset access management and monetization
- * @notice Handles dataset creation, access purchases, and payment distribution
+ * @notice Handles dataset creation, access purchases, and payment distribution.
+ * Dataset ownership follows the OWNERSHIP NFT: transfers are synced through onOwnershipTransfer.
+ * Accepts ERC-2771 meta-transactions from the trusted forwarder fixed at deployment.
  */
-contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
+contract DatasetAccess is Ownable, Pausable, ReentrancyGuard, ERC2771Context, IDatasetOwnershipRegistry {
+    using SafeERC20 for IERC20;
+
     // Constants
     uint256 public constant MAX_ROYALTY_PERCENTAGE = 1000; // 10% max royalty
     uint256 public constant BASIS_POINTS = 10000; // 100% = 10000 basis points
@@ -25,7 +56,15 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         DAYS_7,     // 7 days
         DAYS_30,    // 30 days
         DAYS_90,    // 90 days
-        DAYS_365    // 365 days
+        DAYS_365,   // 365 days
+        CUSTOM      // Set by an access module (see AccessPurchase.durationSeconds); has no price
+    }
+
+    // Per-dataset collaborator roles granted by the dataset owner
+    enum DatasetRole {
+        MANAGER,    // Metadata, versions and prices
+        SUPPORT,    // Access revocation (and grants through DatasetGrants)
+        FINANCE     // Royalty recipients
     }
 
     // Dataset information structure
@@ -38,6 +77,8 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256 totalSales;
         uint256 totalRevenue;
         mapping(AccessDuration => uint256) prices; // Duration => Price in wei
+        mapping(address => mapping(AccessDuration => uint256)) tokenPrices; // ERC-20 => Duration => Price in token units
+        mapping(address => uint256) tokenRevenue; // ERC-20 => Revenue in token units
     }
 
     // Royalty recipient structure
@@ -55,6 +96,25 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256 purchaseTime;
         uint256 expiryTime;
         uint256 tokenId;
+        address paymentToken; // Zero address for ETH purchases
+        uint256 planId;       // Plan ID assigned by the module below (0 for list-price purchases)
+        uint256 version;      // Dataset version current at purchase time
+        uint256 durationSeconds; // Access duration in seconds
+        address module;       // Access module that sold it or pricing agent that priced it (zero for list-price purchases)
+    }
+
+    // Referral structure (commission paid out of the owner's share when the payment is distributed)
+    struct Referral {
+        address referrer;
+        uint256 commission; // In basis points
+    }
+
+    // Dataset version structure (append-only)
+    struct DatasetVersion {
+        string metadataURI;
+        bytes32 contentHash;  // Digest of the data, e.g. sha256 or IPFS CID digest
+        uint256 timestamp;
+        string changelogURI;  // Empty if not provided
     }
 
     // State variables
@@ -62,14 +122,25 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
     address public platformWallet;
     uint256 public platformFeePercentage; // In basis points
     uint256 private _datasetIdCounter;
+    uint256 private _purchaseIdCounter;
 
     // Mappings
     mapping(uint256 => Dataset) public datasets;
     mapping(uint256 => RoyaltyRecipient[]) public datasetRoyalties;
     mapping(address => uint256[]) public userDatasets;
     mapping(address => uint256[]) public userPurchases;
+    mapping(uint256 => uint256[]) public datasetPurchases; // datasetId => purchaseIds[]
     mapping(uint256 => AccessPurchase) public purchases;
-    mapping(address => mapping(uint256 => bool)) public userAccess; // user => datasetId => hasAccess
+    mapping(address => bool) public allowedPaymentTokens; // ERC-20 => accepted for payment
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals; // account => paymentToken => amount (zero address for ETH)
+    mapping(address => uint256) public totalPendingWithdrawals; // paymentToken => total credited or held in escrow and not yet withdrawn
+    mapping(address => bool) public accessModules; // Extension contracts allowed to sell access through this contract
+    mapping(uint256 => address) public escrowedPayments; // purchaseId => escrow agent holding the payment
+    mapping(uint256 => Referral) public purchaseReferrals; // purchaseId => referral recorded by an access module
+    mapping(uint256 => DatasetVersion[]) private _datasetVersions; // datasetId => versions (version N at index N - 1)
+    mapping(uint256 => mapping(address => mapping(address => mapping(DatasetRole => bool)))) private _datasetRoles; // datasetId => granting owner => account => role => granted
+    address public escrowAgent;
+    address public pricingAgent;
 
     // Events
     event DatasetCreated(
@@ -85,6 +156,8 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256 timestamp
     );
 
+    event DatasetVersionPublished(uint256 indexed datasetId, uint256 indexed version, bytes32 contentHash);
+
     event PriceUpdated(
         uint256 indexed datasetId,
         AccessDuration duration,
@@ -92,6 +165,14 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256 newPrice
     );
 
+    event TokenPriceUpdated(
+        uint256 indexed datasetId,
+        address indexed paymentToken,
+        AccessDuration duration,
+        uint256 oldPrice,
+        uint256 newPrice
+    );
+
     event AccessPurchased(
         uint256 indexed purchaseId,
         uint256 indexed datasetId,
@@ -102,6 +183,14 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256 tokenId
     );
 
+    event AccessRenewed(
+        uint256 indexed purchaseId,
+        uint256 indexed datasetId,
+        address indexed buyer,
+        uint256 tokenId,
+        uint256 newExpiryTime
+    );
+
     event AccessRevoked(
         uint256 indexed datasetId,
         address indexed user,
@@ -122,25 +211,77 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256 royaltyAmount
     );
 
+    event TokenPaymentDistributed(
+        uint256 indexed datasetId,
+        address indexed paymentToken,
+        uint256 totalAmount,
+        uint256 ownerAmount,
+        uint256 platformAmount,
+        uint256 royaltyAmount
+    );
+
+    event ReferralPaid(
+        uint256 indexed datasetId,
+        address indexed referrer,
+        uint256 amount,
+        address paymentToken
+    );
+
+    event DatasetOwnershipTransferred(
+        uint256 indexed datasetId,
+        address indexed previousOwner,
+        address indexed newOwner
+    );
+
     event DatasetToggled(uint256 indexed datasetId, bool isActive);
 
+    event DatasetRoleUpdated(
+        uint256 indexed datasetId,
+        DatasetRole indexed role,
+        address indexed account,
+        bool granted
+    );
+
     event PlatformFeeUpdated(uint256 oldFee, uint256 newFee);
 
     event PlatformWalletUpdated(address oldWallet, address newWallet);
 
+    event PaymentTokenUpdated(address indexed paymentToken, bool allowed);
+
+    event AccessModuleUpdated(address indexed module, bool enabled);
+
+    event EscrowAgentUpdated(address oldAgent, address newAgent);
+
+    event PricingAgentUpdated(address oldAgent, address newAgent);
+
+    event PaymentEscrowed(uint256 indexed purchaseId, address indexed agent);
+
+    event EscrowSettled(uint256 indexed purchaseId, bool refunded);
+
+    event PaymentCredited(address indexed account, address indexed paymentToken, uint256 amount);
+
+    event PaymentWithdrawn(
+        address indexed account,
+        address indexed to,
+        address indexed paymentToken,
+        uint256 amount
+    );
+
     /**
      * @dev Constructor
      * @param _datasetToken Address of the DatasetToken contract
      * @param _platformWallet Address to receive platform fees
      * @param _platformFeePercentage Platform fee in basis points
      * @param _initialOwner Initial owner of the contract
+     * @param _trustedForwarder ERC-2771 trusted forwarder (zero address to disable meta-transactions)
      */
     constructor(
         address _datasetToken,
         address _platformWallet,
         uint256 _platformFeePercentage,
-        address _initialOwner
-    ) Ownable(_initialOwner) {
+        address _initialOwner,
+        address _trustedForwarder
+    ) Ownable(_initialOwner) ERC2771Context(_trustedForwarder) {
         require(_datasetToken != address(0), "Invalid token contract address");
         require(_platformWallet != address(0), "Invalid platform wallet");
         require(_platformFeePercentage <= 1000, "Platform fee too high"); // Max 10%
@@ -149,79 +290,109 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         platformWallet = _platformWallet;
         platformFeePercentage = _platformFeePercentage;
         _datasetIdCounter = 1;
+        _purchaseIdCounter = 1;
     }
 
+    /**
+     * @dev Accept ETH sent directly, which only the owner can recover through emergencyWithdraw
+     */
+    receive() external payable {}
+
     /**
      * @dev Create a new dataset
      * @param metadataURI IPFS URI containing dataset metadata
+     * @param contentHash Digest of the dataset's data, recorded as version 1
      * @param prices Array of prices for each access duration
      * @return datasetId The created dataset ID
      */
     function createDataset(
         string memory metadataURI,
+        bytes32 contentHash,
         uint256[6] memory prices
     ) public whenNotPaused returns (uint256) {
         require(bytes(metadataURI).length > 0, "Metadata URI cannot be empty");
+        require(contentHash != bytes32(0), "Content hash cannot be empty");
 
         uint256 datasetId = _datasetIdCounter++;
-        
-        Dataset storage newDataset = datasets[datasetId];
-        newDataset.id = datasetId;
-        newDataset.owner = msg.sender;
-        newDataset.metadataURI = metadataURI;
-        newDataset.isActive = true;
-        newDataset.createdAt = block.timestamp;
-        newDataset.totalSales = 0;
-        newDataset.totalRevenue = 0;
-
-        // Set prices for all durations
-        for (uint256 i = 0; i < 6; i++) {
-            newDataset.prices[AccessDuration(i)] = prices[i];
-        }
-
-        userDatasets[msg.sender].push(datasetId);
+        DatasetAccessLib.initDataset(
+            datasets[datasetId], _datasetVersions[datasetId], datasetId, _msgSender(), metadataURI, contentHash, prices
+        );
+        userDatasets[_msgSender()].push(datasetId);
 
         // Mint ownership NFT
-        datasetToken.mintDatasetToken(msg.sender, datasetId, metadataURI);
+        datasetToken.mintDatasetToken(_msgSender(), datasetId, metadataURI);
 
-        emit DatasetCreated(datasetId, msg.sender, metadataURI, block.timestamp);
+        emit DatasetCreated(datasetId, _msgSender(), metadataURI, block.timestamp);
         return datasetId;
     }
 
     /**
      * @dev Update dataset metadata and pricing
+     * @notice A changed metadata URI or content hash is recorded as a new version without a
+     * changelog; use publishVersion to attach one
      * @param datasetId Dataset ID to update
      * @param newMetadataURI New metadata URI
+     * @param newContentHash Digest of the dataset's data (the current one if unchanged)
      * @param newPrices New prices array
      */
     function updateDataset(
         uint256 datasetId,
         string memory newMetadataURI,
+        bytes32 newContentHash,
         uint256[6] memory newPrices
     ) public {
-        require(_datasetExists(datasetId), "Dataset does not exist");
-        require(datasets[datasetId].owner == msg.sender, "Not dataset owner");
+        _requireDatasetRole(datasetId, DatasetRole.MANAGER);
         require(bytes(newMetadataURI).length > 0, "Metadata URI cannot be empty");
+        require(newContentHash != bytes32(0), "Content hash cannot be empty");
 
-        Dataset storage dataset = datasets[datasetId];
-        
-        // Update metadata
-        dataset.metadataURI = newMetadataURI;
-
-        // Update prices and emit events
-        for (uint256 i = 0; i < 6; i++) {
-            AccessDuration duration = AccessDuration(i);
-            uint256 oldPrice = dataset.prices[duration];
-            dataset.prices[duration] = newPrices[i];
-            
-            if (oldPrice != newPrices[i]) {
-                emit PriceUpdated(datasetId, duration, oldPrice, newPrices[i]);
-            }
-        }
+        DatasetAccessLib.updateDataset(
+            datasets[datasetId], _datasetVersions[datasetId], datasetId, newMetadataURI, newContentHash, newPrices
+        );
 
         emit DatasetUpdated(datasetId, newMetadataURI, block.timestamp);
     }
 
+    /**
+     * @dev Publish a new dataset version with a content hash and make it current
+     * @param datasetId Dataset ID
+     * @param metadataURI Metadata URI of the new version
+     * @param contentHash Digest of the version's data
+     * @param changelogURI URI describing the changes (may be empty)
+     * @return version The new version number
+     */
+    function publishVersion(
+        uint256 datasetId,
+        string memory metadataURI,
+        bytes32 contentHash,
+        string memory changelogURI
+    ) public returns (uint256 version) {
+        _requireDatasetRole(datasetId, DatasetRole.MANAGER);
+        require(bytes(metadataURI).length > 0, "Metadata URI cannot be empty");
+        require(contentHash != bytes32(0), "Content hash cannot be empty");
+
+        datasets[datasetId].metadataURI = metadataURI;
+        version = _addVersion(datasetId, metadataURI, contentHash, changelogURI);
+
+        emit DatasetUpdated(datasetId, metadataURI, block.timestamp);
+    }
+
+    /**
+     * @dev Set dataset prices in an allowlisted ERC-20 token
+     * @param datasetId Dataset ID to update
+     * @param paymentToken ERC-20 token the prices are denominated in
+     * @param newPrices New prices array in token units (0 disables a duration)
+     */
+    function setTokenPrices(
+        uint256 datasetId,
+        address paymentToken,
+        uint256[6] memory newPrices
+    ) public {
+        _requireDatasetRole(datasetId, DatasetRole.MANAGER);
+        require(allowedPaymentTokens[paymentToken], "Payment token not allowed");
+
+        DatasetAccessLib.updatePrices(datasets[datasetId].tokenPrices[paymentToken], datasetId, paymentToken, newPrices);
+    }
+
     /**
      * @dev Purchase access to a dataset
      * @param datasetId Dataset ID to purchase access for
@@ -232,72 +403,153 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256 datasetId,
         AccessDuration duration
     ) public payable whenNotPaused nonReentrant returns (uint256) {
-        require(_datasetExists(datasetId), "Dataset does not exist");
-        require(datasets[datasetId].isActive, "Dataset is not active");
-        
-        Dataset storage dataset = datasets[datasetId];
-        require(dataset.owner != msg.sender, "Cannot purchase own dataset");
-        
-        uint256 price = dataset.prices[duration];
-        require(price > 0, "Price not set for this duration");
-        require(msg.value >= price, "Insufficient payment");
+        _validatePurchase(datasetId, _msgSender());
 
-        // Calculate access duration in seconds
-        uint256 durationSeconds = _getDurationInSeconds(duration);
-        uint256 expiryTime = block.timestamp + durationSeconds;
+        (uint256 price, uint256 planId, address module) = _applyPrice(datasetId, duration);
+        _collectPayment(_msgSender(), price);
 
-        // Create purchase record
-        uint256 purchaseId = userPurchases[msg.sender].length;
-        AccessPurchase storage purchase = purchases[purchaseId];
-        purchase.datasetId = datasetId;
-        purchase.buyer = msg.sender;
-        purchase.duration = duration;
-        purchase.price = price;
-        purchase.purchaseTime = block.timestamp;
-        purchase.expiryTime = expiryTime;
-
-        // Mint access token
-        string memory accessTokenURI = string(abi.encodePacked(
-            dataset.metadataURI,
-            "/access/",
-            _toString(purchaseId)
-        ));
-        
-        uint256 tokenId = datasetToken.mintAccessToken(
-            msg.sender,
-            datasetId,
-            expiryTime,
-            dataset.owner,
-            accessTokenURI
+        return _recordPurchase(
+            _msgSender(), datasetId, duration, AccessDurations.getDurationInSeconds(duration), planId, price, address(0), 0, module
         );
-        
-        purchase.tokenId = tokenId;
-        userPurchases[msg.sender].push(purchaseId);
-        userAccess[msg.sender][datasetId] = true;
+    }
 
-        // Update dataset statistics
-        dataset.totalSales++;
-        dataset.totalRevenue += price;
+    /**
+     * @dev Purchase access to a dataset with an allowlisted ERC-20 token
+     * @param datasetId Dataset ID to purchase access for
+     * @param duration Access duration
+     * @param paymentToken ERC-20 token to pay with (requires prior approval)
+     * @return purchaseId The purchase ID
+     */
+    function purchaseAccessWithToken(
+        uint256 datasetId,
+        AccessDuration duration,
+        address paymentToken
+    ) public whenNotPaused nonReentrant returns (uint256) {
+        require(allowedPaymentTokens[paymentToken], "Payment token not allowed");
+        Dataset storage dataset = _validatePurchase(datasetId, _msgSender());
 
-        // Distribute payment
-        _distributePayment(datasetId, price);
+        uint256 price = dataset.tokenPrices[paymentToken][duration];
+        require(price > 0, "Price not set for this duration");
 
-        // Refund excess payment
-        if (msg.value > price) {
-            payable(msg.sender).transfer(msg.value - price);
+        IERC20(paymentToken).safeTransferFrom(_msgSender(), address(this), price);
+
+        return _recordPurchase(
+            _msgSender(), datasetId, duration, AccessDurations.getDurationInSeconds(duration), 0, price, paymentToken, 0, address(0)
+        );
+    }
+
+    /**
+     * @dev Record a sale made by an access module (e.g. pricing plans, subscriptions)
+     * @notice ERC-20 payments must already be transferred to this contract; ETH is sent with the call
+     * and any excess over price is credited back to the buyer
+     * @param buyer Address receiving access
+     * @param datasetId Dataset ID
+     * @param durationSeconds Access duration in seconds
+     * @param planId Module-specific plan ID recorded with the purchase
+     * @param price Amount paid (wei or token units)
+     * @param paymentToken ERC-20 token used for payment (zero address for ETH)
+     * @param renew Extend the buyer's access token from its current expiry instead of minting a new one
+     * (a token is still minted if the buyer holds none)
+     * @return purchaseId The purchase ID
+     */
+    function recordModulePurchase(
+        address buyer,
+        uint256 datasetId,
+        uint256 durationSeconds,
+        uint256 planId,
+        uint256 price,
+        address paymentToken,
+        bool renew
+    ) external payable whenNotPaused nonReentrant returns (uint256) {
+        require(accessModules[_msgSender()], "Not an access module");
+        require(durationSeconds > 0, "Duration must be greater than 0");
+        _validatePurchase(datasetId, buyer);
+
+        if (paymentToken == address(0)) {
+            _collectPayment(buyer, price);
+        } else {
+            require(allowedPaymentTokens[paymentToken], "Payment token not allowed");
+            require(msg.value == 0, "ETH not accepted for token payment");
         }
 
-        emit AccessPurchased(
-            purchaseId,
-            datasetId,
-            msg.sender,
-            duration,
-            price,
-            expiryTime,
-            tokenId
+        uint256 renewTokenId = 0;
+        if (renew) {
+            (renewTokenId, ) = datasetToken.getLatestAccess(buyer, datasetId);
+        }
+        return _recordPurchase(
+            buyer, datasetId, AccessDuration.CUSTOM, durationSeconds, planId, price, paymentToken, renewTokenId, _msgSender()
         );
+    }
 
-        return purchaseId;
+    /**
+     * @dev Record an ETH sale made by an access module on behalf of a referrer
+     * @notice The commission is paid out of the owner's share when the payment is distributed, so a
+     * payment held for a refund window pays the referrer only if it is released
+     * @param buyer Address receiving access
+     * @param datasetId Dataset ID
+     * @param durationSeconds Access duration in seconds
+     * @param price Amount paid in wei
+     * @param referrer Account earning the commission
+     * @param commission Commission in basis points of the price (up to MAX_ROYALTY_PERCENTAGE)
+     * @return purchaseId The purchase ID
+     */
+    function recordReferralPurchase(
+        address buyer,
+        uint256 datasetId,
+        uint256 durationSeconds,
+        uint256 price,
+        address referrer,
+        uint256 commission
+    ) external payable whenNotPaused nonReentrant returns (uint256) {
+        require(accessModules[_msgSender()], "Not an access module");
+        require(durationSeconds > 0, "Duration must be greater than 0");
+        require(referrer != address(0), "Invalid referrer address");
+        require(commission <= MAX_ROYALTY_PERCENTAGE, "Commission exceeds royalty cap");
+        _validatePurchase(datasetId, buyer);
+        _collectPayment(buyer, price);
+
+        purchaseReferrals[_purchaseIdCounter] = Referral(referrer, commission);
+        return _recordPurchase(
+            buyer, datasetId, AccessDuration.CUSTOM, durationSeconds, 0, price, address(0), 0, _msgSender()
+        );
+    }
+
+    /**
+     * @dev Split ETH revenue earned by an access module outside a purchase (e.g. metered usage)
+     * like an access sale (access module only)
+     * @param datasetId Dataset ID
+     */
+    function recordModuleRevenue(uint256 datasetId) external payable {
+        require(accessModules[_msgSender()], "Not an access module");
+        require(_datasetExists(datasetId), "Dataset does not exist");
+
+        datasets[datasetId].totalRevenue += msg.value;
+        // Purchase IDs start at 1, so purchase 0 never has a referral
+        _distributePayment(0, datasetId, msg.value, address(0));
+    }
+
+    /**
+     * @dev Renew access by extending the caller's existing access token instead of minting a new one
+     * @notice The new expiry is counted from the current expiry, or from now if access has lapsed
+     * @param datasetId Dataset ID to renew access for
+     * @param duration Access duration to add
+     * @return purchaseId The purchase ID
+     */
+    function renewAccess(
+        uint256 datasetId,
+        AccessDuration duration
+    ) public payable whenNotPaused nonReentrant returns (uint256) {
+        _validatePurchase(datasetId, _msgSender());
+
+        (uint256 tokenId, ) = datasetToken.getLatestAccess(_msgSender(), datasetId);
+        require(tokenId != 0, "No access token to renew");
+
+        (uint256 price, uint256 planId, address module) = _applyPrice(datasetId, duration);
+        _collectPayment(_msgSender(), price);
+
+        return _recordPurchase(
+            _msgSender(), datasetId, duration, AccessDurations.getDurationInSeconds(duration), planId, price, address(0), tokenId, module
+        );
     }
 
     /**
@@ -314,16 +566,20 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
             return true;
         }
 
-        // Check if user has any valid access tokens for this dataset
-        uint256[] memory userTokens = datasetToken.getUserTokens(user);
-        for (uint256 i = 0; i < userTokens.length; i++) {
-            (uint256 tokenDatasetId, , , bool isValid) = datasetToken.getAccessDetails(userTokens[i]);
-            if (tokenDatasetId == datasetId && isValid) {
-                return true;
-            }
-        }
+        return userAccess(user, datasetId);
+    }
 
-        return false;
+    /**
+     * @dev Check if a user holds a purchased access token for a dataset that has not expired
+     * @notice Replaces the former userAccess mapping, which stayed true after expiry.
+     * Unlike checkAccess, this is false for the dataset owner and for unknown datasets.
+     * @param user User address
+     * @param datasetId Dataset ID
+     * @return bool Whether the user's latest access token is still valid
+     */
+    function userAccess(address user, uint256 datasetId) public view returns (bool) {
+        (, uint256 expiryTime) = datasetToken.getLatestAccess(user, datasetId);
+        return expiryTime > block.timestamp;
     }
 
     /**
@@ -346,49 +602,77 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
             return (true, 0, 0);
         }
 
-        // Find the most recent valid access token
-        uint256[] memory userTokens = datasetToken.getUserTokens(user);
-        uint256 latestExpiry = 0;
-        uint256 latestTokenId = 0;
-        
-        for (uint256 i = 0; i < userTokens.length; i++) {
-            (uint256 tokenDatasetId, , uint256 tokenExpiry, bool isValid) = 
-                datasetToken.getAccessDetails(userTokens[i]);
-            
-            if (tokenDatasetId == datasetId && isValid && tokenExpiry > latestExpiry) {
-                latestExpiry = tokenExpiry;
-                latestTokenId = userTokens[i];
-            }
+        // Use the access token with the latest expiry, if it is still valid
+        (uint256 latestTokenId, uint256 latestExpiry) = datasetToken.getLatestAccess(user, datasetId);
+        if (latestExpiry <= block.timestamp) {
+            return (false, 0, 0);
         }
 
-        return (latestTokenId > 0, latestExpiry, latestTokenId);
+        return (true, latestExpiry, latestTokenId);
     }
 
     /**
-     * @dev Revoke access for a user (owner or platform only)
+     * @dev Revoke access for a user (dataset owner, SUPPORT role or platform only)
      * @param datasetId Dataset ID
      * @param user User to revoke access for
      */
     function revokeAccess(uint256 datasetId, address user) public {
         require(_datasetExists(datasetId), "Dataset does not exist");
         require(
-            datasets[datasetId].owner == msg.sender || owner() == msg.sender,
+            _hasDatasetPermission(datasetId, DatasetRole.SUPPORT, _msgSender()) || owner() == _msgSender(),
             "Not authorized to revoke access"
         );
 
-        // Find and burn user's access tokens for this dataset
-        uint256[] memory userTokens = datasetToken.getUserTokens(user);
-        for (uint256 i = 0; i < userTokens.length; i++) {
-            (uint256 tokenDatasetId, DatasetToken.TokenType tokenType, , ) = 
-                datasetToken.getAccessDetails(userTokens[i]);
-            
-            if (tokenDatasetId == datasetId && tokenType == DatasetToken.TokenType.ACCESS) {
-                datasetToken.forceBurn(userTokens[i]);
-                emit AccessRevoked(datasetId, user, userTokens[i]);
-            }
+        DatasetAccessLib.burnAccessTokens(datasetToken, datasetId, user);
+    }
+
+    /**
+     * @dev Grant or revoke a collaborator role on a dataset (dataset owner only)
+     * @notice Roles are held per granting owner: they lapse when the ownership NFT is transferred
+     * and the new owner grants their own
+     * @param datasetId Dataset ID
+     * @param role Role to update
+     * @param account Collaborator address
+     * @param granted Whether the account holds the role
+     */
+    function setDatasetRole(uint256 datasetId, DatasetRole role, address account, bool granted) public {
+        require(_datasetExists(datasetId), "Dataset does not exist");
+        require(datasets[datasetId].owner == _msgSender(), "Not dataset owner");
+        require(account != address(0), "Invalid account address");
+
+        _datasetRoles[datasetId][_msgSender()][account][role] = granted;
+        emit DatasetRoleUpdated(datasetId, role, account, granted);
+    }
+
+    /**
+     * @dev Check whether an account holds a collaborator role granted by the current dataset owner
+     * @param datasetId Dataset ID
+     * @param role Role to check
+     * @param account Account to check
+     * @return Whether the role is held (false for the owner, who has every permission anyway)
+     */
+    function hasDatasetRole(uint256 datasetId, DatasetRole role, address account) public view returns (bool) {
+        return _datasetRoles[datasetId][datasets[datasetId].owner][account][role];
+    }
+
+    /**
+     * @dev Sync dataset ownership after its OWNERSHIP token is transferred (DatasetToken only)
+     * @param datasetId Dataset ID
+     * @param from Previous token holder
+     * @param to New token holder
+     */
+    function onOwnershipTransfer(uint256 datasetId, address from, address to) external override {
+        require(_msgSender() == address(datasetToken), "Only dataset token contract");
+
+        // Ignore ownership tokens minted outside this marketplace
+        if (!_datasetExists(datasetId) || datasets[datasetId].owner != from) {
+            return;
         }
 
-        userAccess[user][datasetId] = false;
+        datasets[datasetId].owner = to;
+        DatasetAccessLib.moveDataset(userDatasets[from], userDatasets[to], datasetId);
+
+        emit DatasetOwnershipTransferred(datasetId, from, to);
     }
 
     /**
@@ -402,30 +686,10 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         address[] memory recipients,
         uint256[] memory percentages
     ) public {
-        require(_datasetExists(datasetId), "Dataset does not exist");
-        require(datasets[datasetId].owner == msg.sender, "Not dataset owner");
-        require(recipients.length == percentages.length, "Arrays length mismatch");
-        require(recipients.length <= MAX_ROYALTY_RECIPIENTS, "Too many recipients");
-
-        // Clear existing royalties
-        delete datasetRoyalties[datasetId];
-
-        uint256 totalPercentage = 0;
-        for (uint256 i = 0; i < recipients.length; i++) {
-            require(recipients[i] != address(0), "Invalid recipient address");
-            require(percentages[i] > 0, "Percentage must be greater than 0");
-            
-            totalPercentage += percentages[i];
-            
-            datasetRoyalties[datasetId].push(RoyaltyRecipient({
-                recipient: recipients[i],
-                percentage: percentages[i]
-            }));
-
-            emit RoyaltySet(datasetId, recipients[i], percentages[i]);
-        }
-
-        require(totalPercentage <= MAX_ROYALTY_PERCENTAGE, "Total royalty exceeds maximum");
+        _requireDatasetRole(datasetId, DatasetRole.FINANCE);
+        DatasetAccessLib.setRoyalty(
+            datasetRoyalties[datasetId], datasetId, recipients, percentages, MAX_ROYALTY_RECIPIENTS, MAX_ROYALTY_PERCENTAGE
+        );
     }
 
     /**
@@ -451,24 +715,7 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256[6] memory prices
     ) {
         require(_datasetExists(datasetId), "Dataset does not exist");
-        
-        Dataset storage dataset = datasets[datasetId];
-        
-        uint256[6] memory datasetPrices;
-        for (uint256 i = 0; i < 6; i++) {
-            datasetPrices[i] = dataset.prices[AccessDuration(i)];
-        }
-
-        return (
-            dataset.id,
-            dataset.owner,
-            dataset.metadataURI,
-            dataset.isActive,
-            dataset.createdAt,
-            dataset.totalSales,
-            dataset.totalRevenue,
-            datasetPrices
-        );
+        return DatasetAccessLib.getDataset(datasets[datasetId]);
     }
 
     /**
@@ -482,17 +729,45 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         uint256[] memory percentages
     ) {
         require(_datasetExists(datasetId), "Dataset does not exist");
-        
-        RoyaltyRecipient[] storage royalties = datasetRoyalties[datasetId];
-        recipients = new address[](royalties.length);
-        percentages = new uint256[](royalties.length);
-        
-        for (uint256 i = 0; i < royalties.length; i++) {
-            recipients[i] = royalties[i].recipient;
-            percentages[i] = royalties[i].percentage;
+        return DatasetAccessLib.getRoyalties(datasetRoyalties[datasetId]);
+    }
+
+    /**
+     * @dev Get dataset prices in an ERC-20 token
+     * @param datasetId Dataset ID
+     * @param paymentToken ERC-20 token
+     * @return prices Array of prices for each duration in token units
+     */
+    function getTokenPrices(uint256 datasetId, address paymentToken) public view returns (uint256[6] memory prices) {
+        require(_datasetExists(datasetId), "Dataset does not exist");
+
+        Dataset storage dataset = datasets[datasetId];
+        for (uint256 i = 0; i < 6; i++) {
+            prices[i] = dataset.tokenPrices[paymentToken][AccessDuration(i)];
         }
     }
 
+    /**
+     * @dev Get the current owner of a dataset
+     * @param datasetId Dataset ID
+     * @return Owner address
+     */
+    function getDatasetOwner(uint256 datasetId) public view returns (address) {
+        require(_datasetExists(datasetId), "Dataset does not exist");
+        return datasets[datasetId].owner;
+    }
+
+    /**
+     * @dev Get revenue earned by a dataset in an ERC-20 token
+     * @param datasetId Dataset ID
+     * @param paymentToken ERC-20 token
+     * @return Revenue in token units
+     */
+    function getTokenRevenue(uint256 datasetId, address paymentToken) public view returns (uint256) {
+        require(_datasetExists(datasetId), "Dataset does not exist");
+        return datasets[datasetId].tokenRevenue[paymentToken];
+    }
+
     /**
      * @dev Get user's datasets
      * @param user User address
@@ -502,6 +777,21 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         return userDatasets[user];
     }
 
+    /**
+     * @dev Get a page of user's datasets
+     * @param user User address
+     * @param offset Index of the first dataset to return
+     * @param limit Maximum number of datasets to return
+     * @return datasetIds Page of dataset IDs
+     * @return total Number of datasets owned by the user
+     */
+    function getUserDatasetsPage(address user, uint256 offset, uint256 limit) public view returns (
+        uint256[] memory datasetIds,
+        uint256 total
+    ) {
+        return Pagination.paginate(userDatasets[user], offset, limit);
+    }
+
     /**
      * @dev Get user's purchases
      * @param user User address
@@ -511,14 +801,102 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
         return userPurchases[user];
     }
 
+    /**
+     * @dev Get a page of user's purchases
+     * @param user User address
+     * @param offset Index of the first purchase to return
+     * @param limit Maximum number of purchases to return
+     * @return purchaseIds Page of purchase IDs
+     * @return total Number of purchases made by the user
+     */
+    function getUserPurchasesPage(address user, uint256 offset, uint256 limit) public view returns (
+        uint256[] memory purchaseIds,
+        uint256 total
+    ) {
+        return Pagination.paginate(userPurchases[user], offset, limit);
+    }
+
+    /**
+     * @dev Get purchases made for a dataset
+     * @param datasetId Dataset ID
+     * @return Array of purchase IDs
+     */
+    function getDatasetPurchases(uint256 datasetId) public view returns (uint256[] memory) {
+        return datasetPurchases[datasetId];
+    }
+
+    /**
+     * @dev Get a page of the purchases made for a dataset
+     * @param datasetId Dataset ID
+     * @param offset Index of the first purchase to return
+     * @param limit Maximum number of purchases to return
+     * @return purchaseIds Page of purchase IDs
+     * @return total Number of purchases made for the dataset
+     */
+    function getDatasetPurchasesPage(uint256 datasetId, uint256 offset, uint256 limit) public view returns (
+        uint256[] memory purchaseIds,
+        uint256 total
+    ) {
+        return Pagination.paginate(datasetPurchases[datasetId], offset, limit);
+    }
+
+    /**
+     * @dev Get a purchase record
+     * @param purchaseId Purchase ID
+     * @return AccessPurchase record
+     */
+    function getPurchase(uint256 purchaseId) public view returns (AccessPurchase memory) {
+        require(_purchaseExists(purchaseId), "Purchase does not exist");
+        return purchases[purchaseId];
+    }
+
+    /**
+     * @dev Get the number of versions of a dataset (the current version number)
+     * @param datasetId Dataset ID
+     * @return Version count
+     */
+    function getDatasetVersionCount(uint256 datasetId) public view returns (uint256) {
+        return _datasetVersions[datasetId].length;
+    }
+
+    /**
+     * @dev Get a dataset version
+     * @param datasetId Dataset ID
+     * @param version Version number (starting at 1)
+     * @return Version record
+     */
+    function getDatasetVersion(uint256 datasetId, uint256 version) public view returns (DatasetVersion memory) {
+        require(version > 0 && version <= _datasetVersions[datasetId].length, "Version does not exist");
+        return _datasetVersions[datasetId][version - 1];
+    }
+
+    /**
+     * @dev Get the dataset version that was current when a purchase was made
+     * @param purchaseId Purchase ID
+     * @return version Version number
+     * @return record Version record
+     */
+    function getPurchaseVersion(uint256 purchaseId) public view returns (uint256 version, DatasetVersion memory record) {
+        require(_purchaseExists(purchaseId), "Purchase does not exist");
+        AccessPurchase storage purchase = purchases[purchaseId];
+        version = purchase.version;
+        record = _datasetVersions[purchase.datasetId][version - 1];
+    }
+
     /**
      * @dev Emergency toggle dataset active status (owner only)
+     * @notice Disabling a dataset also cancels a marketplace listing of its ownership token when this
+     * contract is the token's ownership registry
      * @param datasetId Dataset ID
      */
     function emergencyToggleDataset(uint256 datasetId) public onlyOwner {
         require(_datasetExists(datasetId), "Dataset does not exist");
         datasets[datasetId].isActive = !datasets[datasetId].isActive;
         emit DatasetToggled(datasetId, datasets[datasetId].isActive);
+        // Only the token's ownership registry may notify it
+        if (datasetToken.ownershipRegistry() == address(this)) {
+            datasetToken.onDatasetToggled(datasetId, datasets[datasetId].isActive);
+        }
     }
 
     /**
@@ -544,12 +922,119 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @dev Emergency withdraw (owner only)
+     * @dev Withdraw the caller's credited ETH balance
+     */
+    function withdraw() public nonReentrant {
+        _withdraw(address(0), _msgSender());
+    }
+
+    /**
+     * @dev Withdraw the caller's credited ETH balance to another address
+     * @param to Recipient address
+     */
+    function withdrawTo(address payable to) public nonReentrant {
+        _withdraw(address(0), to);
+    }
+
+    /**
+     * @dev Withdraw the caller's credited balance of an ERC-20 token
+     * @param paymentToken ERC-20 token
+     */
+    function withdrawToken(address paymentToken) public nonReentrant {
+        require(paymentToken != address(0), "Invalid token address");
+        _withdraw(paymentToken, _msgSender());
+    }
+
+    /**
+     * @dev Withdraw the caller's credited balance of an ERC-20 token to another address
+     * @param paymentToken ERC-20 token
+     * @param to Recipient address
+     */
+    function withdrawTokenTo(address paymentToken, address to) public nonReentrant {
+        require(paymentToken != address(0), "Invalid token address");
+        _withdraw(paymentToken, to);
+    }
+
+    /**
+     * @dev Add or remove an ERC-20 token from the payment allowlist (owner only)
+     * @param paymentToken ERC-20 token address
+     * @param allowed Whether the token is accepted for payment
      */
-    function emergencyWithdraw() public onlyOwner {
-        uint256 balance = address(this).balance;
-        require(balance > 0, "No funds to withdraw");
-        payable(owner()).transfer(balance);
+    function setPaymentToken(address paymentToken, bool allowed) public onlyOwner {
+        require(paymentToken != address(0), "Invalid token address");
+        allowedPaymentTokens[paymentToken] = allowed;
+        emit PaymentTokenUpdated(paymentToken, allowed);
+    }
+
+    /**
+     * @dev Enable or disable an access module (owner only)
+     * @param module Module contract address
+     * @param enabled Whether the module may record purchases
+     */
+    function setAccessModule(address module, bool enabled) public onlyOwner {
+        require(module != address(0), "Invalid module address");
+        accessModules[module] = enabled;
+        emit AccessModuleUpdated(module, enabled);
+    }
+
+    /**
+     * @dev Set the escrow agent consulted on every purchase (owner only, zero address to disable)
+     * @notice Payments already held stay settleable by the agent that holds them
+     * @param agent Escrow agent contract address
+     */
+    function setEscrowAgent(address agent) public onlyOwner {
+        emit EscrowAgentUpdated(escrowAgent, agent);
+        escrowAgent = agent;
+    }
+
+    /**
+     * @dev Set the pricing agent consulted on ETH purchases and renewals (owner only, zero address to disable)
+     * @notice The agent can replace the list price, e.g. with a running discount campaign
+     * @param agent Pricing agent contract address
+     */
+    function setPricingAgent(address agent) public onlyOwner {
+        emit PricingAgentUpdated(pricingAgent, agent);
+        pricingAgent = agent;
+    }
+
+    /**
+     * @dev Settle a held payment: refund the buyer or release it to the normal split
+     * (holding escrow agent only)
+     * @param purchaseId Purchase whose payment is held
+     * @param refund Whether to credit the payment back to the buyer
+     */
+    function settleEscrow(uint256 purchaseId, bool refund) external {
+        require(escrowedPayments[purchaseId] == _msgSender(), "Not the escrow agent");
+        delete escrowedPayments[purchaseId];
+
+        AccessPurchase storage purchase = purchases[purchaseId];
+        totalPendingWithdrawals[purchase.paymentToken] -= purchase.price;
+
+        if (refund) {
+            Dataset storage dataset = datasets[purchase.datasetId];
+            dataset.totalSales--;
+            if (purchase.paymentToken == address(0)) {
+                dataset.totalRevenue -= purchase.price;
+            } else {
+                dataset.tokenRevenue[purchase.paymentToken] -= purchase.price;
+            }
+            _credit(purchase.buyer, purchase.paymentToken, purchase.price);
+        } else {
+            _distributePayment(purchaseId, purchase.datasetId, purchase.price, purchase.paymentToken);
+        }
+
+        emit EscrowSettled(purchaseId, refund);
+    }
+
+    /**
+     * @dev Emergency withdraw of ETH not owed to any account (owner only)
+     */
+    function emergencyWithdraw() public onlyOwner nonReentrant {
+        uint256 amount = address(this).balance - totalPendingWithdrawals[address(0)];
+        require(amount > 0, "No funds to withdraw");
+
+        (bool success, ) = payable(owner()).call{value: amount}("");
+        require(success, "ETH transfer failed");
     }
 
     /**
@@ -578,80 +1063,271 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
     }
 
     /**
-     * @dev Get duration in seconds for AccessDuration enum
-     * @param duration AccessDuration enum value
-     * @return uint256 Duration in seconds
+     * @dev Check whether an account is the dataset owner or holds the given role
+     * @param datasetId Dataset ID
+     * @param role Role that grants the permission
+     * @param account Account to check
+     * @return bool Whether the account has the permission
      */
-    function _getDurationInSeconds(AccessDuration duration) internal pure returns (uint256) {
-        if (duration == AccessDuration.HOUR_1) return 1 hours;
-        if (duration == AccessDuration.HOURS_24) return 24 hours;
-        if (duration == AccessDuration.DAYS_7) return 7 days;
-        if (duration == AccessDuration.DAYS_30) return 30 days;
-        if (duration == AccessDuration.DAYS_90) return 90 days;
-        if (duration == AccessDuration.DAYS_365) return 365 days;
-        revert("Invalid duration");
+    function _hasDatasetPermission(uint256 datasetId, DatasetRole role, address account) internal view returns (bool) {
+        return datasets[datasetId].owner == account || hasDatasetRole(datasetId, role, account);
     }
 
     /**
-     * @dev Distribute payment among owner, platform, and royalty recipients
+     * @dev Require an existing dataset and a caller that is its owner or holds the given role
      * @param datasetId Dataset ID
-     * @param totalAmount Total payment amount
+     * @param role Role that grants the permission
      */
-    function _distributePayment(uint256 datasetId, uint256 totalAmount) internal {
-        Dataset storage dataset = datasets[datasetId];
-        RoyaltyRecipient[] storage royalties = datasetRoyalties[datasetId];
+    function _requireDatasetRole(uint256 datasetId, DatasetRole role) internal view {
+        require(_datasetExists(datasetId), "Dataset does not exist");
+        require(_hasDatasetPermission(datasetId, role, _msgSender()), "Not dataset owner");
+    }
 
-        // Calculate platform fee
-        uint256 platformAmount = (totalAmount * platformFeePercentage) / BASIS_POINTS;
-        
-        // Calculate total royalty amount
-        uint256 totalRoyaltyAmount = 0;
-        for (uint256 i = 0; i < royalties.length; i++) {
-            uint256 royaltyAmount = (totalAmount * royalties[i].percentage) / BASIS_POINTS;
-            totalRoyaltyAmount += royaltyAmount;
-            
-            if (royaltyAmount > 0) {
-                payable(royalties[i].recipient).transfer(royaltyAmount);
+    /**
+     * @dev Check if purchase exists
+     * @param purchaseId Purchase ID to check
+     * @return bool Whether purchase exists
+     */
+    function _purchaseExists(uint256 purchaseId) internal view returns (bool) {
+        return purchaseId > 0 && purchaseId < _purchaseIdCounter;
+    }
+
+    /**
+     * @dev Validate that a buyer can purchase access to a dataset
+     * @param datasetId Dataset ID
+     * @param buyer Address receiving access
+     * @return dataset Storage pointer to the dataset
+     */
+    function _validatePurchase(uint256 datasetId, address buyer) internal view returns (Dataset storage dataset) {
+        require(_datasetExists(datasetId), "Dataset does not exist");
+        dataset = datasets[datasetId];
+        require(dataset.isActive, "Dataset is not active");
+        require(dataset.owner != buyer, "Cannot purchase own dataset");
+    }
+
+    /**
+     * @dev Get the ETH price of a duration, as adjusted by the pricing agent if one is set
+     * @param datasetId Dataset ID
+     * @param duration Access duration
+     * @return price Amount due in wei
+     * @return planId Plan ID assigned by the pricing agent (0 for the list price)
+     * @return module Pricing agent that assigned the plan (zero address for the list price)
+     */
+    function _applyPrice(uint256 datasetId, AccessDuration duration) internal returns (
+        uint256 price,
+        uint256 planId,
+        address module
+    ) {
+        price = datasets[datasetId].prices[duration];
+        if (pricingAgent != address(0)) {
+            (price, planId) = IDatasetPricingAgent(pricingAgent).applyPrice(datasetId, duration, price, _msgSender());
+            if (planId != 0) {
+                module = pricingAgent;
             }
         }
+        require(price > 0, "Price not set for this duration");
+    }
+
+    /**
+     * @dev Take ETH payment, crediting any excess back to the buyer
+     * @param buyer Address credited with the excess
+     * @param price Amount due in wei
+     */
+    function _collectPayment(address buyer, uint256 price) internal {
+        require(msg.value >= price, "Insufficient payment");
+        if (msg.value > price) {
+            _credit(buyer, address(0), msg.value - price);
+        }
+    }
+
+    /**
+     * @dev Record a paid purchase, mint or extend the access token and distribute the payment
+     * @param buyer Address receiving access
+     * @param datasetId Dataset ID
+     * @param duration Access duration (CUSTOM for module purchases)
+     * @param durationSeconds Access duration in seconds
+     * @param planId Plan ID assigned by the module (0 for list-price purchases)
+     * @param price Amount paid (wei or token units)
+     * @param paymentToken ERC-20 token used for payment (zero address for ETH)
+     * @param renewTokenId Existing access token to extend (0 to mint a new one)
+     * @param module Access module or pricing agent that assigned planId (zero address for list-price purchases)
+     * @return purchaseId The purchase ID
+     */
+    function _recordPurchase(
+        address buyer,
+        uint256 datasetId,
+        AccessDuration duration,
+        uint256 durationSeconds,
+        uint256 planId,
+        uint256 price,
+        address paymentToken,
+        uint256 renewTokenId,
+        address module
+    ) internal returns (uint256) {
+        Dataset storage dataset = datasets[datasetId];
 
-        // Owner gets the remaining amount
-        uint256 ownerAmount = totalAmount - platformAmount - totalRoyaltyAmount;
+        uint256 expiryTime = block.timestamp + durationSeconds;
+        if (renewTokenId != 0) {
+            // Stack on remaining time so an early renewal loses nothing
+            (, , uint256 currentExpiry, ) = datasetToken.getAccessDetails(renewTokenId);
+            if (currentExpiry > block.timestamp) {
+                expiryTime = currentExpiry + durationSeconds;
+            }
+        }
 
-        // Transfer payments
-        if (platformAmount > 0) {
-            payable(platformWallet).transfer(platformAmount);
+        // Create purchase record
+        uint256 purchaseId = _purchaseIdCounter++;
+        AccessPurchase storage purchase = purchases[purchaseId];
+        purchase.datasetId = datasetId;
+        purchase.buyer = buyer;
+        purchase.duration = duration;
+        purchase.durationSeconds = durationSeconds;
+        purchase.price = price;
+        purchase.purchaseTime = block.timestamp;
+        purchase.expiryTime = expiryTime;
+        purchase.paymentToken = paymentToken;
+        purchase.planId = planId;
+        purchase.module = module;
+        purchase.version = _datasetVersions[datasetId].length;
+
+        uint256 tokenId = renewTokenId;
+        if (tokenId != 0) {
+            datasetToken.extendAccessToken(tokenId, expiryTime);
+        } else {
+            // Mint access token (its metadata is generated by DatasetToken)
+            tokenId = datasetToken.mintAccessToken(
+                buyer,
+                datasetId,
+                expiryTime,
+                dataset.owner
+            );
         }
         
-        if (ownerAmount > 0) {
-            payable(dataset.owner).transfer(ownerAmount);
+        purchase.tokenId = tokenId;
+        userPurchases[buyer].push(purchaseId);
+        datasetPurchases[datasetId].push(purchaseId);
+
+        // Update dataset statistics
+        dataset.totalSales++;
+        if (paymentToken == address(0)) {
+            dataset.totalRevenue += price;
+        } else {
+            dataset.tokenRevenue[paymentToken] += price;
+        }
+
+        // Distribute payment, unless the escrow agent holds it for the dataset's refund window
+        if (escrowAgent != address(0) && IDatasetEscrowAgent(escrowAgent).holdPayment(purchaseId, datasetId)) {
+            escrowedPayments[purchaseId] = escrowAgent;
+            totalPendingWithdrawals[paymentToken] += price;
+            emit PaymentEscrowed(purchaseId, escrowAgent);
+        } else {
+            _distributePayment(purchaseId, datasetId, price, paymentToken);
+        }
+
+        emit AccessPurchased(
+            purchaseId,
+            datasetId,
+            buyer,
+            duration,
+            price,
+            expiryTime,
+            tokenId
+        );
+
+        if (renewTokenId != 0) {
+            emit AccessRenewed(purchaseId, datasetId, buyer, tokenId, expiryTime);
         }
 
-        emit PaymentDistributed(datasetId, totalAmount, ownerAmount, platformAmount, totalRoyaltyAmount);
+        return purchaseId;
     }
 
     /**
-     * @dev Convert uint256 to string
-     * @param value Value to convert
-     * @return string representation
+     * @dev Distribute payment among owner, platform, royalty recipients and the purchase's referrer
+     * @param purchaseId Purchase being paid for
+     * @param datasetId Dataset ID
+     * @param totalAmount Total payment amount
+     * @param paymentToken ERC-20 token held for the payment (zero address for ETH)
      */
-    function _toString(uint256 value) internal pure returns (string memory) {
-        if (value == 0) {
-            return "0";
-        }
-        uint256 temp = value;
-        uint256 digits;
-        while (temp != 0) {
-            digits++;
-            temp /= 10;
-        }
-        bytes memory buffer = new bytes(digits);
-        while (value != 0) {
-            digits -= 1;
-            buffer[digits] = bytes1(uint8(48 + uint256(value % 10)));
-            value /= 10;
+    function _distributePayment(uint256 purchaseId, uint256 datasetId, uint256 totalAmount, address paymentToken) internal {
+        DatasetAccessLib.distributePayment(
+            pendingWithdrawals,
+            totalPendingWithdrawals,
+            datasetRoyalties[datasetId],
+            purchaseReferrals[purchaseId],
+            datasetId,
+            datasets[datasetId].owner,
+            totalAmount,
+            paymentToken,
+            platformWallet,
+            platformFeePercentage
+        );
+    }
+
+    /**
+     * @dev Credit a withdrawable balance to an account
+     * @param account Account to credit
+     * @param paymentToken ERC-20 token (zero address for ETH)
+     * @param amount Amount to credit
+     */
+    function _credit(address account, address paymentToken, uint256 amount) internal {
+        pendingWithdrawals[account][paymentToken] += amount;
+        totalPendingWithdrawals[paymentToken] += amount;
+        emit PaymentCredited(account, paymentToken, amount);
+    }
+
+    /**
+     * @dev Pay out the caller's full balance of ETH or an ERC-20 token
+     * @param paymentToken ERC-20 token (zero address for ETH)
+     * @param to Recipient address
+     */
+    function _withdraw(address paymentToken, address to) internal {
+        require(to != address(0), "Invalid recipient address");
+
+        uint256 amount = pendingWithdrawals[_msgSender()][paymentToken];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingWithdrawals[_msgSender()][paymentToken] = 0;
+        totalPendingWithdrawals[paymentToken] -= amount;
+
+        if (paymentToken == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(paymentToken).safeTransfer(to, amount);
         }
-        return string(buffer);
+
+        emit PaymentWithdrawn(_msgSender(), to, paymentToken, amount);
+    }
+
+    // ERC-2771 overrides: the signer of a forwarded request is the sender
+
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+
+    /**
+     * @dev Append a dataset version
+     * @param datasetId Dataset ID
+     * @param metadataURI Metadata URI of the version
+     * @param contentHash Digest of the version's data
+     * @param changelogURI URI describing the changes (may be empty)
+     * @return version The new version number
+     */
+    function _addVersion(
+        uint256 datasetId,
+        string memory metadataURI,
+        bytes32 contentHash,
+        string memory changelogURI
+    ) internal returns (uint256 version) {
+        return DatasetAccessLib.addVersion(_datasetVersions[datasetId], datasetId, metadataURI, contentHash, changelogURI);
     }
 
     /**
@@ -661,4 +1337,12 @@ contract DatasetAccess is Ownable, Pausable, ReentrancyGuard {
     function getCurrentDatasetId() public view returns (uint256) {
         return _datasetIdCounter;
     }
+
+    /**
+     * @dev Get current purchase counter
+     * @return Current purchase counter value
+     */
+    function getCurrentPurchaseId() public view returns (uint256) {
+        return _purchaseIdCounter;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,408 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./DatasetAccess.sol";
+import "./DatasetToken.sol";
+
+/**
+ * @title DatasetAccessLib
+ * @dev Dataset bookkeeping for DatasetAccess, deployed separately and linked at deployment
+ * @notice Functions run through DELEGATECALL on DatasetAccess storage, so their events are emitted
+ * by DatasetAccess and are declared there as well. Splitting them out keeps DatasetAccess under the
+ * EIP-170 contract size limit without changing its ABI.
+ */
+library DatasetAccessLib {
+    uint256 private constant BASIS_POINTS = 10000; // Matches DatasetAccess.BASIS_POINTS
+
+    // Events (mirrored in DatasetAccess)
+    event PriceUpdated(
+        uint256 indexed datasetId,
+        DatasetAccess.AccessDuration duration,
+        uint256 oldPrice,
+        uint256 newPrice
+    );
+
+    event TokenPriceUpdated(
+        uint256 indexed datasetId,
+        address indexed paymentToken,
+        DatasetAccess.AccessDuration duration,
+        uint256 oldPrice,
+        uint256 newPrice
+    );
+
+    event RoyaltySet(
+        uint256 indexed datasetId,
+        address indexed recipient,
+        uint256 percentage
+    );
+
+    event DatasetVersionPublished(uint256 indexed datasetId, uint256 indexed version, bytes32 contentHash);
+
+    event AccessRevoked(
+        uint256 indexed datasetId,
+        address indexed user,
+        uint256 tokenId
+    );
+
+    event PaymentDistributed(
+        uint256 indexed datasetId,
+        uint256 totalAmount,
+        uint256 ownerAmount,
+        uint256 platformAmount,
+        uint256 royaltyAmount
+    );
+
+    event TokenPaymentDistributed(
+        uint256 indexed datasetId,
+        address indexed paymentToken,
+        uint256 totalAmount,
+        uint256 ownerAmount,
+        uint256 platformAmount,
+        uint256 royaltyAmount
+    );
+
+    event ReferralPaid(
+        uint256 indexed datasetId,
+        address indexed referrer,
+        uint256 amount,
+        address paymentToken
+    );
+
+    event PaymentCredited(address indexed account, address indexed paymentToken, uint256 amount);
+
+    /**
+     * @dev Initialise a new dataset and record its first version
+     * @param dataset Dataset to initialise
+     * @param versions Version history of the dataset
+     * @param datasetId Dataset ID
+     * @param owner Dataset owner address
+     * @param metadataURI Metadata URI
+     * @param contentHash Digest of the dataset's data
+     * @param prices Array of prices for each duration
+     */
+    function initDataset(
+        DatasetAccess.Dataset storage dataset,
+        DatasetAccess.DatasetVersion[] storage versions,
+        uint256 datasetId,
+        address owner,
+        string memory metadataURI,
+        bytes32 contentHash,
+        uint256[6] memory prices
+    ) external {
+        dataset.id = datasetId;
+        dataset.owner = owner;
+        dataset.metadataURI = metadataURI;
+        dataset.isActive = true;
+        dataset.createdAt = block.timestamp;
+
+        // Set prices for all durations
+        for (uint256 i = 0; i < 6; i++) {
+            dataset.prices[DatasetAccess.AccessDuration(i)] = prices[i];
+        }
+
+        addVersion(versions, datasetId, metadataURI, contentHash, "");
+    }
+
+    /**
+     * @dev Update a dataset's metadata URI and prices, recording a new version if the metadata URI
+     * or content hash changed
+     * @param dataset Dataset to update
+     * @param versions Version history of the dataset
+     * @param datasetId Dataset ID
+     * @param metadataURI New metadata URI
+     * @param contentHash Digest of the dataset's data
+     * @param prices New prices array
+     */
+    function updateDataset(
+        DatasetAccess.Dataset storage dataset,
+        DatasetAccess.DatasetVersion[] storage versions,
+        uint256 datasetId,
+        string memory metadataURI,
+        bytes32 contentHash,
+        uint256[6] memory prices
+    ) external {
+        if (
+            keccak256(bytes(metadataURI)) != keccak256(bytes(dataset.metadataURI)) ||
+            contentHash != versions[versions.length - 1].contentHash
+        ) {
+            addVersion(versions, datasetId, metadataURI, contentHash, "");
+        }
+        dataset.metadataURI = metadataURI;
+
+        // Update prices and emit events
+        updatePrices(dataset.prices, datasetId, address(0), prices);
+    }
+
+    /**
+     * @dev Get dataset information
+     * @param dataset Dataset to read
+     * @return id Dataset ID
+     * @return owner Dataset owner address
+     * @return metadataURI Dataset metadata URI
+     * @return isActive Whether dataset is active
+     * @return createdAt Creation timestamp
+     * @return totalSales Total number of sales
+     * @return totalRevenue Total revenue earned
+     * @return prices Array of prices for each duration
+     */
+    function getDataset(DatasetAccess.Dataset storage dataset) external view returns (
+        uint256 id,
+        address owner,
+        string memory metadataURI,
+        bool isActive,
+        uint256 createdAt,
+        uint256 totalSales,
+        uint256 totalRevenue,
+        uint256[6] memory prices
+    ) {
+        for (uint256 i = 0; i < 6; i++) {
+            prices[i] = dataset.prices[DatasetAccess.AccessDuration(i)];
+        }
+
+        return (
+            dataset.id,
+            dataset.owner,
+            dataset.metadataURI,
+            dataset.isActive,
+            dataset.createdAt,
+            dataset.totalSales,
+            dataset.totalRevenue,
+            prices
+        );
+    }
+
+    /**
+     * @dev Get royalty recipients
+     * @param royalties Royalty recipients to read
+     * @return recipients Array of recipient addresses
+     * @return percentages Array of percentages
+     */
+    function getRoyalties(DatasetAccess.RoyaltyRecipient[] storage royalties) external view returns (
+        address[] memory recipients,
+        uint256[] memory percentages
+    ) {
+        recipients = new address[](royalties.length);
+        percentages = new uint256[](royalties.length);
+
+        for (uint256 i = 0; i < royalties.length; i++) {
+            recipients[i] = royalties[i].recipient;
+            percentages[i] = royalties[i].percentage;
+        }
+    }
+
+    /**
+     * @dev Update a dataset's prices, emitting an event for each price that changed
+     * @param prices Price table to update
+     * @param datasetId Dataset ID
+     * @param paymentToken ERC-20 token the prices are denominated in (zero address for ETH)
+     * @param newPrices New prices array
+     */
+    function updatePrices(
+        mapping(DatasetAccess.AccessDuration => uint256) storage prices,
+        uint256 datasetId,
+        address paymentToken,
+        uint256[6] memory newPrices
+    ) public {
+        for (uint256 i = 0; i < 6; i++) {
+            DatasetAccess.AccessDuration duration = DatasetAccess.AccessDuration(i);
+            uint256 oldPrice = prices[duration];
+            prices[duration] = newPrices[i];
+
+            if (oldPrice != newPrices[i]) {
+                if (paymentToken == address(0)) {
+                    emit PriceUpdated(datasetId, duration, oldPrice, newPrices[i]);
+                } else {
+                    emit TokenPriceUpdated(datasetId, paymentToken, duration, oldPrice, newPrices[i]);
+                }
+            }
+        }
+    }
+
+    /**
+     * @dev Replace a dataset's royalty recipients
+     * @param royalties Royalty recipients to replace
+     * @param datasetId Dataset ID
+     * @param recipients Array of royalty recipients
+     * @param percentages Array of percentages (in basis points)
+     * @param maxRecipients Maximum number of recipients
+     * @param maxPercentage Maximum total percentage (in basis points)
+     */
+    function setRoyalty(
+        DatasetAccess.RoyaltyRecipient[] storage royalties,
+        uint256 datasetId,
+        address[] memory recipients,
+        uint256[] memory percentages,
+        uint256 maxRecipients,
+        uint256 maxPercentage
+    ) external {
+        require(recipients.length == percentages.length, "Arrays length mismatch");
+        require(recipients.length <= maxRecipients, "Too many recipients");
+
+        // Clear existing royalties
+        while (royalties.length > 0) {
+            royalties.pop();
+        }
+
+        uint256 totalPercentage = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            require(recipients[i] != address(0), "Invalid recipient address");
+            require(percentages[i] > 0, "Percentage must be greater than 0");
+
+            totalPercentage += percentages[i];
+
+            royalties.push(DatasetAccess.RoyaltyRecipient({
+                recipient: recipients[i],
+                percentage: percentages[i]
+            }));
+
+            emit RoyaltySet(datasetId, recipients[i], percentages[i]);
+        }
+
+        require(totalPercentage <= maxPercentage, "Total royalty exceeds maximum");
+    }
+
+    /**
+     * @dev Append a dataset version
+     * @param versions Version history to append to
+     * @param datasetId Dataset ID
+     * @param metadataURI Metadata URI of the version
+     * @param contentHash Digest of the version's data
+     * @param changelogURI URI describing the changes (may be empty)
+     * @return version The new version number
+     */
+    function addVersion(
+        DatasetAccess.DatasetVersion[] storage versions,
+        uint256 datasetId,
+        string memory metadataURI,
+        bytes32 contentHash,
+        string memory changelogURI
+    ) public returns (uint256 version) {
+        versions.push(DatasetAccess.DatasetVersion({
+            metadataURI: metadataURI,
+            contentHash: contentHash,
+            timestamp: block.timestamp,
+            changelogURI: changelogURI
+        }));
+        version = versions.length;
+
+        emit DatasetVersionPublished(datasetId, version, contentHash);
+    }
+
+    /**
+     * @dev Move a dataset ID from one owner's dataset list to another's
+     * @param fromDatasets Previous owner's dataset IDs
+     * @param toDatasets New owner's dataset IDs
+     * @param datasetId Dataset ID
+     */
+    function moveDataset(uint256[] storage fromDatasets, uint256[] storage toDatasets, uint256 datasetId) external {
+        for (uint256 i = 0; i < fromDatasets.length; i++) {
+            if (fromDatasets[i] == datasetId) {
+                fromDatasets[i] = fromDatasets[fromDatasets.length - 1];
+                fromDatasets.pop();
+                break;
+            }
+        }
+        toDatasets.push(datasetId);
+    }
+
+    /**
+     * @dev Burn a user's access tokens for a dataset
+     * @param datasetToken DatasetToken contract
+     * @param datasetId Dataset ID
+     * @param user User to revoke access for
+     */
+    function burnAccessTokens(DatasetToken datasetToken, uint256 datasetId, address user) external {
+        uint256[] memory accessTokens = datasetToken.getUserDatasetTokens(user, datasetId);
+        for (uint256 i = 0; i < accessTokens.length; i++) {
+            datasetToken.forceBurn(accessTokens[i]);
+            emit AccessRevoked(datasetId, user, accessTokens[i]);
+        }
+    }
+
+    /**
+     * @dev Distribute a payment among royalty recipients, platform, referrer and owner
+     * @notice The referral commission comes out of the owner's share, so the platform fee and
+     * royalties are always taken on the full amount
+     * @param pendingWithdrawals Withdrawable balances to credit
+     * @param totalPendingWithdrawals Total withdrawable balance per payment token
+     * @param royalties Royalty recipients of the dataset
+     * @param referral Referrer and commission of the purchase (zero commission for none)
+     * @param datasetId Dataset ID
+     * @param owner Dataset owner address
+     * @param totalAmount Total payment amount
+     * @param paymentToken ERC-20 token held for the payment (zero address for ETH)
+     * @param platformWallet Platform wallet address
+     * @param platformFeePercentage Platform fee in basis points
+     */
+    function distributePayment(
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        mapping(address => uint256) storage totalPendingWithdrawals,
+        DatasetAccess.RoyaltyRecipient[] storage royalties,
+        DatasetAccess.Referral memory referral,
+        uint256 datasetId,
+        address owner,
+        uint256 totalAmount,
+        address paymentToken,
+        address platformWallet,
+        uint256 platformFeePercentage
+    ) external {
+        // Calculate platform fee
+        uint256 platformAmount = (totalAmount * platformFeePercentage) / BASIS_POINTS;
+
+        // Calculate total royalty amount
+        uint256 totalRoyaltyAmount = 0;
+        for (uint256 i = 0; i < royalties.length; i++) {
+            uint256 royaltyAmount = (totalAmount * royalties[i].percentage) / BASIS_POINTS;
+            totalRoyaltyAmount += royaltyAmount;
+
+            if (royaltyAmount > 0) {
+                _credit(pendingWithdrawals, totalPendingWithdrawals, royalties[i].recipient, paymentToken, royaltyAmount);
+            }
+        }
+
+        // Referrer is paid from the owner's share
+        uint256 referralAmount = (totalAmount * referral.commission) / BASIS_POINTS;
+        if (referralAmount > 0) {
+            _credit(pendingWithdrawals, totalPendingWithdrawals, referral.referrer, paymentToken, referralAmount);
+            emit ReferralPaid(datasetId, referral.referrer, referralAmount, paymentToken);
+        }
+
+        // Owner gets the remaining amount
+        uint256 ownerAmount = totalAmount - platformAmount - totalRoyaltyAmount - referralAmount;
+
+        // Credit payments
+        if (platformAmount > 0) {
+            _credit(pendingWithdrawals, totalPendingWithdrawals, platformWallet, paymentToken, platformAmount);
+        }
+
+        if (ownerAmount > 0) {
+            _credit(pendingWithdrawals, totalPendingWithdrawals, owner, paymentToken, ownerAmount);
+        }
+
+        if (paymentToken == address(0)) {
+            emit PaymentDistributed(datasetId, totalAmount, ownerAmount, platformAmount, totalRoyaltyAmount);
+        } else {
+            emit TokenPaymentDistributed(datasetId, paymentToken, totalAmount, ownerAmount, platformAmount, totalRoyaltyAmount);
+        }
+    }
+
+    /**
+     * @dev Credit a withdrawable balance to an account
+     * @param pendingWithdrawals Withdrawable balances to credit
+     * @param totalPendingWithdrawals Total withdrawable balance per payment token
+     * @param account Account to credit
+     * @param paymentToken ERC-20 token (zero address for ETH)
+     * @param amount Amount to credit
+     */
+    function _credit(
+        mapping(address => mapping(address => uint256)) storage pendingWithdrawals,
+        mapping(address => uint256) storage totalPendingWithdrawals,
+        address account,
+        address paymentToken,
+        uint256 amount
+    ) private {
+        pendingWithdrawals[account][paymentToken] += amount;
+        totalPendingWithdrawals[paymentToken] += amount;
+        emit PaymentCredited(account, paymentToken, amount);
+    }
+}
@@ -0,0 +1,311 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+import "./DatasetAccess.sol";
+import "./DatasetCatalog.sol";
+
+/**
+ * @title DatasetBatcher
+ * @dev ERC-2771 forwarder that also runs batches of DatasetAccess calls for its direct caller
+ * @notice Must be the trusted forwarder of DatasetAccess. Each batched call is forwarded with
+ * the caller's address appended, so DatasetAccess applies the caller's permissions and emits
+ * its usual per-item events. With skipFailures a failed item emits BatchCallFailed and the
+ * batch continues; otherwise the first failure reverts the whole batch with its reason.
+ * Failures without revert data (usually out of gas) always revert the batch.
+ * DatasetCatalog honours the same forwarder, so datasets can be listed as they are created or updated.
+ * Signed forward requests for meta-transactions are relayed as by any ERC2771Forwarder.
+ */
+contract DatasetBatcher is ERC2771Forwarder {
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+
+    // Events
+    event BatchCallFailed(uint256 indexed index, bytes reason);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) ERC2771Forwarder("DatasetBatcher") {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+    }
+
+    /**
+     * @dev Create several datasets owned by the caller
+     * @param metadataURIs Metadata URI of each dataset
+     * @param contentHashes Digest of each dataset's data
+     * @param prices Prices for each access duration, per dataset
+     * @param skipFailures Skip datasets that fail instead of reverting the batch
+     * @return datasetIds Created dataset IDs (0 for skipped datasets)
+     */
+    function createDatasets(
+        string[] calldata metadataURIs,
+        bytes32[] calldata contentHashes,
+        uint256[6][] calldata prices,
+        bool skipFailures
+    ) public returns (uint256[] memory datasetIds) {
+        require(
+            metadataURIs.length == contentHashes.length && metadataURIs.length == prices.length,
+            "Arrays length mismatch"
+        );
+
+        datasetIds = new uint256[](metadataURIs.length);
+        for (uint256 i = 0; i < metadataURIs.length; i++) {
+            (bool success, bytes memory result) = _forward(
+                address(datasetAccess),
+                abi.encodeCall(DatasetAccess.createDataset, (metadataURIs[i], contentHashes[i], prices[i])),
+                i,
+                skipFailures
+            );
+            if (success) {
+                datasetIds[i] = abi.decode(result, (uint256));
+            }
+        }
+    }
+
+    /**
+     * @dev Update the ETH prices of several datasets, keeping their metadata URIs and content hashes
+     * @param datasetIds Dataset IDs
+     * @param prices New prices for each access duration, per dataset
+     * @param skipFailures Skip datasets that fail instead of reverting the batch
+     * @return successes Whether each dataset was updated
+     */
+    function updatePrices(
+        uint256[] calldata datasetIds,
+        uint256[6][] calldata prices,
+        bool skipFailures
+    ) public returns (bool[] memory successes) {
+        require(datasetIds.length == prices.length, "Arrays length mismatch");
+
+        successes = new bool[](datasetIds.length);
+        for (uint256 i = 0; i < datasetIds.length; i++) {
+            try datasetAccess.getDataset(datasetIds[i]) returns (
+                uint256,
+                address,
+                string memory metadataURI,
+                bool,
+                uint256,
+                uint256,
+                uint256,
+                uint256[6] memory
+            ) {
+                bytes32 contentHash = datasetAccess.getDatasetVersion(
+                    datasetIds[i],
+                    datasetAccess.getDatasetVersionCount(datasetIds[i])
+                ).contentHash;
+                (successes[i], ) = _forward(
+                    address(datasetAccess),
+                    abi.encodeCall(DatasetAccess.updateDataset, (datasetIds[i], metadataURI, contentHash, prices[i])),
+                    i,
+                    skipFailures
+                );
+            } catch (bytes memory reason) {
+                _fail(i, reason, skipFailures);
+            }
+        }
+    }
+
+    /**
+     * @dev Create several datasets owned by the caller and list them in the catalog
+     * @notice With skipFailures a dataset whose listing fails is still created; BatchCallFailed
+     * reports the listing failure under the dataset's index
+     * @param catalog DatasetCatalog of the DatasetAccess contract
+     * @param metadataURIs Metadata URI of each dataset
+     * @param contentHashes Digest of each dataset's data
+     * @param prices Prices for each access duration, per dataset
+     * @param categories Category label of each dataset (zero for none)
+     * @param tags Tag labels of each dataset
+     * @param skipFailures Skip datasets that fail instead of reverting the batch
+     * @return datasetIds Created dataset IDs (0 for skipped datasets)
+     */
+    function createDatasetsWithListings(
+        DatasetCatalog catalog,
+        string[] calldata metadataURIs,
+        bytes32[] calldata contentHashes,
+        uint256[6][] calldata prices,
+        bytes32[] calldata categories,
+        bytes32[][] calldata tags,
+        bool skipFailures
+    ) public returns (uint256[] memory datasetIds) {
+        _requireCatalog(catalog);
+        require(
+            metadataURIs.length == contentHashes.length &&
+                metadataURIs.length == prices.length &&
+                metadataURIs.length == categories.length &&
+                metadataURIs.length == tags.length,
+            "Arrays length mismatch"
+        );
+
+        datasetIds = new uint256[](metadataURIs.length);
+        for (uint256 i = 0; i < metadataURIs.length; i++) {
+            (bool success, bytes memory result) = _forward(
+                address(datasetAccess),
+                abi.encodeCall(DatasetAccess.createDataset, (metadataURIs[i], contentHashes[i], prices[i])),
+                i,
+                skipFailures
+            );
+            if (success) {
+                datasetIds[i] = abi.decode(result, (uint256));
+                _forward(
+                    address(catalog),
+                    abi.encodeCall(DatasetCatalog.setListing, (datasetIds[i], categories[i], tags[i])),
+                    i,
+                    skipFailures
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Update several datasets and replace their catalog listings
+     * @notice With skipFailures a dataset whose update fails keeps its listing, while a dataset
+     * whose listing fails keeps the update; BatchCallFailed reports either under the dataset's index
+     * @param catalog DatasetCatalog of the DatasetAccess contract
+     * @param datasetIds Dataset IDs
+     * @param metadataURIs New metadata URI of each dataset
+     * @param contentHashes Digest of each dataset's data (a new digest adds a version)
+     * @param prices New prices for each access duration, per dataset
+     * @param categories Category label of each dataset (zero to uncategorize)
+     * @param tags New tag labels of each dataset
+     * @param skipFailures Skip datasets that fail instead of reverting the batch
+     * @return successes Whether each dataset was updated and listed
+     */
+    function updateDatasetsWithListings(
+        DatasetCatalog catalog,
+        uint256[] calldata datasetIds,
+        string[] calldata metadataURIs,
+        bytes32[] calldata contentHashes,
+        uint256[6][] calldata prices,
+        bytes32[] calldata categories,
+        bytes32[][] calldata tags,
+        bool skipFailures
+    ) public returns (bool[] memory successes) {
+        _requireCatalog(catalog);
+        require(
+            datasetIds.length == metadataURIs.length &&
+                datasetIds.length == contentHashes.length &&
+                datasetIds.length == prices.length &&
+                datasetIds.length == categories.length &&
+                datasetIds.length == tags.length,
+            "Arrays length mismatch"
+        );
+
+        successes = new bool[](datasetIds.length);
+        for (uint256 i = 0; i < datasetIds.length; i++) {
+            (bool success, ) = _forward(
+                address(datasetAccess),
+                abi.encodeCall(
+                    DatasetAccess.updateDataset,
+                    (datasetIds[i], metadataURIs[i], contentHashes[i], prices[i])
+                ),
+                i,
+                skipFailures
+            );
+            if (success) {
+                (successes[i], ) = _forward(
+                    address(catalog),
+                    abi.encodeCall(DatasetCatalog.setListing, (datasetIds[i], categories[i], tags[i])),
+                    i,
+                    skipFailures
+                );
+            }
+        }
+    }
+
+    /**
+     * @dev Revoke several users' access to a dataset
+     * @param datasetId Dataset ID
+     * @param users Users to revoke access for
+     * @param skipFailures Skip users that fail instead of reverting the batch
+     * @return successes Whether each user's access was revoked
+     */
+    function revokeAccessBatch(
+        uint256 datasetId,
+        address[] calldata users,
+        bool skipFailures
+    ) public returns (bool[] memory successes) {
+        successes = new bool[](users.length);
+        for (uint256 i = 0; i < users.length; i++) {
+            (successes[i], ) = _forward(
+                address(datasetAccess),
+                abi.encodeCall(DatasetAccess.revokeAccess, (datasetId, users[i])),
+                i,
+                skipFailures
+            );
+        }
+    }
+
+    /**
+     * @dev Toggle the active status of several datasets (DatasetAccess owner only)
+     * @param datasetIds Dataset IDs
+     * @param skipFailures Skip datasets that fail instead of reverting the batch
+     * @return successes Whether each dataset was toggled
+     */
+    function toggleDatasets(
+        uint256[] calldata datasetIds,
+        bool skipFailures
+    ) public returns (bool[] memory successes) {
+        successes = new bool[](datasetIds.length);
+        for (uint256 i = 0; i < datasetIds.length; i++) {
+            (successes[i], ) = _forward(
+                address(datasetAccess),
+                abi.encodeCall(DatasetAccess.emergencyToggleDataset, (datasetIds[i])),
+                i,
+                skipFailures
+            );
+        }
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Require a catalog to index the datasets of this batcher's DatasetAccess contract
+     * @param catalog DatasetCatalog to check
+     */
+    function _requireCatalog(DatasetCatalog catalog) internal view {
+        require(address(catalog.datasetAccess()) == address(datasetAccess), "Catalog of another access contract");
+    }
+
+    /**
+     * @dev Call DatasetAccess or DatasetCatalog on behalf of the caller (ERC-2771: the caller is
+     * appended to the calldata)
+     * @param target Contract to call
+     * @param data ABI-encoded call
+     * @param index Position of the item in the batch
+     * @param skipFailures Whether a failure is skipped or reverts the batch
+     * @return success Whether the call succeeded
+     * @return result Return data of the call
+     */
+    function _forward(
+        address target,
+        bytes memory data,
+        uint256 index,
+        bool skipFailures
+    ) internal returns (bool success, bytes memory result) {
+        (success, result) = target.call(abi.encodePacked(data, msg.sender));
+        if (!success) {
+            // A failure without revert data is usually an out-of-gas error; never skip it, or a
+            // batch sent with too little gas (e.g. an under-estimate) would silently drop items
+            require(result.length > 0, "Batch item failed without reason");
+            _fail(index, result, skipFailures);
+        }
+    }
+
+    /**
+     * @dev Handle a failed batch item
+     * @param index Position of the item in the batch
+     * @param reason Revert data of the failure
+     * @param skipFailures Emit BatchCallFailed and continue instead of reverting with the reason
+     */
+    function _fail(uint256 index, bytes memory reason, bool skipFailures) internal {
+        if (!skipFailures) {
+            // Bubble up the original revert reason
+            assembly ("memory-safe") {
+                revert(add(reason, 32), mload(reason))
+            }
+        }
+        emit BatchCallFailed(index, reason);
+    }
+}
@@ -0,0 +1,346 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetCampaigns
+ * @dev Pricing agent for time-boxed discount campaigns and Dutch auctions on AccessDuration prices
+ * @notice A discount campaign takes a percentage off the dataset's current ETH price for one
+ * duration; a Dutch auction replaces that price with one falling linearly from a start price
+ * to a floor price over the campaign window. Both can cap the number of purchases. Registered
+ * with DatasetAccess.setPricingAgent(), it prices every ETH purchaseAccess() and renewAccess()
+ * call, so a running campaign cannot be bypassed by buying at the list price; DatasetAccess
+ * records the effective price and the campaign ID. Campaigns stop applying once the dataset
+ * changes owner.
+ */
+contract DatasetCampaigns is IDatasetPricingAgent {
+    // Constants
+    uint256 public constant BASIS_POINTS = 10000; // 100% = 10000 basis points
+
+    // Campaign pricing types
+    enum CampaignType {
+        DISCOUNT,     // Percentage off the list price
+        DUTCH_AUCTION // Price falling from startPrice to floorPrice
+    }
+
+    // Campaign structure
+    struct Campaign {
+        uint256 datasetId;
+        DatasetAccess.AccessDuration duration;
+        CampaignType campaignType;
+        address owner;        // Dataset owner when the campaign was created
+        uint256 startTime;
+        uint256 endTime;      // First timestamp the campaign no longer applies
+        uint256 discount;     // Basis points off the list price (DISCOUNT)
+        uint256 startPrice;   // Price at startTime in wei (DUTCH_AUCTION)
+        uint256 floorPrice;   // Price reached at endTime in wei (DUTCH_AUCTION)
+        uint256 maxUses;      // 0 for unlimited
+        uint256 uses;
+        bool cancelled;
+    }
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+    uint256 private _campaignIdCounter;
+
+    // Mappings
+    mapping(uint256 => Campaign) public campaigns;
+    mapping(uint256 => uint256[]) public datasetCampaigns; // datasetId => campaignIds[]
+    mapping(uint256 => mapping(DatasetAccess.AccessDuration => uint256)) public latestCampaigns; // datasetId => duration => latest campaignId
+
+    // Events
+    event CampaignCreated(
+        uint256 indexed campaignId,
+        uint256 indexed datasetId,
+        DatasetAccess.AccessDuration duration,
+        CampaignType campaignType,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 maxUses
+    );
+
+    event CampaignCancelled(uint256 indexed campaignId);
+
+    event CampaignPurchase(
+        uint256 indexed campaignId,
+        uint256 indexed purchaseId,
+        address indexed buyer,
+        DatasetAccess.AccessDuration duration,
+        uint256 price
+    );
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+        _campaignIdCounter = 1;
+    }
+
+    /**
+     * @dev Schedule a percentage discount on one duration (dataset owner or MANAGER role only)
+     * @param datasetId Dataset ID
+     * @param duration Access duration the discount applies to
+     * @param startTime Timestamp the discount starts
+     * @param endTime Timestamp the discount ends
+     * @param discount Discount in basis points (e.g. 3000 = 30% off)
+     * @param maxUses Maximum number of discounted purchases (0 for unlimited)
+     * @return campaignId The new campaign ID
+     */
+    function createDiscountCampaign(
+        uint256 datasetId,
+        DatasetAccess.AccessDuration duration,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 discount,
+        uint256 maxUses
+    ) public returns (uint256 campaignId) {
+        require(discount > 0 && discount < BASIS_POINTS, "Invalid discount");
+
+        campaignId = _createCampaign(datasetId, duration, CampaignType.DISCOUNT, startTime, endTime, maxUses);
+        campaigns[campaignId].discount = discount;
+    }
+
+    /**
+     * @dev Schedule a Dutch auction on one duration (dataset owner or MANAGER role only)
+     * @param datasetId Dataset ID
+     * @param duration Access duration sold by the auction
+     * @param startTime Timestamp the auction starts at startPrice
+     * @param endTime Timestamp the auction ends, having reached floorPrice
+     * @param startPrice Opening price in wei
+     * @param floorPrice Lowest price in wei
+     * @param maxUses Number of seats sold (0 for unlimited)
+     * @return campaignId The new campaign ID
+     */
+    function createDutchAuction(
+        uint256 datasetId,
+        DatasetAccess.AccessDuration duration,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 maxUses
+    ) public returns (uint256 campaignId) {
+        require(floorPrice > 0 && startPrice > floorPrice, "Invalid auction prices");
+
+        campaignId = _createCampaign(datasetId, duration, CampaignType.DUTCH_AUCTION, startTime, endTime, maxUses);
+        campaigns[campaignId].startPrice = startPrice;
+        campaigns[campaignId].floorPrice = floorPrice;
+    }
+
+    /**
+     * @dev Cancel a campaign (dataset owner or MANAGER role only)
+     * @param campaignId Campaign ID
+     */
+    function cancelCampaign(uint256 campaignId) public {
+        require(_campaignExists(campaignId), "Campaign does not exist");
+        Campaign storage campaign = campaigns[campaignId];
+        _requireCampaignManager(campaign.datasetId);
+        require(!campaign.cancelled, "Campaign already cancelled");
+
+        campaign.cancelled = true;
+        emit CampaignCancelled(campaignId);
+    }
+
+    /**
+     * @dev Price an ETH purchase or renewal, counting it against the running campaign if any
+     * (DatasetAccess only)
+     * @notice Buyers pay through DatasetAccess.purchaseAccess() or renewAccess(); any excess over
+     * the effective price is credited back there, so auction buyers can send the price they saw
+     * without overpaying
+     * @param datasetId Dataset ID
+     * @param duration Access duration
+     * @param listPrice Dataset's ETH list price for the duration
+     * @param buyer Address receiving access
+     * @return price Campaign price, or the list price when no campaign is running
+     * @return campaignId Running campaign ID, recorded as the purchase's plan ID (0 for the list price)
+     */
+    function applyPrice(
+        uint256 datasetId,
+        DatasetAccess.AccessDuration duration,
+        uint256 listPrice,
+        address buyer
+    ) external returns (uint256 price, uint256 campaignId) {
+        require(msg.sender == address(datasetAccess), "Not the access contract");
+
+        campaignId = latestCampaigns[datasetId][duration];
+        if (!isCampaignLive(campaignId)) {
+            return (listPrice, 0);
+        }
+
+        Campaign storage campaign = campaigns[campaignId];
+        price = _campaignPrice(campaign, listPrice);
+        campaign.uses++;
+
+        // DatasetAccess records the purchase right after pricing it, under its next purchase ID
+        emit CampaignPurchase(campaignId, datasetAccess.getCurrentPurchaseId(), buyer, duration, price);
+    }
+
+    /**
+     * @dev Get the ETH price a buyer pays for a duration right now
+     * @param datasetId Dataset ID
+     * @param duration Access duration
+     * @return price Campaign price, or the list price when no campaign is running
+     * @return campaignId Running campaign ID (0 for the list price)
+     */
+    function getEffectivePrice(
+        uint256 datasetId,
+        DatasetAccess.AccessDuration duration
+    ) public view returns (uint256 price, uint256 campaignId) {
+        campaignId = latestCampaigns[datasetId][duration];
+        uint256 listPrice = _listPrice(datasetId, duration);
+        if (isCampaignLive(campaignId)) {
+            return (_campaignPrice(campaigns[campaignId], listPrice), campaignId);
+        }
+        return (listPrice, 0);
+    }
+
+    /**
+     * @dev Check whether a campaign currently applies
+     * @param campaignId Campaign ID
+     * @return Whether the campaign is inside its window, not cancelled, not sold out and its
+     * dataset still has the owner that created it
+     */
+    function isCampaignLive(uint256 campaignId) public view returns (bool) {
+        if (!_campaignExists(campaignId)) {
+            return false;
+        }
+        Campaign storage campaign = campaigns[campaignId];
+        return !campaign.cancelled &&
+            block.timestamp >= campaign.startTime &&
+            block.timestamp < campaign.endTime &&
+            (campaign.maxUses == 0 || campaign.uses < campaign.maxUses) &&
+            datasetAccess.getDatasetOwner(campaign.datasetId) == campaign.owner;
+    }
+
+    /**
+     * @dev Get all campaigns of a dataset, including ended and cancelled ones
+     * @param datasetId Dataset ID
+     * @return Array of campaign IDs
+     */
+    function getDatasetCampaigns(uint256 datasetId) public view returns (uint256[] memory) {
+        return datasetCampaigns[datasetId];
+    }
+
+    /**
+     * @dev Get a campaign
+     * @param campaignId Campaign ID
+     * @return Campaign details
+     */
+    function getCampaign(uint256 campaignId) public view returns (Campaign memory) {
+        require(_campaignExists(campaignId), "Campaign does not exist");
+        return campaigns[campaignId];
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Validate and store a new campaign; a duration can only have one open campaign at a time
+     * @param datasetId Dataset ID
+     * @param duration Access duration
+     * @param campaignType Campaign pricing type
+     * @param startTime Timestamp the campaign starts
+     * @param endTime Timestamp the campaign ends
+     * @param maxUses Maximum number of purchases (0 for unlimited)
+     * @return campaignId The new campaign ID
+     */
+    function _createCampaign(
+        uint256 datasetId,
+        DatasetAccess.AccessDuration duration,
+        CampaignType campaignType,
+        uint256 startTime,
+        uint256 endTime,
+        uint256 maxUses
+    ) internal returns (uint256 campaignId) {
+        address datasetOwner = _requireCampaignManager(datasetId);
+        require(duration != DatasetAccess.AccessDuration.CUSTOM, "Invalid duration");
+        require(endTime > startTime && endTime > block.timestamp, "Invalid campaign window");
+        require(!_isOpen(latestCampaigns[datasetId][duration]), "Campaign already scheduled");
+
+        campaignId = _campaignIdCounter++;
+        Campaign storage campaign = campaigns[campaignId];
+        campaign.datasetId = datasetId;
+        campaign.duration = duration;
+        campaign.campaignType = campaignType;
+        campaign.owner = datasetOwner;
+        campaign.startTime = startTime;
+        campaign.endTime = endTime;
+        campaign.maxUses = maxUses;
+
+        datasetCampaigns[datasetId].push(campaignId);
+        latestCampaigns[datasetId][duration] = campaignId;
+
+        emit CampaignCreated(campaignId, datasetId, duration, campaignType, startTime, endTime, maxUses);
+    }
+
+    /**
+     * @dev Require the caller to be the dataset owner or hold its MANAGER role
+     * @param datasetId Dataset ID
+     * @return datasetOwner Current dataset owner
+     */
+    function _requireCampaignManager(uint256 datasetId) internal view returns (address datasetOwner) {
+        datasetOwner = datasetAccess.getDatasetOwner(datasetId);
+        require(
+            datasetOwner == msg.sender ||
+                datasetAccess.hasDatasetRole(datasetId, DatasetAccess.DatasetRole.MANAGER, msg.sender),
+            "Not authorized to manage campaigns"
+        );
+    }
+
+    /**
+     * @dev Check whether a campaign still blocks scheduling another one for its duration
+     * @param campaignId Campaign ID (0 if none was scheduled)
+     * @return Whether the campaign is not cancelled, not sold out and has not ended
+     */
+    function _isOpen(uint256 campaignId) internal view returns (bool) {
+        if (!_campaignExists(campaignId)) {
+            return false;
+        }
+        Campaign storage campaign = campaigns[campaignId];
+        return !campaign.cancelled &&
+            block.timestamp < campaign.endTime &&
+            (campaign.maxUses == 0 || campaign.uses < campaign.maxUses);
+    }
+
+    /**
+     * @dev Compute a running campaign's price
+     * @param campaign Campaign inside its window
+     * @param listPrice Dataset's ETH list price for the campaign's duration
+     * @return Price in wei
+     */
+    function _campaignPrice(Campaign storage campaign, uint256 listPrice) internal view returns (uint256) {
+        if (campaign.campaignType == CampaignType.DISCOUNT) {
+            return listPrice - (listPrice * campaign.discount) / BASIS_POINTS;
+        }
+
+        uint256 elapsed = block.timestamp - campaign.startTime;
+        uint256 drop = ((campaign.startPrice - campaign.floorPrice) * elapsed) / (campaign.endTime - campaign.startTime);
+        return campaign.startPrice - drop;
+    }
+
+    /**
+     * @dev Get a dataset's ETH list price for a duration
+     * @param datasetId Dataset ID
+     * @param duration Access duration
+     * @return Price in wei (0 if not set)
+     */
+    function _listPrice(uint256 datasetId, DatasetAccess.AccessDuration duration) internal view returns (uint256) {
+        if (duration == DatasetAccess.AccessDuration.CUSTOM) {
+            return 0;
+        }
+        (, , , , , , , uint256[6] memory prices) = datasetAccess.getDataset(datasetId);
+        return prices[uint256(duration)];
+    }
+
+    /**
+     * @dev Check if a campaign exists
+     * @param campaignId Campaign ID
+     * @return Whether the campaign exists
+     */
+    function _campaignExists(uint256 campaignId) internal view returns (bool) {
+        return campaignId > 0 && campaignId < _campaignIdCounter;
+    }
+}
@@ -0,0 +1,334 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./DatasetAccess.sol";
+import "./Pagination.sol";
+
+/**
+ * @title DatasetCatalog
+ * @dev Discovery index of dataset categories and tags
+ * @notice Dataset owners and their MANAGER role holders file each dataset under one category
+ * and up to MAX_TAGS tags, stored as bytes32 labels (e.g. ethers.encodeBytes32String("finance")).
+ * Indexed events let off-chain search follow changes, and paginated views list datasets by
+ * category, by tag and by active status. Listings stay with the dataset when its ownership is transferred.
+ * Calls relayed by the trusted forwarder of DatasetAccess (DatasetBatcher) act for the sender
+ * appended to the calldata, so a dataset can be created or updated and listed in one transaction.
+ */
+contract DatasetCatalog {
+    // Dataset details with its catalog entry, as returned by getDatasets()
+    struct DatasetListing {
+        uint256 id;
+        address owner;
+        string metadataURI;
+        bool isActive;
+        uint256 createdAt;
+        uint256 totalSales;
+        uint256 totalRevenue;
+        uint256[6] prices;
+        bytes32 category;
+        bytes32[] tags;
+    }
+
+    uint256 public constant MAX_TAGS = 10;
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+
+    // Mappings
+    mapping(uint256 => bytes32) public datasetCategory; // datasetId => category (zero if uncategorized)
+    mapping(uint256 => mapping(bytes32 => bool)) public hasTag; // datasetId => tag => tagged
+    mapping(uint256 => bytes32[]) private _datasetTags; // datasetId => tags[]
+    mapping(bytes32 => uint256[]) private _categoryDatasets; // category => datasetIds[]
+    mapping(bytes32 => uint256[]) private _tagDatasets; // tag => datasetIds[]
+    mapping(uint256 => uint256) private _categoryDatasetPositions; // datasetId => position in _categoryDatasets
+    mapping(bytes32 => mapping(uint256 => uint256)) private _tagDatasetPositions; // tag => datasetId => position in _tagDatasets
+
+    // Events
+    event DatasetCategorized(uint256 indexed datasetId, bytes32 indexed category, bytes32 indexed previousCategory);
+
+    event DatasetTagged(uint256 indexed datasetId, bytes32 indexed tag);
+
+    event DatasetUntagged(uint256 indexed datasetId, bytes32 indexed tag);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+    }
+
+    /**
+     * @dev Set a dataset's category and replace its tags
+     * @notice Meant to be called right after createDataset() and whenever the listing changes;
+     * DatasetBatcher.createDatasetsWithListings() does both in one transaction
+     * @param datasetId Dataset ID
+     * @param category Category label (zero to uncategorize)
+     * @param tags New tag labels
+     */
+    function setListing(uint256 datasetId, bytes32 category, bytes32[] memory tags) public {
+        _requireListingManager(datasetId);
+        _setCategory(datasetId, category);
+        _setTags(datasetId, tags);
+    }
+
+    /**
+     * @dev Set a dataset's category
+     * @param datasetId Dataset ID
+     * @param category Category label (zero to uncategorize)
+     */
+    function setCategory(uint256 datasetId, bytes32 category) public {
+        _requireListingManager(datasetId);
+        _setCategory(datasetId, category);
+    }
+
+    /**
+     * @dev Replace a dataset's tags
+     * @param datasetId Dataset ID
+     * @param tags New tag labels (empty to remove all tags)
+     */
+    function setTags(uint256 datasetId, bytes32[] memory tags) public {
+        _requireListingManager(datasetId);
+        _setTags(datasetId, tags);
+    }
+
+    /**
+     * @dev Check whether an address is the trusted forwarder of DatasetAccess
+     * @param forwarder Address to check
+     * @return Whether calls from the address are relayed on behalf of the appended sender
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return datasetAccess.isTrustedForwarder(forwarder);
+    }
+
+    /**
+     * @dev Get the tags of a dataset
+     * @param datasetId Dataset ID
+     * @return Array of tag labels
+     */
+    function getDatasetTags(uint256 datasetId) public view returns (bytes32[] memory) {
+        return _datasetTags[datasetId];
+    }
+
+    /**
+     * @dev Get the details and catalog entries of several datasets in one call
+     * @param datasetIds Dataset IDs (e.g. a page returned by one of the query views)
+     * @return listings Listings in the order of datasetIds
+     */
+    function getDatasets(uint256[] memory datasetIds) public view returns (DatasetListing[] memory listings) {
+        listings = new DatasetListing[](datasetIds.length);
+        for (uint256 i = 0; i < datasetIds.length; i++) {
+            DatasetListing memory listing = listings[i];
+            (
+                listing.id,
+                listing.owner,
+                listing.metadataURI,
+                listing.isActive,
+                listing.createdAt,
+                listing.totalSales,
+                listing.totalRevenue,
+                listing.prices
+            ) = datasetAccess.getDataset(datasetIds[i]);
+            listing.category = datasetCategory[datasetIds[i]];
+            listing.tags = _datasetTags[datasetIds[i]];
+        }
+    }
+
+    /**
+     * @dev Get a page of the datasets in a category
+     * @param category Category label
+     * @param offset Index of the first dataset to return
+     * @param limit Maximum number of datasets to return
+     * @return datasetIds Page of dataset IDs
+     * @return total Number of datasets in the category
+     */
+    function getDatasetsByCategory(bytes32 category, uint256 offset, uint256 limit) public view returns (
+        uint256[] memory datasetIds,
+        uint256 total
+    ) {
+        return Pagination.paginate(_categoryDatasets[category], offset, limit);
+    }
+
+    /**
+     * @dev Get a page of the datasets carrying a tag
+     * @param tag Tag label
+     * @param offset Index of the first dataset to return
+     * @param limit Maximum number of datasets to return
+     * @return datasetIds Page of dataset IDs
+     * @return total Number of datasets carrying the tag
+     */
+    function getDatasetsByTag(bytes32 tag, uint256 offset, uint256 limit) public view returns (
+        uint256[] memory datasetIds,
+        uint256 total
+    ) {
+        return Pagination.paginate(_tagDatasets[tag], offset, limit);
+    }
+
+    /**
+     * @dev Scan a range of dataset IDs for datasets with the given active status
+     * @notice Active status lives in DatasetAccess, so this walks IDs instead of reading an
+     * index. Pass the returned cursor to fetch the next page; a cursor of 0 means the scan is done.
+     * @param active Status to match
+     * @param cursor First dataset ID to scan (0 to start from the first dataset)
+     * @param limit Maximum number of dataset IDs to scan
+     * @return datasetIds Matching dataset IDs within the scanned range
+     * @return nextCursor Next dataset ID to scan, or 0 if every dataset has been scanned
+     */
+    function getDatasetsByStatus(bool active, uint256 cursor, uint256 limit) public view returns (
+        uint256[] memory datasetIds,
+        uint256 nextCursor
+    ) {
+        uint256 endId = datasetAccess.getCurrentDatasetId();
+        uint256 startId = cursor == 0 ? 1 : cursor;
+        if (startId >= endId) {
+            return (new uint256[](0), 0);
+        }
+        uint256 stopId = limit < endId - startId ? startId + limit : endId;
+
+        uint256[] memory matches = new uint256[](stopId - startId);
+        uint256 count = 0;
+        for (uint256 id = startId; id < stopId; id++) {
+            (, , , bool isActive, , , , ) = datasetAccess.getDataset(id);
+            if (isActive == active) {
+                matches[count++] = id;
+            }
+        }
+
+        datasetIds = new uint256[](count);
+        for (uint256 i = 0; i < count; i++) {
+            datasetIds[i] = matches[i];
+        }
+        nextCursor = stopId < endId ? stopId : 0;
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Require the caller to be the dataset owner or hold its MANAGER role
+     * @param datasetId Dataset ID
+     */
+    function _requireListingManager(uint256 datasetId) internal view {
+        address sender = _msgSender();
+        require(
+            datasetAccess.getDatasetOwner(datasetId) == sender ||
+                datasetAccess.hasDatasetRole(datasetId, DatasetAccess.DatasetRole.MANAGER, sender),
+            "Not authorized to list dataset"
+        );
+    }
+
+    /**
+     * @dev Get the caller, or the sender appended by the trusted forwarder (ERC-2771)
+     * @return Address the call acts for
+     */
+    function _msgSender() internal view returns (address) {
+        if (msg.data.length >= 20 && isTrustedForwarder(msg.sender)) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @dev Move a dataset to a category
+     * @param datasetId Dataset ID
+     * @param category Category label (zero to uncategorize)
+     */
+    function _setCategory(uint256 datasetId, bytes32 category) internal {
+        bytes32 previousCategory = datasetCategory[datasetId];
+        if (category == previousCategory) {
+            return;
+        }
+
+        if (previousCategory != bytes32(0)) {
+            _removeFromArray(_categoryDatasets[previousCategory], _categoryDatasetPositions, datasetId);
+        }
+        if (category != bytes32(0)) {
+            _addToArray(_categoryDatasets[category], _categoryDatasetPositions, datasetId);
+        }
+        datasetCategory[datasetId] = category;
+
+        emit DatasetCategorized(datasetId, category, previousCategory);
+    }
+
+    /**
+     * @dev Replace a dataset's tags, emitting events only for tags that change
+     * @param datasetId Dataset ID
+     * @param tags New tag labels
+     */
+    function _setTags(uint256 datasetId, bytes32[] memory tags) internal {
+        require(tags.length <= MAX_TAGS, "Too many tags");
+
+        bytes32[] storage currentTags = _datasetTags[datasetId];
+        for (uint256 i = currentTags.length; i > 0; i--) {
+            bytes32 tag = currentTags[i - 1];
+            if (!_contains(tags, tag)) {
+                hasTag[datasetId][tag] = false;
+                currentTags[i - 1] = currentTags[currentTags.length - 1];
+                currentTags.pop();
+                _removeFromArray(_tagDatasets[tag], _tagDatasetPositions[tag], datasetId);
+                emit DatasetUntagged(datasetId, tag);
+            }
+        }
+
+        for (uint256 i = 0; i < tags.length; i++) {
+            bytes32 tag = tags[i];
+            require(tag != bytes32(0), "Tag cannot be empty");
+            if (!hasTag[datasetId][tag]) {
+                hasTag[datasetId][tag] = true;
+                currentTags.push(tag);
+                _addToArray(_tagDatasets[tag], _tagDatasetPositions[tag], datasetId);
+                emit DatasetTagged(datasetId, tag);
+            }
+        }
+    }
+
+    /**
+     * @dev Check whether a label is in a list
+     * @param labels List of labels
+     * @param label Label to look for
+     * @return bool Whether the label is in the list
+     */
+    function _contains(bytes32[] memory labels, bytes32 label) internal pure returns (bool) {
+        for (uint256 i = 0; i < labels.length; i++) {
+            if (labels[i] == label) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * @dev Append a value to an array and record its position
+     * @param array The array to modify
+     * @param positions Value => position in array
+     * @param value The value to add
+     */
+    function _addToArray(
+        uint256[] storage array,
+        mapping(uint256 => uint256) storage positions,
+        uint256 value
+    ) internal {
+        positions[value] = array.length;
+        array.push(value);
+    }
+
+    /**
+     * @dev Remove a value from an array in constant time (swap and pop)
+     * @param array The array to modify
+     * @param positions Value => position in array
+     * @param value The value to remove
+     */
+    function _removeFromArray(
+        uint256[] storage array,
+        mapping(uint256 => uint256) storage positions,
+        uint256 value
+    ) internal {
+        uint256 position = positions[value];
+        uint256 lastValue = array[array.length - 1];
+
+        array[position] = lastValue;
+        positions[lastValue] = position;
+        array.pop();
+        delete positions[value];
+    }
+}
@@ -0,0 +1,220 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetCredits
+ * @dev Access module for prepaid ETH credit on usage-metered datasets, drawn down with EIP-712 usage receipts
+ * @notice Buyers deposit into a per-dataset balance and register a session key. Their client signs
+ * receipts for the cumulative usage charged so far; submitting the latest receipt draws the
+ * difference from the balance, so lost or replayed receipts never charge twice. Each draw is sent
+ * to DatasetAccess and split like an access sale. Unused credit can be withdrawn once a notice
+ * period has passed since the withdrawal request, and a replaced session key keeps signing valid
+ * receipts for the same period, leaving the provider time to settle outstanding usage.
+ */
+contract DatasetCredits is EIP712, ReentrancyGuard {
+    // Constants
+    uint256 public constant NOTICE_PERIOD = 7 days;
+
+    // Signed usage receipt structure
+    struct UsageReceipt {
+        address buyer;
+        uint256 datasetId;
+        uint256 totalUsage;   // Cumulative usage charged to the buyer for the dataset, in wei
+        uint256 deadline;     // Last timestamp the receipt can be submitted
+    }
+
+    // Credit account structure
+    struct CreditAccount {
+        uint256 balance;               // Unspent credit in wei
+        uint256 settledUsage;          // Cumulative usage already drawn from the balance
+        address sessionKey;            // Key signing usage receipts (zero if none)
+        uint256 withdrawalRequestedAt; // 0 if no withdrawal is pending
+        address previousSessionKey;    // Replaced key, valid until NOTICE_PERIOD after keyChangedAt
+        uint256 keyChangedAt;          // Timestamp the session key was last changed
+    }
+
+    bytes32 public constant USAGE_RECEIPT_TYPEHASH = keccak256(
+        "UsageReceipt(address buyer,uint256 datasetId,uint256 totalUsage,uint256 deadline)"
+    );
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+
+    // Mappings
+    mapping(uint256 => mapping(address => CreditAccount)) public creditAccounts; // datasetId => buyer => account
+    mapping(uint256 => uint256) public usageRevenue; // datasetId => total usage drawn
+
+    // Events
+    event CreditDeposited(uint256 indexed datasetId, address indexed buyer, uint256 amount, uint256 balance);
+
+    event SessionKeyUpdated(uint256 indexed datasetId, address indexed buyer, address sessionKey);
+
+    event UsageSettled(
+        uint256 indexed datasetId,
+        address indexed buyer,
+        uint256 amount,
+        uint256 settledUsage
+    );
+
+    event CreditWithdrawalRequested(uint256 indexed datasetId, address indexed buyer, uint256 availableAt);
+
+    event CreditWithdrawn(uint256 indexed datasetId, address indexed buyer, uint256 amount);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) EIP712("DatasetCredits", "1") {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+    }
+
+    /**
+     * @dev Add prepaid credit for a dataset
+     * @notice Cancels a pending withdrawal request, whose notice period would otherwise cover
+     * credit the provider has not had notice of
+     * @param datasetId Dataset ID
+     */
+    function deposit(uint256 datasetId) public payable {
+        require(msg.value > 0, "Deposit must be greater than 0");
+        (, address datasetOwner, , bool isActive, , , , ) = datasetAccess.getDataset(datasetId);
+        require(isActive, "Dataset is not active");
+        require(datasetOwner != msg.sender, "Cannot purchase own dataset");
+
+        CreditAccount storage account = creditAccounts[datasetId][msg.sender];
+        account.balance += msg.value;
+        account.withdrawalRequestedAt = 0;
+
+        emit CreditDeposited(datasetId, msg.sender, msg.value, account.balance);
+    }
+
+    /**
+     * @dev Set the key that signs the caller's usage receipts for a dataset
+     * @notice The replaced key can still sign receipts for NOTICE_PERIOD, so the provider can settle
+     * usage it already served. Only one replaced key is kept, so the key cannot be changed again
+     * until that period is over.
+     * @param datasetId Dataset ID
+     * @param sessionKey Session key address (zero address to stop draws once the period is over)
+     */
+    function setSessionKey(uint256 datasetId, address sessionKey) public {
+        CreditAccount storage account = creditAccounts[datasetId][msg.sender];
+        require(
+            account.previousSessionKey == address(0) || block.timestamp >= account.keyChangedAt + NOTICE_PERIOD,
+            "Previous session key still valid"
+        );
+
+        account.previousSessionKey = account.sessionKey;
+        account.sessionKey = sessionKey;
+        account.keyChangedAt = block.timestamp;
+        emit SessionKeyUpdated(datasetId, msg.sender, sessionKey);
+    }
+
+    /**
+     * @dev Draw a buyer's credit up to the usage in a receipt signed by their session key
+     * @notice Callable by anyone, typically the data provider. If the balance is short, only the
+     * balance is drawn and the rest can be settled with a later receipt after a top-up.
+     * @param receipt Usage receipt
+     * @param signature Session key's EIP-712 signature
+     * @return amount Amount drawn from the balance
+     */
+    function settleUsage(
+        UsageReceipt calldata receipt,
+        bytes calldata signature
+    ) public nonReentrant returns (uint256 amount) {
+        require(block.timestamp <= receipt.deadline, "Receipt expired");
+        CreditAccount storage account = creditAccounts[receipt.datasetId][receipt.buyer];
+        (address signer, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hashReceipt(receipt), signature);
+        require(error == ECDSA.RecoverError.NoError && _isSessionKey(account, signer), "Invalid receipt signature");
+        require(receipt.totalUsage > account.settledUsage, "Usage already settled");
+        require(account.balance > 0, "No credit to draw");
+
+        amount = receipt.totalUsage - account.settledUsage;
+        if (amount > account.balance) {
+            amount = account.balance;
+        }
+        account.balance -= amount;
+        account.settledUsage += amount;
+        usageRevenue[receipt.datasetId] += amount;
+
+        datasetAccess.recordModuleRevenue{value: amount}(receipt.datasetId);
+
+        emit UsageSettled(receipt.datasetId, receipt.buyer, amount, account.settledUsage);
+    }
+
+    /**
+     * @dev Start the notice period for withdrawing the caller's unused credit
+     * @param datasetId Dataset ID
+     */
+    function requestCreditWithdrawal(uint256 datasetId) public {
+        CreditAccount storage account = creditAccounts[datasetId][msg.sender];
+        require(account.balance > 0, "No credit to withdraw");
+
+        account.withdrawalRequestedAt = block.timestamp;
+        emit CreditWithdrawalRequested(datasetId, msg.sender, block.timestamp + NOTICE_PERIOD);
+    }
+
+    /**
+     * @dev Withdraw the caller's unused credit once the notice period has passed
+     * @param datasetId Dataset ID
+     */
+    function withdrawCredit(uint256 datasetId) public nonReentrant {
+        CreditAccount storage account = creditAccounts[datasetId][msg.sender];
+        require(
+            account.withdrawalRequestedAt != 0 && block.timestamp >= account.withdrawalRequestedAt + NOTICE_PERIOD,
+            "Notice period not over"
+        );
+        uint256 amount = account.balance;
+        require(amount > 0, "No credit to withdraw");
+
+        account.balance = 0;
+        account.withdrawalRequestedAt = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "ETH transfer failed");
+
+        emit CreditWithdrawn(datasetId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Get the EIP-712 digest a session key signs for a receipt
+     * @param receipt Usage receipt
+     * @return Typed data digest
+     */
+    function hashReceipt(UsageReceipt calldata receipt) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            USAGE_RECEIPT_TYPEHASH,
+            receipt.buyer,
+            receipt.datasetId,
+            receipt.totalUsage,
+            receipt.deadline
+        )));
+    }
+
+    /**
+     * @dev Get the EIP-712 domain separator
+     * @return Domain separator for this chain and contract
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Check whether a key may sign an account's usage receipts
+     * @param account Credit account
+     * @param signer Recovered signer
+     * @return Whether the signer is the session key, or the replaced key within NOTICE_PERIOD of the change
+     */
+    function _isSessionKey(CreditAccount storage account, address signer) internal view returns (bool) {
+        if (signer == address(0)) {
+            return false;
+        }
+        return signer == account.sessionKey ||
+            (signer == account.previousSessionKey && block.timestamp < account.keyChangedAt + NOTICE_PERIOD);
+    }
+}
@@ -0,0 +1,186 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetEscrow
+ * @dev Escrow agent for per-dataset refund windows
+ * @notice While a dataset has a refund window, DatasetAccess holds each purchase payment
+ * instead of splitting it. The buyer may request a refund inside the window, which takes back
+ * the access the purchase paid for and opens a dispute for the platform owner to resolve; the seller
+ * has a stake in the sale, so it cannot decide its own disputes.
+ * Undisputed payments can be released to the normal split by anyone once the window ends.
+ * Requires BURNER_ROLE on DatasetToken.
+ */
+contract DatasetEscrow is IDatasetEscrowAgent {
+    // Constants
+    uint256 public constant MAX_REFUND_WINDOW = 30 days;
+
+    enum EscrowStatus {
+        NONE,
+        HELD,
+        DISPUTED,
+        RELEASED,
+        REFUNDED
+    }
+
+    // Escrow structure
+    struct Escrow {
+        uint256 datasetId;
+        uint256 releaseTime; // End of the refund window
+        EscrowStatus status;
+    }
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+    DatasetToken public immutable datasetToken;
+
+    // Mappings
+    mapping(uint256 => uint256) public refundWindows; // datasetId => window in seconds (0 for no escrow)
+    mapping(uint256 => Escrow) public escrows; // purchaseId => escrow
+
+    // Events
+    event RefundWindowUpdated(uint256 indexed datasetId, uint256 oldWindow, uint256 newWindow);
+
+    event PaymentHeld(uint256 indexed purchaseId, uint256 indexed datasetId, uint256 releaseTime);
+
+    event RefundRequested(uint256 indexed purchaseId, address indexed buyer, string reason);
+
+    event DisputeResolved(uint256 indexed purchaseId, address indexed resolver, bool refunded);
+
+    event PaymentReleased(uint256 indexed purchaseId);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+        datasetToken = DatasetAccess(payable(_datasetAccess)).datasetToken();
+    }
+
+    /**
+     * @dev Set the refund window for new purchases of a dataset (dataset owner or FINANCE role only)
+     * @param datasetId Dataset ID
+     * @param window Refund window in seconds (0 to pay out immediately)
+     */
+    function setRefundWindow(uint256 datasetId, uint256 window) public {
+        require(
+            datasetAccess.getDatasetOwner(datasetId) == msg.sender ||
+                datasetAccess.hasDatasetRole(datasetId, DatasetAccess.DatasetRole.FINANCE, msg.sender),
+            "Not authorized to set refund window"
+        );
+        require(window <= MAX_REFUND_WINDOW, "Refund window too long");
+
+        emit RefundWindowUpdated(datasetId, refundWindows[datasetId], window);
+        refundWindows[datasetId] = window;
+    }
+
+    /**
+     * @dev Hold a purchase payment if its dataset has a refund window (DatasetAccess only)
+     * @param purchaseId Purchase ID
+     * @param datasetId Dataset ID
+     * @return bool Whether the payment is held
+     */
+    function holdPayment(uint256 purchaseId, uint256 datasetId) external override returns (bool) {
+        require(msg.sender == address(datasetAccess), "Only DatasetAccess");
+
+        uint256 window = refundWindows[datasetId];
+        if (window == 0) {
+            return false;
+        }
+
+        uint256 releaseTime = block.timestamp + window;
+        escrows[purchaseId] = Escrow({
+            datasetId: datasetId,
+            releaseTime: releaseTime,
+            status: EscrowStatus.HELD
+        });
+
+        emit PaymentHeld(purchaseId, datasetId, releaseTime);
+        return true;
+    }
+
+    /**
+     * @dev Request a refund inside the refund window
+     * @notice Takes back the access the purchase paid for: the access token's expiry is pulled in by
+     * the purchase's duration, so a refunded renewal keeps the access bought before it. The token
+     * is burned if no access would remain.
+     * @param purchaseId Purchase ID
+     * @param reason Free-form reason shown to the resolver
+     */
+    function requestRefund(uint256 purchaseId, string memory reason) public {
+        Escrow storage escrow = escrows[purchaseId];
+        require(escrow.status == EscrowStatus.HELD, "Payment not held");
+        require(block.timestamp < escrow.releaseTime, "Refund window closed");
+
+        DatasetAccess.AccessPurchase memory purchase = datasetAccess.getPurchase(purchaseId);
+        require(purchase.buyer == msg.sender, "Not buyer");
+
+        escrow.status = EscrowStatus.DISPUTED;
+
+        // The token may already be gone (revoked or burned after expiry)
+        (uint256 tokenDatasetId, , uint256 expiryTime, , ) = datasetToken.tokenInfo(purchase.tokenId);
+        if (tokenDatasetId != 0) {
+            if (expiryTime > purchase.durationSeconds && expiryTime - purchase.durationSeconds > block.timestamp) {
+                datasetToken.shortenAccessToken(purchase.tokenId, expiryTime - purchase.durationSeconds);
+            } else {
+                datasetToken.forceBurn(purchase.tokenId);
+            }
+        }
+
+        emit RefundRequested(purchaseId, msg.sender, reason);
+    }
+
+    /**
+     * @dev Resolve a refund request (platform owner only)
+     * @param purchaseId Purchase ID
+     * @param refundBuyer Whether to refund the buyer; otherwise the payment goes to the normal split
+     */
+    function resolveDispute(uint256 purchaseId, bool refundBuyer) public {
+        Escrow storage escrow = escrows[purchaseId];
+        require(escrow.status == EscrowStatus.DISPUTED, "No open dispute");
+        require(datasetAccess.owner() == msg.sender, "Not authorized to resolve dispute");
+
+        escrow.status = refundBuyer ? EscrowStatus.REFUNDED : EscrowStatus.RELEASED;
+        datasetAccess.settleEscrow(purchaseId, refundBuyer);
+
+        emit DisputeResolved(purchaseId, msg.sender, refundBuyer);
+    }
+
+    /**
+     * @dev Release an undisputed payment to the normal split once the refund window has ended
+     * (callable by anyone)
+     * @param purchaseId Purchase ID
+     */
+    function releasePayment(uint256 purchaseId) public {
+        Escrow storage escrow = escrows[purchaseId];
+        require(escrow.status == EscrowStatus.HELD, "Payment not held");
+        require(block.timestamp >= escrow.releaseTime, "Refund window still open");
+
+        escrow.status = EscrowStatus.RELEASED;
+        datasetAccess.settleEscrow(purchaseId, false);
+
+        emit PaymentReleased(purchaseId);
+    }
+
+    /**
+     * @dev Check whether a held purchase payment was refunded to the buyer
+     * @param purchaseId Purchase ID
+     * @return bool Whether the escrow was settled with a refund
+     */
+    function isRefunded(uint256 purchaseId) external view override returns (bool) {
+        return escrows[purchaseId].status == EscrowStatus.REFUNDED;
+    }
+
+    /**
+     * @dev Get the escrow record of a purchase
+     * @param purchaseId Purchase ID
+     * @return Escrow record (status NONE if the payment was never held)
+     */
+    function getEscrow(uint256 purchaseId) public view returns (Escrow memory) {
+        return escrows[purchaseId];
+    }
+}
@@ -0,0 +1,63 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetGrants
+ * @dev Complimentary access granted by dataset owners without payment
+ * @notice Mints ACCESS tokens directly, so grants pay no platform fee, record no purchase and
+ * do not count towards the dataset's totalSales or totalRevenue. Granted access is checked and
+ * revoked like purchased access. Requires MINTER_ROLE on DatasetToken.
+ */
+contract DatasetGrants {
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+    DatasetToken public immutable datasetToken;
+
+    // Mappings
+    mapping(uint256 => uint256) public totalGrants; // datasetId => access tokens granted
+
+    // Events
+    event AccessGranted(
+        uint256 indexed datasetId,
+        address indexed user,
+        address indexed grantedBy,
+        uint256 tokenId,
+        uint256 expiryTime
+    );
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+        datasetToken = DatasetAccess(payable(_datasetAccess)).datasetToken();
+    }
+
+    /**
+     * @dev Grant free access to a dataset (dataset owner or SUPPORT role only)
+     * @param datasetId Dataset ID
+     * @param user User receiving access
+     * @param expiryTime Timestamp when the access expires
+     * @return tokenId The minted access token ID
+     */
+    function grantAccess(uint256 datasetId, address user, uint256 expiryTime) public returns (uint256 tokenId) {
+        address datasetOwner = datasetAccess.getDatasetOwner(datasetId);
+        require(
+            datasetOwner == msg.sender ||
+                datasetAccess.hasDatasetRole(datasetId, DatasetAccess.DatasetRole.SUPPORT, msg.sender),
+            "Not authorized to grant access"
+        );
+        require(!datasetAccess.paused(), "Marketplace is paused");
+        (, , , bool isActive, , , , ) = datasetAccess.getDataset(datasetId);
+        require(isActive, "Dataset is not active");
+
+        tokenId = datasetToken.mintAccessToken(user, datasetId, expiryTime, datasetOwner);
+        totalGrants[datasetId]++;
+
+        emit AccessGranted(datasetId, user, msg.sender, tokenId, expiryTime);
+    }
+}
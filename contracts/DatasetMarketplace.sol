@@ -0,0 +1,241 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetMarketplace
+ * @dev Secondary market for dataset ownership tokens with fixed-price listings and ETH offers
+ * @notice Listed tokens are held in escrow, where DatasetToken leaves the dataset's control and
+ * revenue with the seller; a sale transfers the token, moving both to the buyer in the same
+ * transaction. Each sale pays the royalty recipients set in DatasetAccess and the platform fee,
+ * and credits the rest to the seller. Disabling a dataset with emergencyToggleDataset cancels
+ * its listing and returns the token to the seller.
+ * Must be registered as an ownership escrow on DatasetToken.
+ */
+contract DatasetMarketplace is IDatasetOwnershipEscrow, ReentrancyGuard {
+    // Constants
+    uint256 public constant BASIS_POINTS = 10000; // 100% = 10000 basis points
+
+    // Fixed-price listing structure
+    struct Listing {
+        address seller;
+        uint256 price; // In wei
+    }
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+    DatasetToken public immutable datasetToken;
+
+    // Mappings
+    mapping(uint256 => Listing) public listings; // datasetId => listing (zero seller if not listed)
+    mapping(uint256 => mapping(address => uint256)) public offers; // datasetId => buyer => ETH offered
+    mapping(address => uint256) public pendingWithdrawals; // account => ETH from sales and withdrawn offers
+
+    // Events
+    event ListingCreated(uint256 indexed datasetId, address indexed seller, uint256 price);
+
+    event ListingCancelled(uint256 indexed datasetId, address indexed seller);
+
+    event OfferMade(uint256 indexed datasetId, address indexed buyer, uint256 amount);
+
+    event OfferWithdrawn(uint256 indexed datasetId, address indexed buyer, uint256 amount);
+
+    event DatasetSold(
+        uint256 indexed datasetId,
+        address indexed seller,
+        address indexed buyer,
+        uint256 price,
+        uint256 platformAmount,
+        uint256 royaltyAmount
+    );
+
+    event PaymentCredited(address indexed account, uint256 amount);
+
+    event PaymentWithdrawn(address indexed account, uint256 amount);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+        datasetToken = DatasetAccess(payable(_datasetAccess)).datasetToken();
+    }
+
+    /**
+     * @dev List a dataset's ownership token at a fixed price, moving it into escrow
+     * @notice Requires approval of this contract for the ownership token
+     * @param datasetId Dataset ID
+     * @param price Sale price in wei
+     */
+    function createListing(uint256 datasetId, uint256 price) public {
+        require(price > 0, "Price must be greater than 0");
+        require(_isActive(datasetId), "Dataset is not active");
+        uint256 tokenId = datasetToken.ownershipTokens(datasetId);
+        require(datasetToken.ownerOf(tokenId) == msg.sender, "Not dataset owner");
+
+        listings[datasetId] = Listing({seller: msg.sender, price: price});
+        datasetToken.transferFrom(msg.sender, address(this), tokenId);
+
+        emit ListingCreated(datasetId, msg.sender, price);
+    }
+
+    /**
+     * @dev Cancel a listing and return the ownership token (seller only)
+     * @param datasetId Dataset ID
+     */
+    function cancelListing(uint256 datasetId) public {
+        require(listings[datasetId].seller == msg.sender, "Not listing seller");
+        _cancelListing(datasetId);
+    }
+
+    /**
+     * @dev Buy a listed dataset at its listing price
+     * @param datasetId Dataset ID
+     */
+    function buy(uint256 datasetId) public payable nonReentrant {
+        Listing memory listing = listings[datasetId];
+        require(listing.seller != address(0), "Dataset not listed");
+        require(msg.value == listing.price, "Incorrect payment");
+        require(_isActive(datasetId), "Dataset is not active");
+
+        delete listings[datasetId];
+        _sell(datasetId, listing.seller, msg.sender, listing.price, address(this));
+    }
+
+    /**
+     * @dev Offer ETH for a dataset's ownership token; adds to the caller's existing offer
+     * @param datasetId Dataset ID
+     */
+    function makeOffer(uint256 datasetId) public payable {
+        require(msg.value > 0, "Offer must be greater than 0");
+        require(_isActive(datasetId), "Dataset is not active");
+
+        offers[datasetId][msg.sender] += msg.value;
+        emit OfferMade(datasetId, msg.sender, offers[datasetId][msg.sender]);
+    }
+
+    /**
+     * @dev Withdraw the caller's offer, crediting the ETH back
+     * @param datasetId Dataset ID
+     */
+    function withdrawOffer(uint256 datasetId) public {
+        uint256 amount = offers[datasetId][msg.sender];
+        require(amount > 0, "No offer to withdraw");
+
+        delete offers[datasetId][msg.sender];
+        _credit(msg.sender, amount);
+        emit OfferWithdrawn(datasetId, msg.sender, amount);
+    }
+
+    /**
+     * @dev Sell to an offer (ownership token holder or listing seller only)
+     * @notice Unlisted tokens require approval of this contract; a listing is replaced by the sale
+     * @param datasetId Dataset ID
+     * @param buyer Account that made the offer
+     * @param amount Expected offer amount, protecting the seller from a lowered offer
+     */
+    function acceptOffer(uint256 datasetId, address buyer, uint256 amount) public nonReentrant {
+        require(amount > 0 && offers[datasetId][buyer] == amount, "Offer does not match");
+        require(_isActive(datasetId), "Dataset is not active");
+
+        address holder = listings[datasetId].seller == msg.sender ? address(this) : msg.sender;
+        require(datasetToken.ownerOf(datasetToken.ownershipTokens(datasetId)) == holder, "Not dataset owner");
+
+        delete listings[datasetId];
+        delete offers[datasetId][buyer];
+        _sell(datasetId, msg.sender, buyer, amount, holder);
+    }
+
+    /**
+     * @dev Withdraw the caller's credited ETH
+     */
+    function withdraw() public nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingWithdrawals[msg.sender] = 0;
+        (bool success, ) = payable(msg.sender).call{value: amount}("");
+        require(success, "ETH transfer failed");
+
+        emit PaymentWithdrawn(msg.sender, amount);
+    }
+
+    /**
+     * @dev Cancel the listing of a disabled dataset (DatasetToken only)
+     * @param datasetId Dataset ID
+     */
+    function onDatasetDisabled(uint256 datasetId) external override {
+        require(msg.sender == address(datasetToken), "Only dataset token contract");
+        if (listings[datasetId].seller != address(0)) {
+            _cancelListing(datasetId);
+        }
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Remove a listing and return the ownership token to the seller
+     * @param datasetId Dataset ID
+     */
+    function _cancelListing(uint256 datasetId) internal {
+        address seller = listings[datasetId].seller;
+        delete listings[datasetId];
+        datasetToken.transferFrom(address(this), seller, datasetToken.ownershipTokens(datasetId));
+
+        emit ListingCancelled(datasetId, seller);
+    }
+
+    /**
+     * @dev Split the sale price and transfer the ownership token to the buyer
+     * @param datasetId Dataset ID
+     * @param seller Account credited with the proceeds
+     * @param buyer Account receiving the ownership token
+     * @param price Sale price in wei
+     * @param holder Current holder of the ownership token (this contract for listed tokens)
+     */
+    function _sell(uint256 datasetId, address seller, address buyer, uint256 price, address holder) internal {
+        // Same split as access sales: royalty recipients and platform fee first, the seller gets the rest
+        (address[] memory recipients, uint256[] memory percentages) = datasetAccess.getRoyalties(datasetId);
+        uint256 royaltyAmount = 0;
+        for (uint256 i = 0; i < recipients.length; i++) {
+            uint256 share = (price * percentages[i]) / BASIS_POINTS;
+            royaltyAmount += share;
+            _credit(recipients[i], share);
+        }
+
+        uint256 platformAmount = (price * datasetAccess.platformFeePercentage()) / BASIS_POINTS;
+        _credit(datasetAccess.platformWallet(), platformAmount);
+        _credit(seller, price - platformAmount - royaltyAmount);
+
+        // Moves dataset control and revenue to the buyer
+        datasetToken.transferFrom(holder, buyer, datasetToken.ownershipTokens(datasetId));
+
+        emit DatasetSold(datasetId, seller, buyer, price, platformAmount, royaltyAmount);
+    }
+
+    /**
+     * @dev Credit ETH to an account's withdrawable balance
+     * @param account Account to credit
+     * @param amount Amount in wei
+     */
+    function _credit(address account, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        pendingWithdrawals[account] += amount;
+        emit PaymentCredited(account, amount);
+    }
+
+    /**
+     * @dev Check whether a dataset is active (reverts if it does not exist)
+     * @param datasetId Dataset ID
+     * @return isActive Whether the dataset is active
+     */
+    function _isActive(uint256 datasetId) internal view returns (bool isActive) {
+        (, , , isActive, , , , ) = datasetAccess.getDataset(datasetId);
+    }
+}
@@ -0,0 +1,298 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetPlans
+ * @dev Access module for owner-defined pricing plans with arbitrary durations
+ * @notice Plans are sold through DatasetAccess, which records the purchase, mints the
+ * access token and splits the payment. The AccessDuration prices remain available there.
+ */
+contract DatasetPlans is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Pricing plan structure
+    struct PricingPlan {
+        uint256 datasetId;
+        string name;
+        uint256 duration;     // Access duration in seconds
+        uint256 price;        // In wei or token units
+        address paymentToken; // Zero address for ETH
+        uint256 maxSales;     // 0 for unlimited
+        uint256 sales;
+        bool active;
+    }
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+    uint256 private _planIdCounter;
+
+    // Mappings
+    mapping(uint256 => PricingPlan) public pricingPlans;
+    mapping(uint256 => uint256[]) public datasetPlans; // datasetId => planIds[]
+
+    // Events
+    event PricingPlanAdded(
+        uint256 indexed planId,
+        uint256 indexed datasetId,
+        string name,
+        uint256 duration,
+        uint256 price,
+        address paymentToken,
+        uint256 maxSales
+    );
+
+    event PricingPlanUpdated(
+        uint256 indexed planId,
+        string name,
+        uint256 duration,
+        uint256 price,
+        uint256 maxSales
+    );
+
+    event PricingPlanStatusChanged(uint256 indexed planId, bool active);
+
+    event PlanPurchased(
+        uint256 indexed planId,
+        uint256 indexed purchaseId,
+        address indexed buyer,
+        uint256 price
+    );
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+        _planIdCounter = 1;
+    }
+
+    /**
+     * @dev Add a pricing plan to a dataset
+     * @param datasetId Dataset ID
+     * @param name Plan name (e.g. "3-day trial")
+     * @param duration Access duration in seconds
+     * @param price Plan price in wei or token units
+     * @param paymentToken ERC-20 token the price is denominated in (zero address for ETH)
+     * @param maxSales Maximum number of sales (0 for unlimited)
+     * @return planId The created plan ID
+     */
+    function addPricingPlan(
+        uint256 datasetId,
+        string memory name,
+        uint256 duration,
+        uint256 price,
+        address paymentToken,
+        uint256 maxSales
+    ) public returns (uint256) {
+        _requirePlanManager(datasetId);
+        require(
+            paymentToken == address(0) || datasetAccess.allowedPaymentTokens(paymentToken),
+            "Payment token not allowed"
+        );
+        _validatePlanTerms(name, duration, price);
+
+        uint256 planId = _planIdCounter++;
+
+        PricingPlan storage plan = pricingPlans[planId];
+        plan.datasetId = datasetId;
+        plan.name = name;
+        plan.duration = duration;
+        plan.price = price;
+        plan.paymentToken = paymentToken;
+        plan.maxSales = maxSales;
+        plan.active = true;
+
+        datasetPlans[datasetId].push(planId);
+
+        emit PricingPlanAdded(planId, datasetId, name, duration, price, paymentToken, maxSales);
+        return planId;
+    }
+
+    /**
+     * @dev Update the terms of a pricing plan
+     * @param planId Plan ID
+     * @param name New plan name
+     * @param duration New access duration in seconds
+     * @param price New price in the plan's payment token
+     * @param maxSales New sales cap (0 for unlimited, otherwise at least the sales made so far)
+     */
+    function updatePricingPlan(
+        uint256 planId,
+        string memory name,
+        uint256 duration,
+        uint256 price,
+        uint256 maxSales
+    ) public {
+        PricingPlan storage plan = _ownedPlan(planId);
+        _validatePlanTerms(name, duration, price);
+        require(maxSales == 0 || maxSales >= plan.sales, "Cap below sales made");
+
+        plan.name = name;
+        plan.duration = duration;
+        plan.price = price;
+        plan.maxSales = maxSales;
+
+        emit PricingPlanUpdated(planId, name, duration, price, maxSales);
+    }
+
+    /**
+     * @dev Disable a pricing plan so it can no longer be purchased
+     * @param planId Plan ID
+     */
+    function disablePricingPlan(uint256 planId) public {
+        _setPlanActive(planId, false);
+    }
+
+    /**
+     * @dev Re-enable a disabled pricing plan
+     * @param planId Plan ID
+     */
+    function enablePricingPlan(uint256 planId) public {
+        _setPlanActive(planId, true);
+    }
+
+    /**
+     * @dev Purchase access through a pricing plan
+     * @notice ETH plans take msg.value (excess is credited in DatasetAccess);
+     * token plans require an allowance for this contract
+     * @param planId Plan ID
+     * @return purchaseId The DatasetAccess purchase ID
+     */
+    function purchasePlan(uint256 planId) public payable nonReentrant returns (uint256) {
+        require(_planExists(planId), "Plan does not exist");
+
+        PricingPlan storage plan = pricingPlans[planId];
+        require(plan.active, "Plan is not active");
+        require(plan.maxSales == 0 || plan.sales < plan.maxSales, "Plan sold out");
+
+        plan.sales++;
+
+        uint256 purchaseId;
+        if (plan.paymentToken == address(0)) {
+            purchaseId = datasetAccess.recordModulePurchase{value: msg.value}(
+                msg.sender,
+                plan.datasetId,
+                plan.duration,
+                planId,
+                plan.price,
+                address(0),
+                false
+            );
+        } else {
+            require(msg.value == 0, "ETH not accepted for token payment");
+            IERC20(plan.paymentToken).safeTransferFrom(msg.sender, address(datasetAccess), plan.price);
+            purchaseId = datasetAccess.recordModulePurchase(
+                msg.sender,
+                plan.datasetId,
+                plan.duration,
+                planId,
+                plan.price,
+                plan.paymentToken,
+                false
+            );
+        }
+
+        emit PlanPurchased(planId, purchaseId, msg.sender, plan.price);
+        return purchaseId;
+    }
+
+    /**
+     * @dev Get all pricing plans of a dataset, including disabled ones
+     * @param datasetId Dataset ID
+     * @return planIds Array of plan IDs
+     * @return plans Array of plans matching planIds
+     */
+    function getPricingPlans(uint256 datasetId) public view returns (
+        uint256[] memory planIds,
+        PricingPlan[] memory plans
+    ) {
+        planIds = datasetPlans[datasetId];
+        plans = new PricingPlan[](planIds.length);
+        for (uint256 i = 0; i < planIds.length; i++) {
+            plans[i] = pricingPlans[planIds[i]];
+        }
+    }
+
+    /**
+     * @dev Get a pricing plan
+     * @param planId Plan ID
+     * @return PricingPlan record
+     */
+    function getPricingPlan(uint256 planId) public view returns (PricingPlan memory) {
+        require(_planExists(planId), "Plan does not exist");
+        return pricingPlans[planId];
+    }
+
+    /**
+     * @dev Get current plan counter
+     * @return Current plan counter value
+     */
+    function getCurrentPlanId() public view returns (uint256) {
+        return _planIdCounter;
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Check if plan exists
+     * @param planId Plan ID to check
+     * @return bool Whether plan exists
+     */
+    function _planExists(uint256 planId) internal view returns (bool) {
+        return planId > 0 && planId < _planIdCounter;
+    }
+
+    /**
+     * @dev Get a plan the caller may manage
+     * @param planId Plan ID
+     * @return plan Storage pointer to the plan
+     */
+    function _ownedPlan(uint256 planId) internal view returns (PricingPlan storage plan) {
+        require(_planExists(planId), "Plan does not exist");
+        plan = pricingPlans[planId];
+        _requirePlanManager(plan.datasetId);
+    }
+
+    /**
+     * @dev Enable or disable a plan the caller may manage
+     * @param planId Plan ID
+     * @param active New status
+     */
+    function _setPlanActive(uint256 planId, bool active) internal {
+        PricingPlan storage plan = _ownedPlan(planId);
+        plan.active = active;
+        emit PricingPlanStatusChanged(planId, active);
+    }
+
+    /**
+     * @dev Require the caller to be the dataset owner or hold its MANAGER role
+     * @param datasetId Dataset ID
+     */
+    function _requirePlanManager(uint256 datasetId) internal view {
+        address datasetOwner = datasetAccess.getDatasetOwner(datasetId);
+        require(
+            datasetOwner == msg.sender ||
+                datasetAccess.hasDatasetRole(datasetId, DatasetAccess.DatasetRole.MANAGER, msg.sender),
+            "Not authorized to manage plans"
+        );
+    }
+
+    /**
+     * @dev Validate pricing plan terms
+     * @param name Plan name
+     * @param duration Access duration in seconds
+     * @param price Plan price
+     */
+    function _validatePlanTerms(string memory name, uint256 duration, uint256 price) internal pure {
+        require(bytes(name).length > 0, "Plan name cannot be empty");
+        require(duration > 0, "Duration must be greater than 0");
+        require(price > 0, "Price must be greater than 0");
+    }
+}
@@ -0,0 +1,222 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./DatasetAccess.sol";
+import "./AccessDurations.sol";
+
+/**
+ * @title DatasetReferrals
+ * @dev Access module for owner-issued coupon codes carrying a discount and/or a referrer commission
+ * @notice Codes are stored as keccak256 hashes per dataset and revealed by the buyer at purchase.
+ * The commission is paid out of the dataset owner's share when DatasetAccess distributes the
+ * payment: the platform fee and royalties are still taken on the full price paid, and royalties
+ * plus commission must stay within MAX_ROYALTY_PERCENTAGE. A payment held for a refund window
+ * pays the commission only if it is released. Coupons stop working once the dataset changes owner.
+ */
+contract DatasetReferrals is ReentrancyGuard {
+    // Constants
+    uint256 public constant BASIS_POINTS = 10000; // 100% = 10000 basis points
+
+    // Coupon structure
+    struct Coupon {
+        address owner;        // Dataset owner who issued the coupon (zero if none)
+        address referrer;     // Account earning the commission (zero for discount-only coupons)
+        uint256 discount;     // Basis points off the list price
+        uint256 commission;   // Basis points of the price paid, credited to the referrer
+        uint256 maxUses;      // 0 for unlimited
+        uint256 uses;
+        uint256 expiresAt;    // Last timestamp the coupon can be used (0 for no expiry)
+        bool active;
+    }
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+
+    // Mappings
+    mapping(uint256 => mapping(bytes32 => Coupon)) public coupons; // datasetId => keccak256(code) => coupon
+
+    // Events
+    event CouponCreated(
+        uint256 indexed datasetId,
+        bytes32 indexed codeHash,
+        address indexed referrer,
+        uint256 discount,
+        uint256 commission,
+        uint256 maxUses,
+        uint256 expiresAt
+    );
+
+    event CouponDisabled(uint256 indexed datasetId, bytes32 indexed codeHash);
+
+    event CouponRedeemed(
+        uint256 indexed datasetId,
+        bytes32 indexed codeHash,
+        address indexed buyer,
+        uint256 purchaseId,
+        uint256 price
+    );
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+    }
+
+    /**
+     * @dev Issue a coupon code for a dataset (dataset owner or MANAGER role only)
+     * @param datasetId Dataset ID
+     * @param codeHash keccak256 hash of the code
+     * @param referrer Account earning the commission (zero address for discount-only coupons)
+     * @param discount Basis points off the list price
+     * @param commission Basis points of the price paid credited to the referrer
+     * @param maxUses Maximum number of purchases (0 for unlimited)
+     * @param expiresAt Last timestamp the coupon can be used (0 for no expiry)
+     */
+    function createCoupon(
+        uint256 datasetId,
+        bytes32 codeHash,
+        address referrer,
+        uint256 discount,
+        uint256 commission,
+        uint256 maxUses,
+        uint256 expiresAt
+    ) public {
+        address datasetOwner = _requireCouponManager(datasetId);
+        require(codeHash != bytes32(0), "Invalid code hash");
+        require(coupons[datasetId][codeHash].owner == address(0), "Coupon already exists");
+        require(discount < BASIS_POINTS, "Invalid discount");
+        require(discount > 0 || commission > 0, "Coupon has no discount or commission");
+        require(commission == 0 || referrer != address(0), "Invalid referrer address");
+        require(commission <= datasetAccess.MAX_ROYALTY_PERCENTAGE(), "Commission exceeds royalty cap");
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry time must be in the future");
+
+        coupons[datasetId][codeHash] = Coupon({
+            owner: datasetOwner,
+            referrer: referrer,
+            discount: discount,
+            commission: commission,
+            maxUses: maxUses,
+            uses: 0,
+            expiresAt: expiresAt,
+            active: true
+        });
+
+        emit CouponCreated(datasetId, codeHash, referrer, discount, commission, maxUses, expiresAt);
+    }
+
+    /**
+     * @dev Disable a coupon code (dataset owner or MANAGER role only)
+     * @param datasetId Dataset ID
+     * @param codeHash keccak256 hash of the code
+     */
+    function disableCoupon(uint256 datasetId, bytes32 codeHash) public {
+        _requireCouponManager(datasetId);
+        Coupon storage coupon = coupons[datasetId][codeHash];
+        require(coupon.active, "Coupon is not active");
+
+        coupon.active = false;
+        emit CouponDisabled(datasetId, codeHash);
+    }
+
+    /**
+     * @dev Purchase access with a coupon code
+     * @notice Pays in ETH; any excess over the discounted price is credited back in DatasetAccess
+     * @param datasetId Dataset ID
+     * @param duration Access duration
+     * @param code Coupon code
+     * @return purchaseId The DatasetAccess purchase ID
+     */
+    function purchaseAccess(
+        uint256 datasetId,
+        DatasetAccess.AccessDuration duration,
+        string calldata code
+    ) public payable nonReentrant returns (uint256 purchaseId) {
+        bytes32 codeHash = keccak256(bytes(code));
+        require(isCouponValid(datasetId, codeHash), "Invalid coupon");
+
+        Coupon storage coupon = coupons[datasetId][codeHash];
+        uint256 durationSeconds = AccessDurations.getDurationInSeconds(duration);
+        (, , , , , , , uint256[6] memory prices) = datasetAccess.getDataset(datasetId);
+        uint256 listPrice = prices[uint256(duration)];
+        require(listPrice > 0, "Price not set for this duration");
+
+        uint256 price = listPrice - (listPrice * coupon.discount) / BASIS_POINTS;
+        require(msg.value >= price, "Insufficient payment");
+        coupon.uses++;
+
+        if (coupon.commission > 0) {
+            _checkRoyaltyCap(datasetId, coupon.commission);
+            purchaseId = datasetAccess.recordReferralPurchase{value: msg.value}(
+                msg.sender,
+                datasetId,
+                durationSeconds,
+                price,
+                coupon.referrer,
+                coupon.commission
+            );
+        } else {
+            purchaseId = datasetAccess.recordModulePurchase{value: msg.value}(
+                msg.sender,
+                datasetId,
+                durationSeconds,
+                0,
+                price,
+                address(0),
+                false
+            );
+        }
+
+        emit CouponRedeemed(datasetId, codeHash, msg.sender, purchaseId, price);
+    }
+
+    /**
+     * @dev Check whether a coupon can be used now
+     * @param datasetId Dataset ID
+     * @param codeHash keccak256 hash of the code
+     * @return Whether the coupon is active, unexpired, not used up and issued by the current owner
+     */
+    function isCouponValid(uint256 datasetId, bytes32 codeHash) public view returns (bool) {
+        Coupon storage coupon = coupons[datasetId][codeHash];
+        return coupon.active &&
+            (coupon.expiresAt == 0 || block.timestamp <= coupon.expiresAt) &&
+            (coupon.maxUses == 0 || coupon.uses < coupon.maxUses) &&
+            datasetAccess.getDatasetOwner(datasetId) == coupon.owner;
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Require the caller to be the dataset owner or hold its MANAGER role
+     * @param datasetId Dataset ID
+     * @return datasetOwner Current dataset owner
+     */
+    function _requireCouponManager(uint256 datasetId) internal view returns (address datasetOwner) {
+        datasetOwner = datasetAccess.getDatasetOwner(datasetId);
+        require(
+            datasetOwner == msg.sender ||
+                datasetAccess.hasDatasetRole(datasetId, DatasetAccess.DatasetRole.MANAGER, msg.sender),
+            "Not authorized to manage coupons"
+        );
+    }
+
+    /**
+     * @dev Check that a commission fits under the royalty cap next to the dataset's royalties
+     * @param datasetId Dataset ID
+     * @param commission Commission in basis points
+     */
+    function _checkRoyaltyCap(uint256 datasetId, uint256 commission) internal view {
+        (, uint256[] memory percentages) = datasetAccess.getRoyalties(datasetId);
+        uint256 royaltyPercentage = 0;
+        for (uint256 i = 0; i < percentages.length; i++) {
+            royaltyPercentage += percentages[i];
+        }
+        require(
+            royaltyPercentage + commission <= datasetAccess.MAX_ROYALTY_PERCENTAGE(),
+            "Commission exceeds royalty cap"
+        );
+    }
+}
@@ -0,0 +1,126 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetRoyaltySplitter
+ * @dev ERC-2981 royalty receiver for one dataset's ownership token
+ * @notice Collects secondary-sale royalties in ETH or ERC-20 and splits them between the
+ * royalty recipients set in DatasetAccess, pro rata to their percentages. Without
+ * recipients, and for rounding dust, the current dataset owner is paid. Recipients are
+ * read when funds are distributed, so royalty changes apply to undistributed funds.
+ */
+contract DatasetRoyaltySplitter is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+    uint256 public immutable datasetId;
+
+    // Mappings
+    mapping(address => mapping(address => uint256)) public pendingWithdrawals; // account => paymentToken => amount (zero address for ETH)
+    mapping(address => uint256) public totalPendingWithdrawals; // paymentToken => total credited and not yet withdrawn
+
+    // Events
+    event RoyaltyReceived(address indexed from, uint256 amount);
+
+    event RoyaltiesDistributed(address indexed paymentToken, uint256 amount);
+
+    event PaymentCredited(address indexed account, address indexed paymentToken, uint256 amount);
+
+    event PaymentWithdrawn(address indexed account, address indexed paymentToken, uint256 amount);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     * @param _datasetId Dataset whose royalties are split
+     */
+    constructor(address _datasetAccess, uint256 _datasetId) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        // Reverts if the dataset does not exist
+        DatasetAccess(payable(_datasetAccess)).getDatasetOwner(_datasetId);
+
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+        datasetId = _datasetId;
+    }
+
+    /**
+     * @dev Accept ETH royalties
+     */
+    receive() external payable {
+        emit RoyaltyReceived(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Credit undistributed royalties to the current recipients (callable by anyone)
+     * @param paymentToken ERC-20 token (zero address for ETH)
+     */
+    function distribute(address paymentToken) public nonReentrant {
+        uint256 balance = paymentToken == address(0)
+            ? address(this).balance
+            : IERC20(paymentToken).balanceOf(address(this));
+        uint256 amount = balance - totalPendingWithdrawals[paymentToken];
+        require(amount > 0, "Nothing to distribute");
+
+        (address[] memory recipients, uint256[] memory percentages) = datasetAccess.getRoyalties(datasetId);
+
+        uint256 totalPercentage = 0;
+        for (uint256 i = 0; i < percentages.length; i++) {
+            totalPercentage += percentages[i];
+        }
+
+        uint256 remaining = amount;
+        if (totalPercentage > 0) {
+            for (uint256 i = 0; i < recipients.length; i++) {
+                uint256 share = (amount * percentages[i]) / totalPercentage;
+                _credit(recipients[i], paymentToken, share);
+                remaining -= share;
+            }
+        }
+        _credit(datasetAccess.getDatasetOwner(datasetId), paymentToken, remaining);
+
+        emit RoyaltiesDistributed(paymentToken, amount);
+    }
+
+    /**
+     * @dev Withdraw the caller's credited royalties
+     * @param paymentToken ERC-20 token (zero address for ETH)
+     */
+    function withdraw(address paymentToken) public nonReentrant {
+        uint256 amount = pendingWithdrawals[msg.sender][paymentToken];
+        require(amount > 0, "No funds to withdraw");
+
+        pendingWithdrawals[msg.sender][paymentToken] = 0;
+        totalPendingWithdrawals[paymentToken] -= amount;
+
+        if (paymentToken == address(0)) {
+            (bool success, ) = payable(msg.sender).call{value: amount}("");
+            require(success, "ETH transfer failed");
+        } else {
+            IERC20(paymentToken).safeTransfer(msg.sender, amount);
+        }
+
+        emit PaymentWithdrawn(msg.sender, paymentToken, amount);
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Credit an amount to an account's withdrawable balance
+     * @param account Account to credit
+     * @param paymentToken ERC-20 token (zero address for ETH)
+     * @param amount Amount to credit
+     */
+    function _credit(address account, address paymentToken, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        pendingWithdrawals[account][paymentToken] += amount;
+        totalPendingWithdrawals[paymentToken] += amount;
+        emit PaymentCredited(account, paymentToken, amount);
+    }
+}
@@ -0,0 +1,213 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./DatasetAccess.sol";
+import "./AccessDurations.sol";
+
+/**
+ * @title DatasetSeats
+ * @dev Access module for team licenses: one purchase of N seats shared across member wallets
+ * @notice Each seat is priced at the dataset's AccessDuration ETH price. The license is
+ * recorded in DatasetAccess as a single purchase, whose access token goes to the license holder
+ * as the first assigned seat. The holder assigns and unassigns members; every assigned member
+ * holds an access token expiring with the license, so checkAccess() treats them like buyers.
+ * While an escrow agent such as DatasetEscrow holds the payment for a refund window, only the
+ * holder's seat is usable, and a refunded license cannot assign seats. Requires MINTER_ROLE and
+ * BURNER_ROLE on DatasetToken.
+ */
+contract DatasetSeats is ReentrancyGuard {
+    // Team license structure
+    struct License {
+        uint256 datasetId;
+        address holder;       // Account managing the seats
+        uint256 seats;        // Seats bought
+        uint256 assigned;     // Seats currently assigned
+        uint256 expiryTime;   // Timestamp when every seat's access expires
+        uint256 purchaseId;   // DatasetAccess purchase ID
+        address escrowAgent;  // Escrow agent that held the payment (zero if paid out immediately)
+    }
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+    DatasetToken public immutable datasetToken;
+    uint256 private _licenseIdCounter;
+
+    // Mappings
+    mapping(uint256 => License) public licenses;
+    mapping(uint256 => mapping(address => uint256)) public seatTokens; // licenseId => member => access tokenId (0 if unassigned)
+    mapping(address => uint256[]) public holderLicenses; // holder => licenseIds[]
+
+    // Events
+    event LicensePurchased(
+        uint256 indexed licenseId,
+        uint256 indexed datasetId,
+        address indexed holder,
+        uint256 seats,
+        uint256 price,
+        uint256 expiryTime,
+        uint256 purchaseId
+    );
+
+    event SeatAssigned(uint256 indexed licenseId, address indexed member, uint256 tokenId);
+
+    event SeatUnassigned(uint256 indexed licenseId, address indexed member, uint256 tokenId);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+        datasetToken = DatasetAccess(payable(_datasetAccess)).datasetToken();
+        _licenseIdCounter = 1;
+    }
+
+    /**
+     * @dev Buy a team license; the caller becomes its holder and takes the first seat
+     * @notice Pays in ETH; any excess over the seat price times the number of seats is credited
+     * back in DatasetAccess
+     * @param datasetId Dataset ID
+     * @param duration Access duration of every seat
+     * @param seats Number of seats
+     * @return licenseId The new license ID
+     */
+    function purchaseLicense(
+        uint256 datasetId,
+        DatasetAccess.AccessDuration duration,
+        uint256 seats
+    ) public payable nonReentrant returns (uint256 licenseId) {
+        require(seats > 0, "Seats must be greater than 0");
+        uint256 durationSeconds = AccessDurations.getDurationInSeconds(duration);
+        (, , , , , , , uint256[6] memory prices) = datasetAccess.getDataset(datasetId);
+        uint256 seatPrice = prices[uint256(duration)];
+        require(seatPrice > 0, "Price not set for this duration");
+
+        licenseId = _licenseIdCounter++;
+        uint256 price = seatPrice * seats;
+        uint256 purchaseId = datasetAccess.recordModulePurchase{value: msg.value}(
+            msg.sender,
+            datasetId,
+            durationSeconds,
+            licenseId,
+            price,
+            address(0),
+            false
+        );
+        DatasetAccess.AccessPurchase memory purchase = datasetAccess.getPurchase(purchaseId);
+
+        licenses[licenseId] = License({
+            datasetId: datasetId,
+            holder: msg.sender,
+            seats: seats,
+            assigned: 1,
+            expiryTime: purchase.expiryTime,
+            purchaseId: purchaseId,
+            escrowAgent: datasetAccess.escrowedPayments(purchaseId)
+        });
+        seatTokens[licenseId][msg.sender] = purchase.tokenId;
+        holderLicenses[msg.sender].push(licenseId);
+
+        emit LicensePurchased(licenseId, datasetId, msg.sender, seats, price, purchase.expiryTime, purchaseId);
+        emit SeatAssigned(licenseId, msg.sender, purchase.tokenId);
+    }
+
+    /**
+     * @dev Give a member a seat, minting them an access token that expires with the license
+     * (license holder only)
+     * @notice Unavailable while the license payment is held for a refund window, so a refund
+     * never leaves member tokens behind
+     * @param licenseId License ID
+     * @param member Wallet receiving the seat
+     * @return tokenId The member's access token ID
+     */
+    function assignSeat(uint256 licenseId, address member) public returns (uint256 tokenId) {
+        License storage license = _heldLicense(licenseId);
+        require(block.timestamp < license.expiryTime, "License expired");
+        require(member != address(0), "Invalid member address");
+        require(seatTokens[licenseId][member] == 0, "Member already assigned");
+        require(license.assigned < license.seats, "No seats available");
+        if (license.escrowAgent != address(0)) {
+            require(
+                datasetAccess.escrowedPayments(license.purchaseId) == address(0),
+                "Seats unavailable during refund window"
+            );
+            require(!IDatasetEscrowAgent(license.escrowAgent).isRefunded(license.purchaseId), "License refunded");
+        }
+
+        tokenId = datasetToken.mintAccessToken(
+            member,
+            license.datasetId,
+            license.expiryTime,
+            datasetAccess.getDatasetOwner(license.datasetId)
+        );
+        license.assigned++;
+        seatTokens[licenseId][member] = tokenId;
+
+        emit SeatAssigned(licenseId, member, tokenId);
+    }
+
+    /**
+     * @dev Take a member's seat back, burning their access token (license holder only)
+     * @notice The seat is freed even if the token was already burned (e.g. by revokeAccess)
+     * @param licenseId License ID
+     * @param member Wallet losing the seat
+     */
+    function unassignSeat(uint256 licenseId, address member) public {
+        License storage license = _heldLicense(licenseId);
+        uint256 tokenId = seatTokens[licenseId][member];
+        require(tokenId != 0, "Member not assigned");
+
+        license.assigned--;
+        delete seatTokens[licenseId][member];
+        // Burned tokens have their info deleted
+        (uint256 tokenDatasetId, , , , ) = datasetToken.tokenInfo(tokenId);
+        if (tokenDatasetId != 0) {
+            datasetToken.forceBurn(tokenId);
+        }
+
+        emit SeatUnassigned(licenseId, member, tokenId);
+    }
+
+    /**
+     * @dev Get a license
+     * @param licenseId License ID
+     * @return License details
+     */
+    function getLicense(uint256 licenseId) public view returns (License memory) {
+        require(_licenseExists(licenseId), "License does not exist");
+        return licenses[licenseId];
+    }
+
+    /**
+     * @dev Get the licenses bought by a holder
+     * @param holder Holder address
+     * @return Array of license IDs
+     */
+    function getHolderLicenses(address holder) public view returns (uint256[] memory) {
+        return holderLicenses[holder];
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Get a license the caller holds
+     * @param licenseId License ID
+     * @return license License storage reference
+     */
+    function _heldLicense(uint256 licenseId) internal view returns (License storage license) {
+        require(_licenseExists(licenseId), "License does not exist");
+        license = licenses[licenseId];
+        require(license.holder == msg.sender, "Not license holder");
+    }
+
+    /**
+     * @dev Check if a license exists
+     * @param licenseId License ID
+     * @return Whether the license exists
+     */
+    function _licenseExists(uint256 licenseId) internal view returns (bool) {
+        return licenseId > 0 && licenseId < _licenseIdCounter;
+    }
+}
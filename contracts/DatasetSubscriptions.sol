@@ -0,0 +1,357 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetSubscriptions
+ * @dev Access module for recurring ERC-20 billing
+ * @notice Subscribers approve an allowance for this contract once. Anyone can then call
+ * chargeDue() when a period ends; the charge is sent to DatasetAccess, which extends the
+ * subscriber's access token and splits the payment like any other purchase.
+ */
+contract DatasetSubscriptions is ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    enum SubscriptionStatus {
+        ACTIVE,
+        PAST_DUE,   // Last charge failed, retries allowed until the grace period ends
+        CANCELLED,
+        EXPIRED
+    }
+
+    // Subscription plan structure
+    struct SubscriptionPlan {
+        uint256 datasetId;
+        address paymentToken;
+        uint256 price;        // Charged every period, in token units
+        uint256 period;       // Billing period and access added per charge, in seconds
+        uint256 gracePeriod;  // Time after a failed charge before the subscription expires
+        bool active;
+    }
+
+    // Subscription structure
+    struct Subscription {
+        uint256 planId;
+        address subscriber;
+        uint256 nextChargeTime; // End of the paid period
+        uint256 chargeCount;
+        SubscriptionStatus status;
+    }
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+    uint256 private _planIdCounter;
+    uint256 private _subscriptionIdCounter;
+
+    // Mappings
+    mapping(uint256 => SubscriptionPlan) public subscriptionPlans;
+    mapping(uint256 => uint256[]) public datasetSubscriptionPlans; // datasetId => planIds[]
+    mapping(uint256 => Subscription) public subscriptions;
+    mapping(address => uint256[]) public userSubscriptions; // subscriber => subscriptionIds[]
+    mapping(address => mapping(uint256 => uint256)) public activeSubscription; // subscriber => datasetId => subscriptionId
+
+    // Events
+    event SubscriptionPlanCreated(
+        uint256 indexed planId,
+        uint256 indexed datasetId,
+        address paymentToken,
+        uint256 price,
+        uint256 period,
+        uint256 gracePeriod
+    );
+
+    event SubscriptionPlanStatusChanged(uint256 indexed planId, bool active);
+
+    event Subscribed(
+        uint256 indexed subscriptionId,
+        uint256 indexed planId,
+        address indexed subscriber
+    );
+
+    event SubscriptionCharged(
+        uint256 indexed subscriptionId,
+        uint256 indexed purchaseId,
+        uint256 amount,
+        uint256 nextChargeTime
+    );
+
+    event SubscriptionChargeFailed(uint256 indexed subscriptionId, uint256 graceEndTime);
+
+    event SubscriptionCancelled(uint256 indexed subscriptionId);
+
+    event SubscriptionExpired(uint256 indexed subscriptionId);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+        _planIdCounter = 1;
+        _subscriptionIdCounter = 1;
+    }
+
+    /**
+     * @dev Create a subscription plan for a dataset
+     * @param datasetId Dataset ID
+     * @param paymentToken Allowlisted ERC-20 token charged each period
+     * @param price Price per period in token units
+     * @param period Billing period in seconds (e.g. 30 days)
+     * @param gracePeriod Seconds a failed charge may be retried before the subscription expires
+     * @return planId The created plan ID
+     */
+    function createSubscriptionPlan(
+        uint256 datasetId,
+        address paymentToken,
+        uint256 price,
+        uint256 period,
+        uint256 gracePeriod
+    ) public returns (uint256) {
+        _requirePlanManager(datasetId);
+        require(datasetAccess.allowedPaymentTokens(paymentToken), "Payment token not allowed");
+        require(price > 0, "Price must be greater than 0");
+        require(period > 0, "Period must be greater than 0");
+
+        uint256 planId = _planIdCounter++;
+        subscriptionPlans[planId] = SubscriptionPlan({
+            datasetId: datasetId,
+            paymentToken: paymentToken,
+            price: price,
+            period: period,
+            gracePeriod: gracePeriod,
+            active: true
+        });
+        datasetSubscriptionPlans[datasetId].push(planId);
+
+        emit SubscriptionPlanCreated(planId, datasetId, paymentToken, price, period, gracePeriod);
+        return planId;
+    }
+
+    /**
+     * @dev Open or close a plan to new subscribers; existing subscriptions keep renewing
+     * @param planId Plan ID
+     * @param active New status
+     */
+    function setSubscriptionPlanActive(uint256 planId, bool active) public {
+        require(_planExists(planId), "Plan does not exist");
+        _requirePlanManager(subscriptionPlans[planId].datasetId);
+
+        subscriptionPlans[planId].active = active;
+        emit SubscriptionPlanStatusChanged(planId, active);
+    }
+
+    /**
+     * @dev Subscribe to a plan and pay the first period
+     * @notice Requires an allowance for this contract covering at least the first charge;
+     * approve more to cover future periods
+     * @param planId Plan ID
+     * @return subscriptionId The subscription ID
+     */
+    function subscribe(uint256 planId) public nonReentrant returns (uint256) {
+        require(_planExists(planId), "Plan does not exist");
+        SubscriptionPlan storage plan = subscriptionPlans[planId];
+        require(plan.active, "Plan is not active");
+        require(activeSubscription[msg.sender][plan.datasetId] == 0, "Already subscribed to dataset");
+
+        uint256 subscriptionId = _subscriptionIdCounter++;
+        Subscription storage sub = subscriptions[subscriptionId];
+        sub.planId = planId;
+        sub.subscriber = msg.sender;
+
+        userSubscriptions[msg.sender].push(subscriptionId);
+        activeSubscription[msg.sender][plan.datasetId] = subscriptionId;
+
+        emit Subscribed(subscriptionId, planId, msg.sender);
+
+        IERC20(plan.paymentToken).safeTransferFrom(msg.sender, address(datasetAccess), plan.price);
+        _recordCharge(subscriptionId, sub, plan);
+
+        return subscriptionId;
+    }
+
+    /**
+     * @dev Charge a subscription whose paid period has ended (callable by anyone)
+     * @notice A failed charge moves the subscription into its grace period, where it can be retried.
+     * A period that is not paid before the grace period ends expires the subscription.
+     * @param subscriptionId Subscription ID
+     * @return charged Whether the subscriber was charged
+     */
+    function chargeDue(uint256 subscriptionId) public nonReentrant returns (bool charged) {
+        require(_subscriptionExists(subscriptionId), "Subscription does not exist");
+        Subscription storage sub = subscriptions[subscriptionId];
+        require(
+            sub.status == SubscriptionStatus.ACTIVE || sub.status == SubscriptionStatus.PAST_DUE,
+            "Subscription is not active"
+        );
+        require(block.timestamp >= sub.nextChargeTime, "Subscription not due");
+
+        SubscriptionPlan storage plan = subscriptionPlans[sub.planId];
+        uint256 graceEndTime = sub.nextChargeTime + plan.gracePeriod;
+
+        if (block.timestamp >= graceEndTime) {
+            _endSubscription(subscriptionId, sub, SubscriptionStatus.EXPIRED);
+            emit SubscriptionExpired(subscriptionId);
+            return false;
+        }
+
+        if (!IERC20(plan.paymentToken).trySafeTransferFrom(sub.subscriber, address(datasetAccess), plan.price)) {
+            sub.status = SubscriptionStatus.PAST_DUE;
+            emit SubscriptionChargeFailed(subscriptionId, graceEndTime);
+            return false;
+        }
+
+        sub.status = SubscriptionStatus.ACTIVE;
+        _recordCharge(subscriptionId, sub, plan);
+        return true;
+    }
+
+    /**
+     * @dev Cancel a subscription; access already paid for runs until its expiry
+     * @param subscriptionId Subscription ID
+     */
+    function cancelSubscription(uint256 subscriptionId) public {
+        require(_subscriptionExists(subscriptionId), "Subscription does not exist");
+        Subscription storage sub = subscriptions[subscriptionId];
+        require(sub.subscriber == msg.sender, "Not subscriber");
+        require(
+            sub.status == SubscriptionStatus.ACTIVE || sub.status == SubscriptionStatus.PAST_DUE,
+            "Subscription is not active"
+        );
+
+        _endSubscription(subscriptionId, sub, SubscriptionStatus.CANCELLED);
+        emit SubscriptionCancelled(subscriptionId);
+    }
+
+    /**
+     * @dev Check whether a subscription can be charged now
+     * @param subscriptionId Subscription ID
+     * @return bool Whether chargeDue() would attempt a charge or expire the subscription
+     */
+    function isDue(uint256 subscriptionId) public view returns (bool) {
+        Subscription storage sub = subscriptions[subscriptionId];
+        return _subscriptionExists(subscriptionId) &&
+            (sub.status == SubscriptionStatus.ACTIVE || sub.status == SubscriptionStatus.PAST_DUE) &&
+            block.timestamp >= sub.nextChargeTime;
+    }
+
+    /**
+     * @dev Get a subscription
+     * @param subscriptionId Subscription ID
+     * @return Subscription record
+     */
+    function getSubscription(uint256 subscriptionId) public view returns (Subscription memory) {
+        require(_subscriptionExists(subscriptionId), "Subscription does not exist");
+        return subscriptions[subscriptionId];
+    }
+
+    /**
+     * @dev Get a subscription plan
+     * @param planId Plan ID
+     * @return SubscriptionPlan record
+     */
+    function getSubscriptionPlan(uint256 planId) public view returns (SubscriptionPlan memory) {
+        require(_planExists(planId), "Plan does not exist");
+        return subscriptionPlans[planId];
+    }
+
+    /**
+     * @dev Get all subscription plan IDs of a dataset
+     * @param datasetId Dataset ID
+     * @return Array of plan IDs
+     */
+    function getDatasetSubscriptionPlans(uint256 datasetId) public view returns (uint256[] memory) {
+        return datasetSubscriptionPlans[datasetId];
+    }
+
+    /**
+     * @dev Get all subscription IDs of a subscriber
+     * @param subscriber Subscriber address
+     * @return Array of subscription IDs
+     */
+    function getUserSubscriptions(address subscriber) public view returns (uint256[] memory) {
+        return userSubscriptions[subscriber];
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Require the caller to be the dataset owner or hold its MANAGER role
+     * @param datasetId Dataset ID
+     */
+    function _requirePlanManager(uint256 datasetId) internal view {
+        address datasetOwner = datasetAccess.getDatasetOwner(datasetId);
+        require(
+            datasetOwner == msg.sender ||
+                datasetAccess.hasDatasetRole(datasetId, DatasetAccess.DatasetRole.MANAGER, msg.sender),
+            "Not authorized to manage subscription plans"
+        );
+    }
+
+    /**
+     * @dev Check if plan exists
+     * @param planId Plan ID to check
+     * @return bool Whether plan exists
+     */
+    function _planExists(uint256 planId) internal view returns (bool) {
+        return planId > 0 && planId < _planIdCounter;
+    }
+
+    /**
+     * @dev Check if subscription exists
+     * @param subscriptionId Subscription ID to check
+     * @return bool Whether subscription exists
+     */
+    function _subscriptionExists(uint256 subscriptionId) internal view returns (bool) {
+        return subscriptionId > 0 && subscriptionId < _subscriptionIdCounter;
+    }
+
+    /**
+     * @dev Record a collected charge in DatasetAccess and advance the billing period
+     * @param subscriptionId Subscription ID
+     * @param sub Subscription storage pointer
+     * @param plan Plan storage pointer
+     */
+    function _recordCharge(
+        uint256 subscriptionId,
+        Subscription storage sub,
+        SubscriptionPlan storage plan
+    ) internal {
+        uint256 purchaseId = datasetAccess.recordModulePurchase(
+            sub.subscriber,
+            plan.datasetId,
+            plan.period,
+            sub.planId,
+            plan.price,
+            plan.paymentToken,
+            true
+        );
+
+        sub.nextChargeTime = datasetAccess.getPurchase(purchaseId).expiryTime;
+        sub.chargeCount++;
+
+        emit SubscriptionCharged(subscriptionId, purchaseId, plan.price, sub.nextChargeTime);
+    }
+
+    /**
+     * @dev Close a subscription and free the subscriber's dataset slot
+     * @param subscriptionId Subscription ID
+     * @param sub Subscription storage pointer
+     * @param status Final status
+     */
+    function _endSubscription(
+        uint256 subscriptionId,
+        Subscription storage sub,
+        SubscriptionStatus status
+    ) internal {
+        sub.status = status;
+        uint256 datasetId = subscriptionPlans[sub.planId].datasetId;
+        if (activeSubscription[sub.subscriber][datasetId] == subscriptionId) {
+            delete activeSubscription[sub.subscriber][datasetId];
+        }
+    }
+}
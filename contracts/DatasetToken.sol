@@ -3,21 +3,50 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC721/ERC721.sol";
 import "@openzeppelin/contracts/token/ERC721/extensions/ERC721URIStorage.sol";
+import "@openzeppelin/contracts/token/common/ERC2981.sol";
 import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/utils/Pausable.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "./Pagination.sol";
+
+/**
+ * @title IDatasetOwnershipRegistry
+ * @dev Implemented by contracts that track dataset ownership and must follow ownership NFT transfers
+ */
+interface IDatasetOwnershipRegistry {
+    function onOwnershipTransfer(uint256 datasetId, address from, address to) external;
+}
+
+/**
+ * @title IDatasetOwnershipEscrow
+ * @dev Implemented by escrow contracts (e.g. marketplaces) that hold ownership tokens for sale
+ */
+interface IDatasetOwnershipEscrow {
+    function onDatasetDisabled(uint256 datasetId) external;
+}
 
 /**
  * @title DatasetToken
  * @dev ERC721 contract for dataset ownership and access tokens
- * @notice This contract manages both permanent ownership tokens and temporary access tokens
+ * @notice This contract manages both permanent ownership tokens and temporary access tokens.
+ * Ownership tokens point at the dataset's IPFS metadata; access token metadata is generated on-chain.
+ * Accepts ERC-2771 meta-transactions from the trusted forwarder fixed at deployment.
+ * Ownership tokens report ERC-2981 royalties set per dataset for secondary sales.
+ * Ownership tokens deposited with an allowlisted escrow keep dataset control with the depositor:
+ * the registry is only notified when the escrow releases the token to someone else.
  */
-contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, ReentrancyGuard {
+contract DatasetToken is ERC721, ERC721URIStorage, ERC2981, AccessControl, Pausable, ReentrancyGuard, ERC2771Context {
     // Role definitions
     bytes32 public constant MINTER_ROLE = keccak256("MINTER_ROLE");
     bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
     bytes32 public constant BURNER_ROLE = keccak256("BURNER_ROLE");
 
+    // Constants
+    uint96 public constant MAX_ROYALTY_FEE = 1000; // 10% max secondary-sale royalty, in basis points
+
     // Token type enumeration
     enum TokenType {
         OWNERSHIP,  // Permanent ownership token
@@ -38,6 +67,17 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
     mapping(uint256 => TokenInfo) public tokenInfo;
     mapping(uint256 => uint256[]) public datasetTokens; // datasetId => tokenIds[]
     mapping(address => uint256[]) public userTokens;    // user => tokenIds[]
+    mapping(uint256 => uint256) public ownershipTokens; // datasetId => ownership tokenId
+    address public ownershipRegistry;                   // Notified when ownership tokens change hands
+    mapping(address => mapping(uint256 => uint256)) public latestAccessTokens; // user => datasetId => access token with the latest expiry
+    mapping(address => bool) public ownershipEscrows;   // Contracts allowed to hold ownership tokens in escrow
+    mapping(uint256 => address) public escrowDepositors; // Ownership tokenId => account that deposited it in escrow
+
+    // Index so access lookups and removals don't scan a user's or dataset's whole token list
+    mapping(address => mapping(uint256 => uint256[])) private _userDatasetAccessTokens; // user => datasetId => access tokenIds[]
+    mapping(uint256 => uint256) private _userTokenPositions;        // tokenId => position in userTokens
+    mapping(uint256 => uint256) private _datasetTokenPositions;     // tokenId => position in datasetTokens
+    mapping(uint256 => uint256) private _userDatasetTokenPositions; // tokenId => position in _userDatasetAccessTokens
 
     // Events
     event DatasetTokenMinted(
@@ -56,15 +96,39 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
         uint256 expiryTime
     );
 
+    event AccessTokenExtended(
+        uint256 indexed tokenId,
+        uint256 indexed datasetId,
+        uint256 oldExpiryTime,
+        uint256 newExpiryTime
+    );
+
+    event AccessTokenShortened(
+        uint256 indexed tokenId,
+        uint256 indexed datasetId,
+        uint256 oldExpiryTime,
+        uint256 newExpiryTime
+    );
+
     event TokenBurned(uint256 indexed tokenId, uint256 indexed datasetId);
 
     event TokenTransferabilityUpdated(uint256 indexed tokenId, bool transferable);
 
+    event OwnershipRegistryUpdated(address oldRegistry, address newRegistry);
+
+    event DatasetRoyaltyUpdated(uint256 indexed datasetId, address receiver, uint96 feeNumerator);
+
+    event OwnershipEscrowUpdated(address indexed escrow, bool enabled);
+
     /**
      * @dev Constructor
      * @param initialOwner Address that will be granted DEFAULT_ADMIN_ROLE
+     * @param forwarder ERC-2771 trusted forwarder (zero address to disable meta-transactions)
      */
-    constructor(address initialOwner) ERC721("Dataset Marketplace Token", "DMT") {
+    constructor(
+        address initialOwner,
+        address forwarder
+    ) ERC721("Dataset Marketplace Token", "DMT") ERC2771Context(forwarder) {
         _grantRole(DEFAULT_ADMIN_ROLE, initialOwner);
         _grantRole(MINTER_ROLE, initialOwner);
         _grantRole(PAUSER_ROLE, initialOwner);
@@ -97,8 +161,9 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
             originalOwner: to
         });
 
-        datasetTokens[datasetId].push(tokenId);
-        userTokens[to].push(tokenId);
+        _addToArray(datasetTokens[datasetId], _datasetTokenPositions, tokenId);
+        _addHolderToken(to, tokenId);
+        ownershipTokens[datasetId] = tokenId;
 
         emit DatasetTokenMinted(tokenId, datasetId, to, TokenType.OWNERSHIP, metadataURI);
         return tokenId;
@@ -110,7 +175,25 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
      * @param datasetId Dataset ID for access
      * @param expiryTime When the access expires (timestamp)
      * @param originalOwner Address of the dataset owner
-     * @param metadataURI IPFS URI for access token metadata
+     * @return tokenId The minted access token ID
+     */
+    function mintAccessToken(
+        address to,
+        uint256 datasetId,
+        uint256 expiryTime,
+        address originalOwner
+    ) public onlyRole(MINTER_ROLE) whenNotPaused returns (uint256) {
+        return _mintAccessToken(to, datasetId, expiryTime, originalOwner);
+    }
+
+    /**
+     * @dev Mint a temporary access token (deprecated signature)
+     * @notice Kept so callers of the former signature keep working. Access token metadata is
+     * generated on-chain, so the trailing metadata URI argument is ignored.
+     * @param to Address to mint the access token to
+     * @param datasetId Dataset ID for access
+     * @param expiryTime When the access expires (timestamp)
+     * @param originalOwner Address of the dataset owner
      * @return tokenId The minted access token ID
      */
     function mintAccessToken(
@@ -118,29 +201,61 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
         uint256 datasetId,
         uint256 expiryTime,
         address originalOwner,
-        string memory metadataURI
+        string calldata /* metadataURI */
     ) public onlyRole(MINTER_ROLE) whenNotPaused returns (uint256) {
-        require(expiryTime > block.timestamp, "Expiry time must be in the future");
-        require(to != originalOwner, "Cannot mint access token to dataset owner");
+        return _mintAccessToken(to, datasetId, expiryTime, originalOwner);
+    }
 
-        uint256 tokenId = _tokenIdCounter++;
-        
-        _safeMint(to, tokenId);
-        _setTokenURI(tokenId, metadataURI);
+    /**
+     * @dev Push out the expiry of an existing access token
+     * @param tokenId Access token ID
+     * @param newExpiryTime New expiry timestamp (must be later than the current expiry and now)
+     */
+    function extendAccessToken(uint256 tokenId, uint256 newExpiryTime) public onlyRole(MINTER_ROLE) whenNotPaused {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        TokenInfo storage info = tokenInfo[tokenId];
+        require(info.tokenType == TokenType.ACCESS, "Can only extend access tokens");
+        require(
+            newExpiryTime > info.expiryTime && newExpiryTime > block.timestamp,
+            "Expiry time must be extended into the future"
+        );
 
-        tokenInfo[tokenId] = TokenInfo({
-            datasetId: datasetId,
-            tokenType: TokenType.ACCESS,
-            expiryTime: expiryTime,
-            transferable: false,
-            originalOwner: originalOwner
-        });
+        uint256 oldExpiryTime = info.expiryTime;
+        info.expiryTime = newExpiryTime;
 
-        datasetTokens[datasetId].push(tokenId);
-        userTokens[to].push(tokenId);
+        address holder = ownerOf(tokenId);
+        uint256 latest = latestAccessTokens[holder][info.datasetId];
+        if (latest != tokenId && newExpiryTime > tokenInfo[latest].expiryTime) {
+            latestAccessTokens[holder][info.datasetId] = tokenId;
+        }
 
-        emit AccessTokenMinted(tokenId, datasetId, to, originalOwner, expiryTime);
-        return tokenId;
+        emit AccessTokenExtended(tokenId, info.datasetId, oldExpiryTime, newExpiryTime);
+    }
+
+    /**
+     * @dev Pull in the expiry of an existing access token, e.g. to take back a refunded renewal
+     * @param tokenId Access token ID
+     * @param newExpiryTime New expiry timestamp (must be earlier than the current expiry and later than now)
+     */
+    function shortenAccessToken(uint256 tokenId, uint256 newExpiryTime) public onlyRole(BURNER_ROLE) {
+        require(_ownerOf(tokenId) != address(0), "Token does not exist");
+        TokenInfo storage info = tokenInfo[tokenId];
+        require(info.tokenType == TokenType.ACCESS, "Can only shorten access tokens");
+        require(
+            newExpiryTime < info.expiryTime && newExpiryTime > block.timestamp,
+            "Expiry time must be shortened to a future time"
+        );
+
+        uint256 oldExpiryTime = info.expiryTime;
+        info.expiryTime = newExpiryTime;
+
+        // Another of the holder's tokens may now expire later
+        address holder = ownerOf(tokenId);
+        if (latestAccessTokens[holder][info.datasetId] == tokenId) {
+            _updateLatestAccessToken(holder, info.datasetId);
+        }
+
+        emit AccessTokenShortened(tokenId, info.datasetId, oldExpiryTime, newExpiryTime);
     }
 
     /**
@@ -200,15 +315,36 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
         
         // Allow owner, original owner, or burner role to burn expired tokens
         require(
-            ownerOf(tokenId) == msg.sender || 
-            info.originalOwner == msg.sender || 
-            hasRole(BURNER_ROLE, msg.sender),
+            ownerOf(tokenId) == _msgSender() || 
+            info.originalOwner == _msgSender() || 
+            hasRole(BURNER_ROLE, _msgSender()),
             "Not authorized to burn this token"
         );
 
         _burnToken(tokenId);
     }
 
+    /**
+     * @dev Burn a batch of expired access tokens (callable by anyone)
+     * @notice Token IDs that don't exist, aren't access tokens or haven't expired are skipped
+     * @param tokenIds Token IDs to burn
+     * @return burned Number of tokens burned
+     */
+    function burnExpiredTokens(uint256[] calldata tokenIds) public returns (uint256 burned) {
+        for (uint256 i = 0; i < tokenIds.length; i++) {
+            uint256 tokenId = tokenIds[i];
+            TokenInfo storage info = tokenInfo[tokenId];
+            if (
+                _ownerOf(tokenId) != address(0) &&
+                info.tokenType == TokenType.ACCESS &&
+                info.expiryTime <= block.timestamp
+            ) {
+                _burnToken(tokenId);
+                burned++;
+            }
+        }
+    }
+
     /**
      * @dev Force burn a token (admin only)
      * @param tokenId Token ID to burn
@@ -226,13 +362,17 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
         TokenInfo memory info = tokenInfo[tokenId];
         address owner = ownerOf(tokenId);
         
-        // Remove from user tokens array
-        _removeFromArray(userTokens[owner], tokenId);
+        // Remove from user tokens and the access index
+        _removeHolderToken(owner, tokenId);
         
         // Remove from dataset tokens array
-        _removeFromArray(datasetTokens[info.datasetId], tokenId);
+        _removeFromArray(datasetTokens[info.datasetId], _datasetTokenPositions, tokenId);
         
         // Clean up token info
+        if (info.tokenType == TokenType.OWNERSHIP && ownershipTokens[info.datasetId] == tokenId) {
+            delete ownershipTokens[info.datasetId];
+            _resetTokenRoyalty(tokenId);
+        }
         delete tokenInfo[tokenId];
         
         // Burn the token
@@ -242,18 +382,129 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
     }
 
     /**
-     * @dev Remove a value from an array
-     * @param array The array to modify
-     * @param value The value to remove
+     * @dev Mint a temporary access token
+     * @param to Address to mint the access token to
+     * @param datasetId Dataset ID for access
+     * @param expiryTime When the access expires (timestamp)
+     * @param originalOwner Address of the dataset owner
+     * @return tokenId The minted access token ID
+     */
+    function _mintAccessToken(
+        address to,
+        uint256 datasetId,
+        uint256 expiryTime,
+        address originalOwner
+    ) internal returns (uint256) {
+        require(expiryTime > block.timestamp, "Expiry time must be in the future");
+        require(to != originalOwner, "Cannot mint access token to dataset owner");
+
+        uint256 tokenId = _tokenIdCounter++;
+        
+        _safeMint(to, tokenId);
+
+        tokenInfo[tokenId] = TokenInfo({
+            datasetId: datasetId,
+            tokenType: TokenType.ACCESS,
+            expiryTime: expiryTime,
+            transferable: false,
+            originalOwner: originalOwner
+        });
+
+        _addToArray(datasetTokens[datasetId], _datasetTokenPositions, tokenId);
+        _addHolderToken(to, tokenId);
+
+        emit AccessTokenMinted(tokenId, datasetId, to, originalOwner, expiryTime);
+        return tokenId;
+    }
+
+    /**
+     * @dev Add a token to its holder's token list and, for access tokens, the access index
+     * @param holder Token holder
+     * @param tokenId Token ID (its tokenInfo must be set)
+     */
+    function _addHolderToken(address holder, uint256 tokenId) internal {
+        _addToArray(userTokens[holder], _userTokenPositions, tokenId);
+
+        TokenInfo storage info = tokenInfo[tokenId];
+        if (info.tokenType == TokenType.ACCESS) {
+            _addToArray(_userDatasetAccessTokens[holder][info.datasetId], _userDatasetTokenPositions, tokenId);
+
+            uint256 latest = latestAccessTokens[holder][info.datasetId];
+            if (latest == 0 || info.expiryTime >= tokenInfo[latest].expiryTime) {
+                latestAccessTokens[holder][info.datasetId] = tokenId;
+            }
+        }
+    }
+
+    /**
+     * @dev Remove a token from its holder's token list and the access index
+     * @param holder Token holder
+     * @param tokenId Token ID (its tokenInfo must still be set)
+     */
+    function _removeHolderToken(address holder, uint256 tokenId) internal {
+        _removeFromArray(userTokens[holder], _userTokenPositions, tokenId);
+
+        TokenInfo storage info = tokenInfo[tokenId];
+        if (info.tokenType == TokenType.ACCESS) {
+            uint256[] storage accessTokens = _userDatasetAccessTokens[holder][info.datasetId];
+            _removeFromArray(accessTokens, _userDatasetTokenPositions, tokenId);
+
+            // Fall back to the holder's next latest token for this dataset
+            if (latestAccessTokens[holder][info.datasetId] == tokenId) {
+                _updateLatestAccessToken(holder, info.datasetId);
+            }
+        }
+    }
+
+    /**
+     * @dev Point the access index at the holder's token with the latest expiry for a dataset
+     * @param holder Token holder
+     * @param datasetId Dataset ID
      */
-    function _removeFromArray(uint256[] storage array, uint256 value) internal {
-        for (uint256 i = 0; i < array.length; i++) {
-            if (array[i] == value) {
-                array[i] = array[array.length - 1];
-                array.pop();
-                break;
+    function _updateLatestAccessToken(address holder, uint256 datasetId) internal {
+        uint256[] storage accessTokens = _userDatasetAccessTokens[holder][datasetId];
+        uint256 latest = 0;
+        for (uint256 i = 0; i < accessTokens.length; i++) {
+            if (latest == 0 || tokenInfo[accessTokens[i]].expiryTime > tokenInfo[latest].expiryTime) {
+                latest = accessTokens[i];
             }
         }
+        latestAccessTokens[holder][datasetId] = latest;
+    }
+
+    /**
+     * @dev Append a value to an array and record its position
+     * @param array The array to modify
+     * @param positions Value => position in array
+     * @param value The value to add
+     */
+    function _addToArray(
+        uint256[] storage array,
+        mapping(uint256 => uint256) storage positions,
+        uint256 value
+    ) internal {
+        positions[value] = array.length;
+        array.push(value);
+    }
+
+    /**
+     * @dev Remove a value from an array in constant time (swap and pop)
+     * @param array The array to modify
+     * @param positions Value => position in array
+     * @param value The value to remove
+     */
+    function _removeFromArray(
+        uint256[] storage array,
+        mapping(uint256 => uint256) storage positions,
+        uint256 value
+    ) internal {
+        uint256 position = positions[value];
+        uint256 lastValue = array[array.length - 1];
+
+        array[position] = lastValue;
+        positions[lastValue] = position;
+        array.pop();
+        delete positions[value];
     }
 
     /**
@@ -270,6 +521,81 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
         emit TokenTransferabilityUpdated(tokenId, transferable);
     }
 
+    /**
+     * @dev Set the registry notified of ownership token transfers (admin only)
+     * @param registry Registry contract address (zero address disables notifications)
+     */
+    function setOwnershipRegistry(address registry) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        address oldRegistry = ownershipRegistry;
+        ownershipRegistry = registry;
+        emit OwnershipRegistryUpdated(oldRegistry, registry);
+    }
+
+    /**
+     * @dev Allow or disallow a contract to hold ownership tokens in escrow (admin only)
+     * @param escrow Escrow contract address
+     * @param enabled Whether deposits keep dataset control with the depositor
+     */
+    function setOwnershipEscrow(address escrow, bool enabled) public onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(escrow != address(0), "Invalid escrow address");
+        ownershipEscrows[escrow] = enabled;
+        emit OwnershipEscrowUpdated(escrow, enabled);
+    }
+
+    /**
+     * @dev Tell the escrow holding a dataset's ownership token that the dataset was disabled
+     * (ownership registry only)
+     * @notice Escrows are trusted to handle the call; it is skipped while transfers are paused,
+     * since the escrow could not return the token
+     * @param datasetId Dataset ID
+     * @param isActive Whether the dataset is now active
+     */
+    function onDatasetToggled(uint256 datasetId, bool isActive) external {
+        require(_msgSender() == ownershipRegistry, "Only ownership registry");
+
+        address holder = datasetOwnerOf(datasetId);
+        if (!isActive && ownershipEscrows[holder] && !paused()) {
+            IDatasetOwnershipEscrow(holder).onDatasetDisabled(datasetId);
+        }
+    }
+
+    /**
+     * @dev Set the ERC-2981 royalty paid on secondary sales of a dataset's ownership token
+     * (ownership token holder or admin)
+     * @notice Point the receiver at a DatasetRoyaltySplitter to pay the recipients set in DatasetAccess
+     * @param datasetId Dataset ID
+     * @param receiver Royalty receiver (zero address to remove the royalty)
+     * @param feeNumerator Royalty in basis points of the sale price
+     */
+    function setDatasetRoyalty(uint256 datasetId, address receiver, uint96 feeNumerator) public {
+        uint256 tokenId = ownershipTokens[datasetId];
+        require(tokenId != 0, "Dataset does not exist");
+        require(
+            ownerOf(tokenId) == _msgSender() || hasRole(DEFAULT_ADMIN_ROLE, _msgSender()),
+            "Not dataset owner"
+        );
+        require(feeNumerator <= MAX_ROYALTY_FEE, "Royalty fee too high");
+
+        if (receiver == address(0)) {
+            _resetTokenRoyalty(tokenId);
+            feeNumerator = 0;
+        } else {
+            _setTokenRoyalty(tokenId, receiver, feeNumerator);
+        }
+
+        emit DatasetRoyaltyUpdated(datasetId, receiver, feeNumerator);
+    }
+
+    /**
+     * @dev Get the current holder of a dataset's ownership token
+     * @param datasetId Dataset ID
+     * @return Holder address (zero address if no ownership token exists)
+     */
+    function datasetOwnerOf(uint256 datasetId) public view returns (address) {
+        uint256 tokenId = ownershipTokens[datasetId];
+        return tokenId == 0 ? address(0) : _ownerOf(tokenId);
+    }
+
     /**
      * @dev Get all tokens owned by a user
      * @param user User address
@@ -279,6 +605,64 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
         return userTokens[user];
     }
 
+    /**
+     * @dev Get a page of the tokens owned by a user
+     * @param user User address
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of tokens to return
+     * @return tokenIds Page of token IDs
+     * @return total Number of tokens owned by the user
+     */
+    function getUserTokensPage(address user, uint256 offset, uint256 limit) public view returns (
+        uint256[] memory tokenIds,
+        uint256 total
+    ) {
+        return Pagination.paginate(userTokens[user], offset, limit);
+    }
+
+    /**
+     * @dev Get a user's access tokens for a dataset, expired ones included
+     * @param user User address
+     * @param datasetId Dataset ID
+     * @return Array of access token IDs
+     */
+    function getUserDatasetTokens(address user, uint256 datasetId) public view returns (uint256[] memory) {
+        return _userDatasetAccessTokens[user][datasetId];
+    }
+
+    /**
+     * @dev Get a page of a user's access tokens for a dataset, expired ones included
+     * @param user User address
+     * @param datasetId Dataset ID
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of tokens to return
+     * @return tokenIds Page of access token IDs
+     * @return total Number of access tokens the user holds for the dataset
+     */
+    function getUserDatasetTokensPage(address user, uint256 datasetId, uint256 offset, uint256 limit)
+        public
+        view
+        returns (uint256[] memory tokenIds, uint256 total)
+    {
+        return Pagination.paginate(_userDatasetAccessTokens[user][datasetId], offset, limit);
+    }
+
+    /**
+     * @dev Get a user's access token with the latest expiry for a dataset in constant time
+     * @param user User address
+     * @param datasetId Dataset ID
+     * @return tokenId Access token ID (0 if the user holds none)
+     * @return expiryTime Its expiry timestamp (0 if the user holds none)
+     */
+    function getLatestAccess(address user, uint256 datasetId)
+        public
+        view
+        returns (uint256 tokenId, uint256 expiryTime)
+    {
+        tokenId = latestAccessTokens[user][datasetId];
+        expiryTime = tokenInfo[tokenId].expiryTime;
+    }
+
     /**
      * @dev Get all tokens for a specific dataset
      * @param datasetId Dataset ID
@@ -288,6 +672,21 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
         return datasetTokens[datasetId];
     }
 
+    /**
+     * @dev Get a page of the tokens for a specific dataset
+     * @param datasetId Dataset ID
+     * @param offset Index of the first token to return
+     * @param limit Maximum number of tokens to return
+     * @return tokenIds Page of token IDs
+     * @return total Number of tokens for the dataset
+     */
+    function getDatasetTokensPage(uint256 datasetId, uint256 offset, uint256 limit) public view returns (
+        uint256[] memory tokenIds,
+        uint256 total
+    ) {
+        return Pagination.paginate(datasetTokens[datasetId], offset, limit);
+    }
+
     /**
      * @dev Get the current token counter value
      * @return Current token counter
@@ -318,13 +717,40 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
 
         // Update user token arrays for transfers (not mints/burns)
         if (from != address(0) && to != address(0)) {
-            _removeFromArray(userTokens[from], tokenId);
-            userTokens[to].push(tokenId);
+            _removeHolderToken(from, tokenId);
+            _addHolderToken(to, tokenId);
+
+            TokenInfo memory info = tokenInfo[tokenId];
+            if (info.tokenType == TokenType.OWNERSHIP) {
+                _syncOwnership(info.datasetId, tokenId, from, to);
+            }
         }
 
         return previousOwner;
     }
 
+    /**
+     * @dev Keep the ownership registry in sync with the NFT holder, treating escrows as transparent
+     * @param datasetId Dataset ID
+     * @param tokenId Ownership token ID
+     * @param from Previous token holder
+     * @param to New token holder
+     */
+    function _syncOwnership(uint256 datasetId, uint256 tokenId, address from, address to) internal {
+        // Tokens leaving an escrow are transferred on behalf of their depositor
+        address seller = from;
+        if (ownershipEscrows[from]) {
+            seller = escrowDepositors[tokenId];
+            delete escrowDepositors[tokenId];
+        }
+
+        if (ownershipEscrows[to]) {
+            escrowDepositors[tokenId] = seller;
+        } else if (to != seller && ownershipRegistry != address(0)) {
+            IDatasetOwnershipRegistry(ownershipRegistry).onOwnershipTransfer(datasetId, seller, to);
+        }
+    }
+
     /**
      * @dev Pause the contract (admin only)
      */
@@ -339,22 +765,100 @@ contract DatasetToken is ERC721, ERC721URIStorage, AccessControl, Pausable, Reen
         _unpause();
     }
 
+    /**
+     * @dev Build the data URI of an access token's metadata
+     * @param tokenId Access token ID
+     * @return Base64 JSON data URI with the dataset ID, type, expiry, status and an SVG badge
+     */
+    function _accessTokenURI(uint256 tokenId) internal view returns (string memory) {
+        TokenInfo memory info = tokenInfo[tokenId];
+        string memory datasetId = Strings.toString(info.datasetId);
+        string memory expiryTime = Strings.toString(info.expiryTime);
+        bool active = hasValidAccess(tokenId);
+        string memory status = active ? "Active" : "Expired";
+
+        string memory json = string.concat(
+            '{"name":"Dataset #', datasetId, ' Access Pass",',
+            '"description":"Time-limited access to dataset #', datasetId, ' on the Dataset Marketplace.",',
+            '"attributes":[',
+            '{"trait_type":"Dataset ID","display_type":"number","value":', datasetId, '},',
+            '{"trait_type":"Type","value":"Access"},',
+            '{"trait_type":"Expiry","display_type":"date","value":', expiryTime, '},',
+            '{"trait_type":"Status","value":"', status, '"}],',
+            '"image":"data:image/svg+xml;base64,', Base64.encode(bytes(_accessBadgeSVG(datasetId, expiryTime, status, active))), '"}'
+        );
+
+        return string.concat("data:application/json;base64,", Base64.encode(bytes(json)));
+    }
+
+    /**
+     * @dev Render the SVG badge of an access token
+     * @param datasetId Dataset ID as a string
+     * @param expiryTime Expiry timestamp as a string
+     * @param status "Active" or "Expired"
+     * @param active Whether the token currently provides valid access
+     * @return SVG markup
+     */
+    function _accessBadgeSVG(
+        string memory datasetId,
+        string memory expiryTime,
+        string memory status,
+        bool active
+    ) internal pure returns (string memory) {
+        return string.concat(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="200" viewBox="0 0 350 200">',
+            '<rect width="350" height="200" rx="16" fill="', active ? "#0f766e" : "#6b7280", '"/>',
+            '<g font-family="monospace" fill="#ffffff">',
+            '<text x="24" y="44" font-size="14">DATASET ACCESS PASS</text>',
+            '<text x="24" y="100" font-size="40">#', datasetId, '</text>',
+            '<text x="24" y="144" font-size="13">Expires (unix): ', expiryTime, '</text>',
+            '<text x="24" y="176" font-size="18" font-weight="bold">', status, '</text>',
+            '</g></svg>'
+        );
+    }
+
     // Required overrides for multiple inheritance
+
+    /**
+     * @dev Get a token's metadata URI
+     * @notice Ownership tokens return their IPFS metadata URI. Access tokens return a base64
+     * JSON data URI generated on-chain, so their status is always current.
+     * @param tokenId Token ID
+     * @return Metadata URI
+     */
     function tokenURI(uint256 tokenId)
         public
         view
         override(ERC721, ERC721URIStorage)
         returns (string memory)
     {
+        _requireOwned(tokenId);
+        if (tokenInfo[tokenId].tokenType == TokenType.ACCESS) {
+            return _accessTokenURI(tokenId);
+        }
         return super.tokenURI(tokenId);
     }
 
     function supportsInterface(bytes4 interfaceId)
         public
         view
-        override(ERC721, ERC721URIStorage, AccessControl)
+        override(ERC721, ERC721URIStorage, ERC2981, AccessControl)
         returns (bool)
     {
         return super.supportsInterface(interfaceId);
     }
+
+    // ERC-2771 overrides: the signer of a forwarded request is the sender
+
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
\ No newline at end of file
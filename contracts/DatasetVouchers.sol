@@ -0,0 +1,184 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import "@openzeppelin/contracts/interfaces/IERC1271.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "./DatasetAccess.sol";
+
+/**
+ * @title DatasetVouchers
+ * @dev Access module for EIP-712 access vouchers signed by the dataset owner
+ * @notice Vouchers grant access at a price agreed off-chain (zero for free trials) without
+ * touching the dataset's public prices. Each nonce can be used once per signer and dataset, and
+ * the owner or its MANAGER role can cancel an unredeemed voucher by its nonce. Vouchers signed
+ * by a previous dataset owner stop working once ownership is transferred.
+ */
+contract DatasetVouchers is EIP712, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Signed voucher structure
+    struct AccessVoucher {
+        address buyer;
+        uint256 datasetId;
+        uint256 duration;     // Access duration in seconds
+        uint256 price;        // In wei or token units (0 for free access)
+        address paymentToken; // Zero address for ETH
+        uint256 nonce;
+        uint256 deadline;     // Last timestamp the voucher can be redeemed
+    }
+
+    bytes32 public constant ACCESS_VOUCHER_TYPEHASH = keccak256(
+        "AccessVoucher(address buyer,uint256 datasetId,uint256 duration,uint256 price,address paymentToken,uint256 nonce,uint256 deadline)"
+    );
+
+    // State variables
+    DatasetAccess public immutable datasetAccess;
+
+    // Mappings
+    mapping(address => mapping(uint256 => mapping(uint256 => bool))) public usedNonces; // signer => datasetId => nonce => redeemed or cancelled
+
+    // Events
+    event VoucherRedeemed(
+        uint256 indexed datasetId,
+        uint256 indexed nonce,
+        address indexed buyer,
+        uint256 purchaseId,
+        uint256 price
+    );
+
+    event VoucherCancelled(uint256 indexed datasetId, uint256 indexed nonce, address indexed signer);
+
+    /**
+     * @dev Constructor
+     * @param _datasetAccess Address of the DatasetAccess contract
+     */
+    constructor(address _datasetAccess) EIP712("DatasetVouchers", "1") {
+        require(_datasetAccess != address(0), "Invalid access contract address");
+        datasetAccess = DatasetAccess(payable(_datasetAccess));
+    }
+
+    /**
+     * @dev Redeem a voucher signed by the dataset owner and receive an access token
+     * @notice ETH vouchers take msg.value (excess is credited in DatasetAccess);
+     * token vouchers require an allowance for this contract
+     * @param voucher Voucher terms
+     * @param signature Dataset owner's EIP-712 signature (ERC-1271 for contract owners)
+     * @return purchaseId The DatasetAccess purchase ID
+     */
+    function redeemAccessVoucher(
+        AccessVoucher calldata voucher,
+        bytes calldata signature
+    ) public payable nonReentrant returns (uint256) {
+        require(voucher.buyer == msg.sender, "Not voucher buyer");
+        require(block.timestamp <= voucher.deadline, "Voucher expired");
+        address signer = datasetAccess.getDatasetOwner(voucher.datasetId);
+        require(!usedNonces[signer][voucher.datasetId][voucher.nonce], "Voucher already used or cancelled");
+        require(_isValidSignature(signer, hashVoucher(voucher), signature), "Invalid voucher signature");
+
+        usedNonces[signer][voucher.datasetId][voucher.nonce] = true;
+
+        uint256 purchaseId;
+        if (voucher.paymentToken == address(0)) {
+            purchaseId = datasetAccess.recordModulePurchase{value: msg.value}(
+                msg.sender,
+                voucher.datasetId,
+                voucher.duration,
+                0,
+                voucher.price,
+                address(0),
+                false
+            );
+        } else {
+            require(msg.value == 0, "ETH not accepted for token payment");
+            if (voucher.price > 0) {
+                IERC20(voucher.paymentToken).safeTransferFrom(msg.sender, address(datasetAccess), voucher.price);
+            }
+            purchaseId = datasetAccess.recordModulePurchase(
+                msg.sender,
+                voucher.datasetId,
+                voucher.duration,
+                0,
+                voucher.price,
+                voucher.paymentToken,
+                false
+            );
+        }
+
+        emit VoucherRedeemed(voucher.datasetId, voucher.nonce, msg.sender, purchaseId, voucher.price);
+        return purchaseId;
+    }
+
+    /**
+     * @dev Cancel an unredeemed voucher (dataset owner or MANAGER role only)
+     * @param datasetId Dataset ID
+     * @param nonce Voucher nonce
+     */
+    function cancelVoucher(uint256 datasetId, uint256 nonce) public {
+        address signer = datasetAccess.getDatasetOwner(datasetId);
+        require(
+            signer == msg.sender ||
+                datasetAccess.hasDatasetRole(datasetId, DatasetAccess.DatasetRole.MANAGER, msg.sender),
+            "Not authorized to cancel vouchers"
+        );
+        require(!usedNonces[signer][datasetId][nonce], "Voucher already used or cancelled");
+
+        usedNonces[signer][datasetId][nonce] = true;
+        emit VoucherCancelled(datasetId, nonce, signer);
+    }
+
+    /**
+     * @dev Get the EIP-712 digest the dataset owner signs for a voucher
+     * @param voucher Voucher terms
+     * @return Typed data digest
+     */
+    function hashVoucher(AccessVoucher calldata voucher) public view returns (bytes32) {
+        return _hashTypedDataV4(keccak256(abi.encode(
+            ACCESS_VOUCHER_TYPEHASH,
+            voucher.buyer,
+            voucher.datasetId,
+            voucher.duration,
+            voucher.price,
+            voucher.paymentToken,
+            voucher.nonce,
+            voucher.deadline
+        )));
+    }
+
+    /**
+     * @dev Get the EIP-712 domain separator
+     * @return Domain separator for this chain and contract
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    // Internal functions
+
+    /**
+     * @dev Check a signature from an EOA or an ERC-1271 contract wallet
+     * @param signer Expected signer
+     * @param digest Signed digest
+     * @param signature Signature bytes
+     * @return bool Whether the signature is valid
+     */
+    function _isValidSignature(
+        address signer,
+        bytes32 digest,
+        bytes calldata signature
+    ) internal view returns (bool) {
+        if (signer.code.length == 0) {
+            (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(digest, signature);
+            return error == ECDSA.RecoverError.NoError && recovered == signer;
+        }
+
+        try IERC1271(signer).isValidSignature(digest, signature) returns (bytes4 magicValue) {
+            return magicValue == IERC1271.isValidSignature.selector;
+        } catch {
+            return false;
+        }
+    }
+}
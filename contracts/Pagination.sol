@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title Pagination
+ * @dev Offset-based paging over ID arrays, shared by the paged views of the dataset contracts
+ */
+library Pagination {
+    /**
+     * @dev Copy a page of an array
+     * @param array Source array
+     * @param offset Index of the first element to copy
+     * @param limit Maximum number of elements to copy
+     * @return page Copied elements
+     * @return total Length of the source array
+     */
+    function paginate(uint256[] storage array, uint256 offset, uint256 limit) internal view returns (
+        uint256[] memory page,
+        uint256 total
+    ) {
+        total = array.length;
+        if (offset >= total) {
+            return (new uint256[](0), total);
+        }
+
+        uint256 end = limit < total - offset ? offset + limit : total;
+        page = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            page[i - offset] = array[i];
+        }
+    }
+}
@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+
+/**
+ * @title MockERC20
+ * @dev Freely mintable ERC-20 with EIP-2612 permit used in tests (e.g. as a stand-in for USDC)
+ */
+contract MockERC20 is ERC20, ERC20Permit {
+    uint8 private immutable _decimals;
+
+    /**
+     * @dev Constructor
+     * @param name Token name
+     * @param symbol Token symbol
+     * @param decimals_ Token decimals
+     */
+    constructor(string memory name, string memory symbol, uint8 decimals_) ERC20(name, symbol) ERC20Permit(name) {
+        _decimals = decimals_;
+    }
+
+    /**
+     * @dev Mint tokens to any address
+     * @param to Recipient address
+     * @param amount Amount to mint
+     */
+    function mint(address to, uint256 amount) public {
+        _mint(to, amount);
+    }
+
+    function decimals() public view override returns (uint8) {
+        return _decimals;
+    }
+}
@@ -0,0 +1,12 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/metatx/ERC2771Forwarder.sol";
+
+/**
+ * @title MockForwarder
+ * @dev Local ERC-2771 forwarder used in tests and against a Hardhat node
+ */
+contract MockForwarder is ERC2771Forwarder {
+    constructor() ERC2771Forwarder("MockForwarder") {}
+}
@@ -0,0 +1,72 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+
+/**
+ * @title MockSafeWallet
+ * @dev Smart-contract wallet used in tests: executes owner calls, spends more than the
+ * 2300 gas stipend when receiving ETH, accepts NFTs and validates owner signatures via ERC-1271,
+ * like a Safe proxy
+ */
+contract MockSafeWallet {
+    address public immutable owner;
+    uint256 public receivedCount;
+    uint256 public receivedTotal;
+
+    event Received(address indexed sender, uint256 amount);
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    receive() external payable {
+        receivedCount++;
+        receivedTotal += msg.value;
+        emit Received(msg.sender, msg.value);
+    }
+
+    /**
+     * @dev Execute a call from the wallet (owner only)
+     * @param target Contract to call
+     * @param value ETH to forward
+     * @param data Calldata
+     * @return result Return data of the call
+     */
+    function execute(address target, uint256 value, bytes calldata data)
+        external
+        payable
+        returns (bytes memory result)
+    {
+        require(msg.sender == owner, "Not wallet owner");
+        bool success;
+        (success, result) = target.call{value: value}(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+
+    /**
+     * @dev Accept safe ERC-721 transfers
+     * @return ERC721Receiver magic value
+     */
+    function onERC721Received(address, address, uint256, bytes calldata) external pure returns (bytes4) {
+        return this.onERC721Received.selector;
+    }
+
+    /**
+     * @dev ERC-1271 signature check: valid if signed by the wallet owner
+     * @param hash Signed digest
+     * @param signature Owner's ECDSA signature
+     * @return magicValue ERC-1271 magic value when valid
+     */
+    function isValidSignature(bytes32 hash, bytes calldata signature) external view returns (bytes4 magicValue) {
+        (address recovered, ECDSA.RecoverError error, ) = ECDSA.tryRecover(hash, signature);
+        if (error == ECDSA.RecoverError.NoError && recovered == owner) {
+            return this.isValidSignature.selector;
+        }
+        return 0xffffffff;
+    }
+}
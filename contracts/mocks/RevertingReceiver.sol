@@ -0,0 +1,36 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title RevertingReceiver
+ * @dev Contract used in tests that rejects every incoming ETH transfer
+ * but can still execute calls on behalf of its owner
+ */
+contract RevertingReceiver {
+    address public immutable owner;
+
+    constructor(address _owner) {
+        owner = _owner;
+    }
+
+    receive() external payable {
+        revert("ETH not accepted");
+    }
+
+    /**
+     * @dev Execute a call from the contract (owner only)
+     * @param target Contract to call
+     * @param data Calldata
+     * @return result Return data of the call
+     */
+    function execute(address target, bytes calldata data) external returns (bytes memory result) {
+        require(msg.sender == owner, "Not owner");
+        bool success;
+        (success, result) = target.call(data);
+        if (!success) {
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+    }
+}
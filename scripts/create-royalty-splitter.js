@@ -0,0 +1,72 @@
+const { ethers, network } = require("hardhat");
+require("dotenv").config();
+
+async function main() {
+  console.log("💸 Setting up ERC-2981 royalties for a dataset...\n");
+
+  const datasetAccessAddress = process.env.DATASET_ACCESS_ADDRESS;
+  const datasetId = process.env.ROYALTY_DATASET_ID;
+  const royaltyFee = process.env.ROYALTY_FEE || "500"; // 5% of the sale price default
+
+  if (!ethers.isAddress(datasetAccessAddress || "")) {
+    throw new Error("DATASET_ACCESS_ADDRESS must be the DatasetAccess contract address");
+  }
+  if (!datasetId) {
+    throw new Error("ROYALTY_DATASET_ID is required");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const datasetAccess = await ethers.getContractAt("DatasetAccess", datasetAccessAddress);
+  const datasetToken = await ethers.getContractAt("DatasetToken", await datasetAccess.datasetToken());
+
+  const datasetOwner = await datasetAccess.getDatasetOwner(datasetId);
+  const [recipients, percentages] = await datasetAccess.getRoyalties(datasetId);
+
+  console.log("📋 Configuration:");
+  console.log("├── Signer:", signer.address);
+  console.log("├── Dataset ID:", datasetId);
+  console.log("├── Dataset owner:", datasetOwner);
+  console.log("├── Royalty fee:", royaltyFee, "basis points");
+  console.log("└── Recipients:", recipients.length > 0
+    ? recipients.map((recipient, i) => `${recipient} (${percentages[i]} bps)`).join(", ")
+    : "none (dataset owner receives all royalties)");
+  console.log("");
+
+  console.log("📦 Deploying DatasetRoyaltySplitter...");
+  const DatasetRoyaltySplitter = await ethers.getContractFactory("DatasetRoyaltySplitter");
+  const splitter = await DatasetRoyaltySplitter.deploy(datasetAccessAddress, datasetId);
+  await splitter.waitForDeployment();
+
+  const splitterAddress = await splitter.getAddress();
+  console.log("✅ DatasetRoyaltySplitter deployed to:", splitterAddress);
+
+  if (datasetOwner === signer.address) {
+    console.log("├── Setting ownership token royalty...");
+    const setRoyaltyTx = await datasetToken.setDatasetRoyalty(datasetId, splitterAddress, royaltyFee);
+    await setRoyaltyTx.wait();
+    console.log("✅ Royalty set");
+  } else {
+    console.log("⚠️  Signer is not the dataset owner. The owner must call:");
+    console.log(`   DatasetToken.setDatasetRoyalty(${datasetId}, ${splitterAddress}, ${royaltyFee})`);
+  }
+
+  console.log("");
+  console.log("🔗 Next Steps:");
+  console.log("1. Verify the splitter on BaseScan:");
+  console.log(`   npx hardhat verify --network ${network.name}`, splitterAddress, datasetAccessAddress, datasetId);
+  console.log("2. Distribute collected royalties (callable by anyone):");
+  console.log("   DatasetRoyaltySplitter.distribute(<payment token or zero address for ETH>)");
+
+  return splitterAddress;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Royalty setup failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = main;
@@ -1,6 +1,10 @@
 const { ethers } = require("hardhat");
+const { deployDatasetAccessLib, getDatasetAccessFactory } = require("./link-libraries");
 require("dotenv").config();
 
+// Extension contracts deployed against DatasetAccess and registered with setAccessModule()
+const ACCESS_MODULES = ["DatasetPlans", "DatasetSubscriptions", "DatasetVouchers", "DatasetReferrals", "DatasetSeats", "DatasetCredits"];
+
 async function main() {
   console.log("🚀 Starting Dataset Marketplace deployment to Base Sepolia...\n");
 
@@ -8,6 +12,11 @@ async function main() {
   const platformWallet = process.env.PLATFORM_WALLET;
   const platformFeePercentage = process.env.PLATFORM_FEE_PERCENTAGE || "250"; // 2.5% default
   const initialOwner = process.env.INITIAL_OWNER;
+  const paymentTokens = (process.env.PAYMENT_TOKENS || "")
+    .split(",")
+    .map((address) => address.trim())
+    .filter((address) => address.length > 0);
+  const trustedForwarder = process.env.TRUSTED_FORWARDER;
 
   // Get deployer account
   const [deployer] = await ethers.getSigners();
@@ -16,6 +25,8 @@ async function main() {
   console.log("├── Platform wallet:", platformWallet || deployer.address);
   console.log("├── Platform fee:", platformFeePercentage, "basis points");
   console.log("├── Initial owner:", initialOwner || deployer.address);
+  console.log("├── Payment tokens:", paymentTokens.length > 0 ? paymentTokens.join(", ") : "none (ETH only)");
+  console.log("├── Trusted forwarder:", trustedForwarder || "DatasetBatcher (deployed below)");
   
   // Check deployer balance
   const balance = await ethers.provider.getBalance(deployer.address);
@@ -30,11 +41,23 @@ async function main() {
   const finalPlatformWallet = platformWallet || deployer.address;
   const finalInitialOwner = initialOwner || deployer.address;
 
+  // The forwarder is fixed at deployment. DatasetBatcher relays meta-transactions too and is
+  // deployed right after DatasetAccess (after DatasetToken and DatasetAccessLib), so its address
+  // is known up front; an external forwarder disables batching
+  if (trustedForwarder && !ethers.isAddress(trustedForwarder)) {
+    throw new Error(`Invalid trusted forwarder address: ${trustedForwarder}`);
+  }
+  const predictedBatcherAddress = ethers.getCreateAddress({
+    from: deployer.address,
+    nonce: (await deployer.getNonce()) + 3
+  });
+  const finalTrustedForwarder = trustedForwarder || predictedBatcherAddress;
+
   try {
     // Step 1: Deploy DatasetToken contract
     console.log("📦 Step 1: Deploying DatasetToken contract...");
     const DatasetToken = await ethers.getContractFactory("DatasetToken");
-    const datasetToken = await DatasetToken.deploy(finalInitialOwner);
+    const datasetToken = await DatasetToken.deploy(finalInitialOwner, finalTrustedForwarder);
     await datasetToken.waitForDeployment();
     
     const datasetTokenAddress = await datasetToken.getAddress();
@@ -42,18 +65,85 @@ async function main() {
     
     // Step 2: Deploy DatasetAccess contract
     console.log("\n📦 Step 2: Deploying DatasetAccess contract...");
-    const DatasetAccess = await ethers.getContractFactory("DatasetAccess");
+    console.log("├── Deploying DatasetAccessLib library...");
+    const datasetAccessLibAddress = await deployDatasetAccessLib();
+    console.log("✅ DatasetAccessLib deployed to:", datasetAccessLibAddress);
+    const DatasetAccess = await getDatasetAccessFactory(datasetAccessLibAddress);
     const datasetAccess = await DatasetAccess.deploy(
       datasetTokenAddress,
       finalPlatformWallet,
       platformFeePercentage,
-      finalInitialOwner
+      finalInitialOwner,
+      finalTrustedForwarder
     );
     await datasetAccess.waitForDeployment();
     
     const datasetAccessAddress = await datasetAccess.getAddress();
     console.log("✅ DatasetAccess deployed to:", datasetAccessAddress);
 
+    console.log("\n📦 Deploying DatasetBatcher (trusted forwarder)...");
+    const DatasetBatcher = await ethers.getContractFactory("DatasetBatcher");
+    const datasetBatcher = await DatasetBatcher.deploy(datasetAccessAddress);
+    await datasetBatcher.waitForDeployment();
+
+    const datasetBatcherAddress = await datasetBatcher.getAddress();
+    console.log("✅ DatasetBatcher deployed to:", datasetBatcherAddress);
+    if (!trustedForwarder && datasetBatcherAddress !== predictedBatcherAddress) {
+      throw new Error(`DatasetBatcher deployed to ${datasetBatcherAddress}, expected ${predictedBatcherAddress}`);
+    }
+
+    // Access modules sell access through DatasetAccess and take its address
+    const moduleAddresses = {};
+    for (const moduleName of ACCESS_MODULES) {
+      console.log(`\n📦 Deploying ${moduleName} module...`);
+      const Module = await ethers.getContractFactory(moduleName);
+      const accessModule = await Module.deploy(datasetAccessAddress);
+      await accessModule.waitForDeployment();
+
+      moduleAddresses[moduleName] = await accessModule.getAddress();
+      console.log(`✅ ${moduleName} deployed to:`, moduleAddresses[moduleName]);
+    }
+
+    console.log("\n📦 Deploying DatasetCampaigns...");
+    const DatasetCampaigns = await ethers.getContractFactory("DatasetCampaigns");
+    const datasetCampaigns = await DatasetCampaigns.deploy(datasetAccessAddress);
+    await datasetCampaigns.waitForDeployment();
+
+    const datasetCampaignsAddress = await datasetCampaigns.getAddress();
+    console.log("✅ DatasetCampaigns deployed to:", datasetCampaignsAddress);
+
+    console.log("\n📦 Deploying DatasetEscrow...");
+    const DatasetEscrow = await ethers.getContractFactory("DatasetEscrow");
+    const datasetEscrow = await DatasetEscrow.deploy(datasetAccessAddress);
+    await datasetEscrow.waitForDeployment();
+
+    const datasetEscrowAddress = await datasetEscrow.getAddress();
+    console.log("✅ DatasetEscrow deployed to:", datasetEscrowAddress);
+
+    console.log("\n📦 Deploying DatasetCatalog...");
+    const DatasetCatalog = await ethers.getContractFactory("DatasetCatalog");
+    const datasetCatalog = await DatasetCatalog.deploy(datasetAccessAddress);
+    await datasetCatalog.waitForDeployment();
+
+    const datasetCatalogAddress = await datasetCatalog.getAddress();
+    console.log("✅ DatasetCatalog deployed to:", datasetCatalogAddress);
+
+    console.log("\n📦 Deploying DatasetGrants...");
+    const DatasetGrants = await ethers.getContractFactory("DatasetGrants");
+    const datasetGrants = await DatasetGrants.deploy(datasetAccessAddress);
+    await datasetGrants.waitForDeployment();
+
+    const datasetGrantsAddress = await datasetGrants.getAddress();
+    console.log("✅ DatasetGrants deployed to:", datasetGrantsAddress);
+
+    console.log("\n📦 Deploying DatasetMarketplace...");
+    const DatasetMarketplace = await ethers.getContractFactory("DatasetMarketplace");
+    const datasetMarketplace = await DatasetMarketplace.deploy(datasetAccessAddress);
+    await datasetMarketplace.waitForDeployment();
+
+    const datasetMarketplaceAddress = await datasetMarketplace.getAddress();
+    console.log("✅ DatasetMarketplace deployed to:", datasetMarketplaceAddress);
+
     // Step 3: Grant MINTER_ROLE to DatasetAccess contract
     console.log("\n🔐 Step 3: Setting up permissions...");
     const MINTER_ROLE = await datasetToken.MINTER_ROLE();
@@ -69,6 +159,60 @@ async function main() {
     await grantBurnerTx.wait();
     console.log("✅ BURNER_ROLE granted");
 
+    console.log("├── Granting MINTER_ROLE to DatasetGrants contract...");
+    const grantGrantsMinterTx = await datasetToken.grantRole(MINTER_ROLE, datasetGrantsAddress);
+    await grantGrantsMinterTx.wait();
+    console.log("✅ MINTER_ROLE granted");
+
+    console.log("├── Granting MINTER_ROLE and BURNER_ROLE to DatasetSeats module...");
+    const grantSeatsMinterTx = await datasetToken.grantRole(MINTER_ROLE, moduleAddresses.DatasetSeats);
+    await grantSeatsMinterTx.wait();
+    const grantSeatsBurnerTx = await datasetToken.grantRole(BURNER_ROLE, moduleAddresses.DatasetSeats);
+    await grantSeatsBurnerTx.wait();
+    console.log("✅ MINTER_ROLE and BURNER_ROLE granted");
+
+    console.log("├── Granting BURNER_ROLE to DatasetEscrow contract...");
+    const grantEscrowBurnerTx = await datasetToken.grantRole(BURNER_ROLE, datasetEscrowAddress);
+    await grantEscrowBurnerTx.wait();
+    console.log("✅ BURNER_ROLE granted");
+
+    console.log("├── Registering DatasetEscrow as escrow agent...");
+    const setEscrowTx = await datasetAccess.setEscrowAgent(datasetEscrowAddress);
+    await setEscrowTx.wait();
+    console.log("✅ Escrow agent set");
+
+    console.log("├── Registering DatasetCampaigns as pricing agent...");
+    const setPricingTx = await datasetAccess.setPricingAgent(datasetCampaignsAddress);
+    await setPricingTx.wait();
+    console.log("✅ Pricing agent set");
+
+    console.log("├── Registering DatasetMarketplace as ownership escrow...");
+    const setOwnershipEscrowTx = await datasetToken.setOwnershipEscrow(datasetMarketplaceAddress, true);
+    await setOwnershipEscrowTx.wait();
+    console.log("✅ Ownership escrow set");
+
+    console.log("├── Registering DatasetAccess as ownership registry...");
+    const setRegistryTx = await datasetToken.setOwnershipRegistry(datasetAccessAddress);
+    await setRegistryTx.wait();
+    console.log("✅ Ownership registry set");
+
+    for (const moduleName of ACCESS_MODULES) {
+      console.log(`├── Registering ${moduleName} as access module...`);
+      const setModuleTx = await datasetAccess.setAccessModule(moduleAddresses[moduleName], true);
+      await setModuleTx.wait();
+      console.log(`✅ ${moduleName} module enabled`);
+    }
+
+    for (const paymentToken of paymentTokens) {
+      if (!ethers.isAddress(paymentToken)) {
+        throw new Error(`Invalid payment token address: ${paymentToken}`);
+      }
+      console.log("├── Allowlisting payment token", paymentToken, "...");
+      const allowTokenTx = await datasetAccess.setPaymentToken(paymentToken, true);
+      await allowTokenTx.wait();
+      console.log("✅ Payment token allowlisted");
+    }
+
     // Step 4: Verify deployment
     console.log("\n🔍 Step 4: Verifying deployment...");
     
@@ -92,6 +236,17 @@ async function main() {
     const hasBurnerRole = await datasetToken.hasRole(BURNER_ROLE, datasetAccessAddress);
     console.log("├── DatasetAccess has MINTER_ROLE:", hasMinterRole);
     console.log("├── DatasetAccess has BURNER_ROLE:", hasBurnerRole);
+    console.log("├── DatasetGrants has MINTER_ROLE:", await datasetToken.hasRole(MINTER_ROLE, datasetGrantsAddress));
+    console.log("├── DatasetSeats has MINTER_ROLE:", await datasetToken.hasRole(MINTER_ROLE, moduleAddresses.DatasetSeats));
+    console.log("├── DatasetSeats has BURNER_ROLE:", await datasetToken.hasRole(BURNER_ROLE, moduleAddresses.DatasetSeats));
+    console.log("├── Ownership registry:", await datasetToken.ownershipRegistry());
+    console.log("├── DatasetMarketplace is ownership escrow:", await datasetToken.ownershipEscrows(datasetMarketplaceAddress));
+    console.log("├── Escrow agent:", await datasetAccess.escrowAgent());
+    console.log("├── Pricing agent:", await datasetAccess.pricingAgent());
+    console.log("├── Trusted forwarder:", await datasetAccess.trustedForwarder());
+    for (const moduleName of ACCESS_MODULES) {
+      console.log(`├── ${moduleName} is access module:`, await datasetAccess.accessModules(moduleAddresses[moduleName]));
+    }
 
     // Step 5: Save deployment information
     console.log("\n💾 Step 5: Saving deployment information...");
@@ -107,17 +262,43 @@ async function main() {
           name: tokenName,
           symbol: tokenSymbol
         },
+        DatasetAccessLib: {
+          address: datasetAccessLibAddress
+        },
         DatasetAccess: {
           address: datasetAccessAddress,
           platformWallet: platformWalletCheck,
           platformFeePercentage: platformFeeCheck.toString(),
           owner: ownerCheck
+        },
+        ...Object.fromEntries(
+          ACCESS_MODULES.map((moduleName) => [moduleName, { address: moduleAddresses[moduleName] }])
+        ),
+        DatasetCampaigns: {
+          address: datasetCampaignsAddress
+        },
+        DatasetEscrow: {
+          address: datasetEscrowAddress
+        },
+        DatasetCatalog: {
+          address: datasetCatalogAddress
+        },
+        DatasetBatcher: {
+          address: datasetBatcherAddress
+        },
+        DatasetGrants: {
+          address: datasetGrantsAddress
+        },
+        DatasetMarketplace: {
+          address: datasetMarketplaceAddress
         }
       },
       configuration: {
         platformWallet: finalPlatformWallet,
         platformFeePercentage: platformFeePercentage,
-        initialOwner: finalInitialOwner
+        initialOwner: finalInitialOwner,
+        paymentTokens: paymentTokens,
+        trustedForwarder: finalTrustedForwarder
       },
       gasUsed: {
         // Will be populated by actual deployment
@@ -146,7 +327,17 @@ async function main() {
     console.log("");
     console.log("📦 Contracts Deployed:");
     console.log("├── DatasetToken:", datasetTokenAddress);
-    console.log("└── DatasetAccess:", datasetAccessAddress);
+    console.log("├── DatasetAccessLib:", datasetAccessLibAddress);
+    console.log("├── DatasetAccess:", datasetAccessAddress);
+    for (const moduleName of ACCESS_MODULES) {
+      console.log(`├── ${moduleName}:`, moduleAddresses[moduleName]);
+    }
+    console.log("├── DatasetCampaigns:", datasetCampaignsAddress);
+    console.log("├── DatasetEscrow:", datasetEscrowAddress);
+    console.log("├── DatasetCatalog:", datasetCatalogAddress);
+    console.log("├── DatasetBatcher:", datasetBatcherAddress);
+    console.log("├── DatasetGrants:", datasetGrantsAddress);
+    console.log("└── DatasetMarketplace:", datasetMarketplaceAddress);
     console.log("");
     console.log("⚙️  Configuration:");
     console.log("├── Platform Wallet:", finalPlatformWallet);
@@ -162,12 +353,30 @@ async function main() {
     console.log("");
     console.log("3. Update your frontend with the contract addresses:");
     console.log("   DatasetToken:", datasetTokenAddress);
+    console.log("   DatasetAccessLib:", datasetAccessLibAddress);
     console.log("   DatasetAccess:", datasetAccessAddress);
+    for (const moduleName of ACCESS_MODULES) {
+      console.log(`   ${moduleName}:`, moduleAddresses[moduleName]);
+    }
+    console.log("   DatasetCampaigns:", datasetCampaignsAddress);
+    console.log("   DatasetEscrow:", datasetEscrowAddress);
+    console.log("   DatasetCatalog:", datasetCatalogAddress);
+    console.log("   DatasetBatcher:", datasetBatcherAddress);
+    console.log("   DatasetGrants:", datasetGrantsAddress);
+    console.log("   DatasetMarketplace:", datasetMarketplaceAddress);
     console.log("═══════════════════════════════════════════════════════════════");
 
     return {
       datasetToken: datasetTokenAddress,
-      datasetAccess: datasetAccessAddress
+      datasetAccessLib: datasetAccessLibAddress,
+      datasetAccess: datasetAccessAddress,
+      modules: moduleAddresses,
+      datasetCampaigns: datasetCampaignsAddress,
+      datasetEscrow: datasetEscrowAddress,
+      datasetCatalog: datasetCatalogAddress,
+      datasetBatcher: datasetBatcherAddress,
+      datasetGrants: datasetGrantsAddress,
+      datasetMarketplace: datasetMarketplaceAddress
     };
 
   } catch (error) {
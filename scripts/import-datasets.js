@@ -0,0 +1,194 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+const { toLabel } = require("./query-datasets");
+require("dotenv").config();
+
+// CSV price columns, in AccessDuration order
+const PRICE_COLUMNS = ["hour1", "hours24", "days7", "days30", "days90", "days365"];
+const DEFAULT_BATCH_SIZE = 20;
+
+/**
+ * Parse a dataset manifest
+ * @param {string} content JSON array of {metadataURI, contentHash, prices, category?, tags?}, or CSV
+ * with a header row of metadataURI, contentHash, the price columns, and optional category and tags
+ * ("|"-separated) columns. Content hashes are 0x-prefixed 32-byte hex digests of the data; prices
+ * are decimal ETH strings (e.g. "0.05"); fields must not contain commas.
+ * @param {"json"|"csv"} format Manifest format
+ * @returns {{metadataURI: string, contentHash: string, prices: bigint[], category?: string, tags: string[]}[]} Datasets
+ */
+function parseManifest(content, format) {
+  let entries;
+  if (format === "json") {
+    entries = JSON.parse(content);
+  } else if (format === "csv") {
+    const [header, ...rows] = content.split(/\r?\n/).filter((line) => line.trim().length > 0);
+    const columns = header.split(",").map((column) => column.trim());
+    entries = rows.map((row) => {
+      const values = row.split(",").map((value) => value.trim());
+      const record = Object.fromEntries(columns.map((column, i) => [column, values[i] || ""]));
+      return {
+        metadataURI: record.metadataURI,
+        contentHash: record.contentHash,
+        prices: PRICE_COLUMNS.map((column) => record[column]),
+        category: record.category,
+        tags: record.tags ? record.tags.split("|") : []
+      };
+    });
+  } else {
+    throw new Error(`Unsupported manifest format: ${format}`);
+  }
+
+  return entries.map((entry, i) => {
+    if (!entry.metadataURI) {
+      throw new Error(`Manifest entry ${i} has no metadataURI`);
+    }
+    if (!ethers.isHexString(entry.contentHash, 32) || entry.contentHash === ethers.ZeroHash) {
+      throw new Error(`Manifest entry ${i} must have a 32-byte contentHash`);
+    }
+    if (!Array.isArray(entry.prices) || entry.prices.length !== PRICE_COLUMNS.length) {
+      throw new Error(`Manifest entry ${i} must have ${PRICE_COLUMNS.length} prices`);
+    }
+    return {
+      metadataURI: entry.metadataURI,
+      contentHash: entry.contentHash,
+      prices: entry.prices.map((price) => ethers.parseEther(String(price || "0"))),
+      category: entry.category || undefined,
+      tags: (entry.tags || []).map((tag) => tag.trim()).filter((tag) => tag.length > 0)
+    };
+  });
+}
+
+/**
+ * Read and parse a manifest file; the format follows the file extension
+ * @param {string} manifestPath Path to a .json or .csv manifest
+ */
+function loadManifest(manifestPath) {
+  const format = path.extname(manifestPath).slice(1).toLowerCase();
+  return parseManifest(fs.readFileSync(manifestPath, "utf8"), format);
+}
+
+/**
+ * Create datasets through DatasetBatcher, one transaction per chunk. With a catalog each chunk
+ * goes through createDatasetsWithListings(), so datasets are listed as they are created
+ * @param {import("ethers").Contract} batcher DatasetBatcher contract connected to the publisher
+ * @param {object[]} datasets Datasets from parseManifest()
+ * @param {{batchSize?: number, skipFailures?: boolean, catalog?: import("ethers").Contract}} options
+ * Chunk size, whether failed datasets are skipped, and a DatasetCatalog to list categories and tags in
+ * @returns {Promise<{metadataURI: string, datasetId: bigint, reason?: string}[]>} Dataset ID of each
+ * entry (0 for skipped entries, with the revert data as reason; a created dataset whose listing
+ * failed keeps its ID and has the reason)
+ */
+async function importDatasets(batcher, datasets, options = {}) {
+  const { batchSize = DEFAULT_BATCH_SIZE, skipFailures = false, catalog } = options;
+  const datasetAccess = await ethers.getContractAt("DatasetAccess", await batcher.datasetAccess(), batcher.runner);
+  const batcherAddress = await batcher.getAddress();
+  const accessAddress = await datasetAccess.getAddress();
+  const results = [];
+
+  for (let start = 0; start < datasets.length; start += batchSize) {
+    const chunk = datasets.slice(start, start + batchSize);
+    const metadataURIs = chunk.map((dataset) => dataset.metadataURI);
+    const contentHashes = chunk.map((dataset) => dataset.contentHash);
+    const prices = chunk.map((dataset) => dataset.prices);
+    const tx = catalog
+      ? await batcher.createDatasetsWithListings(
+        await catalog.getAddress(),
+        metadataURIs,
+        contentHashes,
+        prices,
+        chunk.map((dataset) => (dataset.category ? toLabel(dataset.category) : ethers.ZeroHash)),
+        chunk.map((dataset) => dataset.tags.map(toLabel)),
+        skipFailures
+      )
+      : await batcher.createDatasets(metadataURIs, contentHashes, prices, skipFailures);
+    const receipt = await tx.wait();
+
+    // Items run in manifest order: a failed creation is reported before the next item runs, and a
+    // failed listing is reported right after its dataset's DatasetCreated event
+    const chunkResults = chunk.map((dataset) => ({ metadataURI: dataset.metadataURI, datasetId: 0n }));
+    let next = 0;
+    for (const log of receipt.logs) {
+      if (log.address === batcherAddress) {
+        const event = batcher.interface.parseLog(log);
+        if (event && event.name === "BatchCallFailed") {
+          const index = Number(event.args.index);
+          chunkResults[index].reason = event.args.reason;
+          next = index + 1;
+        }
+      } else if (log.address === accessAddress) {
+        const event = datasetAccess.interface.parseLog(log);
+        if (event && event.name === "DatasetCreated") {
+          chunkResults[next++].datasetId = event.args.datasetId;
+        }
+      }
+    }
+    results.push(...chunkResults);
+  }
+
+  return results;
+}
+
+async function main() {
+  console.log("📥 Importing datasets from manifest...\n");
+
+  const batcherAddress = process.env.BATCHER_ADDRESS;
+  const manifestPath = process.env.IMPORT_MANIFEST;
+  const batchSize = Number(process.env.IMPORT_BATCH_SIZE || DEFAULT_BATCH_SIZE);
+  const skipFailures = process.env.IMPORT_SKIP_FAILURES === "true";
+  const catalogAddress = process.env.CATALOG_ADDRESS || undefined;
+
+  if (!ethers.isAddress(batcherAddress || "")) {
+    throw new Error("BATCHER_ADDRESS must be the DatasetBatcher contract address");
+  }
+  if (!manifestPath) {
+    throw new Error("IMPORT_MANIFEST must be the path to a .json or .csv manifest");
+  }
+  if (catalogAddress && !ethers.isAddress(catalogAddress)) {
+    throw new Error("CATALOG_ADDRESS must be the DatasetCatalog contract address");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const batcher = await ethers.getContractAt("DatasetBatcher", batcherAddress);
+  const catalog = catalogAddress ? await ethers.getContractAt("DatasetCatalog", catalogAddress) : undefined;
+  const datasets = loadManifest(manifestPath);
+
+  console.log("📋 Configuration:");
+  console.log("├── Publisher:", signer.address);
+  console.log("├── Manifest:", manifestPath, `(${datasets.length} datasets)`);
+  console.log("├── Batch size:", batchSize);
+  console.log("├── Skip failures:", skipFailures);
+  console.log("└── Catalog:", catalogAddress || "none (categories and tags not listed)");
+  console.log("");
+
+  const results = await importDatasets(batcher, datasets, { batchSize, skipFailures, catalog });
+
+  const imported = results.filter((result) => result.datasetId !== 0n);
+  console.log(`✅ Imported ${imported.length} of ${results.length} datasets:`);
+  for (const result of results) {
+    if (result.datasetId !== 0n && result.reason) {
+      console.log(`├── ⚠️  #${result.datasetId} ${result.metadataURI} not listed: ${result.reason}`);
+    } else if (result.datasetId !== 0n) {
+      console.log(`├── #${result.datasetId} ${result.metadataURI}`);
+    } else {
+      console.log(`├── ⚠️  Skipped ${result.metadataURI}: ${result.reason}`);
+    }
+  }
+
+  return results;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Import failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  parseManifest,
+  loadManifest,
+  importDatasets
+};
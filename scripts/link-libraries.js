@@ -0,0 +1,30 @@
+const { ethers } = require("hardhat");
+
+/**
+ * Deploy DatasetAccessLib, the external library DatasetAccess is linked against
+ * @returns {Promise<string>} Library address
+ */
+async function deployDatasetAccessLib() {
+  const DatasetAccessLib = await ethers.getContractFactory("DatasetAccessLib");
+  const datasetAccessLib = await DatasetAccessLib.deploy();
+  await datasetAccessLib.waitForDeployment();
+  return datasetAccessLib.getAddress();
+}
+
+/**
+ * Get a DatasetAccess factory linked against DatasetAccessLib
+ * @param {string} [libraryAddress] Deployed DatasetAccessLib (a new one is deployed if omitted)
+ * @returns {Promise<import("ethers").ContractFactory>} Linked DatasetAccess factory
+ */
+async function getDatasetAccessFactory(libraryAddress) {
+  return ethers.getContractFactory("DatasetAccess", {
+    libraries: {
+      DatasetAccessLib: libraryAddress || (await deployDatasetAccessLib())
+    }
+  });
+}
+
+module.exports = {
+  deployDatasetAccessLib,
+  getDatasetAccessFactory
+};
@@ -0,0 +1,166 @@
+const { ethers } = require("hardhat");
+require("dotenv").config();
+
+const DEFAULT_PAGE_SIZE = 100;
+
+/**
+ * Encode a category or tag name as a DatasetCatalog label
+ * @param {string} name Label text (at most 31 bytes)
+ */
+function toLabel(name) {
+  return ethers.encodeBytes32String(name);
+}
+
+/**
+ * Decode a DatasetCatalog label back to its text
+ * @param {string} label bytes32 label
+ */
+function fromLabel(label) {
+  return ethers.decodeBytes32String(label);
+}
+
+/**
+ * Collect every dataset ID from an offset/limit view that returns (datasetIds, total)
+ * @param {(offset: bigint, limit: bigint) => Promise<[bigint[], bigint]>} fetchPage View call for one page
+ * @param {number} pageSize Dataset IDs requested per call
+ * @returns {Promise<bigint[]>} All dataset IDs
+ */
+async function fetchAllPages(fetchPage, pageSize = DEFAULT_PAGE_SIZE) {
+  const datasetIds = [];
+  let offset = 0n;
+  let total = 1n;
+
+  while (offset < total) {
+    const [page, pageTotal] = await fetchPage(offset, BigInt(pageSize));
+    total = pageTotal;
+    datasetIds.push(...page);
+    if (page.length === 0) {
+      break;
+    }
+    offset += BigInt(page.length);
+  }
+
+  return datasetIds;
+}
+
+/**
+ * Collect every dataset ID with the given active status by walking getDatasetsByStatus() cursors
+ * @param {import("ethers").Contract} catalog DatasetCatalog contract
+ * @param {boolean} active Status to match
+ * @param {number} pageSize Dataset IDs scanned per call
+ * @returns {Promise<bigint[]>} Matching dataset IDs
+ */
+async function fetchByStatus(catalog, active, pageSize = DEFAULT_PAGE_SIZE) {
+  const datasetIds = [];
+  let cursor = 0n;
+
+  do {
+    const [page, nextCursor] = await catalog.getDatasetsByStatus(active, cursor, pageSize);
+    datasetIds.push(...page);
+    cursor = nextCursor;
+  } while (cursor !== 0n);
+
+  return datasetIds;
+}
+
+/**
+ * Find datasets matching every given filter
+ * @param {import("ethers").Contract} catalog DatasetCatalog contract
+ * @param {{category?: string, tag?: string, active?: boolean}} filters Category and tag names and/or active status
+ * @param {number} pageSize Dataset IDs requested per call
+ * @returns {Promise<bigint[]>} Matching dataset IDs
+ */
+async function queryDatasets(catalog, filters = {}, pageSize = DEFAULT_PAGE_SIZE) {
+  const { category, tag, active } = filters;
+
+  // Page through the most selective index, then check the remaining filters per dataset
+  let datasetIds;
+  if (category !== undefined) {
+    datasetIds = await fetchAllPages((offset, limit) => catalog.getDatasetsByCategory(toLabel(category), offset, limit), pageSize);
+  } else if (tag !== undefined) {
+    datasetIds = await fetchAllPages((offset, limit) => catalog.getDatasetsByTag(toLabel(tag), offset, limit), pageSize);
+  } else {
+    return fetchByStatus(catalog, active !== undefined ? active : true, pageSize);
+  }
+
+  if (category !== undefined && tag !== undefined) {
+    const tagged = await Promise.all(datasetIds.map((datasetId) => catalog.hasTag(datasetId, toLabel(tag))));
+    datasetIds = datasetIds.filter((_, i) => tagged[i]);
+  }
+
+  if (active !== undefined) {
+    const listings = await fetchListings(catalog, datasetIds, pageSize);
+    datasetIds = datasetIds.filter((_, i) => listings[i].isActive === active);
+  }
+
+  return datasetIds;
+}
+
+/**
+ * Load dataset details and catalog entries with one getDatasets() call per page
+ * @param {import("ethers").Contract} catalog DatasetCatalog contract
+ * @param {bigint[]} datasetIds Dataset IDs to load
+ * @param {number} pageSize Datasets loaded per call
+ * @returns {Promise<object[]>} DatasetListing results in the order of datasetIds
+ */
+async function fetchListings(catalog, datasetIds, pageSize = DEFAULT_PAGE_SIZE) {
+  const listings = [];
+  for (let i = 0; i < datasetIds.length; i += pageSize) {
+    listings.push(...(await catalog.getDatasets(datasetIds.slice(i, i + pageSize))));
+  }
+  return listings;
+}
+
+async function main() {
+  console.log("🔎 Querying the dataset catalog...\n");
+
+  const catalogAddress = process.env.CATALOG_ADDRESS;
+  const category = process.env.QUERY_CATEGORY || undefined;
+  const tag = process.env.QUERY_TAG || undefined;
+  const active = process.env.QUERY_ACTIVE ? process.env.QUERY_ACTIVE === "true" : undefined;
+  const pageSize = Number(process.env.QUERY_PAGE_SIZE || DEFAULT_PAGE_SIZE);
+
+  if (!ethers.isAddress(catalogAddress || "")) {
+    throw new Error("CATALOG_ADDRESS must be the DatasetCatalog contract address");
+  }
+
+  const catalog = await ethers.getContractAt("DatasetCatalog", catalogAddress);
+
+  console.log("📋 Filters:");
+  console.log("├── Category:", category || "any");
+  console.log("├── Tag:", tag || "any");
+  console.log("└── Active:", active !== undefined ? active : (category || tag ? "any" : true));
+  console.log("");
+
+  const datasetIds = await queryDatasets(catalog, { category, tag, active }, pageSize);
+
+  console.log(`📦 ${datasetIds.length} dataset(s) found:`);
+  for (const listing of await fetchListings(catalog, datasetIds, pageSize)) {
+    const tags = listing.tags.map(fromLabel);
+    console.log(`├── #${listing.id} ${listing.metadataURI}`);
+    console.log(`│   ├── Owner: ${listing.owner}`);
+    console.log(`│   ├── Category: ${listing.category === ethers.ZeroHash ? "none" : fromLabel(listing.category)}`);
+    console.log(`│   ├── Tags: ${tags.length > 0 ? tags.join(", ") : "none"}`);
+    console.log(`│   └── Active: ${listing.isActive}`);
+  }
+
+  return datasetIds;
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Catalog query failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  toLabel,
+  fromLabel,
+  fetchAllPages,
+  fetchByStatus,
+  fetchListings,
+  queryDatasets
+};
@@ -0,0 +1,166 @@
+const { ethers, network } = require("hardhat");
+require("dotenv").config();
+
+// EIP-712 type of ERC2771Forwarder requests; field order must match its FORWARD_REQUEST_TYPEHASH
+const FORWARD_REQUEST_TYPES = {
+  ForwardRequest: [
+    { name: "from", type: "address" },
+    { name: "to", type: "address" },
+    { name: "value", type: "uint256" },
+    { name: "gas", type: "uint256" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint48" },
+    { name: "data", type: "bytes" }
+  ]
+};
+
+/**
+ * Sign a forward request for an ERC2771Forwarder
+ * @param {import("ethers").Signer} signer Account the call is made on behalf of
+ * @param {import("ethers").Contract} forwarder ERC2771Forwarder contract
+ * @param {object} request Target `to` and calldata `data`; value defaults to 0, gas to an
+ * estimate of the call and deadline to one hour from the latest block
+ * @returns {Promise<object>} ForwardRequestData ready for forwarder.execute()
+ */
+async function signForwardRequest(signer, forwarder, request) {
+  const provider = signer.provider;
+  const from = await signer.getAddress();
+  const value = BigInt(request.value || 0);
+
+  const [, name, version, chainId, verifyingContract] = await forwarder.eip712Domain();
+  const nonce = await forwarder.nonces(from);
+
+  let gas = request.gas;
+  if (gas === undefined) {
+    // The target sees the signer as sender, so estimate the call as if they made it
+    const estimate = await provider.estimateGas({ from, to: request.to, data: request.data, value });
+    gas = estimate + 50000n;
+  }
+
+  let deadline = request.deadline;
+  if (deadline === undefined) {
+    const latestBlock = await provider.getBlock("latest");
+    deadline = latestBlock.timestamp + 3600;
+  }
+
+  const message = {
+    from,
+    to: request.to,
+    value,
+    gas: BigInt(gas),
+    nonce,
+    deadline: BigInt(deadline),
+    data: request.data
+  };
+
+  const signature = await signer.signTypedData(
+    { name, version, chainId, verifyingContract },
+    FORWARD_REQUEST_TYPES,
+    message
+  );
+
+  return {
+    from: message.from,
+    to: message.to,
+    value: message.value,
+    gas: message.gas,
+    deadline: message.deadline,
+    data: message.data,
+    signature
+  };
+}
+
+/**
+ * Submit a signed forward request, paying its gas (and value) as the relayer
+ * @param {import("ethers").Signer} relayer Account submitting the transaction
+ * @param {import("ethers").Contract} forwarder ERC2771Forwarder contract
+ * @param {object} requestData Signed request from signForwardRequest()
+ * @returns {Promise<import("ethers").TransactionReceipt>} Mined receipt
+ */
+async function relayRequest(relayer, forwarder, requestData) {
+  if (!(await forwarder.verify(requestData))) {
+    throw new Error("Forward request is invalid, expired or not trusted by its target");
+  }
+
+  const tx = await forwarder.connect(relayer).execute(requestData, { value: requestData.value });
+  return tx.wait();
+}
+
+async function main() {
+  console.log("📡 Relaying meta-transaction...\n");
+
+  if (network.name !== "hardhat" && network.name !== "localhost") {
+    throw new Error("The relayer script signs with node accounts; run it against a Hardhat node (--network localhost)");
+  }
+
+  const forwarderAddress = process.env.FORWARDER_ADDRESS;
+  const contractName = process.env.RELAY_CONTRACT || "DatasetAccess";
+  const targetAddress = process.env.RELAY_TARGET;
+  const functionName = process.env.RELAY_FUNCTION;
+  const args = JSON.parse(process.env.RELAY_ARGS || "[]");
+  const signerIndex = Number(process.env.RELAY_SIGNER_INDEX || "1"); // Node account 0 relays
+
+  if (!ethers.isAddress(forwarderAddress || "")) {
+    throw new Error("FORWARDER_ADDRESS must be the trusted forwarder address");
+  }
+  if (!ethers.isAddress(targetAddress || "")) {
+    throw new Error(`RELAY_TARGET must be the ${contractName} contract address`);
+  }
+  if (!functionName) {
+    throw new Error("RELAY_FUNCTION is required");
+  }
+
+  const signers = await ethers.getSigners();
+  const relayer = signers[0];
+  const signer = signers[signerIndex];
+
+  const forwarder = await ethers.getContractAt("ERC2771Forwarder", forwarderAddress);
+  const target = await ethers.getContractAt(contractName, targetAddress);
+
+  if (!(await target.isTrustedForwarder(forwarderAddress))) {
+    throw new Error(`${contractName} does not trust ${forwarderAddress}; redeploy it with the forwarder`);
+  }
+
+  console.log("📋 Request:");
+  console.log("├── Relayer:", relayer.address);
+  console.log("├── Signer:", signer.address);
+  console.log("├── Target:", `${contractName} (${targetAddress})`);
+  console.log("└── Call:", `${functionName}(${args.map((arg) => JSON.stringify(arg)).join(", ")})`);
+  console.log("");
+
+  const requestData = await signForwardRequest(signer, forwarder, {
+    to: targetAddress,
+    data: target.interface.encodeFunctionData(functionName, args)
+  });
+  console.log("✍️  Request signed (gas limit:", requestData.gas.toString() + ")");
+
+  const signerBalanceBefore = await ethers.provider.getBalance(signer.address);
+  const receipt = await relayRequest(relayer, forwarder, requestData);
+  const signerBalanceAfter = await ethers.provider.getBalance(signer.address);
+
+  console.log("✅ Relayed in transaction:", receipt.hash);
+  console.log("├── Gas used:", receipt.gasUsed.toString(), "(paid by relayer)");
+  console.log("└── Signer ETH spent:", ethers.formatEther(signerBalanceBefore - signerBalanceAfter));
+
+  for (const log of receipt.logs) {
+    const parsed = target.interface.parseLog(log);
+    if (parsed) {
+      console.log(`📝 ${parsed.name}(${parsed.args.map((arg) => arg.toString()).join(", ")})`);
+    }
+  }
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Relay failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  FORWARD_REQUEST_TYPES,
+  signForwardRequest,
+  relayRequest
+};
@@ -0,0 +1,113 @@
+const { ethers } = require("hardhat");
+require("dotenv").config();
+
+// EIP-712 type of DatasetCredits.UsageReceipt; field order must match USAGE_RECEIPT_TYPEHASH
+const USAGE_RECEIPT_TYPES = {
+  UsageReceipt: [
+    { name: "buyer", type: "address" },
+    { name: "datasetId", type: "uint256" },
+    { name: "totalUsage", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * Build the EIP-712 domain of a DatasetCredits deployment
+ * @param {string} creditsAddress DatasetCredits contract address
+ * @param {bigint|number} chainId Chain ID the contract is deployed on
+ */
+function receiptDomain(creditsAddress, chainId) {
+  return {
+    name: "DatasetCredits",
+    version: "1",
+    chainId,
+    verifyingContract: creditsAddress
+  };
+}
+
+/**
+ * Sign a usage receipt with the buyer's session key
+ * @param {import("ethers").Signer} signer Session key registered by the buyer
+ * @param {string} creditsAddress DatasetCredits contract address
+ * @param {object} receipt Receipt fields; totalUsage is the cumulative usage in wei
+ * @returns {Promise<{receipt: object, signature: string}>} Receipt as signed and its signature
+ */
+async function signUsageReceipt(signer, creditsAddress, receipt) {
+  const { chainId } = await signer.provider.getNetwork();
+
+  const signedReceipt = {
+    buyer: receipt.buyer,
+    datasetId: BigInt(receipt.datasetId),
+    totalUsage: BigInt(receipt.totalUsage),
+    deadline: BigInt(receipt.deadline)
+  };
+
+  const signature = await signer.signTypedData(
+    receiptDomain(creditsAddress, chainId),
+    USAGE_RECEIPT_TYPES,
+    signedReceipt
+  );
+
+  return { receipt: signedReceipt, signature };
+}
+
+async function main() {
+  console.log("✍️  Signing dataset usage receipt...\n");
+
+  const creditsAddress = process.env.CREDITS_ADDRESS;
+  const buyer = process.env.RECEIPT_BUYER;
+  const datasetId = process.env.RECEIPT_DATASET_ID;
+  const totalUsage = process.env.RECEIPT_TOTAL_USAGE;
+  const validFor = process.env.RECEIPT_VALID_FOR || "86400"; // Submittable for 1 day by default
+
+  if (!ethers.isAddress(creditsAddress || "")) {
+    throw new Error("CREDITS_ADDRESS must be the DatasetCredits contract address");
+  }
+  if (!ethers.isAddress(buyer || "")) {
+    throw new Error("RECEIPT_BUYER must be the buyer's address");
+  }
+  if (!datasetId) {
+    throw new Error("RECEIPT_DATASET_ID is required");
+  }
+  if (!totalUsage) {
+    throw new Error("RECEIPT_TOTAL_USAGE is required");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const latestBlock = await ethers.provider.getBlock("latest");
+
+  const { receipt, signature } = await signUsageReceipt(signer, creditsAddress, {
+    buyer,
+    datasetId,
+    totalUsage,
+    deadline: BigInt(latestBlock.timestamp) + BigInt(validFor)
+  });
+
+  console.log("📋 Receipt:");
+  console.log("├── Signer (session key):", signer.address);
+  console.log("├── Buyer:", receipt.buyer);
+  console.log("├── Dataset ID:", receipt.datasetId.toString());
+  console.log("├── Total usage:", ethers.formatEther(receipt.totalUsage), "ETH");
+  console.log("└── Deadline:", new Date(Number(receipt.deadline) * 1000).toISOString());
+  console.log("");
+  console.log("📦 Pass to settleUsage(receipt, signature):");
+  console.log(JSON.stringify({
+    receipt: Object.fromEntries(Object.entries(receipt).map(([key, value]) => [key, value.toString()])),
+    signature
+  }, null, 2));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Receipt signing failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  USAGE_RECEIPT_TYPES,
+  receiptDomain,
+  signUsageReceipt
+};
@@ -0,0 +1,125 @@
+const { ethers } = require("hardhat");
+require("dotenv").config();
+
+// EIP-712 type of DatasetVouchers.AccessVoucher; field order must match ACCESS_VOUCHER_TYPEHASH
+const ACCESS_VOUCHER_TYPES = {
+  AccessVoucher: [
+    { name: "buyer", type: "address" },
+    { name: "datasetId", type: "uint256" },
+    { name: "duration", type: "uint256" },
+    { name: "price", type: "uint256" },
+    { name: "paymentToken", type: "address" },
+    { name: "nonce", type: "uint256" },
+    { name: "deadline", type: "uint256" }
+  ]
+};
+
+/**
+ * Build the EIP-712 domain of a DatasetVouchers deployment
+ * @param {string} vouchersAddress DatasetVouchers contract address
+ * @param {bigint|number} chainId Chain ID the contract is deployed on
+ */
+function voucherDomain(vouchersAddress, chainId) {
+  return {
+    name: "DatasetVouchers",
+    version: "1",
+    chainId,
+    verifyingContract: vouchersAddress
+  };
+}
+
+/**
+ * Sign an access voucher as the dataset owner
+ * @param {import("ethers").Signer} signer Dataset owner
+ * @param {string} vouchersAddress DatasetVouchers contract address
+ * @param {object} voucher Voucher fields; paymentToken defaults to ETH, nonce to a random value
+ * @returns {Promise<{voucher: object, signature: string}>} Voucher as signed and its signature
+ */
+async function signAccessVoucher(signer, vouchersAddress, voucher) {
+  const { chainId } = await signer.provider.getNetwork();
+
+  const signedVoucher = {
+    buyer: voucher.buyer,
+    datasetId: BigInt(voucher.datasetId),
+    duration: BigInt(voucher.duration),
+    price: BigInt(voucher.price),
+    paymentToken: voucher.paymentToken || ethers.ZeroAddress,
+    nonce: voucher.nonce !== undefined ? BigInt(voucher.nonce) : BigInt(ethers.hexlify(ethers.randomBytes(32))),
+    deadline: BigInt(voucher.deadline)
+  };
+
+  const signature = await signer.signTypedData(
+    voucherDomain(vouchersAddress, chainId),
+    ACCESS_VOUCHER_TYPES,
+    signedVoucher
+  );
+
+  return { voucher: signedVoucher, signature };
+}
+
+async function main() {
+  console.log("✍️  Signing dataset access voucher...\n");
+
+  const vouchersAddress = process.env.VOUCHERS_ADDRESS;
+  const buyer = process.env.VOUCHER_BUYER;
+  const datasetId = process.env.VOUCHER_DATASET_ID;
+  const duration = process.env.VOUCHER_DURATION || "86400"; // 1 day default
+  const price = process.env.VOUCHER_PRICE || "0";           // Free trial default
+  const paymentToken = process.env.VOUCHER_PAYMENT_TOKEN || undefined; // ETH when unset
+  const nonce = process.env.VOUCHER_NONCE || undefined;                // Random when unset
+  const validFor = process.env.VOUCHER_VALID_FOR || "604800"; // Redeemable for 7 days by default
+
+  if (!ethers.isAddress(vouchersAddress || "")) {
+    throw new Error("VOUCHERS_ADDRESS must be the DatasetVouchers contract address");
+  }
+  if (!ethers.isAddress(buyer || "")) {
+    throw new Error("VOUCHER_BUYER must be the buyer's address");
+  }
+  if (!datasetId) {
+    throw new Error("VOUCHER_DATASET_ID is required");
+  }
+
+  const [signer] = await ethers.getSigners();
+  const latestBlock = await ethers.provider.getBlock("latest");
+
+  const { voucher, signature } = await signAccessVoucher(signer, vouchersAddress, {
+    buyer,
+    datasetId,
+    duration,
+    price,
+    paymentToken,
+    nonce,
+    deadline: BigInt(latestBlock.timestamp) + BigInt(validFor)
+  });
+
+  console.log("📋 Voucher:");
+  console.log("├── Signer (dataset owner):", signer.address);
+  console.log("├── Buyer:", voucher.buyer);
+  console.log("├── Dataset ID:", voucher.datasetId.toString());
+  console.log("├── Duration:", voucher.duration.toString(), "seconds");
+  console.log("├── Price:", voucher.price.toString());
+  console.log("├── Payment token:", voucher.paymentToken);
+  console.log("├── Nonce:", voucher.nonce.toString());
+  console.log("└── Deadline:", new Date(Number(voucher.deadline) * 1000).toISOString());
+  console.log("");
+  console.log("📦 Pass to redeemAccessVoucher(voucher, signature):");
+  console.log(JSON.stringify({
+    voucher: Object.fromEntries(Object.entries(voucher).map(([key, value]) => [key, value.toString()])),
+    signature
+  }, null, 2));
+}
+
+if (require.main === module) {
+  main()
+    .then(() => process.exit(0))
+    .catch((error) => {
+      console.error("❌ Voucher signing failed:", error);
+      process.exit(1);
+    });
+}
+
+module.exports = {
+  ACCESS_VOUCHER_TYPES,
+  voucherDomain,
+  signAccessVoucher
+};
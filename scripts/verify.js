@@ -3,6 +3,9 @@ const fs = require("fs");
 const path = require("path");
 require("dotenv").config();
 
+// Extension contracts that take the DatasetAccess address as their only constructor argument
+const EXTENSIONS = ["DatasetPlans", "DatasetSubscriptions", "DatasetVouchers", "DatasetCampaigns", "DatasetReferrals", "DatasetSeats", "DatasetEscrow", "DatasetCatalog", "DatasetBatcher", "DatasetGrants", "DatasetMarketplace", "DatasetCredits"];
+
 async function main() {
   console.log("🔍 Starting contract verification on BaseScan...\n");
 
@@ -37,13 +40,14 @@ async function main() {
 
   const { contracts, configuration } = deploymentInfo;
 
-  if (!contracts || !contracts.DatasetToken || !contracts.DatasetAccess) {
+  if (!contracts || !contracts.DatasetToken || !contracts.DatasetAccess || !contracts.DatasetAccessLib) {
     console.error("❌ Invalid deployment file format. Missing contract addresses.");
     process.exit(1);
   }
 
   console.log("📦 Contracts to verify:");
   console.log("├── DatasetToken:", contracts.DatasetToken.address);
+  console.log("├── DatasetAccessLib:", contracts.DatasetAccessLib.address);
   console.log("└── DatasetAccess:", contracts.DatasetAccess.address);
   console.log("");
 
@@ -54,7 +58,8 @@ async function main() {
     await run("verify:verify", {
       address: contracts.DatasetToken.address,
       constructorArguments: [
-        configuration.initialOwner
+        configuration.initialOwner,
+        configuration.trustedForwarder
       ],
       contract: "contracts/DatasetToken.sol:DatasetToken"
     });
@@ -63,6 +68,12 @@ async function main() {
 
     // Verify DatasetAccess contract
     console.log("\n🔍 Step 2: Verifying DatasetAccess contract...");
+
+    await run("verify:verify", {
+      address: contracts.DatasetAccessLib.address,
+      contract: "contracts/DatasetAccessLib.sol:DatasetAccessLib"
+    });
+    console.log("✅ DatasetAccessLib verified successfully!");
     
     await run("verify:verify", {
       address: contracts.DatasetAccess.address,
@@ -70,13 +81,35 @@ async function main() {
         contracts.DatasetToken.address,
         configuration.platformWallet,
         configuration.platformFeePercentage,
-        configuration.initialOwner
+        configuration.initialOwner,
+        configuration.trustedForwarder
       ],
-      contract: "contracts/DatasetAccess.sol:DatasetAccess"
+      contract: "contracts/DatasetAccess.sol:DatasetAccess",
+      libraries: {
+        DatasetAccessLib: contracts.DatasetAccessLib.address
+      }
     });
     
     console.log("✅ DatasetAccess verified successfully!");
 
+    // Verify access modules, the escrow agent, the catalog and the batcher
+    for (const contractName of EXTENSIONS) {
+      if (!contracts[contractName]) {
+        continue;
+      }
+      console.log(`\n🔍 Verifying ${contractName}...`);
+
+      await run("verify:verify", {
+        address: contracts[contractName].address,
+        constructorArguments: [
+          contracts.DatasetAccess.address
+        ],
+        contract: `contracts/${contractName}.sol:${contractName}`
+      });
+
+      console.log(`✅ ${contractName} verified successfully!`);
+    }
+
     // Update deployment file with verification status
     deploymentInfo.verified = true;
     deploymentInfo.verificationTimestamp = new Date().toISOString();
@@ -91,7 +124,8 @@ async function main() {
     console.log("");
     console.log("✅ Verified Contracts:");
     console.log("├── DatasetToken:", contracts.DatasetToken.address);
-    console.log("└── DatasetAccess:", contracts.DatasetAccess.address);
+    console.log("├── DatasetAccessLib:", contracts.DatasetAccessLib.address);
+  console.log("└── DatasetAccess:", contracts.DatasetAccess.address);
     console.log("");
     console.log("🔗 View on BaseScan:");
     console.log("├── DatasetToken: https://sepolia.basescan.org/address/" + contracts.DatasetToken.address);
@@ -1,6 +1,9 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { signForwardRequest } = require("../scripts/relay");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
 
 describe("DatasetAccess", function () {
   let DatasetToken;
@@ -15,6 +18,7 @@ describe("DatasetAccess", function () {
   let addrs;
 
   const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
   const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
   const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
 
@@ -23,22 +27,24 @@ describe("DatasetAccess", function () {
 
     // Deploy DatasetToken
     DatasetToken = await ethers.getContractFactory("DatasetToken");
-    datasetToken = await DatasetToken.deploy(owner.address);
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
     await datasetToken.waitForDeployment();
 
     // Deploy DatasetAccess
-    DatasetAccess = await ethers.getContractFactory("DatasetAccess");
+    DatasetAccess = await getDatasetAccessFactory();
     datasetAccess = await DatasetAccess.deploy(
       await datasetToken.getAddress(),
       platformWallet.address,
       PLATFORM_FEE,
-      owner.address
+      owner.address,
+      ethers.ZeroAddress
     );
     await datasetAccess.waitForDeployment();
 
     // Grant roles to DatasetAccess contract
     await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
     await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
   });
 
   describe("Deployment", function () {
@@ -51,15 +57,15 @@ describe("DatasetAccess", function () {
 
     it("Should fail with invalid parameters", async function () {
       await expect(
-        DatasetAccess.deploy(ethers.ZeroAddress, platformWallet.address, PLATFORM_FEE, owner.address)
+        DatasetAccess.deploy(ethers.ZeroAddress, platformWallet.address, PLATFORM_FEE, owner.address, ethers.ZeroAddress)
       ).to.be.revertedWith("Invalid token contract address");
 
       await expect(
-        DatasetAccess.deploy(await datasetToken.getAddress(), ethers.ZeroAddress, PLATFORM_FEE, owner.address)
+        DatasetAccess.deploy(await datasetToken.getAddress(), ethers.ZeroAddress, PLATFORM_FEE, owner.address, ethers.ZeroAddress)
       ).to.be.revertedWith("Invalid platform wallet");
 
       await expect(
-        DatasetAccess.deploy(await datasetToken.getAddress(), platformWallet.address, 1001, owner.address)
+        DatasetAccess.deploy(await datasetToken.getAddress(), platformWallet.address, 1001, owner.address, ethers.ZeroAddress)
       ).to.be.revertedWith("Platform fee too high");
     });
   });
@@ -77,7 +83,7 @@ describe("DatasetAccess", function () {
     it("Should create dataset successfully", async function () {
       const metadataURI = "ipfs://QmDataset123";
 
-      await expect(datasetAccess.connect(user1).createDataset(metadataURI, prices))
+      await expect(datasetAccess.connect(user1).createDataset(metadataURI, CONTENT_HASH, prices))
         .to.emit(datasetAccess, "DatasetCreated")
         .withArgs(1, user1.address, metadataURI, await time.latest() + 1);
 
@@ -88,7 +94,7 @@ describe("DatasetAccess", function () {
     });
 
     it("Should mint ownership NFT on dataset creation", async function () {
-      await datasetAccess.connect(user1).createDataset("ipfs://test", prices);
+      await datasetAccess.connect(user1).createDataset("ipfs://test", CONTENT_HASH, prices);
       
       const userTokens = await datasetToken.getUserTokens(user1.address);
       expect(userTokens.length).to.equal(1);
@@ -97,15 +103,21 @@ describe("DatasetAccess", function () {
 
     it("Should fail with empty metadata URI", async function () {
       await expect(
-        datasetAccess.connect(user1).createDataset("", prices)
+        datasetAccess.connect(user1).createDataset("", CONTENT_HASH, prices)
       ).to.be.revertedWith("Metadata URI cannot be empty");
     });
 
+    it("Should fail with empty content hash", async function () {
+      await expect(
+        datasetAccess.connect(user1).createDataset("ipfs://test", ethers.ZeroHash, prices)
+      ).to.be.revertedWith("Content hash cannot be empty");
+    });
+
     it("Should fail when paused", async function () {
       await datasetAccess.pause();
       
       await expect(
-        datasetAccess.connect(user1).createDataset("ipfs://test", prices)
+        datasetAccess.connect(user1).createDataset("ipfs://test", CONTENT_HASH, prices)
       ).to.be.revertedWithCustomError(datasetAccess, "EnforcedPause");
     });
   });
@@ -118,7 +130,7 @@ describe("DatasetAccess", function () {
     ];
 
     beforeEach(async function () {
-      await datasetAccess.connect(user1).createDataset("ipfs://initial", initialPrices);
+      await datasetAccess.connect(user1).createDataset("ipfs://initial", CONTENT_HASH, initialPrices);
       datasetId = 1;
     });
 
@@ -126,7 +138,7 @@ describe("DatasetAccess", function () {
       const newMetadataURI = "ipfs://updated";
       const newPrices = initialPrices.map(p => p * 2n);
 
-      await expect(datasetAccess.connect(user1).updateDataset(datasetId, newMetadataURI, newPrices))
+      await expect(datasetAccess.connect(user1).updateDataset(datasetId, newMetadataURI, CONTENT_HASH, newPrices))
         .to.emit(datasetAccess, "DatasetUpdated")
         .withArgs(datasetId, newMetadataURI, await time.latest() + 1);
 
@@ -139,24 +151,113 @@ describe("DatasetAccess", function () {
       const newPrices = [...initialPrices];
       newPrices[0] = ethers.parseEther("0.02"); // Change first price
 
-      await expect(datasetAccess.connect(user1).updateDataset(datasetId, "ipfs://test", newPrices))
+      await expect(datasetAccess.connect(user1).updateDataset(datasetId, "ipfs://test", CONTENT_HASH, newPrices))
         .to.emit(datasetAccess, "PriceUpdated")
         .withArgs(datasetId, 0, initialPrices[0], newPrices[0]);
     });
 
     it("Should fail if not owner", async function () {
       await expect(
-        datasetAccess.connect(user2).updateDataset(datasetId, "ipfs://test", initialPrices)
+        datasetAccess.connect(user2).updateDataset(datasetId, "ipfs://test", CONTENT_HASH, initialPrices)
       ).to.be.revertedWith("Not dataset owner");
     });
 
     it("Should fail with non-existent dataset", async function () {
       await expect(
-        datasetAccess.connect(user1).updateDataset(999, "ipfs://test", initialPrices)
+        datasetAccess.connect(user1).updateDataset(999, "ipfs://test", CONTENT_HASH, initialPrices)
       ).to.be.revertedWith("Dataset does not exist");
     });
   });
 
+  describe("Dataset Versioning", function () {
+    let datasetId;
+    const prices = [
+      ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"),
+      ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")
+    ];
+    const contentHash = ethers.sha256(ethers.toUtf8Bytes("dataset v2 contents"));
+
+    beforeEach(async function () {
+      await datasetAccess.connect(user1).createDataset("ipfs://v1", CONTENT_HASH, prices);
+      datasetId = 1;
+    });
+
+    it("Should record the initial version on creation", async function () {
+      expect(await datasetAccess.getDatasetVersionCount(datasetId)).to.equal(1);
+
+      const version = await datasetAccess.getDatasetVersion(datasetId, 1);
+      expect(version.metadataURI).to.equal("ipfs://v1");
+      expect(version.contentHash).to.equal(CONTENT_HASH);
+      expect(version.timestamp).to.equal(await time.latest());
+      expect(version.changelogURI).to.equal("");
+    });
+
+    it("Should publish a version with a content hash", async function () {
+      await expect(
+        datasetAccess.connect(user1).publishVersion(datasetId, "ipfs://v2", contentHash, "ipfs://changelog-v2")
+      ).to.emit(datasetAccess, "DatasetVersionPublished")
+        .withArgs(datasetId, 2, contentHash)
+        .and.to.emit(datasetAccess, "DatasetUpdated");
+
+      expect((await datasetAccess.getDataset(datasetId)).metadataURI).to.equal("ipfs://v2");
+      const version = await datasetAccess.getDatasetVersion(datasetId, 2);
+      expect(version.metadataURI).to.equal("ipfs://v2");
+      expect(version.contentHash).to.equal(contentHash);
+      expect(version.changelogURI).to.equal("ipfs://changelog-v2");
+
+      // Earlier versions are kept
+      expect((await datasetAccess.getDatasetVersion(datasetId, 1)).metadataURI).to.equal("ipfs://v1");
+    });
+
+    it("Should validate published versions", async function () {
+      await expect(
+        datasetAccess.connect(user2).publishVersion(datasetId, "ipfs://v2", contentHash, "")
+      ).to.be.revertedWith("Not dataset owner");
+      await expect(
+        datasetAccess.connect(user1).publishVersion(datasetId, "", contentHash, "")
+      ).to.be.revertedWith("Metadata URI cannot be empty");
+      await expect(
+        datasetAccess.connect(user1).publishVersion(datasetId, "ipfs://v2", ethers.ZeroHash, "")
+      ).to.be.revertedWith("Content hash cannot be empty");
+      await expect(datasetAccess.getDatasetVersion(datasetId, 0)).to.be.revertedWith("Version does not exist");
+      await expect(datasetAccess.getDatasetVersion(datasetId, 2)).to.be.revertedWith("Version does not exist");
+    });
+
+    it("Should add a version only when updateDataset changes the URI or content hash", async function () {
+      await datasetAccess.connect(user1).updateDataset(datasetId, "ipfs://v1", CONTENT_HASH, prices.map(p => p * 2n));
+      expect(await datasetAccess.getDatasetVersionCount(datasetId)).to.equal(1);
+
+      await expect(datasetAccess.connect(user1).updateDataset(datasetId, "ipfs://v2", CONTENT_HASH, prices))
+        .to.emit(datasetAccess, "DatasetVersionPublished")
+        .withArgs(datasetId, 2, CONTENT_HASH);
+      await expect(datasetAccess.connect(user1).updateDataset(datasetId, "ipfs://v2", contentHash, prices))
+        .to.emit(datasetAccess, "DatasetVersionPublished")
+        .withArgs(datasetId, 3, contentHash);
+      expect(await datasetAccess.getDatasetVersionCount(datasetId)).to.equal(3);
+
+      await expect(
+        datasetAccess.connect(user1).updateDataset(datasetId, "ipfs://v2", ethers.ZeroHash, prices)
+      ).to.be.revertedWith("Content hash cannot be empty");
+    });
+
+    it("Should tie each purchase to the version current at purchase time", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: prices[1] });
+      await datasetAccess.connect(user1).publishVersion(datasetId, "ipfs://v2", contentHash, "");
+      await datasetAccess.connect(user3).purchaseAccess(datasetId, 1, { value: prices[1] });
+
+      expect((await datasetAccess.getPurchase(1)).version).to.equal(1);
+      expect((await datasetAccess.getPurchase(2)).version).to.equal(2);
+
+      const [version, record] = await datasetAccess.getPurchaseVersion(2);
+      expect(version).to.equal(2);
+      expect(record.metadataURI).to.equal("ipfs://v2");
+      expect(record.contentHash).to.equal(contentHash);
+
+      expect((await datasetAccess.getPurchaseVersion(1))[1].metadataURI).to.equal("ipfs://v1");
+      await expect(datasetAccess.getPurchaseVersion(3)).to.be.revertedWith("Purchase does not exist");
+    });
+  });
+
   describe("Access Purchase", function () {
     let datasetId;
     const prices = [
@@ -165,7 +266,7 @@ describe("DatasetAccess", function () {
     ];
 
     beforeEach(async function () {
-      await datasetAccess.connect(user1).createDataset("ipfs://dataset", prices);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
       datasetId = 1;
     });
 
@@ -178,6 +279,13 @@ describe("DatasetAccess", function () {
       ).to.emit(datasetAccess, "AccessPurchased");
 
       expect(await datasetAccess.checkAccess(user2.address, datasetId)).to.be.true;
+      expect((await datasetAccess.getPurchase(1)).durationSeconds).to.equal(24 * 3600);
+    });
+
+    it("Should not sell the CUSTOM duration directly", async function () {
+      await expect(
+        datasetAccess.connect(user2).purchaseAccess(datasetId, 6, { value: prices[5] })
+      ).to.be.revertedWith("Price not set for this duration");
     });
 
     it("Should mint access token on purchase", async function () {
@@ -195,26 +303,33 @@ describe("DatasetAccess", function () {
       expect(isValid).to.be.true;
     });
 
+    it("Should give access tokens on-chain metadata instead of a dataset sub-path", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: prices[1] });
+
+      const [tokenId] = await datasetToken.getUserTokens(user2.address);
+      const uri = await datasetToken.tokenURI(tokenId);
+      expect(uri).to.match(/^data:application\/json;base64,/);
+
+      const metadata = JSON.parse(Buffer.from(uri.split(",")[1], "base64").toString("utf8"));
+      expect(metadata.attributes[0]).to.deep.equal({ trait_type: "Dataset ID", display_type: "number", value: datasetId });
+      expect(metadata.attributes[3].value).to.equal("Active");
+    });
+
     it("Should distribute payments correctly", async function () {
       const duration = 1;
       const price = prices[duration];
-      
-      const platformBalanceBefore = await ethers.provider.getBalance(platformWallet.address);
-      const ownerBalanceBefore = await ethers.provider.getBalance(user1.address);
 
       await datasetAccess.connect(user2).purchaseAccess(datasetId, duration, { value: price });
 
-      const platformBalanceAfter = await ethers.provider.getBalance(platformWallet.address);
-      const ownerBalanceAfter = await ethers.provider.getBalance(user1.address);
-
       const platformFee = (price * BigInt(PLATFORM_FEE)) / 10000n;
       const ownerAmount = price - platformFee;
 
-      expect(platformBalanceAfter - platformBalanceBefore).to.equal(platformFee);
-      expect(ownerBalanceAfter - ownerBalanceBefore).to.equal(ownerAmount);
+      expect(await datasetAccess.pendingWithdrawals(platformWallet.address, ethers.ZeroAddress)).to.equal(platformFee);
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(ownerAmount);
+      expect(await datasetAccess.totalPendingWithdrawals(ethers.ZeroAddress)).to.equal(price);
     });
 
-    it("Should refund excess payment", async function () {
+    it("Should credit excess payment to the buyer", async function () {
       const duration = 1;
       const price = prices[duration];
       const excess = ethers.parseEther("0.1");
@@ -225,7 +340,10 @@ describe("DatasetAccess", function () {
       const gasUsed = receipt.gasUsed * receipt.gasPrice;
       const balanceAfter = await ethers.provider.getBalance(user2.address);
 
-      expect(balanceBefore - balanceAfter).to.equal(price + gasUsed);
+      expect(balanceBefore - balanceAfter).to.equal(price + excess + gasUsed);
+      expect(await datasetAccess.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal(excess);
+
+      await expect(datasetAccess.connect(user2).withdraw()).to.changeEtherBalance(user2, excess);
     });
 
     it("Should fail with insufficient payment", async function () {
@@ -263,7 +381,7 @@ describe("DatasetAccess", function () {
     const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
 
     beforeEach(async function () {
-      await datasetAccess.connect(user1).createDataset("ipfs://dataset", prices);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
       datasetId = 1;
     });
 
@@ -307,6 +425,23 @@ describe("DatasetAccess", function () {
       expect(await datasetAccess.checkAccess(user2.address, datasetId)).to.be.false;
     });
 
+    it("Should report userAccess only while the access token is valid", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 0, { value: prices[0] });
+      expect(await datasetAccess.userAccess(user2.address, datasetId)).to.be.true;
+      expect(await datasetAccess.userAccess(user1.address, datasetId)).to.be.false; // owner holds no access token
+
+      await time.increase(3600);
+      expect(await datasetAccess.userAccess(user2.address, datasetId)).to.be.false;
+      expect(await datasetAccess.checkAccess(user2.address, datasetId)).to.be.false;
+    });
+
+    it("Should clear userAccess on revocation", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: prices[1] });
+      await datasetAccess.connect(user1).revokeAccess(datasetId, user2.address);
+
+      expect(await datasetAccess.userAccess(user2.address, datasetId)).to.be.false;
+    });
+
     it("Should fail revoke if not authorized", async function () {
       await expect(
         datasetAccess.connect(user2).revokeAccess(datasetId, user1.address)
@@ -314,12 +449,436 @@ describe("DatasetAccess", function () {
     });
   });
 
+  describe("Access Renewal", function () {
+    let datasetId;
+    const DAY = 24 * 60 * 60;
+    const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+    beforeEach(async function () {
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+      datasetId = 1;
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: prices[1] });
+    });
+
+    it("Should stack renewal on the remaining time", async function () {
+      const [, expiryBefore, tokenId] = await datasetAccess.getAccessDetails(user2.address, datasetId);
+
+      await expect(datasetAccess.connect(user2).renewAccess(datasetId, 2, { value: prices[2] }))
+        .to.emit(datasetAccess, "AccessRenewed")
+        .withArgs(2, datasetId, user2.address, tokenId, expiryBefore + BigInt(7 * DAY))
+        .and.to.emit(datasetToken, "AccessTokenExtended")
+        .withArgs(tokenId, datasetId, expiryBefore, expiryBefore + BigInt(7 * DAY));
+
+      const [hasAccess, expiryAfter, tokenIdAfter] = await datasetAccess.getAccessDetails(user2.address, datasetId);
+      expect(hasAccess).to.be.true;
+      expect(tokenIdAfter).to.equal(tokenId);
+      expect(expiryAfter).to.equal(expiryBefore + BigInt(7 * DAY));
+      expect((await datasetToken.getUserTokens(user2.address)).length).to.equal(1);
+    });
+
+    it("Should renew lapsed access from now", async function () {
+      await time.increase(2 * DAY);
+
+      await datasetAccess.connect(user2).renewAccess(datasetId, 1, { value: prices[1] });
+      const now = await time.latest();
+
+      const [hasAccess, expiryTime] = await datasetAccess.getAccessDetails(user2.address, datasetId);
+      expect(hasAccess).to.be.true;
+      expect(expiryTime).to.equal(BigInt(now + DAY));
+      expect((await datasetToken.getUserTokens(user2.address)).length).to.equal(1);
+    });
+
+    it("Should record renewal as a paid purchase", async function () {
+      await datasetAccess.connect(user2).renewAccess(datasetId, 1, { value: prices[1] });
+
+      const [, expiryTime, tokenId] = await datasetAccess.getAccessDetails(user2.address, datasetId);
+      const purchase = await datasetAccess.getPurchase(2);
+      expect(purchase.tokenId).to.equal(tokenId);
+      expect(purchase.expiryTime).to.equal(expiryTime);
+      expect(await datasetAccess.getUserPurchases(user2.address)).to.deep.equal([1n, 2n]);
+
+      const dataset = await datasetAccess.getDataset(datasetId);
+      expect(dataset.totalSales).to.equal(2);
+      expect(dataset.totalRevenue).to.equal(prices[1] * 2n);
+    });
+
+    it("Should fail without an existing access token", async function () {
+      await expect(
+        datasetAccess.connect(user3).renewAccess(datasetId, 1, { value: prices[1] })
+      ).to.be.revertedWith("No access token to renew");
+    });
+
+    it("Should fail after access is revoked", async function () {
+      await datasetAccess.connect(user1).revokeAccess(datasetId, user2.address);
+
+      await expect(
+        datasetAccess.connect(user2).renewAccess(datasetId, 1, { value: prices[1] })
+      ).to.be.revertedWith("No access token to renew");
+    });
+
+    it("Should fail with insufficient payment", async function () {
+      await expect(
+        datasetAccess.connect(user2).renewAccess(datasetId, 1, { value: prices[1] - 1n })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+  });
+
+  describe("Access Check Gas", function () {
+    const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+    const OTHER_TOKENS = 60;
+
+    beforeEach(async function () {
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: prices[1] });
+      await datasetAccess.connect(user3).purchaseAccess(1, 1, { value: prices[1] });
+    });
+
+    async function mintUnrelatedTokens(user, count) {
+      const expiryTime = (await time.latest()) + 3600;
+      for (let i = 0; i < count; i++) {
+        await datasetToken.mintAccessToken(user.address, 1000 + i, expiryTime, user1.address);
+      }
+    }
+
+    it("Should keep access check cost flat as a user's token count grows", async function () {
+      const checkGasBefore = await datasetAccess.checkAccess.estimateGas(user2.address, 1);
+      const detailsGasBefore = await datasetAccess.getAccessDetails.estimateGas(user2.address, 1);
+
+      await mintUnrelatedTokens(user2, OTHER_TOKENS);
+      expect((await datasetToken.getUserTokens(user2.address)).length).to.equal(OTHER_TOKENS + 1);
+
+      expect(await datasetAccess.checkAccess.estimateGas(user2.address, 1)).to.equal(checkGasBefore);
+      expect(await datasetAccess.getAccessDetails.estimateGas(user2.address, 1)).to.equal(detailsGasBefore);
+    });
+
+    it("Should keep revocation cost flat as a user's token count grows", async function () {
+      await mintUnrelatedTokens(user3, OTHER_TOKENS);
+
+      const lightReceipt = await (await datasetAccess.connect(user1).revokeAccess(1, user2.address)).wait();
+      const heavyReceipt = await (await datasetAccess.connect(user1).revokeAccess(1, user3.address)).wait();
+
+      // Only the swap-and-pop of a non-last array element differs between the two
+      expect(heavyReceipt.gasUsed).to.be.closeTo(lightReceipt.gasUsed, 25000n);
+      expect(await datasetAccess.checkAccess(user3.address, 1)).to.be.false;
+      expect((await datasetToken.getUserTokens(user3.address)).length).to.equal(OTHER_TOKENS);
+    });
+  });
+
+  describe("Ownership Transfer", function () {
+    let datasetId;
+    let ownershipTokenId;
+    const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+    beforeEach(async function () {
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+      datasetId = 1;
+      ownershipTokenId = await datasetToken.ownershipTokens(datasetId);
+    });
+
+    it("Should move dataset ownership with the NFT", async function () {
+      await expect(
+        datasetToken.connect(user1).transferFrom(user1.address, user3.address, ownershipTokenId)
+      ).to.emit(datasetAccess, "DatasetOwnershipTransferred")
+        .withArgs(datasetId, user1.address, user3.address);
+
+      const dataset = await datasetAccess.getDataset(datasetId);
+      expect(dataset.owner).to.equal(user3.address);
+      expect(await datasetAccess.getUserDatasets(user1.address)).to.deep.equal([]);
+      expect(await datasetAccess.getUserDatasets(user3.address)).to.deep.equal([1n]);
+    });
+
+    it("Should pay the new NFT holder after a transfer", async function () {
+      await datasetToken.connect(user1).transferFrom(user1.address, user3.address, ownershipTokenId);
+
+      const price = prices[1];
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: price });
+
+      const platformFee = (price * BigInt(PLATFORM_FEE)) / 10000n;
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(0);
+      expect(await datasetAccess.pendingWithdrawals(user3.address, ethers.ZeroAddress)).to.equal(price - platformFee);
+    });
+
+    it("Should hand owner permissions to the new NFT holder", async function () {
+      await datasetToken.connect(user1).transferFrom(user1.address, user3.address, ownershipTokenId);
+
+      await expect(
+        datasetAccess.connect(user1).updateDataset(datasetId, "ipfs://stale", CONTENT_HASH, prices)
+      ).to.be.revertedWith("Not dataset owner");
+      await expect(
+        datasetAccess.connect(user1).setRoyalty(datasetId, [user2.address], [100])
+      ).to.be.revertedWith("Not dataset owner");
+
+      await datasetAccess.connect(user3).updateDataset(datasetId, "ipfs://new-owner", CONTENT_HASH, prices);
+      await datasetAccess.connect(user3).setRoyalty(datasetId, [user2.address], [100]);
+
+      expect(await datasetAccess.checkAccess(user3.address, datasetId)).to.be.true;
+      expect(await datasetAccess.checkAccess(user1.address, datasetId)).to.be.false;
+    });
+
+    it("Should let the previous owner buy access after selling", async function () {
+      await datasetToken.connect(user1).transferFrom(user1.address, user3.address, ownershipTokenId);
+
+      await datasetAccess.connect(user1).purchaseAccess(datasetId, 1, { value: prices[1] });
+      expect(await datasetAccess.checkAccess(user1.address, datasetId)).to.be.true;
+
+      await expect(
+        datasetAccess.connect(user3).purchaseAccess(datasetId, 1, { value: prices[1] })
+      ).to.be.revertedWith("Cannot purchase own dataset");
+    });
+
+    it("Should only accept ownership callbacks from the token contract", async function () {
+      await expect(
+        datasetAccess.connect(user1).onOwnershipTransfer(datasetId, user1.address, user2.address)
+      ).to.be.revertedWith("Only dataset token contract");
+    });
+  });
+
+  describe("Dataset Roles", function () {
+    let datasetId;
+    const MANAGER = 0;
+    const SUPPORT = 1;
+    const FINANCE = 2;
+    const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+    beforeEach(async function () {
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+      datasetId = 1;
+    });
+
+    it("Should grant and revoke roles with events", async function () {
+      await expect(datasetAccess.connect(user1).setDatasetRole(datasetId, MANAGER, user2.address, true))
+        .to.emit(datasetAccess, "DatasetRoleUpdated")
+        .withArgs(datasetId, MANAGER, user2.address, true);
+      expect(await datasetAccess.hasDatasetRole(datasetId, MANAGER, user2.address)).to.be.true;
+      expect(await datasetAccess.hasDatasetRole(datasetId, FINANCE, user2.address)).to.be.false;
+
+      await expect(datasetAccess.connect(user1).setDatasetRole(datasetId, MANAGER, user2.address, false))
+        .to.emit(datasetAccess, "DatasetRoleUpdated")
+        .withArgs(datasetId, MANAGER, user2.address, false);
+      expect(await datasetAccess.hasDatasetRole(datasetId, MANAGER, user2.address)).to.be.false;
+    });
+
+    it("Should only let the dataset owner manage roles", async function () {
+      await datasetAccess.connect(user1).setDatasetRole(datasetId, MANAGER, user2.address, true);
+
+      await expect(
+        datasetAccess.connect(user2).setDatasetRole(datasetId, MANAGER, user3.address, true)
+      ).to.be.revertedWith("Not dataset owner");
+      await expect(
+        datasetAccess.connect(user1).setDatasetRole(999, MANAGER, user2.address, true)
+      ).to.be.revertedWith("Dataset does not exist");
+      await expect(
+        datasetAccess.connect(user1).setDatasetRole(datasetId, MANAGER, ethers.ZeroAddress, true)
+      ).to.be.revertedWith("Invalid account address");
+    });
+
+    it("Should let managers update metadata and prices only", async function () {
+      await datasetAccess.connect(user1).setDatasetRole(datasetId, MANAGER, user2.address, true);
+      const newPrices = prices.map(p => p * 2n);
+
+      await datasetAccess.connect(user2).updateDataset(datasetId, "ipfs://managed", CONTENT_HASH, newPrices);
+      await datasetAccess.connect(user2).publishVersion(datasetId, "ipfs://v3", ethers.id("data-v3"), "");
+
+      const dataset = await datasetAccess.getDataset(datasetId);
+      expect(dataset.metadataURI).to.equal("ipfs://v3");
+      expect(dataset.prices).to.deep.equal(newPrices);
+      expect(dataset.owner).to.equal(user1.address);
+
+      await expect(
+        datasetAccess.connect(user2).setRoyalty(datasetId, [user2.address], [100])
+      ).to.be.revertedWith("Not dataset owner");
+      await expect(
+        datasetAccess.connect(user2).revokeAccess(datasetId, user3.address)
+      ).to.be.revertedWith("Not authorized to revoke access");
+    });
+
+    it("Should let finance set royalties and support revoke access", async function () {
+      await datasetAccess.connect(user1).setDatasetRole(datasetId, FINANCE, user2.address, true);
+      await datasetAccess.connect(user1).setDatasetRole(datasetId, SUPPORT, addrs[0].address, true);
+      await datasetAccess.connect(user3).purchaseAccess(datasetId, 1, { value: prices[1] });
+
+      await expect(datasetAccess.connect(user2).setRoyalty(datasetId, [user2.address], [100]))
+        .to.emit(datasetAccess, "RoyaltySet")
+        .withArgs(datasetId, user2.address, 100);
+      await expect(
+        datasetAccess.connect(user2).updateDataset(datasetId, "ipfs://finance", CONTENT_HASH, prices)
+      ).to.be.revertedWith("Not dataset owner");
+
+      await expect(datasetAccess.connect(addrs[0]).revokeAccess(datasetId, user3.address))
+        .to.emit(datasetAccess, "AccessRevoked");
+      expect(await datasetAccess.checkAccess(user3.address, datasetId)).to.be.false;
+    });
+
+    it("Should drop roles granted by a previous owner", async function () {
+      await datasetAccess.connect(user1).setDatasetRole(datasetId, MANAGER, user2.address, true);
+      const ownershipTokenId = await datasetToken.ownershipTokens(datasetId);
+      await datasetToken.connect(user1).transferFrom(user1.address, user3.address, ownershipTokenId);
+
+      expect(await datasetAccess.hasDatasetRole(datasetId, MANAGER, user2.address)).to.be.false;
+      await expect(
+        datasetAccess.connect(user2).updateDataset(datasetId, "ipfs://stale", CONTENT_HASH, prices)
+      ).to.be.revertedWith("Not dataset owner");
+
+      await datasetAccess.connect(user3).setDatasetRole(datasetId, MANAGER, user2.address, true);
+      await datasetAccess.connect(user2).updateDataset(datasetId, "ipfs://new-owner", CONTENT_HASH, prices);
+    });
+  });
+
+  describe("ERC-20 Payments", function () {
+    let datasetId;
+    let usdc;
+    let usdcAddress;
+    const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+    const usdcPrices = [1, 5, 20, 50, 100, 200].map(p => ethers.parseUnits(p.toString(), 6));
+
+    beforeEach(async function () {
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.waitForDeployment();
+      usdcAddress = await usdc.getAddress();
+
+      await datasetAccess.setPaymentToken(usdcAddress, true);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+      datasetId = 1;
+      await datasetAccess.connect(user1).setTokenPrices(datasetId, usdcAddress, usdcPrices);
+
+      await usdc.mint(user2.address, ethers.parseUnits("1000", 6));
+      await usdc.connect(user2).approve(await datasetAccess.getAddress(), ethers.MaxUint256);
+    });
+
+    it("Should manage the payment token allowlist", async function () {
+      expect(await datasetAccess.allowedPaymentTokens(usdcAddress)).to.be.true;
+
+      await expect(datasetAccess.setPaymentToken(usdcAddress, false))
+        .to.emit(datasetAccess, "PaymentTokenUpdated")
+        .withArgs(usdcAddress, false);
+      expect(await datasetAccess.allowedPaymentTokens(usdcAddress)).to.be.false;
+
+      await expect(
+        datasetAccess.connect(user1).setPaymentToken(usdcAddress, true)
+      ).to.be.revertedWithCustomError(datasetAccess, "OwnableUnauthorizedAccount");
+      await expect(
+        datasetAccess.setPaymentToken(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("Invalid token address");
+    });
+
+    it("Should set token prices per duration", async function () {
+      expect(await datasetAccess.getTokenPrices(datasetId, usdcAddress)).to.deep.equal(usdcPrices);
+
+      const newPrices = [...usdcPrices];
+      newPrices[3] = ethers.parseUnits("45", 6);
+      await expect(datasetAccess.connect(user1).setTokenPrices(datasetId, usdcAddress, newPrices))
+        .to.emit(datasetAccess, "TokenPriceUpdated")
+        .withArgs(datasetId, usdcAddress, 3, usdcPrices[3], newPrices[3]);
+    });
+
+    it("Should fail to set token prices for unlisted token or non-owner", async function () {
+      await expect(
+        datasetAccess.connect(user2).setTokenPrices(datasetId, usdcAddress, usdcPrices)
+      ).to.be.revertedWith("Not dataset owner");
+      await expect(
+        datasetAccess.connect(user1).setTokenPrices(datasetId, user3.address, usdcPrices)
+      ).to.be.revertedWith("Payment token not allowed");
+    });
+
+    it("Should purchase access with ERC-20 token", async function () {
+      const duration = 3;
+      await expect(datasetAccess.connect(user2).purchaseAccessWithToken(datasetId, duration, usdcAddress))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(1, datasetId, user2.address, duration, usdcPrices[duration], anyValue, anyValue);
+
+      expect(await datasetAccess.checkAccess(user2.address, datasetId)).to.be.true;
+
+      const purchase = await datasetAccess.getPurchase(1);
+      expect(purchase.paymentToken).to.equal(usdcAddress);
+      expect(purchase.price).to.equal(usdcPrices[duration]);
+
+      const dataset = await datasetAccess.getDataset(datasetId);
+      expect(dataset.totalSales).to.equal(1);
+      expect(dataset.totalRevenue).to.equal(0);
+      expect(await datasetAccess.getTokenRevenue(datasetId, usdcAddress)).to.equal(usdcPrices[duration]);
+    });
+
+    it("Should keep the original purchase event signatures", async function () {
+      // Indexers built against the original ABI must still decode purchase logs
+      const originalAbi = new ethers.Interface([
+        "event AccessPurchased(uint256 indexed purchaseId, uint256 indexed datasetId, address indexed buyer, uint8 duration, uint256 price, uint256 expiryTime, uint256 tokenId)",
+        "event PaymentDistributed(uint256 indexed datasetId, uint256 totalAmount, uint256 ownerAmount, uint256 platformAmount, uint256 royaltyAmount)"
+      ]);
+
+      const tx = await datasetAccess.connect(user3).purchaseAccess(datasetId, 1, { value: prices[1] });
+      const logs = (await tx.wait()).logs.map((log) => originalAbi.parseLog(log)).filter(Boolean);
+
+      const purchased = logs.find((log) => log.name === "AccessPurchased");
+      expect(purchased.args.purchaseId).to.equal(1);
+      expect(purchased.args.buyer).to.equal(user3.address);
+      expect(purchased.args.price).to.equal(prices[1]);
+      expect((await datasetAccess.purchases(purchased.args.purchaseId)).paymentToken).to.equal(ethers.ZeroAddress);
+
+      const distributed = logs.find((log) => log.name === "PaymentDistributed");
+      expect(distributed.args.totalAmount).to.equal(prices[1]);
+    });
+
+    it("Should split token payments among platform, royalties and owner", async function () {
+      await datasetAccess.connect(user1).setRoyalty(datasetId, [user3.address], [500]);
+
+      const price = usdcPrices[3];
+      const platformFee = (price * BigInt(PLATFORM_FEE)) / 10000n;
+      const royalty = (price * 500n) / 10000n;
+
+      await expect(datasetAccess.connect(user2).purchaseAccessWithToken(datasetId, 3, usdcAddress))
+        .to.emit(datasetAccess, "TokenPaymentDistributed")
+        .withArgs(datasetId, usdcAddress, price, price - platformFee - royalty, platformFee, royalty)
+        .and.not.to.emit(datasetAccess, "PaymentDistributed");
+
+      expect(await datasetAccess.pendingWithdrawals(platformWallet.address, usdcAddress)).to.equal(platformFee);
+      expect(await datasetAccess.pendingWithdrawals(user3.address, usdcAddress)).to.equal(royalty);
+      expect(await datasetAccess.pendingWithdrawals(user1.address, usdcAddress)).to.equal(price - platformFee - royalty);
+      expect(await usdc.balanceOf(await datasetAccess.getAddress())).to.equal(price);
+
+      await datasetAccess.connect(user1).withdrawToken(usdcAddress);
+      await datasetAccess.connect(user3).withdrawTokenTo(usdcAddress, addrs[0].address);
+      await datasetAccess.connect(platformWallet).withdrawToken(usdcAddress);
+
+      expect(await usdc.balanceOf(user1.address)).to.equal(price - platformFee - royalty);
+      expect(await usdc.balanceOf(addrs[0].address)).to.equal(royalty);
+      expect(await usdc.balanceOf(platformWallet.address)).to.equal(platformFee);
+      expect(await usdc.balanceOf(await datasetAccess.getAddress())).to.equal(0);
+    });
+
+    it("Should fail with token that is not allowlisted", async function () {
+      await datasetAccess.setPaymentToken(usdcAddress, false);
+
+      await expect(
+        datasetAccess.connect(user2).purchaseAccessWithToken(datasetId, 3, usdcAddress)
+      ).to.be.revertedWith("Payment token not allowed");
+    });
+
+    it("Should fail when no token price is set", async function () {
+      const zeroPrices = [...usdcPrices];
+      zeroPrices[0] = 0;
+      await datasetAccess.connect(user1).setTokenPrices(datasetId, usdcAddress, zeroPrices);
+
+      await expect(
+        datasetAccess.connect(user2).purchaseAccessWithToken(datasetId, 0, usdcAddress)
+      ).to.be.revertedWith("Price not set for this duration");
+    });
+
+    it("Should fail without sufficient allowance", async function () {
+      await usdc.connect(user2).approve(await datasetAccess.getAddress(), 0);
+
+      await expect(
+        datasetAccess.connect(user2).purchaseAccessWithToken(datasetId, 3, usdcAddress)
+      ).to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+    });
+  });
+
   describe("Royalty System", function () {
     let datasetId;
     const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
 
     beforeEach(async function () {
-      await datasetAccess.connect(user1).createDataset("ipfs://dataset", prices);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
       datasetId = 1;
     });
 
@@ -345,14 +904,11 @@ describe("DatasetAccess", function () {
       const duration = 1;
       const price = prices[duration];
       
-      const royaltyBalanceBefore = await ethers.provider.getBalance(user2.address);
-      
       await datasetAccess.connect(user3).purchaseAccess(datasetId, duration, { value: price });
       
-      const royaltyBalanceAfter = await ethers.provider.getBalance(user2.address);
       const expectedRoyalty = (price * 500n) / 10000n;
       
-      expect(royaltyBalanceAfter - royaltyBalanceBefore).to.equal(expectedRoyalty);
+      expect(await datasetAccess.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal(expectedRoyalty);
     });
 
     it("Should fail with mismatched arrays", async function () {
@@ -380,12 +936,128 @@ describe("DatasetAccess", function () {
     });
   });
 
+  describe("Withdrawals", function () {
+    let datasetId;
+    const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+    beforeEach(async function () {
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+      datasetId = 1;
+    });
+
+    it("Should emit credit events on purchase", async function () {
+      const price = prices[1];
+      const platformFee = (price * BigInt(PLATFORM_FEE)) / 10000n;
+
+      await expect(datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: price }))
+        .to.emit(datasetAccess, "PaymentCredited")
+        .withArgs(platformWallet.address, ethers.ZeroAddress, platformFee)
+        .and.to.emit(datasetAccess, "PaymentCredited")
+        .withArgs(user1.address, ethers.ZeroAddress, price - platformFee);
+    });
+
+    it("Should withdraw credited ETH", async function () {
+      const price = prices[1];
+      const ownerAmount = price - (price * BigInt(PLATFORM_FEE)) / 10000n;
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: price });
+
+      const tx = datasetAccess.connect(user1).withdraw();
+      await expect(tx)
+        .to.emit(datasetAccess, "PaymentWithdrawn")
+        .withArgs(user1.address, user1.address, ethers.ZeroAddress, ownerAmount);
+      await expect(tx).to.changeEtherBalances([user1, datasetAccess], [ownerAmount, -ownerAmount]);
+
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(0);
+      await expect(datasetAccess.connect(user1).withdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Should withdraw credited ETH to another address", async function () {
+      const price = prices[1];
+      const ownerAmount = price - (price * BigInt(PLATFORM_FEE)) / 10000n;
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: price });
+
+      const tx = datasetAccess.connect(user1).withdrawTo(user3.address);
+      await expect(tx)
+        .to.emit(datasetAccess, "PaymentWithdrawn")
+        .withArgs(user1.address, user3.address, ethers.ZeroAddress, ownerAmount);
+      await expect(tx).to.changeEtherBalance(user3, ownerAmount);
+
+      await expect(
+        datasetAccess.connect(platformWallet).withdrawTo(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid recipient address");
+    });
+
+    it("Should pay a Safe-like wallet that needs more than 2300 gas", async function () {
+      const MockSafeWallet = await ethers.getContractFactory("MockSafeWallet");
+      const safe = await MockSafeWallet.deploy(user1.address);
+      await safe.waitForDeployment();
+      const safeAddress = await safe.getAddress();
+
+      await datasetAccess.connect(user1).setRoyalty(datasetId, [safeAddress], [500]);
+
+      // Safe as royalty recipient does not block purchases
+      const price = prices[1];
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: price });
+
+      const royalty = (price * 500n) / 10000n;
+      const withdrawData = datasetAccess.interface.encodeFunctionData("withdraw");
+      await expect(safe.connect(user1).execute(await datasetAccess.getAddress(), 0, withdrawData))
+        .to.changeEtherBalance(safe, royalty);
+
+      expect(await safe.receivedCount()).to.equal(1);
+      expect(await safe.receivedTotal()).to.equal(royalty);
+    });
+
+    it("Should not block purchases when a recipient rejects ETH", async function () {
+      const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+      const receiver = await RevertingReceiver.deploy(user1.address);
+      await receiver.waitForDeployment();
+      const receiverAddress = await receiver.getAddress();
+
+      await datasetAccess.connect(user1).setRoyalty(datasetId, [receiverAddress], [500]);
+      await datasetAccess.updatePlatformWallet(receiverAddress);
+
+      const price = prices[1];
+      await expect(
+        datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: price })
+      ).to.emit(datasetAccess, "AccessPurchased");
+
+      const credited = (price * 500n) / 10000n + (price * BigInt(PLATFORM_FEE)) / 10000n;
+      expect(await datasetAccess.pendingWithdrawals(receiverAddress, ethers.ZeroAddress)).to.equal(credited);
+
+      // Withdrawing to itself fails, but the balance can be routed elsewhere
+      const withdrawData = datasetAccess.interface.encodeFunctionData("withdraw");
+      await expect(
+        receiver.connect(user1).execute(await datasetAccess.getAddress(), withdrawData)
+      ).to.be.revertedWith("ETH transfer failed");
+
+      const withdrawToData = datasetAccess.interface.encodeFunctionData("withdrawTo", [user3.address]);
+      await expect(receiver.connect(user1).execute(await datasetAccess.getAddress(), withdrawToData))
+        .to.changeEtherBalance(user3, credited);
+    });
+
+    it("Should keep credited balances out of emergency withdraw", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(datasetId, 1, { value: prices[1] });
+
+      await expect(datasetAccess.emergencyWithdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Should fail token withdrawals with the zero token address", async function () {
+      await expect(
+        datasetAccess.connect(user1).withdrawToken(ethers.ZeroAddress)
+      ).to.be.revertedWith("Invalid token address");
+      await expect(
+        datasetAccess.connect(user1).withdrawTokenTo(ethers.ZeroAddress, user1.address)
+      ).to.be.revertedWith("Invalid token address");
+    });
+  });
+
   describe("Administrative Functions", function () {
     let datasetId;
 
     beforeEach(async function () {
       const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
-      await datasetAccess.connect(user1).createDataset("ipfs://dataset", prices);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
       datasetId = 1;
     });
 
@@ -398,6 +1070,15 @@ describe("DatasetAccess", function () {
       expect(dataset.isActive).to.be.false;
     });
 
+    it("Should toggle dataset status when it is not the token's ownership registry", async function () {
+      await datasetToken.setOwnershipRegistry(user3.address);
+
+      await expect(datasetAccess.emergencyToggleDataset(datasetId))
+        .to.emit(datasetAccess, "DatasetToggled")
+        .withArgs(datasetId, false);
+      expect((await datasetAccess.getDataset(datasetId)).isActive).to.be.false;
+    });
+
     it("Should update platform fee", async function () {
       const newFee = 300; // 3%
 
@@ -426,6 +1107,79 @@ describe("DatasetAccess", function () {
       ).to.be.revertedWithCustomError(datasetAccess, "OwnableUnauthorizedAccount");
     });
 
+    it("Should manage access modules", async function () {
+      await expect(datasetAccess.setAccessModule(user3.address, true))
+        .to.emit(datasetAccess, "AccessModuleUpdated")
+        .withArgs(user3.address, true);
+      expect(await datasetAccess.accessModules(user3.address)).to.be.true;
+
+      await expect(
+        datasetAccess.connect(user1).setAccessModule(user3.address, true)
+      ).to.be.revertedWithCustomError(datasetAccess, "OwnableUnauthorizedAccount");
+      await expect(
+        datasetAccess.setAccessModule(ethers.ZeroAddress, true)
+      ).to.be.revertedWith("Invalid module address");
+    });
+
+    it("Should only record module purchases from access modules", async function () {
+      await expect(
+        datasetAccess.connect(user3).recordModulePurchase(user2.address, datasetId, 3600, 0, 0, ethers.ZeroAddress, false)
+      ).to.be.revertedWith("Not an access module");
+
+      await datasetAccess.setAccessModule(user3.address, true);
+      await expect(
+        datasetAccess.connect(user3).recordModulePurchase(user2.address, datasetId, 3600, 7, 100, ethers.ZeroAddress, false, { value: 100 })
+      ).to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(1, datasetId, user2.address, 6, 100, anyValue, anyValue);
+
+      const purchase = await datasetAccess.getPurchase(1);
+      expect(purchase.buyer).to.equal(user2.address);
+      expect(purchase.planId).to.equal(7);
+      expect(purchase.module).to.equal(user3.address);
+      expect(purchase.duration).to.equal(6); // CUSTOM
+      expect(purchase.durationSeconds).to.equal(3600);
+      expect(await datasetAccess.checkAccess(user2.address, datasetId)).to.be.true;
+    });
+
+    it("Should extend the access token on module renewals", async function () {
+      await datasetAccess.setAccessModule(user3.address, true);
+      await datasetAccess.connect(user3).recordModulePurchase(user2.address, datasetId, 3600, 7, 100, ethers.ZeroAddress, true, { value: 100 });
+      const [, firstExpiry, tokenId] = await datasetAccess.getAccessDetails(user2.address, datasetId);
+
+      await expect(
+        datasetAccess.connect(user3).recordModulePurchase(user2.address, datasetId, 3600, 7, 100, ethers.ZeroAddress, true, { value: 100 })
+      ).to.emit(datasetAccess, "AccessRenewed")
+        .withArgs(2, datasetId, user2.address, tokenId, firstExpiry + 3600n);
+
+      expect((await datasetToken.getUserTokens(user2.address)).length).to.equal(1);
+    });
+
+    it("Should set escrow agent", async function () {
+      await expect(datasetAccess.setEscrowAgent(user3.address))
+        .to.emit(datasetAccess, "EscrowAgentUpdated")
+        .withArgs(ethers.ZeroAddress, user3.address);
+      expect(await datasetAccess.escrowAgent()).to.equal(user3.address);
+
+      await expect(
+        datasetAccess.connect(user1).setEscrowAgent(user3.address)
+      ).to.be.revertedWithCustomError(datasetAccess, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should set pricing agent", async function () {
+      await expect(datasetAccess.setPricingAgent(user3.address))
+        .to.emit(datasetAccess, "PricingAgentUpdated")
+        .withArgs(ethers.ZeroAddress, user3.address);
+      expect(await datasetAccess.pricingAgent()).to.equal(user3.address);
+
+      await expect(
+        datasetAccess.connect(user1).setPricingAgent(user3.address)
+      ).to.be.revertedWithCustomError(datasetAccess, "OwnableUnauthorizedAccount");
+    });
+
+    it("Should only settle escrow from the holding agent", async function () {
+      await expect(datasetAccess.connect(user3).settleEscrow(1, true)).to.be.revertedWith("Not the escrow agent");
+    });
+
     it("Should emergency withdraw", async function () {
       // Send some ETH to contract
       await user1.sendTransaction({ to: await datasetAccess.getAddress(), value: ethers.parseEther("1.0") });
@@ -436,13 +1190,141 @@ describe("DatasetAccess", function () {
 
       expect(balanceAfter).to.be.gt(balanceBefore);
     });
+
+    it("Should leave credited ETH out of an emergency withdraw", async function () {
+      const price = ethers.parseEther("0.05");
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+      const credited = await datasetAccess.totalPendingWithdrawals(ethers.ZeroAddress);
+      expect(credited).to.equal(price);
+      await expect(datasetAccess.emergencyWithdraw()).to.be.revertedWith("No funds to withdraw");
+
+      const stray = ethers.parseEther("1.0");
+      await user1.sendTransaction({ to: await datasetAccess.getAddress(), value: stray });
+      await expect(datasetAccess.emergencyWithdraw()).to.changeEtherBalance(owner, stray);
+      expect(await ethers.provider.getBalance(await datasetAccess.getAddress())).to.equal(credited);
+
+      await expect(datasetAccess.connect(user1).withdraw()).to.changeEtherBalance(user1, price - (price * BigInt(PLATFORM_FEE)) / 10000n);
+      await expect(
+        datasetAccess.connect(user1).emergencyWithdraw()
+      ).to.be.revertedWithCustomError(datasetAccess, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Meta-Transactions", function () {
+    let forwarder;
+    let forwarderAddress;
+    let accessAddress;
+    let usdc;
+    let usdcAddress;
+    let researcher;
+
+    const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+    const usdcPrices = [1, 5, 20, 50, 100, 200].map(p => ethers.parseUnits(p.toString(), 6));
+
+    beforeEach(async function () {
+      const MockForwarder = await ethers.getContractFactory("MockForwarder");
+      forwarder = await MockForwarder.deploy();
+      await forwarder.waitForDeployment();
+      forwarderAddress = await forwarder.getAddress();
+
+      // The forwarder is fixed at deployment
+      datasetAccess = await DatasetAccess.deploy(
+        await datasetToken.getAddress(),
+        platformWallet.address,
+        PLATFORM_FEE,
+        owner.address,
+        forwarderAddress
+      );
+      await datasetAccess.waitForDeployment();
+      accessAddress = await datasetAccess.getAddress();
+      await datasetToken.grantRole(MINTER_ROLE, accessAddress);
+      await datasetToken.grantRole(BURNER_ROLE, accessAddress);
+      await datasetToken.setOwnershipRegistry(accessAddress);
+
+      const MockERC20 = await ethers.getContractFactory("MockERC20");
+      usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+      await usdc.waitForDeployment();
+      usdcAddress = await usdc.getAddress();
+
+      await datasetAccess.setPaymentToken(usdcAddress, true);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+      await datasetAccess.connect(user1).setTokenPrices(1, usdcAddress, usdcPrices);
+
+      // A researcher with USDC but no ETH
+      researcher = ethers.Wallet.createRandom().connect(ethers.provider);
+      await usdc.mint(researcher.address, usdcPrices[1]);
+    });
+
+    async function relay(signer, data, via = forwarder) {
+      const request = await signForwardRequest(signer, via, { to: accessAddress, data, gas: 1000000n });
+      return via.execute(request);
+    }
+
+    it("Should trust the forwarder set at deployment", async function () {
+      expect(await datasetAccess.trustedForwarder()).to.equal(forwarderAddress);
+      expect(await datasetAccess.isTrustedForwarder(forwarderAddress)).to.be.true;
+      expect(await datasetAccess.isTrustedForwarder(user1.address)).to.be.false;
+    });
+
+    it("Should let a buyer without ETH purchase with a permit and a relayed request", async function () {
+      const price = usdcPrices[1];
+      const deadline = (await time.latest()) + 3600;
+      const { chainId } = await ethers.provider.getNetwork();
+      const permit = ethers.Signature.from(await researcher.signTypedData(
+        { name: "USD Coin", version: "1", chainId, verifyingContract: usdcAddress },
+        { Permit: [
+          { name: "owner", type: "address" },
+          { name: "spender", type: "address" },
+          { name: "value", type: "uint256" },
+          { name: "nonce", type: "uint256" },
+          { name: "deadline", type: "uint256" }
+        ] },
+        { owner: researcher.address, spender: accessAddress, value: price, nonce: 0, deadline }
+      ));
+      // The relayer submits both the permit and the forwarded purchase
+      await usdc.permit(researcher.address, accessAddress, price, deadline, permit.v, permit.r, permit.s);
+
+      await expect(relay(researcher, datasetAccess.interface.encodeFunctionData("purchaseAccessWithToken", [1, 1, usdcAddress])))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(1, 1, researcher.address, 1, price, anyValue, anyValue);
+
+      expect(await datasetAccess.checkAccess(researcher.address, 1)).to.be.true;
+      expect((await datasetAccess.getPurchase(1)).buyer).to.equal(researcher.address);
+      expect(await usdc.balanceOf(researcher.address)).to.equal(0);
+      expect(await ethers.provider.getBalance(researcher.address)).to.equal(0);
+    });
+
+    it("Should accept relayed owner actions from the dataset owner only", async function () {
+      const newPrices = prices.map(p => p * 2n);
+      await relay(user1, datasetAccess.interface.encodeFunctionData("updateDataset", [1, "ipfs://updated", CONTENT_HASH, newPrices]));
+      await relay(user1, datasetAccess.interface.encodeFunctionData("setRoyalty", [1, [user3.address], [500]]));
+
+      const dataset = await datasetAccess.getDataset(1);
+      expect(dataset.metadataURI).to.equal("ipfs://updated");
+      expect(dataset.prices).to.deep.equal(newPrices);
+      expect((await datasetAccess.getRoyalties(1)).recipients).to.deep.equal([user3.address]);
+
+      await expect(
+        relay(user2, datasetAccess.interface.encodeFunctionData("updateDataset", [1, "ipfs://hijacked", CONTENT_HASH, prices]))
+      ).to.be.revertedWithCustomError(forwarder, "FailedCall");
+    });
+
+    it("Should reject requests from an untrusted forwarder", async function () {
+      const MockForwarder = await ethers.getContractFactory("MockForwarder");
+      const untrusted = await MockForwarder.deploy();
+      await untrusted.waitForDeployment();
+
+      await expect(
+        relay(user1, datasetAccess.interface.encodeFunctionData("updateDataset", [1, "ipfs://updated", CONTENT_HASH, prices]), untrusted)
+      ).to.be.revertedWithCustomError(untrusted, "ERC2771UntrustfulTarget");
+    });
   });
 
   describe("View Functions", function () {
     beforeEach(async function () {
       const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
-      await datasetAccess.connect(user1).createDataset("ipfs://dataset1", prices);
-      await datasetAccess.connect(user1).createDataset("ipfs://dataset2", prices);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset1", CONTENT_HASH, prices);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset2", CONTENT_HASH, prices);
       await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: prices[1] });
     });
 
@@ -451,16 +1333,124 @@ describe("DatasetAccess", function () {
       expect(userDatasets).to.deep.equal([1n, 2n]);
     });
 
+    it("Should expose user and dataset ledgers through public getters", async function () {
+      expect(await datasetAccess.userDatasets(user1.address, 1)).to.equal(2);
+      expect(await datasetAccess.userPurchases(user2.address, 0)).to.equal(1);
+      expect(await datasetAccess.datasetPurchases(1, 0)).to.equal(1);
+    });
+
     it("Should return user purchases", async function () {
       const userPurchases = await datasetAccess.getUserPurchases(user2.address);
       expect(userPurchases.length).to.equal(1);
     });
 
+    it("Should page through user datasets and purchases", async function () {
+      let [datasetIds, total] = await datasetAccess.getUserDatasetsPage(user1.address, 1, 10);
+      expect(datasetIds).to.deep.equal([2n]);
+      expect(total).to.equal(2);
+
+      [datasetIds, total] = await datasetAccess.getUserDatasetsPage(user1.address, 0, 1);
+      expect(datasetIds).to.deep.equal([1n]);
+
+      const [purchaseIds, purchaseTotal] = await datasetAccess.getUserPurchasesPage(user2.address, 0, ethers.MaxUint256);
+      expect(purchaseIds).to.deep.equal([1n]);
+      expect(purchaseTotal).to.equal(1);
+
+      let [datasetPurchaseIds, datasetPurchaseTotal] = await datasetAccess.getDatasetPurchasesPage(1, 0, 10);
+      expect(datasetPurchaseIds).to.deep.equal([1n]);
+      expect(datasetPurchaseTotal).to.equal(1);
+      [datasetPurchaseIds, datasetPurchaseTotal] = await datasetAccess.getDatasetPurchasesPage(2, 0, 10);
+      expect(datasetPurchaseIds).to.deep.equal([]);
+      expect(datasetPurchaseTotal).to.equal(0);
+
+      [datasetIds, total] = await datasetAccess.getUserDatasetsPage(user2.address, 0, 10);
+      expect(datasetIds).to.deep.equal([]);
+      expect(total).to.equal(0);
+    });
+
     it("Should return dataset information", async function () {
       const dataset = await datasetAccess.getDataset(1);
       expect(dataset.id).to.equal(1);
       expect(dataset.owner).to.equal(user1.address);
       expect(dataset.totalSales).to.equal(1);
     });
+
+    it("Should expose dataset records and royalties through public getters", async function () {
+      await datasetAccess.connect(user1).setRoyalty(1, [user3.address], [500]);
+
+      const dataset = await datasetAccess.datasets(1);
+      expect(dataset.owner).to.equal(user1.address);
+      expect(dataset.metadataURI).to.equal("ipfs://dataset1");
+      expect(dataset.isActive).to.be.true;
+      expect(dataset.totalSales).to.equal(1);
+
+      const royalty = await datasetAccess.datasetRoyalties(1, 0);
+      expect(royalty.recipient).to.equal(user3.address);
+      expect(royalty.percentage).to.equal(500);
+    });
+  });
+
+  describe("Purchase Ledger", function () {
+    const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+    beforeEach(async function () {
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset1", CONTENT_HASH, prices);
+      await datasetAccess.connect(user1).createDataset("ipfs://dataset2", CONTENT_HASH, prices);
+    });
+
+    it("Should assign globally unique purchase IDs across buyers", async function () {
+      await expect(datasetAccess.connect(user2).purchaseAccess(1, 1, { value: prices[1] }))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(1, 1, user2.address, 1, prices[1], anyValue, anyValue);
+      await expect(datasetAccess.connect(user3).purchaseAccess(1, 2, { value: prices[2] }))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(2, 1, user3.address, 2, prices[2], anyValue, anyValue);
+      await expect(datasetAccess.connect(addrs[0]).purchaseAccess(2, 0, { value: prices[0] }))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(3, 2, addrs[0].address, 0, prices[0], anyValue, anyValue);
+
+      expect(await datasetAccess.getCurrentPurchaseId()).to.equal(4);
+    });
+
+    it("Should keep each buyer's purchase record intact", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: prices[1] });
+      await datasetAccess.connect(user3).purchaseAccess(2, 3, { value: prices[3] });
+      await datasetAccess.connect(user2).purchaseAccess(2, 0, { value: prices[0] });
+
+      const user2Purchases = await datasetAccess.getUserPurchases(user2.address);
+      const user3Purchases = await datasetAccess.getUserPurchases(user3.address);
+      expect(user2Purchases).to.deep.equal([1n, 3n]);
+      expect(user3Purchases).to.deep.equal([2n]);
+
+      for (const purchaseId of user2Purchases) {
+        const purchase = await datasetAccess.getPurchase(purchaseId);
+        expect(purchase.buyer).to.equal(user2.address);
+      }
+
+      const purchase = await datasetAccess.getPurchase(user3Purchases[0]);
+      expect(purchase.buyer).to.equal(user3.address);
+      expect(purchase.datasetId).to.equal(2);
+      expect(purchase.duration).to.equal(3);
+      expect(purchase.price).to.equal(prices[3]);
+      expect(await datasetToken.ownerOf(purchase.tokenId)).to.equal(user3.address);
+
+      const stored = await datasetAccess.purchases(1);
+      expect(stored.buyer).to.equal(user2.address);
+      expect(stored.datasetId).to.equal(1);
+    });
+
+    it("Should index purchases by dataset", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: prices[1] });
+      await datasetAccess.connect(user3).purchaseAccess(2, 1, { value: prices[1] });
+      await datasetAccess.connect(addrs[0]).purchaseAccess(1, 0, { value: prices[0] });
+
+      expect(await datasetAccess.getDatasetPurchases(1)).to.deep.equal([1n, 3n]);
+      expect(await datasetAccess.getDatasetPurchases(2)).to.deep.equal([2n]);
+    });
+
+    it("Should fail for non-existent purchase", async function () {
+      await expect(datasetAccess.getPurchase(0)).to.be.revertedWith("Purchase does not exist");
+      await expect(datasetAccess.getPurchase(1)).to.be.revertedWith("Purchase does not exist");
+    });
   });
 });
@@ -0,0 +1,327 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { signForwardRequest } = require("../scripts/relay");
+const { parseManifest, importDatasets } = require("../scripts/import-datasets");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetBatcher", function () {
+  let datasetToken;
+  let datasetAccess;
+  let batcher;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let user3;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+  const newPrices = prices.map((price) => price * 2n);
+  const hashes = (count) => Array(count).fill(CONTENT_HASH);
+
+  function errorReason(message) {
+    return ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], [message])]);
+  }
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, user3] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    // DatasetAccess trusts the batcher deployed right after it
+    const DatasetAccess = await getDatasetAccessFactory();
+    const batcherAddress = ethers.getCreateAddress({ from: owner.address, nonce: (await owner.getNonce()) + 1 });
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      batcherAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    const DatasetBatcher = await ethers.getContractFactory("DatasetBatcher");
+    batcher = await DatasetBatcher.deploy(await datasetAccess.getAddress());
+    await batcher.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access contract", async function () {
+      expect(await batcher.datasetAccess()).to.equal(await datasetAccess.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetBatcher = await ethers.getContractFactory("DatasetBatcher");
+      await expect(DatasetBatcher.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Create Datasets", function () {
+    it("Should create datasets owned by the caller", async function () {
+      const uris = ["ipfs://a", "ipfs://b", "ipfs://c"];
+
+      expect(await batcher.connect(user1).createDatasets.staticCall(uris, hashes(3), [prices, prices, prices], false))
+        .to.deep.equal([1n, 2n, 3n]);
+
+      await expect(batcher.connect(user1).createDatasets(uris, hashes(3), [prices, prices, prices], false))
+        .to.emit(datasetAccess, "DatasetCreated")
+        .withArgs(1, user1.address, "ipfs://a", anyValue)
+        .and.to.emit(datasetAccess, "DatasetCreated")
+        .withArgs(3, user1.address, "ipfs://c", anyValue);
+
+      expect(await datasetAccess.getUserDatasets(user1.address)).to.deep.equal([1n, 2n, 3n]);
+      expect(await datasetToken.ownerOf(await datasetToken.ownershipTokens(2))).to.equal(user1.address);
+    });
+
+    it("Should revert the batch or skip failed items according to the flag", async function () {
+      const uris = ["ipfs://a", "", "ipfs://c"];
+
+      await expect(
+        batcher.connect(user1).createDatasets(uris, hashes(3), [prices, prices, prices], false)
+      ).to.be.revertedWith("Metadata URI cannot be empty");
+
+      expect(await batcher.connect(user1).createDatasets.staticCall(uris, hashes(3), [prices, prices, prices], true))
+        .to.deep.equal([1n, 0n, 2n]);
+      await expect(batcher.connect(user1).createDatasets(uris, hashes(3), [prices, prices, prices], true))
+        .to.emit(batcher, "BatchCallFailed")
+        .withArgs(1, errorReason("Metadata URI cannot be empty"));
+
+      expect(await datasetAccess.getCurrentDatasetId()).to.equal(3);
+    });
+
+    it("Should reject mismatched arrays", async function () {
+      await expect(
+        batcher.connect(user1).createDatasets(["ipfs://a"], hashes(1), [], false)
+      ).to.be.revertedWith("Arrays length mismatch");
+    });
+  });
+
+  describe("Owner and Admin Batches", function () {
+    beforeEach(async function () {
+      await batcher.connect(user1).createDatasets(["ipfs://a", "ipfs://b"], hashes(2), [prices, prices], false);
+      await datasetAccess.connect(user2).createDataset("ipfs://other", CONTENT_HASH, prices);
+    });
+
+    it("Should update prices and keep the metadata URI", async function () {
+      await expect(batcher.connect(user1).updatePrices([1, 2], [newPrices, newPrices], false))
+        .to.emit(datasetAccess, "PriceUpdated")
+        .withArgs(2, 5, prices[5], newPrices[5]);
+
+      const dataset = await datasetAccess.getDataset(1);
+      expect(dataset.prices).to.deep.equal(newPrices);
+      expect(dataset.metadataURI).to.equal("ipfs://a");
+      expect(await datasetAccess.getDatasetVersionCount(1)).to.equal(1);
+      expect((await datasetAccess.getDatasetVersion(1, 1)).contentHash).to.equal(CONTENT_HASH);
+    });
+
+    it("Should skip datasets the caller cannot update", async function () {
+      await expect(
+        batcher.connect(user1).updatePrices([1, 3], [newPrices, newPrices], false)
+      ).to.be.revertedWith("Not dataset owner");
+
+      await expect(batcher.connect(user1).updatePrices([3, 99, 2], [newPrices, newPrices, newPrices], true))
+        .to.emit(batcher, "BatchCallFailed")
+        .withArgs(0, errorReason("Not dataset owner"))
+        .and.to.emit(batcher, "BatchCallFailed")
+        .withArgs(1, errorReason("Dataset does not exist"));
+
+      expect((await datasetAccess.getDataset(2)).prices).to.deep.equal(newPrices);
+      expect((await datasetAccess.getDataset(3)).prices).to.deep.equal(prices);
+    });
+
+    it("Should revoke access across users", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: prices[1] });
+      await datasetAccess.connect(user3).purchaseAccess(1, 1, { value: prices[1] });
+
+      await expect(
+        batcher.connect(user3).revokeAccessBatch(1, [user2.address], false)
+      ).to.be.revertedWith("Not authorized to revoke access");
+
+      await expect(batcher.connect(user1).revokeAccessBatch(1, [user2.address, user3.address], false))
+        .to.emit(datasetAccess, "AccessRevoked")
+        .withArgs(1, user2.address, anyValue)
+        .and.to.emit(datasetAccess, "AccessRevoked")
+        .withArgs(1, user3.address, anyValue);
+
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.false;
+      expect(await datasetAccess.checkAccess(user3.address, 1)).to.be.false;
+    });
+
+    it("Should toggle datasets for the platform owner only", async function () {
+      await expect(
+        batcher.connect(user1).toggleDatasets([1], false)
+      ).to.be.revertedWithCustomError(datasetAccess, "OwnableUnauthorizedAccount");
+
+      await expect(batcher.toggleDatasets([1, 99, 3], true))
+        .to.emit(datasetAccess, "DatasetToggled")
+        .withArgs(1, false)
+        .and.to.emit(datasetAccess, "DatasetToggled")
+        .withArgs(3, false)
+        .and.to.emit(batcher, "BatchCallFailed")
+        .withArgs(1, errorReason("Dataset does not exist"));
+
+      expect((await datasetAccess.getDataset(2)).isActive).to.be.true;
+    });
+  });
+
+  describe("Catalog Listings", function () {
+    const FINANCE = ethers.encodeBytes32String("finance");
+    const WEATHER = ethers.encodeBytes32String("weather");
+    const DAILY = ethers.encodeBytes32String("daily");
+    let catalog;
+
+    beforeEach(async function () {
+      const DatasetCatalog = await ethers.getContractFactory("DatasetCatalog");
+      catalog = await DatasetCatalog.deploy(await datasetAccess.getAddress());
+      await catalog.waitForDeployment();
+    });
+
+    it("Should create and list datasets in one transaction", async function () {
+      const catalogAddress = await catalog.getAddress();
+
+      await expect(batcher.connect(user1).createDatasetsWithListings(
+        catalogAddress, ["ipfs://a", "ipfs://b"], hashes(2), [prices, prices], [FINANCE, ethers.ZeroHash], [[DAILY], []], false
+      ))
+        .to.emit(catalog, "DatasetCategorized")
+        .withArgs(1, FINANCE, ethers.ZeroHash)
+        .and.to.emit(catalog, "DatasetTagged")
+        .withArgs(1, DAILY);
+
+      expect((await catalog.getDatasetsByCategory(FINANCE, 0, 10)).datasetIds).to.deep.equal([1n]);
+      expect((await catalog.getDatasetsByTag(DAILY, 0, 10)).datasetIds).to.deep.equal([1n]);
+      expect(await catalog.datasetCategory(2)).to.equal(ethers.ZeroHash);
+      expect(await datasetAccess.getUserDatasets(user1.address)).to.deep.equal([1n, 2n]);
+    });
+
+    it("Should keep a created dataset unlisted when its listing is skipped", async function () {
+      const tooManyTags = Array.from({ length: 11 }, (_, i) => ethers.encodeBytes32String(`tag${i}`));
+      const catalogAddress = await catalog.getAddress();
+
+      await expect(batcher.connect(user1).createDatasetsWithListings(
+        catalogAddress, ["ipfs://a"], hashes(1), [prices], [FINANCE], [tooManyTags], false
+      )).to.be.revertedWith("Too many tags");
+
+      await expect(batcher.connect(user1).createDatasetsWithListings(
+        catalogAddress, ["ipfs://a", "ipfs://b"], hashes(2), [prices, prices], [FINANCE, FINANCE], [tooManyTags, []], true
+      ))
+        .to.emit(batcher, "BatchCallFailed")
+        .withArgs(0, errorReason("Too many tags"));
+
+      // The unlisted dataset exists but is absent from category pages
+      expect((await datasetAccess.getDataset(1)).owner).to.equal(user1.address);
+      expect((await catalog.getDatasetsByCategory(FINANCE, 0, 10)).datasetIds).to.deep.equal([2n]);
+    });
+
+    it("Should update datasets and replace their listings", async function () {
+      const catalogAddress = await catalog.getAddress();
+      await batcher.connect(user1).createDatasetsWithListings(
+        catalogAddress, ["ipfs://a"], hashes(1), [prices], [FINANCE], [[DAILY]], false
+      );
+      await datasetAccess.connect(user2).createDataset("ipfs://other", CONTENT_HASH, prices);
+
+      await expect(batcher.connect(user1).updateDatasetsWithListings(
+        catalogAddress, [1, 2], ["ipfs://a2", "ipfs://x"], hashes(2), [newPrices, newPrices], [WEATHER, WEATHER], [[], []], true
+      ))
+        .to.emit(catalog, "DatasetCategorized")
+        .withArgs(1, WEATHER, FINANCE)
+        .and.to.emit(catalog, "DatasetUntagged")
+        .withArgs(1, DAILY)
+        .and.to.emit(batcher, "BatchCallFailed")
+        .withArgs(1, errorReason("Not dataset owner"));
+
+      expect((await datasetAccess.getDataset(1)).metadataURI).to.equal("ipfs://a2");
+      expect((await catalog.getDatasetsByCategory(WEATHER, 0, 10)).datasetIds).to.deep.equal([1n]);
+      expect(await catalog.datasetCategory(2)).to.equal(ethers.ZeroHash);
+    });
+
+    it("Should reject a catalog of another access contract and mismatched arrays", async function () {
+      const DatasetCatalog = await ethers.getContractFactory("DatasetCatalog");
+      const otherCatalog = await DatasetCatalog.deploy(user3.address);
+      await otherCatalog.waitForDeployment();
+
+      await expect(batcher.connect(user1).createDatasetsWithListings(
+        await otherCatalog.getAddress(), ["ipfs://a"], hashes(1), [prices], [FINANCE], [[]], false
+      )).to.be.revertedWith("Catalog of another access contract");
+      await expect(batcher.connect(user1).createDatasetsWithListings(
+        await catalog.getAddress(), ["ipfs://a"], hashes(1), [prices], [], [[]], false
+      )).to.be.revertedWith("Arrays length mismatch");
+    });
+
+    it("Should only trust the sender appended by the DatasetAccess forwarder", async function () {
+      await datasetAccess.connect(user1).createDataset("ipfs://a", CONTENT_HASH, prices);
+      const data = catalog.interface.encodeFunctionData("setCategory", [1, FINANCE]);
+
+      expect(await catalog.isTrustedForwarder(await batcher.getAddress())).to.equal(true);
+      await expect(
+        user2.sendTransaction({ to: await catalog.getAddress(), data: ethers.concat([data, user1.address]) })
+      ).to.be.revertedWith("Not authorized to list dataset");
+    });
+  });
+
+  describe("Meta-Transactions", function () {
+    it("Should still relay signed forward requests", async function () {
+      const data = datasetAccess.interface.encodeFunctionData("createDataset", ["ipfs://relayed", CONTENT_HASH, prices]);
+      const request = await signForwardRequest(user1, batcher, { to: await datasetAccess.getAddress(), data });
+
+      await batcher.connect(owner).execute(request);
+
+      expect((await datasetAccess.getDataset(1)).owner).to.equal(user1.address);
+    });
+  });
+
+  describe("Bulk Import", function () {
+    const csv = [
+      "metadataURI,contentHash,hour1,hours24,days7,days30,days90,days365,category,tags",
+      `ipfs://a,${CONTENT_HASH},0.01,0.05,0.2,0.5,1.0,2.0,finance,daily|eu`,
+      `,${CONTENT_HASH},0.01,0.05,0.2,0.5,1.0,2.0,,`,
+      `ipfs://c,${CONTENT_HASH},0.01,0.05,0.2,0.5,1.0,2.0,,`
+    ].join("\n");
+
+    it("Should parse JSON and CSV manifests", async function () {
+      const fromJson = parseManifest(JSON.stringify([
+        { metadataURI: "ipfs://a", contentHash: CONTENT_HASH, prices: ["0.01", "0.05", "0.2", "0.5", "1.0", "2.0"], category: "finance", tags: ["daily", "eu"] }
+      ]), "json");
+      const fromCsv = parseManifest(csv.split("\n").slice(0, 2).join("\n"), "csv");
+
+      expect(fromCsv).to.deep.equal(fromJson);
+      expect(fromJson[0].prices).to.deep.equal(prices);
+      expect(() => parseManifest(csv, "csv")).to.throw("Manifest entry 1 has no metadataURI");
+      expect(() => parseManifest(JSON.stringify([{ metadataURI: "ipfs://a", prices: ["0.01", "0.05", "0.2", "0.5", "1.0", "2.0"] }]), "json"))
+        .to.throw("Manifest entry 0 must have a 32-byte contentHash");
+      expect(() => parseManifest("[]", "xml")).to.throw("Unsupported manifest format: xml");
+    });
+
+    it("Should import datasets in chunks and list them in the catalog", async function () {
+      const DatasetCatalog = await ethers.getContractFactory("DatasetCatalog");
+      const catalog = await DatasetCatalog.deploy(await datasetAccess.getAddress());
+      await catalog.waitForDeployment();
+
+      // The manifest parser rejects an empty URI, so add the invalid entry directly
+      const [first, third] = parseManifest(csv.split("\n").filter((_, i) => i !== 2).join("\n"), "csv");
+      const datasets = [first, { metadataURI: "", contentHash: CONTENT_HASH, prices, tags: [] }, third];
+
+      const results = await importDatasets(batcher.connect(user1), datasets, {
+        batchSize: 2,
+        skipFailures: true,
+        catalog: catalog.connect(user1)
+      });
+
+      expect(results.map((result) => result.datasetId)).to.deep.equal([1n, 0n, 2n]);
+      expect(results[1].reason).to.equal(errorReason("Metadata URI cannot be empty"));
+      expect((await datasetAccess.getDataset(2)).metadataURI).to.equal("ipfs://c");
+      expect(await catalog.datasetCategory(1)).to.equal(ethers.encodeBytes32String("finance"));
+      expect((await catalog.getDatasetTags(1)).length).to.equal(2);
+      expect((await catalog.getDatasetTags(2)).length).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,265 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetCampaigns", function () {
+  let datasetToken;
+  let datasetAccess;
+  let campaigns;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let user3;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MANAGER = 0;
+  const DAYS_7 = 2;
+  const DAYS_30 = 3;
+  const ONE_DAY = 24 * 60 * 60;
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, user3] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    const DatasetCampaigns = await ethers.getContractFactory("DatasetCampaigns");
+    campaigns = await DatasetCampaigns.deploy(await datasetAccess.getAddress());
+    await campaigns.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+    await datasetAccess.setPricingAgent(await campaigns.getAddress());
+
+    await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access contract", async function () {
+      expect(await campaigns.datasetAccess()).to.equal(await datasetAccess.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetCampaigns = await ethers.getContractFactory("DatasetCampaigns");
+      await expect(DatasetCampaigns.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Discount Campaigns", function () {
+    it("Should sell at the discounted price and emit it in AccessPurchased", async function () {
+      const start = (await time.latest()) + 60;
+      await expect(campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start + 7 * ONE_DAY, 3000, 0))
+        .to.emit(campaigns, "CampaignCreated")
+        .withArgs(1, 1, DAYS_30, 0, start, start + 7 * ONE_DAY, 0);
+
+      const discounted = prices[3] - (prices[3] * 3000n) / 10000n;
+      await expect(
+        datasetAccess.connect(user2).purchaseAccess(1, DAYS_30, { value: discounted })
+      ).to.be.revertedWith("Insufficient payment");
+
+      await time.increaseTo(start);
+      const [effectivePrice, campaignId] = await campaigns.getEffectivePrice(1, DAYS_30);
+      expect(effectivePrice).to.equal(discounted);
+      expect(campaignId).to.equal(1);
+
+      await expect(datasetAccess.connect(user2).purchaseAccess(1, DAYS_30, { value: discounted }))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(1, 1, user2.address, DAYS_30, discounted, anyValue, anyValue)
+        .and.to.emit(campaigns, "CampaignPurchase")
+        .withArgs(1, 1, user2.address, DAYS_30, discounted);
+
+      const purchase = await datasetAccess.getPurchase(1);
+      expect(purchase.planId).to.equal(1);
+      expect(purchase.module).to.equal(await campaigns.getAddress());
+      expect(purchase.duration).to.equal(DAYS_30);
+      expect(purchase.expiryTime - purchase.purchaseTime).to.equal(30 * ONE_DAY);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.true;
+    });
+
+    it("Should apply the campaign price to renewals", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, DAYS_30, { value: prices[3] });
+
+      const start = await time.latest();
+      await campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 5000, 0);
+
+      const discounted = prices[3] / 2n;
+      await expect(datasetAccess.connect(user2).renewAccess(1, DAYS_30, { value: discounted }))
+        .to.emit(datasetAccess, "AccessRenewed")
+        .and.to.emit(campaigns, "CampaignPurchase")
+        .withArgs(1, 2, user2.address, DAYS_30, discounted);
+
+      expect((await datasetAccess.getPurchase(1)).planId).to.equal(0);
+      expect((await datasetAccess.getPurchase(1)).module).to.equal(ethers.ZeroAddress);
+      expect((await datasetAccess.getPurchase(2)).price).to.equal(discounted);
+      expect((await datasetAccess.getPurchase(2)).planId).to.equal(1);
+      expect((await campaigns.getCampaign(1)).uses).to.equal(1);
+    });
+
+    it("Should only price purchases for DatasetAccess while registered as its pricing agent", async function () {
+      const start = await time.latest();
+      await campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 5000, 0);
+
+      await expect(
+        campaigns.connect(user2).applyPrice(1, DAYS_30, prices[3], user2.address)
+      ).to.be.revertedWith("Not the access contract");
+
+      await datasetAccess.setPricingAgent(ethers.ZeroAddress);
+      await expect(
+        datasetAccess.connect(user2).purchaseAccess(1, DAYS_30, { value: prices[3] / 2n })
+      ).to.be.revertedWith("Insufficient payment");
+      await datasetAccess.connect(user2).purchaseAccess(1, DAYS_30, { value: prices[3] });
+      expect((await campaigns.getCampaign(1)).uses).to.equal(0);
+    });
+
+    it("Should follow list price changes and fall back to the list price when it ends", async function () {
+      const start = await time.latest();
+      await campaigns.connect(user1).createDiscountCampaign(1, DAYS_7, start, start + ONE_DAY, 5000, 0);
+
+      const newPrices = [...prices];
+      newPrices[DAYS_7] = ethers.parseEther("0.4");
+      await datasetAccess.connect(user1).updateDataset(1, "ipfs://dataset", CONTENT_HASH, newPrices);
+      expect((await campaigns.getEffectivePrice(1, DAYS_7))[0]).to.equal(ethers.parseEther("0.2"));
+
+      await time.increaseTo(start + ONE_DAY);
+      const [effectivePrice, campaignId] = await campaigns.getEffectivePrice(1, DAYS_7);
+      expect(effectivePrice).to.equal(newPrices[DAYS_7]);
+      expect(campaignId).to.equal(0);
+      expect(await campaigns.isCampaignLive(1)).to.be.false;
+    });
+
+    it("Should stop at the usage cap", async function () {
+      const start = await time.latest();
+      await campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 1000, 1);
+
+      await datasetAccess.connect(user2).purchaseAccess(1, DAYS_30, { value: prices[3] });
+      expect((await campaigns.getCampaign(1)).uses).to.equal(1);
+
+      // Once sold out, buyers pay the list price
+      await expect(datasetAccess.connect(user3).purchaseAccess(1, DAYS_30, { value: prices[3] }))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(2, 1, user3.address, DAYS_30, prices[3], anyValue, anyValue)
+        .and.to.not.emit(campaigns, "CampaignPurchase");
+      expect((await datasetAccess.getPurchase(2)).planId).to.equal(0);
+
+      // A sold-out campaign no longer blocks the next one
+      await campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 2000, 0);
+    });
+
+    it("Should validate campaigns", async function () {
+      const start = await time.latest();
+
+      await expect(
+        campaigns.connect(user2).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 1000, 0)
+      ).to.be.revertedWith("Not authorized to manage campaigns");
+      await expect(
+        campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 10000, 0)
+      ).to.be.revertedWith("Invalid discount");
+      await expect(
+        campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start - 1, 1000, 0)
+      ).to.be.revertedWith("Invalid campaign window");
+      await expect(
+        campaigns.connect(user1).createDiscountCampaign(99, DAYS_30, start, start + ONE_DAY, 1000, 0)
+      ).to.be.revertedWith("Dataset does not exist");
+
+      await campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start + ONE_DAY, start + 2 * ONE_DAY, 1000, 0);
+      await expect(
+        campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 1000, 0)
+      ).to.be.revertedWith("Campaign already scheduled");
+    });
+
+    it("Should let managers run campaigns and stop them when the dataset is transferred", async function () {
+      const start = await time.latest();
+      await datasetAccess.connect(user1).setDatasetRole(1, MANAGER, user2.address, true);
+      await campaigns.connect(user2).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 1000, 0);
+      expect((await campaigns.getCampaign(1)).owner).to.equal(user1.address);
+
+      await datasetToken.connect(user1).transferFrom(user1.address, user3.address, 1);
+      expect(await campaigns.isCampaignLive(1)).to.be.false;
+      await expect(
+        datasetAccess.connect(owner).purchaseAccess(1, DAYS_30, { value: prices[3] - prices[3] / 10n })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("Should cancel campaigns", async function () {
+      const start = await time.latest();
+      await campaigns.connect(user1).createDiscountCampaign(1, DAYS_30, start, start + ONE_DAY, 1000, 0);
+
+      await expect(campaigns.connect(user2).cancelCampaign(1)).to.be.revertedWith("Not authorized to manage campaigns");
+      await expect(campaigns.connect(user1).cancelCampaign(1))
+        .to.emit(campaigns, "CampaignCancelled")
+        .withArgs(1);
+      await expect(campaigns.connect(user1).cancelCampaign(1)).to.be.revertedWith("Campaign already cancelled");
+      await expect(campaigns.connect(user1).cancelCampaign(2)).to.be.revertedWith("Campaign does not exist");
+
+      await expect(
+        datasetAccess.connect(user2).purchaseAccess(1, DAYS_30, { value: prices[3] - prices[3] / 10n })
+      ).to.be.revertedWith("Insufficient payment");
+      expect(await campaigns.getDatasetCampaigns(1)).to.deep.equal([1n]);
+    });
+  });
+
+  describe("Dutch Auctions", function () {
+    const startPrice = ethers.parseEther("3.0");
+    const floorPrice = ethers.parseEther("1.0");
+
+    it("Should lower the price linearly to the floor", async function () {
+      const start = (await time.latest()) + 10;
+      const end = start + 10 * ONE_DAY;
+      await expect(campaigns.connect(user1).createDutchAuction(1, DAYS_30, start, end, startPrice, floorPrice, 2))
+        .to.emit(campaigns, "CampaignCreated")
+        .withArgs(1, 1, DAYS_30, 1, start, end, 2);
+
+      await time.increaseTo(start);
+      expect((await campaigns.getEffectivePrice(1, DAYS_30))[0]).to.equal(startPrice);
+
+      await time.increaseTo(start + 5 * ONE_DAY);
+      expect((await campaigns.getEffectivePrice(1, DAYS_30))[0]).to.equal(ethers.parseEther("2.0"));
+    });
+
+    it("Should sell limited seats and credit overpayment", async function () {
+      const start = await time.latest();
+      const end = start + 10 * ONE_DAY;
+      await campaigns.connect(user1).createDutchAuction(1, DAYS_30, start, end, startPrice, floorPrice, 1);
+
+      await time.setNextBlockTimestamp(start + 5 * ONE_DAY);
+      const auctionPrice = ethers.parseEther("2.0");
+      await expect(datasetAccess.connect(user2).purchaseAccess(1, DAYS_30, { value: startPrice }))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(1, 1, user2.address, DAYS_30, auctionPrice, anyValue, anyValue);
+      expect(await datasetAccess.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal(startPrice - auctionPrice);
+
+      expect((await campaigns.getEffectivePrice(1, DAYS_30))[0]).to.equal(prices[DAYS_30]);
+      await datasetAccess.connect(user3).purchaseAccess(1, DAYS_30, { value: prices[DAYS_30] });
+      expect((await datasetAccess.getPurchase(2)).price).to.equal(prices[DAYS_30]);
+    });
+
+    it("Should reject invalid auction prices", async function () {
+      const start = await time.latest();
+      await expect(
+        campaigns.connect(user1).createDutchAuction(1, DAYS_30, start, start + ONE_DAY, floorPrice, startPrice, 0)
+      ).to.be.revertedWith("Invalid auction prices");
+      await expect(
+        campaigns.connect(user1).createDutchAuction(1, DAYS_30, start, start + ONE_DAY, startPrice, 0, 0)
+      ).to.be.revertedWith("Invalid auction prices");
+    });
+  });
+});
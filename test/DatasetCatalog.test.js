@@ -0,0 +1,238 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { toLabel, fetchAllPages, fetchListings, queryDatasets } = require("../scripts/query-datasets");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetCatalog", function () {
+  let datasetToken;
+  let datasetAccess;
+  let catalog;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  const FINANCE = toLabel("finance");
+  const WEATHER = toLabel("weather");
+  const DAILY = toLabel("daily");
+  const EU = toLabel("eu");
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+
+    const DatasetCatalog = await ethers.getContractFactory("DatasetCatalog");
+    catalog = await DatasetCatalog.deploy(await datasetAccess.getAddress());
+    await catalog.waitForDeployment();
+
+    for (let i = 0; i < 3; i++) {
+      await datasetAccess.connect(user1).createDataset(`ipfs://dataset-${i + 1}`, CONTENT_HASH, prices);
+    }
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access contract", async function () {
+      expect(await catalog.datasetAccess()).to.equal(await datasetAccess.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetCatalog = await ethers.getContractFactory("DatasetCatalog");
+      await expect(DatasetCatalog.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Listings", function () {
+    it("Should set a category and tags with indexed events", async function () {
+      await expect(catalog.connect(user1).setListing(1, FINANCE, [DAILY, EU]))
+        .to.emit(catalog, "DatasetCategorized")
+        .withArgs(1, FINANCE, ethers.ZeroHash)
+        .and.to.emit(catalog, "DatasetTagged")
+        .withArgs(1, DAILY)
+        .and.to.emit(catalog, "DatasetTagged")
+        .withArgs(1, EU);
+
+      expect(await catalog.datasetCategory(1)).to.equal(FINANCE);
+      expect(await catalog.getDatasetTags(1)).to.deep.equal([DAILY, EU]);
+      expect(await catalog.hasTag(1, EU)).to.be.true;
+    });
+
+    it("Should only let the dataset owner edit the listing", async function () {
+      await expect(catalog.connect(user2).setListing(1, FINANCE, [])).to.be.revertedWith("Not authorized to list dataset");
+      await expect(catalog.connect(user2).setCategory(1, FINANCE)).to.be.revertedWith("Not authorized to list dataset");
+      await expect(catalog.connect(user2).setTags(1, [DAILY])).to.be.revertedWith("Not authorized to list dataset");
+      await expect(catalog.connect(user1).setCategory(99, FINANCE)).to.be.revertedWith("Dataset does not exist");
+
+      // The listing follows the ownership NFT
+      await datasetToken.connect(user1).transferFrom(user1.address, user2.address, await datasetToken.ownershipTokens(1));
+      await catalog.connect(user2).setCategory(1, WEATHER);
+      await expect(catalog.connect(user1).setCategory(1, FINANCE)).to.be.revertedWith("Not authorized to list dataset");
+    });
+
+    it("Should let MANAGER role holders edit the listing", async function () {
+      const MANAGER = 0;
+      await datasetAccess.connect(user1).setDatasetRole(1, MANAGER, user2.address, true);
+
+      await expect(catalog.connect(user2).setListing(1, FINANCE, [DAILY]))
+        .to.emit(catalog, "DatasetCategorized")
+        .withArgs(1, FINANCE, ethers.ZeroHash);
+      expect(await catalog.getDatasetTags(1)).to.deep.equal([DAILY]);
+
+      await datasetAccess.connect(user1).setDatasetRole(1, MANAGER, user2.address, false);
+      await expect(catalog.connect(user2).setTags(1, [])).to.be.revertedWith("Not authorized to list dataset");
+    });
+
+    it("Should move datasets between categories", async function () {
+      await catalog.connect(user1).setCategory(1, FINANCE);
+      await catalog.connect(user1).setCategory(2, FINANCE);
+
+      await expect(catalog.connect(user1).setCategory(1, WEATHER))
+        .to.emit(catalog, "DatasetCategorized")
+        .withArgs(1, WEATHER, FINANCE);
+      await expect(catalog.connect(user1).setCategory(1, WEATHER)).to.not.emit(catalog, "DatasetCategorized");
+
+      expect((await catalog.getDatasetsByCategory(FINANCE, 0, 10)).datasetIds).to.deep.equal([2n]);
+      expect((await catalog.getDatasetsByCategory(WEATHER, 0, 10)).datasetIds).to.deep.equal([1n]);
+
+      await catalog.connect(user1).setCategory(1, ethers.ZeroHash);
+      expect((await catalog.getDatasetsByCategory(WEATHER, 0, 10)).total).to.equal(0);
+    });
+
+    it("Should keep category and tag indexes consistent after removals", async function () {
+      for (const id of [1, 2, 3]) {
+        await catalog.connect(user1).setListing(id, FINANCE, [DAILY]);
+      }
+
+      // Removing the first entry moves the last one into its slot
+      await catalog.connect(user1).setListing(1, WEATHER, []);
+      expect((await catalog.getDatasetsByCategory(FINANCE, 0, 10)).datasetIds).to.deep.equal([3n, 2n]);
+      expect((await catalog.getDatasetsByTag(DAILY, 0, 10)).datasetIds).to.deep.equal([3n, 2n]);
+
+      // The moved entry can still be removed
+      await catalog.connect(user1).setListing(3, ethers.ZeroHash, []);
+      expect((await catalog.getDatasetsByCategory(FINANCE, 0, 10)).datasetIds).to.deep.equal([2n]);
+      expect((await catalog.getDatasetsByTag(DAILY, 0, 10)).datasetIds).to.deep.equal([2n]);
+
+      await catalog.connect(user1).setListing(3, FINANCE, [DAILY]);
+      await catalog.connect(user1).setListing(2, WEATHER, []);
+      expect((await catalog.getDatasetsByCategory(FINANCE, 0, 10)).datasetIds).to.deep.equal([3n]);
+      expect((await catalog.getDatasetsByCategory(WEATHER, 0, 10)).datasetIds).to.deep.equal([1n, 2n]);
+      expect((await catalog.getDatasetsByTag(DAILY, 0, 10)).datasetIds).to.deep.equal([3n]);
+    });
+
+    it("Should replace tags and emit events only for changes", async function () {
+      await catalog.connect(user1).setTags(1, [DAILY, EU]);
+
+      const tx = catalog.connect(user1).setTags(1, [EU, WEATHER]);
+      await expect(tx).to.emit(catalog, "DatasetUntagged").withArgs(1, DAILY);
+      await expect(tx).to.emit(catalog, "DatasetTagged").withArgs(1, WEATHER);
+
+      expect(await catalog.hasTag(1, DAILY)).to.be.false;
+      expect([...(await catalog.getDatasetTags(1))].sort()).to.deep.equal([EU, WEATHER].sort());
+      expect((await catalog.getDatasetsByTag(DAILY, 0, 10)).total).to.equal(0);
+      expect((await catalog.getDatasetsByTag(EU, 0, 10)).datasetIds).to.deep.equal([1n]);
+
+      await catalog.connect(user1).setTags(1, []);
+      expect(await catalog.getDatasetTags(1)).to.deep.equal([]);
+    });
+
+    it("Should reject empty or too many tags", async function () {
+      await expect(catalog.connect(user1).setTags(1, [ethers.ZeroHash])).to.be.revertedWith("Tag cannot be empty");
+
+      const tags = Array.from({ length: 11 }, (_, i) => toLabel(`tag-${i}`));
+      await expect(catalog.connect(user1).setTags(1, tags)).to.be.revertedWith("Too many tags");
+    });
+  });
+
+  describe("Discovery Queries", function () {
+    beforeEach(async function () {
+      await catalog.connect(user1).setListing(1, FINANCE, [DAILY]);
+      await catalog.connect(user1).setListing(2, FINANCE, [EU]);
+      await catalog.connect(user1).setListing(3, FINANCE, [DAILY, EU]);
+      await datasetAccess.emergencyToggleDataset(2);
+    });
+
+    it("Should page through a category", async function () {
+      let [datasetIds, total] = await catalog.getDatasetsByCategory(FINANCE, 0, 2);
+      expect(datasetIds).to.deep.equal([1n, 2n]);
+      expect(total).to.equal(3);
+
+      [datasetIds, total] = await catalog.getDatasetsByCategory(FINANCE, 2, 2);
+      expect(datasetIds).to.deep.equal([3n]);
+
+      [datasetIds, total] = await catalog.getDatasetsByCategory(FINANCE, 5, 2);
+      expect(datasetIds).to.deep.equal([]);
+      expect(total).to.equal(3);
+    });
+
+    it("Should page through a tag", async function () {
+      const [datasetIds, total] = await catalog.getDatasetsByTag(DAILY, 1, 10);
+      expect(datasetIds).to.deep.equal([3n]);
+      expect(total).to.equal(2);
+    });
+
+    it("Should scan datasets by active status with a cursor", async function () {
+      let [datasetIds, nextCursor] = await catalog.getDatasetsByStatus(true, 0, 2);
+      expect(datasetIds).to.deep.equal([1n]);
+      expect(nextCursor).to.equal(3);
+
+      [datasetIds, nextCursor] = await catalog.getDatasetsByStatus(true, nextCursor, 2);
+      expect(datasetIds).to.deep.equal([3n]);
+      expect(nextCursor).to.equal(0);
+
+      [datasetIds, nextCursor] = await catalog.getDatasetsByStatus(false, 0, 100);
+      expect(datasetIds).to.deep.equal([2n]);
+      expect(nextCursor).to.equal(0);
+    });
+
+    it("Should load a page of listings in one call", async function () {
+      const listings = await catalog.getDatasets([3n, 2n]);
+
+      expect(listings.length).to.equal(2);
+      expect(listings[0].id).to.equal(3);
+      expect(listings[0].owner).to.equal(user1.address);
+      expect(listings[0].metadataURI).to.equal("ipfs://dataset-3");
+      expect(listings[0].prices).to.deep.equal(prices);
+      expect(listings[0].category).to.equal(FINANCE);
+      expect(listings[0].tags).to.deep.equal([DAILY, EU]);
+      expect(listings[1].isActive).to.be.false;
+
+      await expect(catalog.getDatasets([1n, 99n])).to.be.revertedWith("Dataset does not exist");
+    });
+
+    it("Should combine filters in the query helper", async function () {
+      expect(await fetchAllPages((offset, limit) => catalog.getDatasetsByCategory(FINANCE, offset, limit), 1))
+        .to.deep.equal([1n, 2n, 3n]);
+
+      expect(await queryDatasets(catalog, { category: "finance", tag: "eu" }, 1)).to.deep.equal([2n, 3n]);
+      expect(await queryDatasets(catalog, { tag: "eu", active: true }, 1)).to.deep.equal([3n]);
+      expect(await queryDatasets(catalog, {}, 1)).to.deep.equal([1n, 3n]);
+      expect(await queryDatasets(catalog, { category: "weather" })).to.deep.equal([]);
+
+      const listings = await fetchListings(catalog, [1n, 2n, 3n], 2);
+      expect(listings.map((listing) => listing.metadataURI)).to.deep.equal(["ipfs://dataset-1", "ipfs://dataset-2", "ipfs://dataset-3"]);
+    });
+  });
+});
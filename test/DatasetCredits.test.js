@@ -0,0 +1,294 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { signUsageReceipt } = require("../scripts/sign-usage-receipt");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetCredits", function () {
+  let datasetToken;
+  let datasetAccess;
+  let credits;
+  let owner;
+  let platformWallet;
+  let provider;
+  let buyer;
+  let sessionKey;
+  let royaltyRecipient;
+  let other;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const NOTICE_PERIOD = 7 * 24 * 60 * 60;
+  const DEPOSIT = ethers.parseEther("1");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  async function signReceipt(totalUsage, options = {}) {
+    return signUsageReceipt(options.signer || sessionKey, await credits.getAddress(), {
+      buyer: buyer.address,
+      datasetId: 1,
+      totalUsage,
+      deadline: options.deadline || (await time.latest()) + 3600
+    });
+  }
+
+  beforeEach(async function () {
+    [owner, platformWallet, provider, buyer, sessionKey, royaltyRecipient, other] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+
+    const DatasetCredits = await ethers.getContractFactory("DatasetCredits");
+    credits = await DatasetCredits.deploy(await datasetAccess.getAddress());
+    await credits.waitForDeployment();
+    await datasetAccess.setAccessModule(await credits.getAddress(), true);
+
+    await datasetAccess.connect(provider).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access contract", async function () {
+      expect(await credits.datasetAccess()).to.equal(await datasetAccess.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetCredits = await ethers.getContractFactory("DatasetCredits");
+      await expect(DatasetCredits.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Deposits", function () {
+    it("Should accumulate credit per dataset and buyer", async function () {
+      await expect(credits.connect(buyer).deposit(1, { value: DEPOSIT }))
+        .to.emit(credits, "CreditDeposited")
+        .withArgs(1, buyer.address, DEPOSIT, DEPOSIT);
+      await credits.connect(buyer).deposit(1, { value: DEPOSIT });
+
+      expect((await credits.creditAccounts(1, buyer.address)).balance).to.equal(DEPOSIT * 2n);
+      expect((await credits.creditAccounts(1, other.address)).balance).to.equal(0);
+    });
+
+    it("Should reject invalid deposits", async function () {
+      await expect(credits.connect(buyer).deposit(1)).to.be.revertedWith("Deposit must be greater than 0");
+      await expect(
+        credits.connect(provider).deposit(1, { value: DEPOSIT })
+      ).to.be.revertedWith("Cannot purchase own dataset");
+      await expect(
+        credits.connect(buyer).deposit(99, { value: DEPOSIT })
+      ).to.be.revertedWith("Dataset does not exist");
+
+      await datasetAccess.emergencyToggleDataset(1);
+      await expect(
+        credits.connect(buyer).deposit(1, { value: DEPOSIT })
+      ).to.be.revertedWith("Dataset is not active");
+    });
+  });
+
+  describe("Settling Usage", function () {
+    beforeEach(async function () {
+      await credits.connect(buyer).deposit(1, { value: DEPOSIT });
+      await expect(credits.connect(buyer).setSessionKey(1, sessionKey.address))
+        .to.emit(credits, "SessionKeyUpdated")
+        .withArgs(1, buyer.address, sessionKey.address);
+    });
+
+    it("Should draw the usage since the last receipt and split it", async function () {
+      await datasetAccess.connect(provider).setRoyalty(1, [royaltyRecipient.address], [500]);
+      const usage = ethers.parseEther("0.1");
+      const { receipt, signature } = await signReceipt(usage);
+
+      await expect(credits.connect(provider).settleUsage(receipt, signature))
+        .to.emit(credits, "UsageSettled")
+        .withArgs(1, buyer.address, usage, usage)
+        .and.to.emit(datasetAccess, "PaymentDistributed")
+        .withArgs(1, usage, (usage * 9250n) / 10000n, (usage * 250n) / 10000n, (usage * 500n) / 10000n);
+
+      const balance = (account) => datasetAccess.pendingWithdrawals(account.address, ethers.ZeroAddress);
+      expect(await balance(platformWallet)).to.equal((usage * 250n) / 10000n);
+      expect(await balance(royaltyRecipient)).to.equal((usage * 500n) / 10000n);
+      expect(await balance(provider)).to.equal((usage * 9250n) / 10000n);
+
+      const next = await signReceipt(ethers.parseEther("0.25"));
+      await expect(credits.connect(other).settleUsage(next.receipt, next.signature))
+        .to.emit(credits, "UsageSettled")
+        .withArgs(1, buyer.address, ethers.parseEther("0.15"), ethers.parseEther("0.25"));
+
+      const account = await credits.creditAccounts(1, buyer.address);
+      expect(account.balance).to.equal(DEPOSIT - ethers.parseEther("0.25"));
+      expect(account.settledUsage).to.equal(ethers.parseEther("0.25"));
+      expect(await credits.usageRevenue(1)).to.equal(ethers.parseEther("0.25"));
+      expect((await datasetAccess.getDataset(1)).totalRevenue).to.equal(ethers.parseEther("0.25"));
+    });
+
+    it("Should not charge a receipt twice", async function () {
+      const { receipt, signature } = await signReceipt(ethers.parseEther("0.1"));
+      await credits.settleUsage(receipt, signature);
+
+      await expect(credits.settleUsage(receipt, signature)).to.be.revertedWith("Usage already settled");
+      const older = await signReceipt(ethers.parseEther("0.05"));
+      await expect(credits.settleUsage(older.receipt, older.signature)).to.be.revertedWith("Usage already settled");
+    });
+
+    it("Should cap draws at the balance and settle the rest after a top-up", async function () {
+      const usage = ethers.parseEther("1.5");
+      const { receipt, signature } = await signReceipt(usage);
+      await credits.settleUsage(receipt, signature);
+
+      expect((await credits.creditAccounts(1, buyer.address)).balance).to.equal(0);
+      expect((await credits.creditAccounts(1, buyer.address)).settledUsage).to.equal(DEPOSIT);
+      await expect(credits.settleUsage(receipt, signature)).to.be.revertedWith("No credit to draw");
+
+      await credits.connect(buyer).deposit(1, { value: DEPOSIT });
+      await credits.settleUsage(receipt, signature);
+      expect((await credits.creditAccounts(1, buyer.address)).balance).to.equal(DEPOSIT * 2n - usage);
+    });
+
+    it("Should only accept unexpired receipts signed by the session key", async function () {
+      const forged = await signReceipt(ethers.parseEther("0.1"), { signer: other });
+      await expect(credits.settleUsage(forged.receipt, forged.signature)).to.be.revertedWith("Invalid receipt signature");
+
+      const byBuyer = await signReceipt(ethers.parseEther("0.1"), { signer: buyer });
+      await expect(credits.settleUsage(byBuyer.receipt, byBuyer.signature)).to.be.revertedWith("Invalid receipt signature");
+
+      const { receipt, signature } = await signReceipt(ethers.parseEther("0.1"));
+      const tampered = { ...receipt, totalUsage: ethers.parseEther("0.9") };
+      await expect(credits.settleUsage(tampered, signature)).to.be.revertedWith("Invalid receipt signature");
+
+      const expiring = await signReceipt(ethers.parseEther("0.1"), { deadline: (await time.latest()) + 60 });
+      await time.increase(61);
+      await expect(credits.settleUsage(expiring.receipt, expiring.signature)).to.be.revertedWith("Receipt expired");
+    });
+
+    it("Should keep a replaced session key valid for the notice period", async function () {
+      const { receipt, signature } = await signReceipt(ethers.parseEther("0.1"));
+      await credits.connect(buyer).setSessionKey(1, ethers.ZeroAddress);
+
+      const account = await credits.creditAccounts(1, buyer.address);
+      expect(account.sessionKey).to.equal(ethers.ZeroAddress);
+      expect(account.previousSessionKey).to.equal(sessionKey.address);
+
+      // Receipts already handed to the provider still settle after the key is cleared
+      await credits.connect(provider).settleUsage(receipt, signature);
+      expect((await credits.creditAccounts(1, buyer.address)).settledUsage).to.equal(ethers.parseEther("0.1"));
+
+      await time.increase(NOTICE_PERIOD);
+      const late = await signReceipt(ethers.parseEther("0.2"));
+      await expect(credits.settleUsage(late.receipt, late.signature)).to.be.revertedWith("Invalid receipt signature");
+    });
+
+    it("Should not let the key change again while a replaced key is valid", async function () {
+      await credits.connect(buyer).setSessionKey(1, other.address);
+      await expect(
+        credits.connect(buyer).setSessionKey(1, ethers.ZeroAddress)
+      ).to.be.revertedWith("Previous session key still valid");
+
+      const byOld = await signReceipt(ethers.parseEther("0.1"));
+      await credits.settleUsage(byOld.receipt, byOld.signature);
+      const byNew = await signReceipt(ethers.parseEther("0.2"), { signer: other });
+      await credits.settleUsage(byNew.receipt, byNew.signature);
+
+      await time.increase(NOTICE_PERIOD);
+      await credits.connect(buyer).setSessionKey(1, sessionKey.address);
+      expect((await credits.creditAccounts(1, buyer.address)).previousSessionKey).to.equal(other.address);
+    });
+
+    it("Should only accept usage revenue from access modules", async function () {
+      await expect(
+        datasetAccess.connect(other).recordModuleRevenue(1, { value: DEPOSIT })
+      ).to.be.revertedWith("Not an access module");
+
+      await datasetAccess.setAccessModule(await credits.getAddress(), false);
+      const { receipt, signature } = await signReceipt(ethers.parseEther("0.1"));
+      await expect(credits.settleUsage(receipt, signature)).to.be.revertedWith("Not an access module");
+    });
+
+    it("Should match the typed data digest", async function () {
+      const { receipt, signature } = await signReceipt(ethers.parseEther("0.1"));
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = { name: "DatasetCredits", version: "1", chainId, verifyingContract: await credits.getAddress() };
+
+      expect(await credits.domainSeparator()).to.equal(ethers.TypedDataEncoder.hashDomain(domain));
+      expect(ethers.recoverAddress(await credits.hashReceipt(receipt), signature)).to.equal(sessionKey.address);
+    });
+
+    it("Should let payees withdraw usage revenue from DatasetAccess", async function () {
+      const { receipt, signature } = await signReceipt(ethers.parseEther("0.1"));
+      await credits.settleUsage(receipt, signature);
+
+      const amount = await datasetAccess.pendingWithdrawals(provider.address, ethers.ZeroAddress);
+      await expect(datasetAccess.connect(provider).withdraw()).to.changeEtherBalance(provider, amount);
+      await expect(datasetAccess.connect(provider).withdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+  });
+
+  describe("Withdrawing Credit", function () {
+    beforeEach(async function () {
+      await credits.connect(buyer).deposit(1, { value: DEPOSIT });
+      await credits.connect(buyer).setSessionKey(1, sessionKey.address);
+    });
+
+    it("Should refund unused credit after the notice period", async function () {
+      await expect(credits.connect(buyer).withdrawCredit(1)).to.be.revertedWith("Notice period not over");
+
+      await expect(credits.connect(buyer).requestCreditWithdrawal(1))
+        .to.emit(credits, "CreditWithdrawalRequested")
+        .withArgs(1, buyer.address, anyValue);
+      const requestedAt = (await credits.creditAccounts(1, buyer.address)).withdrawalRequestedAt;
+      expect(requestedAt).to.equal(await time.latest());
+
+      await time.increase(NOTICE_PERIOD - 10);
+      await expect(credits.connect(buyer).withdrawCredit(1)).to.be.revertedWith("Notice period not over");
+
+      // Outstanding usage can still be settled during the notice period
+      const { receipt, signature } = await signReceipt(ethers.parseEther("0.4"));
+      await credits.connect(provider).settleUsage(receipt, signature);
+
+      await time.increase(10);
+      await expect(credits.connect(buyer).withdrawCredit(1))
+        .to.emit(credits, "CreditWithdrawn")
+        .withArgs(1, buyer.address, ethers.parseEther("0.6"));
+      expect((await credits.creditAccounts(1, buyer.address)).balance).to.equal(0);
+      await expect(credits.connect(buyer).withdrawCredit(1)).to.be.revertedWith("Notice period not over");
+    });
+
+    it("Should transfer the refund and require credit", async function () {
+      await expect(credits.connect(other).requestCreditWithdrawal(1)).to.be.revertedWith("No credit to withdraw");
+
+      await credits.connect(buyer).requestCreditWithdrawal(1);
+      await time.increase(NOTICE_PERIOD);
+      await expect(credits.connect(buyer).withdrawCredit(1)).to.changeEtherBalance(buyer, DEPOSIT);
+    });
+
+    it("Should restart the notice period after a deposit", async function () {
+      await credits.connect(buyer).requestCreditWithdrawal(1);
+      await time.increase(NOTICE_PERIOD - 60);
+
+      // A deposit just before withdrawing must not skip the notice period
+      await credits.connect(buyer).deposit(1, { value: DEPOSIT });
+      expect((await credits.creditAccounts(1, buyer.address)).withdrawalRequestedAt).to.equal(0);
+      await time.increase(60);
+      await expect(credits.connect(buyer).withdrawCredit(1)).to.be.revertedWith("Notice period not over");
+
+      await credits.connect(buyer).requestCreditWithdrawal(1);
+      await time.increase(NOTICE_PERIOD);
+      await expect(credits.connect(buyer).withdrawCredit(1)).to.changeEtherBalance(buyer, DEPOSIT * 2n);
+    });
+  });
+});
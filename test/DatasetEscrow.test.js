@@ -0,0 +1,289 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetEscrow", function () {
+  let datasetToken;
+  let datasetAccess;
+  let datasetEscrow;
+  let usdc;
+  let usdcAddress;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let user3;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const WINDOW = 2 * 24 * 60 * 60;
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+  const price = prices[1];
+  const platformFee = (price * BigInt(PLATFORM_FEE)) / 10000n;
+
+  // Escrow statuses
+  const HELD = 1;
+  const DISPUTED = 2;
+  const RELEASED = 3;
+  const REFUNDED = 4;
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, user3] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    const DatasetEscrow = await ethers.getContractFactory("DatasetEscrow");
+    datasetEscrow = await DatasetEscrow.deploy(await datasetAccess.getAddress());
+    await datasetEscrow.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetEscrow.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+    await datasetAccess.setEscrowAgent(await datasetEscrow.getAddress());
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await usdc.waitForDeployment();
+    usdcAddress = await usdc.getAddress();
+    await datasetAccess.setPaymentToken(usdcAddress, true);
+
+    await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access and token contracts", async function () {
+      expect(await datasetEscrow.datasetAccess()).to.equal(await datasetAccess.getAddress());
+      expect(await datasetEscrow.datasetToken()).to.equal(await datasetToken.getAddress());
+      expect(await datasetAccess.escrowAgent()).to.equal(await datasetEscrow.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetEscrow = await ethers.getContractFactory("DatasetEscrow");
+      await expect(DatasetEscrow.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Refund Windows", function () {
+    it("Should set a refund window", async function () {
+      await expect(datasetEscrow.connect(user1).setRefundWindow(1, WINDOW))
+        .to.emit(datasetEscrow, "RefundWindowUpdated")
+        .withArgs(1, 0, WINDOW);
+      expect(await datasetEscrow.refundWindows(1)).to.equal(WINDOW);
+    });
+
+    it("Should fail to set a window if not owner or too long", async function () {
+      await expect(datasetEscrow.connect(user2).setRefundWindow(1, WINDOW)).to.be.revertedWith("Not authorized to set refund window");
+      await expect(
+        datasetEscrow.connect(user1).setRefundWindow(1, 31 * 24 * 60 * 60)
+      ).to.be.revertedWith("Refund window too long");
+    });
+
+    it("Should let FINANCE role holders set the window", async function () {
+      const MANAGER = 0;
+      const FINANCE = 2;
+      await datasetAccess.connect(user1).setDatasetRole(1, MANAGER, user3.address, true);
+      await expect(datasetEscrow.connect(user3).setRefundWindow(1, WINDOW)).to.be.revertedWith("Not authorized to set refund window");
+
+      await datasetAccess.connect(user1).setDatasetRole(1, FINANCE, user3.address, true);
+      await expect(datasetEscrow.connect(user3).setRefundWindow(1, WINDOW))
+        .to.emit(datasetEscrow, "RefundWindowUpdated")
+        .withArgs(1, 0, WINDOW);
+    });
+
+    it("Should pay out immediately without a window", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+
+      expect(await datasetAccess.escrowedPayments(1)).to.equal(ethers.ZeroAddress);
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(price - platformFee);
+    });
+
+    it("Should only accept holds from DatasetAccess", async function () {
+      await expect(datasetEscrow.connect(user1).holdPayment(1, 1)).to.be.revertedWith("Only DatasetAccess");
+    });
+  });
+
+  describe("Escrowed Purchases", function () {
+    beforeEach(async function () {
+      await datasetEscrow.connect(user1).setRefundWindow(1, WINDOW);
+    });
+
+    it("Should hold the payment during the window", async function () {
+      await expect(datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price }))
+        .to.emit(datasetAccess, "PaymentEscrowed")
+        .withArgs(1, await datasetEscrow.getAddress())
+        .and.to.emit(datasetEscrow, "PaymentHeld")
+        .and.not.to.emit(datasetAccess, "PaymentDistributed");
+
+      const escrow = await datasetEscrow.getEscrow(1);
+      expect(escrow.status).to.equal(HELD);
+      expect(escrow.releaseTime).to.equal(BigInt((await time.latest()) + WINDOW));
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(0);
+      // Held funds are still owed, so emergencyWithdraw cannot sweep them
+      expect(await datasetAccess.totalPendingWithdrawals(ethers.ZeroAddress)).to.equal(price);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.true;
+    });
+
+    it("Should release to the normal split after the window", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+
+      await expect(datasetEscrow.connect(user3).releasePayment(1)).to.be.revertedWith("Refund window still open");
+
+      await time.increase(WINDOW);
+      await expect(datasetEscrow.connect(user3).releasePayment(1))
+        .to.emit(datasetEscrow, "PaymentReleased")
+        .withArgs(1)
+        .and.to.emit(datasetAccess, "PaymentDistributed");
+
+      expect((await datasetEscrow.getEscrow(1)).status).to.equal(RELEASED);
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(price - platformFee);
+      expect(await datasetAccess.pendingWithdrawals(platformWallet.address, ethers.ZeroAddress)).to.equal(platformFee);
+      expect(await datasetAccess.totalPendingWithdrawals(ethers.ZeroAddress)).to.equal(price);
+
+      await expect(datasetEscrow.releasePayment(1)).to.be.revertedWith("Payment not held");
+    });
+
+    it("Should burn the access token on a refund request", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+
+      await expect(datasetEscrow.connect(user3).requestRefund(1, "corrupt file")).to.be.revertedWith("Not buyer");
+      await expect(datasetEscrow.connect(user2).requestRefund(1, "corrupt file"))
+        .to.emit(datasetEscrow, "RefundRequested")
+        .withArgs(1, user2.address, "corrupt file")
+        .and.to.emit(datasetToken, "TokenBurned");
+
+      expect((await datasetEscrow.getEscrow(1)).status).to.equal(DISPUTED);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.false;
+
+      // Disputed payments wait for a resolution
+      await time.increase(WINDOW);
+      await expect(datasetEscrow.releasePayment(1)).to.be.revertedWith("Payment not held");
+    });
+
+    it("Should only take back the refunded period of a renewal", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+      const [, firstExpiry, tokenId] = await datasetAccess.getAccessDetails(user2.address, 1);
+      await datasetAccess.connect(user2).renewAccess(1, 1, { value: price });
+
+      await expect(datasetEscrow.connect(user2).requestRefund(2, "renewed by mistake"))
+        .to.emit(datasetToken, "AccessTokenShortened")
+        .withArgs(tokenId, 1, firstExpiry + BigInt(24 * 3600), firstExpiry)
+        .and.not.to.emit(datasetToken, "TokenBurned");
+
+      const [hasAccess, expiryTime] = await datasetAccess.getAccessDetails(user2.address, 1);
+      expect(hasAccess).to.be.true;
+      expect(expiryTime).to.equal(firstExpiry);
+
+      // Refunding the original purchase too leaves no access
+      await expect(datasetEscrow.connect(user2).requestRefund(1, "corrupt file"))
+        .to.emit(datasetToken, "TokenBurned")
+        .withArgs(tokenId, 1);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.false;
+    });
+
+    it("Should refund the buyer when resolved in their favour", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+      await datasetEscrow.connect(user2).requestRefund(1, "corrupt file");
+
+      await expect(datasetEscrow.connect(user3).resolveDispute(1, true))
+        .to.be.revertedWith("Not authorized to resolve dispute");
+      await expect(datasetEscrow.connect(owner).resolveDispute(1, true))
+        .to.emit(datasetEscrow, "DisputeResolved")
+        .withArgs(1, owner.address, true)
+        .and.to.emit(datasetAccess, "EscrowSettled")
+        .withArgs(1, true);
+
+      expect((await datasetEscrow.getEscrow(1)).status).to.equal(REFUNDED);
+      expect(await datasetEscrow.isRefunded(1)).to.be.true;
+      expect(await datasetAccess.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal(price);
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(0);
+
+      const dataset = await datasetAccess.getDataset(1);
+      expect(dataset.totalSales).to.equal(0);
+      expect(dataset.totalRevenue).to.equal(0);
+
+      await expect(datasetAccess.connect(user2).withdraw()).to.changeEtherBalance(user2, price);
+    });
+
+    it("Should let the platform owner release a disputed payment", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+      await datasetEscrow.connect(user2).requestRefund(1, "changed my mind");
+
+      await datasetEscrow.connect(owner).resolveDispute(1, false);
+
+      expect((await datasetEscrow.getEscrow(1)).status).to.equal(RELEASED);
+      expect(await datasetEscrow.isRefunded(1)).to.be.false;
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(price - platformFee);
+      expect(await datasetAccess.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal(0);
+      await expect(datasetEscrow.connect(owner).resolveDispute(1, true)).to.be.revertedWith("No open dispute");
+    });
+
+    it("Should not let the seller resolve disputes on its own sales", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+      await datasetEscrow.connect(user2).requestRefund(1, "corrupt file");
+
+      await expect(datasetEscrow.connect(user1).resolveDispute(1, false))
+        .to.be.revertedWith("Not authorized to resolve dispute");
+      expect((await datasetEscrow.getEscrow(1)).status).to.equal(DISPUTED);
+    });
+
+    it("Should close refund requests after the window", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+      await time.increase(WINDOW);
+
+      await expect(datasetEscrow.connect(user2).requestRefund(1, "late")).to.be.revertedWith("Refund window closed");
+    });
+
+    it("Should refund revoked purchases without burning again", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+      await datasetAccess.connect(user1).revokeAccess(1, user2.address);
+
+      await expect(datasetEscrow.connect(user2).requestRefund(1, "revoked"))
+        .to.emit(datasetEscrow, "RefundRequested")
+        .and.not.to.emit(datasetToken, "TokenBurned");
+    });
+
+    it("Should hold and refund ERC-20 payments", async function () {
+      const tokenPrice = 5_000_000n;
+      await datasetAccess.connect(user1).setTokenPrices(1, usdcAddress, [0, tokenPrice, 0, 0, 0, 0]);
+      await usdc.mint(user2.address, tokenPrice);
+      await usdc.connect(user2).approve(await datasetAccess.getAddress(), tokenPrice);
+
+      await datasetAccess.connect(user2).purchaseAccessWithToken(1, 1, usdcAddress);
+      expect(await datasetAccess.totalPendingWithdrawals(usdcAddress)).to.equal(tokenPrice);
+
+      await datasetEscrow.connect(user2).requestRefund(1, "wrong schema");
+      await datasetEscrow.connect(owner).resolveDispute(1, true);
+
+      expect(await datasetAccess.getTokenRevenue(1, usdcAddress)).to.equal(0);
+      await expect(datasetAccess.connect(user2).withdrawToken(usdcAddress))
+        .to.changeTokenBalance(usdc, user2, tokenPrice);
+    });
+
+    it("Should keep held payments settleable after the agent changes", async function () {
+      await datasetAccess.connect(user2).purchaseAccess(1, 1, { value: price });
+      await datasetAccess.setEscrowAgent(ethers.ZeroAddress);
+
+      await datasetAccess.connect(user3).purchaseAccess(1, 1, { value: price });
+      expect(await datasetAccess.escrowedPayments(2)).to.equal(ethers.ZeroAddress);
+
+      await time.increase(WINDOW);
+      await expect(datasetEscrow.releasePayment(1)).to.emit(datasetEscrow, "PaymentReleased");
+    });
+  });
+});
@@ -0,0 +1,147 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetGrants", function () {
+  let datasetToken;
+  let datasetAccess;
+  let grants;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let user3;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const SUPPORT = 1;
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, user3] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+
+    const DatasetGrants = await ethers.getContractFactory("DatasetGrants");
+    grants = await DatasetGrants.deploy(await datasetAccess.getAddress());
+    await grants.waitForDeployment();
+    await datasetToken.grantRole(MINTER_ROLE, await grants.getAddress());
+
+    await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access and token contracts", async function () {
+      expect(await grants.datasetAccess()).to.equal(await datasetAccess.getAddress());
+      expect(await grants.datasetToken()).to.equal(await datasetToken.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetGrants = await ethers.getContractFactory("DatasetGrants");
+      await expect(DatasetGrants.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Granting Access", function () {
+    it("Should mint an access token at no cost", async function () {
+      const expiryTime = (await time.latest()) + 30 * 24 * 60 * 60;
+
+      await expect(grants.connect(user1).grantAccess(1, user2.address, expiryTime))
+        .to.emit(grants, "AccessGranted")
+        .withArgs(1, user2.address, user1.address, 2, expiryTime);
+
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.true;
+      const [hasAccess, accessExpiry] = await datasetAccess.getAccessDetails(user2.address, 1);
+      expect(hasAccess).to.be.true;
+      expect(accessExpiry).to.equal(expiryTime);
+      expect(await grants.totalGrants(1)).to.equal(1);
+
+      await time.increaseTo(expiryTime + 1);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.false;
+    });
+
+    it("Should keep grants out of sales, revenue and payouts", async function () {
+      const expiryTime = (await time.latest()) + 3600;
+      await grants.connect(user1).grantAccess(1, user2.address, expiryTime);
+
+      const dataset = await datasetAccess.getDataset(1);
+      expect(dataset.totalSales).to.equal(0);
+      expect(dataset.totalRevenue).to.equal(0);
+      expect(await datasetAccess.getDatasetPurchases(1)).to.deep.equal([]);
+      expect(await datasetAccess.pendingWithdrawals(platformWallet.address, ethers.ZeroAddress)).to.equal(0);
+    });
+
+    it("Should let SUPPORT role holders grant access", async function () {
+      const expiryTime = (await time.latest()) + 3600;
+
+      await expect(
+        grants.connect(user2).grantAccess(1, user3.address, expiryTime)
+      ).to.be.revertedWith("Not authorized to grant access");
+
+      await datasetAccess.connect(user1).setDatasetRole(1, SUPPORT, user2.address, true);
+      await expect(grants.connect(user2).grantAccess(1, user3.address, expiryTime))
+        .to.emit(grants, "AccessGranted")
+        .withArgs(1, user3.address, user2.address, 2, expiryTime);
+    });
+
+    it("Should be revocable like purchased access", async function () {
+      await grants.connect(user1).grantAccess(1, user2.address, (await time.latest()) + 3600);
+
+      await expect(datasetAccess.connect(user1).revokeAccess(1, user2.address))
+        .to.emit(datasetAccess, "AccessRevoked")
+        .withArgs(1, user2.address, 2);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.false;
+    });
+
+    it("Should reject invalid grants", async function () {
+      const expiryTime = (await time.latest()) + 3600;
+
+      await expect(
+        grants.connect(user1).grantAccess(99, user2.address, expiryTime)
+      ).to.be.revertedWith("Dataset does not exist");
+      await expect(
+        grants.connect(user1).grantAccess(1, user2.address, await time.latest())
+      ).to.be.revertedWith("Expiry time must be in the future");
+      await expect(
+        grants.connect(user1).grantAccess(1, user1.address, expiryTime)
+      ).to.be.revertedWith("Cannot mint access token to dataset owner");
+
+      await datasetAccess.pause();
+      await expect(
+        grants.connect(user1).grantAccess(1, user2.address, expiryTime)
+      ).to.be.revertedWith("Marketplace is paused");
+    });
+
+    it("Should not grant access to a deactivated dataset", async function () {
+      const expiryTime = (await time.latest()) + 3600;
+
+      await datasetAccess.emergencyToggleDataset(1);
+      await expect(
+        grants.connect(user1).grantAccess(1, user2.address, expiryTime)
+      ).to.be.revertedWith("Dataset is not active");
+
+      await datasetAccess.emergencyToggleDataset(1);
+      await grants.connect(user1).grantAccess(1, user2.address, expiryTime);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.true;
+    });
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetMarketplace", function () {
+  let datasetToken;
+  let datasetAccess;
+  let marketplace;
+  let owner;
+  let platformWallet;
+  let seller;
+  let buyer;
+  let bidder;
+  let royaltyRecipient;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+  const salePrice = ethers.parseEther("10");
+
+  beforeEach(async function () {
+    [owner, platformWallet, seller, buyer, bidder, royaltyRecipient] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+
+    const DatasetMarketplace = await ethers.getContractFactory("DatasetMarketplace");
+    marketplace = await DatasetMarketplace.deploy(await datasetAccess.getAddress());
+    await marketplace.waitForDeployment();
+    await datasetToken.setOwnershipEscrow(await marketplace.getAddress(), true);
+
+    await datasetAccess.connect(seller).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+    await datasetToken.connect(seller).setApprovalForAll(await marketplace.getAddress(), true);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access and token contracts", async function () {
+      expect(await marketplace.datasetAccess()).to.equal(await datasetAccess.getAddress());
+      expect(await marketplace.datasetToken()).to.equal(await datasetToken.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetMarketplace = await ethers.getContractFactory("DatasetMarketplace");
+      await expect(DatasetMarketplace.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Listings", function () {
+    it("Should escrow the token and leave control and revenue with the seller", async function () {
+      await expect(marketplace.connect(seller).createListing(1, salePrice))
+        .to.emit(marketplace, "ListingCreated")
+        .withArgs(1, seller.address, salePrice);
+
+      expect(await datasetToken.ownerOf(1)).to.equal(await marketplace.getAddress());
+      expect(await datasetAccess.getDatasetOwner(1)).to.equal(seller.address);
+
+      await datasetAccess.connect(seller).updateDataset(1, "ipfs://still-mine", CONTENT_HASH, prices);
+      await datasetAccess.connect(bidder).purchaseAccess(1, 1, { value: prices[1] });
+      const platformFee = (prices[1] * BigInt(PLATFORM_FEE)) / 10000n;
+      expect(await datasetAccess.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(prices[1] - platformFee);
+    });
+
+    it("Should validate new listings", async function () {
+      await expect(marketplace.connect(buyer).createListing(1, salePrice)).to.be.revertedWith("Not dataset owner");
+      await expect(marketplace.connect(seller).createListing(1, 0)).to.be.revertedWith("Price must be greater than 0");
+      await expect(marketplace.connect(seller).createListing(99, salePrice)).to.be.revertedWith("Dataset does not exist");
+
+      await datasetAccess.emergencyToggleDataset(1);
+      await expect(marketplace.connect(seller).createListing(1, salePrice)).to.be.revertedWith("Dataset is not active");
+    });
+
+    it("Should return the token when the seller cancels", async function () {
+      await marketplace.connect(seller).createListing(1, salePrice);
+
+      await expect(marketplace.connect(buyer).cancelListing(1)).to.be.revertedWith("Not listing seller");
+      await expect(marketplace.connect(seller).cancelListing(1))
+        .to.emit(marketplace, "ListingCancelled")
+        .withArgs(1, seller.address)
+        .and.to.not.emit(datasetAccess, "DatasetOwnershipTransferred");
+
+      expect(await datasetToken.ownerOf(1)).to.equal(seller.address);
+      expect((await marketplace.listings(1)).seller).to.equal(ethers.ZeroAddress);
+      expect(await datasetAccess.getUserDatasets(seller.address)).to.deep.equal([1n]);
+    });
+
+    it("Should cancel the listing when the dataset is disabled", async function () {
+      await marketplace.connect(seller).createListing(1, salePrice);
+
+      await expect(datasetAccess.emergencyToggleDataset(1))
+        .to.emit(marketplace, "ListingCancelled")
+        .withArgs(1, seller.address);
+      expect(await datasetToken.ownerOf(1)).to.equal(seller.address);
+
+      // Re-enabling the dataset does not restore the listing
+      await datasetAccess.emergencyToggleDataset(1);
+      await expect(marketplace.connect(buyer).buy(1, { value: salePrice })).to.be.revertedWith("Dataset not listed");
+    });
+
+    it("Should only accept disable notifications from the token contract", async function () {
+      await expect(marketplace.onDatasetDisabled(1)).to.be.revertedWith("Only dataset token contract");
+    });
+  });
+
+  describe("Sales", function () {
+    beforeEach(async function () {
+      await datasetAccess.connect(seller).setRoyalty(1, [royaltyRecipient.address], [500]);
+      await marketplace.connect(seller).createListing(1, salePrice);
+    });
+
+    it("Should transfer the dataset and split the price", async function () {
+      const platformAmount = (salePrice * BigInt(PLATFORM_FEE)) / 10000n;
+      const royaltyAmount = (salePrice * 500n) / 10000n;
+
+      await expect(marketplace.connect(buyer).buy(1, { value: salePrice }))
+        .to.emit(marketplace, "DatasetSold")
+        .withArgs(1, seller.address, buyer.address, salePrice, platformAmount, royaltyAmount)
+        .and.to.emit(datasetAccess, "DatasetOwnershipTransferred")
+        .withArgs(1, seller.address, buyer.address);
+
+      expect(await datasetToken.ownerOf(1)).to.equal(buyer.address);
+      expect(await datasetAccess.getDatasetOwner(1)).to.equal(buyer.address);
+      expect(await datasetAccess.getUserDatasets(seller.address)).to.deep.equal([]);
+      expect(await datasetAccess.getUserDatasets(buyer.address)).to.deep.equal([1n]);
+
+      expect(await marketplace.pendingWithdrawals(platformWallet.address)).to.equal(platformAmount);
+      expect(await marketplace.pendingWithdrawals(royaltyRecipient.address)).to.equal(royaltyAmount);
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(salePrice - platformAmount - royaltyAmount);
+    });
+
+    it("Should send later revenue to the buyer", async function () {
+      await marketplace.connect(buyer).buy(1, { value: salePrice });
+
+      await datasetAccess.connect(bidder).purchaseAccess(1, 1, { value: prices[1] });
+      expect(await datasetAccess.pendingWithdrawals(seller.address, ethers.ZeroAddress)).to.equal(0);
+      expect(await datasetAccess.pendingWithdrawals(buyer.address, ethers.ZeroAddress)).to.be.gt(0);
+      await datasetAccess.connect(buyer).updateDataset(1, "ipfs://new-owner", CONTENT_HASH, prices);
+    });
+
+    it("Should require the exact listing price", async function () {
+      await expect(
+        marketplace.connect(buyer).buy(1, { value: salePrice - 1n })
+      ).to.be.revertedWith("Incorrect payment");
+      await expect(marketplace.connect(buyer).buy(2, { value: salePrice })).to.be.revertedWith("Dataset not listed");
+    });
+
+    it("Should let accounts withdraw their proceeds", async function () {
+      await marketplace.connect(buyer).buy(1, { value: salePrice });
+      const amount = await marketplace.pendingWithdrawals(seller.address);
+
+      await expect(marketplace.connect(seller).withdraw()).to.changeEtherBalance(seller, amount);
+      expect(await marketplace.pendingWithdrawals(seller.address)).to.equal(0);
+      await expect(marketplace.connect(seller).withdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+  });
+
+  describe("Offers", function () {
+    const offer = ethers.parseEther("5");
+
+    it("Should hold offers and credit withdrawn ones", async function () {
+      await marketplace.connect(bidder).makeOffer(1, { value: offer });
+      await expect(marketplace.connect(bidder).makeOffer(1, { value: offer }))
+        .to.emit(marketplace, "OfferMade")
+        .withArgs(1, bidder.address, offer * 2n);
+
+      await expect(marketplace.connect(bidder).withdrawOffer(1))
+        .to.emit(marketplace, "OfferWithdrawn")
+        .withArgs(1, bidder.address, offer * 2n);
+      expect(await marketplace.pendingWithdrawals(bidder.address)).to.equal(offer * 2n);
+      await expect(marketplace.connect(bidder).withdrawOffer(1)).to.be.revertedWith("No offer to withdraw");
+    });
+
+    it("Should sell an unlisted dataset to an offer", async function () {
+      await marketplace.connect(bidder).makeOffer(1, { value: offer });
+
+      await expect(
+        marketplace.connect(buyer).acceptOffer(1, bidder.address, offer)
+      ).to.be.revertedWith("Not dataset owner");
+      await expect(
+        marketplace.connect(seller).acceptOffer(1, bidder.address, offer + 1n)
+      ).to.be.revertedWith("Offer does not match");
+
+      await expect(marketplace.connect(seller).acceptOffer(1, bidder.address, offer))
+        .to.emit(marketplace, "DatasetSold")
+        .withArgs(1, seller.address, bidder.address, offer, (offer * BigInt(PLATFORM_FEE)) / 10000n, 0);
+
+      expect(await datasetAccess.getDatasetOwner(1)).to.equal(bidder.address);
+      expect(await marketplace.offers(1, bidder.address)).to.equal(0);
+    });
+
+    it("Should sell a listed dataset to an offer and close the listing", async function () {
+      await marketplace.connect(seller).createListing(1, salePrice);
+      await marketplace.connect(bidder).makeOffer(1, { value: offer });
+
+      await marketplace.connect(seller).acceptOffer(1, bidder.address, offer);
+
+      expect(await datasetToken.ownerOf(1)).to.equal(bidder.address);
+      expect(await datasetAccess.getDatasetOwner(1)).to.equal(bidder.address);
+      expect((await marketplace.listings(1)).seller).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should reject offers on inactive datasets", async function () {
+      await marketplace.connect(bidder).makeOffer(1, { value: offer });
+      await datasetAccess.emergencyToggleDataset(1);
+
+      await expect(marketplace.connect(bidder).makeOffer(1, { value: offer })).to.be.revertedWith("Dataset is not active");
+      await expect(
+        marketplace.connect(seller).acceptOffer(1, bidder.address, offer)
+      ).to.be.revertedWith("Dataset is not active");
+
+      // The offer can still be withdrawn
+      await marketplace.connect(bidder).withdrawOffer(1);
+    });
+  });
+});
@@ -0,0 +1,277 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetPlans", function () {
+  let datasetToken;
+  let datasetAccess;
+  let datasetPlans;
+  let usdc;
+  let usdcAddress;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let user3;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const THREE_DAYS = 3 * 24 * 60 * 60;
+  const DAYS_180 = 180 * 24 * 60 * 60;
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, user3] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    const DatasetPlans = await ethers.getContractFactory("DatasetPlans");
+    datasetPlans = await DatasetPlans.deploy(await datasetAccess.getAddress());
+    await datasetPlans.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+    await datasetAccess.setAccessModule(await datasetPlans.getAddress(), true);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await usdc.waitForDeployment();
+    usdcAddress = await usdc.getAddress();
+    await datasetAccess.setPaymentToken(usdcAddress, true);
+
+    await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+  });
+
+  describe("Deployment", function () {
+    it("Should set correct initial values", async function () {
+      expect(await datasetPlans.datasetAccess()).to.equal(await datasetAccess.getAddress());
+      expect(await datasetPlans.getCurrentPlanId()).to.equal(1);
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetPlans = await ethers.getContractFactory("DatasetPlans");
+      await expect(DatasetPlans.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Plan Management", function () {
+    it("Should add a pricing plan", async function () {
+      await expect(
+        datasetPlans.connect(user1).addPricingPlan(1, "3-day trial", THREE_DAYS, ethers.parseEther("0.03"), ethers.ZeroAddress, 100)
+      ).to.emit(datasetPlans, "PricingPlanAdded")
+        .withArgs(1, 1, "3-day trial", THREE_DAYS, ethers.parseEther("0.03"), ethers.ZeroAddress, 100);
+
+      const plan = await datasetPlans.getPricingPlan(1);
+      expect(plan.datasetId).to.equal(1);
+      expect(plan.name).to.equal("3-day trial");
+      expect(plan.duration).to.equal(THREE_DAYS);
+      expect(plan.active).to.be.true;
+    });
+
+    it("Should list plans of a dataset", async function () {
+      await datasetPlans.connect(user1).addPricingPlan(1, "3-day trial", THREE_DAYS, ethers.parseEther("0.03"), ethers.ZeroAddress, 0);
+      await datasetPlans.connect(user1).addPricingPlan(1, "Research license", DAYS_180, ethers.parseUnits("500", 6), usdcAddress, 0);
+
+      const [planIds, plans] = await datasetPlans.getPricingPlans(1);
+      expect(planIds).to.deep.equal([1n, 2n]);
+      expect(plans[1].name).to.equal("Research license");
+      expect(plans[1].paymentToken).to.equal(usdcAddress);
+    });
+
+    it("Should update a pricing plan", async function () {
+      await datasetPlans.connect(user1).addPricingPlan(1, "Trial", THREE_DAYS, ethers.parseEther("0.03"), ethers.ZeroAddress, 0);
+
+      await expect(datasetPlans.connect(user1).updatePricingPlan(1, "Week trial", 7 * 24 * 60 * 60, ethers.parseEther("0.05"), 10))
+        .to.emit(datasetPlans, "PricingPlanUpdated")
+        .withArgs(1, "Week trial", 7 * 24 * 60 * 60, ethers.parseEther("0.05"), 10);
+
+      const plan = await datasetPlans.getPricingPlan(1);
+      expect(plan.price).to.equal(ethers.parseEther("0.05"));
+      expect(plan.maxSales).to.equal(10);
+    });
+
+    it("Should disable and re-enable a pricing plan", async function () {
+      await datasetPlans.connect(user1).addPricingPlan(1, "Trial", THREE_DAYS, ethers.parseEther("0.03"), ethers.ZeroAddress, 0);
+
+      await expect(datasetPlans.connect(user1).disablePricingPlan(1))
+        .to.emit(datasetPlans, "PricingPlanStatusChanged")
+        .withArgs(1, false);
+
+      await expect(
+        datasetPlans.connect(user2).purchasePlan(1, { value: ethers.parseEther("0.03") })
+      ).to.be.revertedWith("Plan is not active");
+
+      await datasetPlans.connect(user1).enablePricingPlan(1);
+      await datasetPlans.connect(user2).purchasePlan(1, { value: ethers.parseEther("0.03") });
+    });
+
+    it("Should fail if not dataset owner", async function () {
+      await expect(
+        datasetPlans.connect(user2).addPricingPlan(1, "Trial", THREE_DAYS, 1, ethers.ZeroAddress, 0)
+      ).to.be.revertedWith("Not authorized to manage plans");
+
+      await datasetPlans.connect(user1).addPricingPlan(1, "Trial", THREE_DAYS, 1, ethers.ZeroAddress, 0);
+      await expect(
+        datasetPlans.connect(user2).updatePricingPlan(1, "Trial", THREE_DAYS, 2, 0)
+      ).to.be.revertedWith("Not authorized to manage plans");
+      await expect(datasetPlans.connect(user2).disablePricingPlan(1)).to.be.revertedWith("Not authorized to manage plans");
+    });
+
+    it("Should let MANAGER role holders manage plans", async function () {
+      const MANAGER = 0;
+      await datasetAccess.connect(user1).setDatasetRole(1, MANAGER, user3.address, true);
+
+      await datasetPlans.connect(user3).addPricingPlan(1, "Trial", THREE_DAYS, 1, ethers.ZeroAddress, 0);
+      await datasetPlans.connect(user3).updatePricingPlan(1, "Trial", THREE_DAYS, 2, 0);
+      await datasetPlans.connect(user3).disablePricingPlan(1);
+
+      const plan = await datasetPlans.getPricingPlan(1);
+      expect(plan.price).to.equal(2);
+      expect(plan.active).to.be.false;
+    });
+
+    it("Should fail with invalid terms", async function () {
+      await expect(
+        datasetPlans.connect(user1).addPricingPlan(1, "", THREE_DAYS, 1, ethers.ZeroAddress, 0)
+      ).to.be.revertedWith("Plan name cannot be empty");
+      await expect(
+        datasetPlans.connect(user1).addPricingPlan(1, "Trial", 0, 1, ethers.ZeroAddress, 0)
+      ).to.be.revertedWith("Duration must be greater than 0");
+      await expect(
+        datasetPlans.connect(user1).addPricingPlan(1, "Trial", THREE_DAYS, 0, ethers.ZeroAddress, 0)
+      ).to.be.revertedWith("Price must be greater than 0");
+      await expect(
+        datasetPlans.connect(user1).addPricingPlan(1, "Trial", THREE_DAYS, 1, user3.address, 0)
+      ).to.be.revertedWith("Payment token not allowed");
+      await expect(
+        datasetPlans.connect(user1).addPricingPlan(99, "Trial", THREE_DAYS, 1, ethers.ZeroAddress, 0)
+      ).to.be.revertedWith("Dataset does not exist");
+    });
+
+    it("Should fail for non-existent plan", async function () {
+      await expect(datasetPlans.getPricingPlan(1)).to.be.revertedWith("Plan does not exist");
+      await expect(datasetPlans.connect(user2).purchasePlan(1)).to.be.revertedWith("Plan does not exist");
+    });
+  });
+
+  describe("Plan Purchases", function () {
+    it("Should purchase an ETH plan with custom duration", async function () {
+      const price = ethers.parseEther("0.03");
+      await datasetPlans.connect(user1).addPricingPlan(1, "3-day trial", THREE_DAYS, price, ethers.ZeroAddress, 0);
+
+      await expect(datasetPlans.connect(user2).purchasePlan(1, { value: price }))
+        .to.emit(datasetPlans, "PlanPurchased")
+        .withArgs(1, 1, user2.address, price)
+        .and.to.emit(datasetAccess, "AccessPurchased");
+
+      const purchase = await datasetAccess.getPurchase(1);
+      expect(purchase.buyer).to.equal(user2.address);
+      expect(purchase.planId).to.equal(1);
+      expect(purchase.expiryTime - purchase.purchaseTime).to.equal(THREE_DAYS);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.true;
+
+      await time.increase(THREE_DAYS);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.false;
+    });
+
+    it("Should split plan revenue and credit excess ETH", async function () {
+      const price = ethers.parseEther("0.03");
+      const excess = ethers.parseEther("0.01");
+      await datasetPlans.connect(user1).addPricingPlan(1, "Trial", THREE_DAYS, price, ethers.ZeroAddress, 0);
+
+      await datasetPlans.connect(user2).purchasePlan(1, { value: price + excess });
+
+      const platformFee = (price * BigInt(PLATFORM_FEE)) / 10000n;
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(price - platformFee);
+      expect(await datasetAccess.pendingWithdrawals(platformWallet.address, ethers.ZeroAddress)).to.equal(platformFee);
+      expect(await datasetAccess.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal(excess);
+      expect((await datasetAccess.getDataset(1)).totalRevenue).to.equal(price);
+    });
+
+    it("Should purchase an ERC-20 plan", async function () {
+      const price = ethers.parseUnits("500", 6);
+      await datasetPlans.connect(user1).addPricingPlan(1, "Research license", DAYS_180, price, usdcAddress, 0);
+
+      await usdc.mint(user2.address, price);
+      await usdc.connect(user2).approve(await datasetPlans.getAddress(), price);
+
+      await datasetPlans.connect(user2).purchasePlan(1);
+
+      const platformFee = (price * BigInt(PLATFORM_FEE)) / 10000n;
+      expect(await usdc.balanceOf(await datasetAccess.getAddress())).to.equal(price);
+      expect(await datasetAccess.pendingWithdrawals(user1.address, usdcAddress)).to.equal(price - platformFee);
+      expect(await datasetAccess.getTokenRevenue(1, usdcAddress)).to.equal(price);
+
+      const purchase = await datasetAccess.getPurchase(1);
+      expect(purchase.expiryTime - purchase.purchaseTime).to.equal(DAYS_180);
+    });
+
+    it("Should reject ETH sent to an ERC-20 plan", async function () {
+      await datasetPlans.connect(user1).addPricingPlan(1, "Research license", DAYS_180, 1, usdcAddress, 0);
+
+      await expect(
+        datasetPlans.connect(user2).purchasePlan(1, { value: 1 })
+      ).to.be.revertedWith("ETH not accepted for token payment");
+    });
+
+    it("Should enforce the sales cap", async function () {
+      const price = ethers.parseEther("0.03");
+      await datasetPlans.connect(user1).addPricingPlan(1, "Launch seats", THREE_DAYS, price, ethers.ZeroAddress, 2);
+
+      await datasetPlans.connect(user2).purchasePlan(1, { value: price });
+      await datasetPlans.connect(user3).purchasePlan(1, { value: price });
+
+      await expect(
+        datasetPlans.connect(user2).purchasePlan(1, { value: price })
+      ).to.be.revertedWith("Plan sold out");
+
+      expect((await datasetPlans.getPricingPlan(1)).sales).to.equal(2);
+      await expect(
+        datasetPlans.connect(user1).updatePricingPlan(1, "Launch seats", THREE_DAYS, price, 1)
+      ).to.be.revertedWith("Cap below sales made");
+    });
+
+    it("Should enforce dataset purchase rules", async function () {
+      const price = ethers.parseEther("0.03");
+      await datasetPlans.connect(user1).addPricingPlan(1, "Trial", THREE_DAYS, price, ethers.ZeroAddress, 0);
+
+      await expect(
+        datasetPlans.connect(user2).purchasePlan(1, { value: price - 1n })
+      ).to.be.revertedWith("Insufficient payment");
+      await expect(
+        datasetPlans.connect(user1).purchasePlan(1, { value: price })
+      ).to.be.revertedWith("Cannot purchase own dataset");
+
+      await datasetAccess.emergencyToggleDataset(1);
+      await expect(
+        datasetPlans.connect(user2).purchasePlan(1, { value: price })
+      ).to.be.revertedWith("Dataset is not active");
+    });
+
+    it("Should fail when the module is disabled", async function () {
+      const price = ethers.parseEther("0.03");
+      await datasetPlans.connect(user1).addPricingPlan(1, "Trial", THREE_DAYS, price, ethers.ZeroAddress, 0);
+      await datasetAccess.setAccessModule(await datasetPlans.getAddress(), false);
+
+      await expect(
+        datasetPlans.connect(user2).purchasePlan(1, { value: price })
+      ).to.be.revertedWith("Not an access module");
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetReferrals", function () {
+  let datasetToken;
+  let datasetAccess;
+  let referrals;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let referrer;
+  let royaltyRecipient;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const DAYS_30 = 3;
+  const CODE = "LAUNCH10";
+  const CODE_HASH = ethers.id(CODE);
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, referrer, royaltyRecipient] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    const DatasetReferrals = await ethers.getContractFactory("DatasetReferrals");
+    referrals = await DatasetReferrals.deploy(await datasetAccess.getAddress());
+    await referrals.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+    await datasetAccess.setAccessModule(await referrals.getAddress(), true);
+
+    await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access contract", async function () {
+      expect(await referrals.datasetAccess()).to.equal(await datasetAccess.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetReferrals = await ethers.getContractFactory("DatasetReferrals");
+      await expect(DatasetReferrals.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Coupons", function () {
+    it("Should store coupons by code hash", async function () {
+      await expect(referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 1000, 500, 10, 0))
+        .to.emit(referrals, "CouponCreated")
+        .withArgs(1, CODE_HASH, referrer.address, 1000, 500, 10, 0);
+
+      const coupon = await referrals.coupons(1, CODE_HASH);
+      expect(coupon.owner).to.equal(user1.address);
+      expect(coupon.commission).to.equal(500);
+      expect(await referrals.isCouponValid(1, CODE_HASH)).to.be.true;
+      expect(await referrals.isCouponValid(1, ethers.id("OTHER"))).to.be.false;
+    });
+
+    it("Should validate new coupons", async function () {
+      await expect(
+        referrals.connect(user2).createCoupon(1, CODE_HASH, referrer.address, 1000, 500, 0, 0)
+      ).to.be.revertedWith("Not authorized to manage coupons");
+      await expect(
+        referrals.connect(user1).createCoupon(1, ethers.ZeroHash, referrer.address, 1000, 500, 0, 0)
+      ).to.be.revertedWith("Invalid code hash");
+      await expect(
+        referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 10000, 0, 0, 0)
+      ).to.be.revertedWith("Invalid discount");
+      await expect(
+        referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 0, 0, 0, 0)
+      ).to.be.revertedWith("Coupon has no discount or commission");
+      await expect(
+        referrals.connect(user1).createCoupon(1, CODE_HASH, ethers.ZeroAddress, 0, 500, 0, 0)
+      ).to.be.revertedWith("Invalid referrer address");
+      await expect(
+        referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 0, 1001, 0, 0)
+      ).to.be.revertedWith("Commission exceeds royalty cap");
+      await expect(
+        referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 1000, 0, 0, await time.latest())
+      ).to.be.revertedWith("Expiry time must be in the future");
+
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, ethers.ZeroAddress, 1000, 0, 0, 0);
+      await expect(
+        referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 1000, 500, 0, 0)
+      ).to.be.revertedWith("Coupon already exists");
+    });
+
+    it("Should disable coupons", async function () {
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, ethers.ZeroAddress, 1000, 0, 0, 0);
+
+      await expect(referrals.connect(user2).disableCoupon(1, CODE_HASH)).to.be.revertedWith("Not authorized to manage coupons");
+      await expect(referrals.connect(user1).disableCoupon(1, CODE_HASH))
+        .to.emit(referrals, "CouponDisabled")
+        .withArgs(1, CODE_HASH);
+      await expect(referrals.connect(user1).disableCoupon(1, CODE_HASH)).to.be.revertedWith("Coupon is not active");
+
+      await expect(
+        referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: prices[DAYS_30] })
+      ).to.be.revertedWith("Invalid coupon");
+    });
+
+    it("Should let MANAGER role holders issue coupons for the dataset owner", async function () {
+      const MANAGER = 0;
+      await datasetAccess.connect(user1).setDatasetRole(1, MANAGER, user2.address, true);
+
+      await referrals.connect(user2).createCoupon(1, CODE_HASH, ethers.ZeroAddress, 1000, 0, 0, 0);
+      expect((await referrals.coupons(1, CODE_HASH)).owner).to.equal(user1.address);
+      expect(await referrals.isCouponValid(1, CODE_HASH)).to.be.true;
+
+      await expect(referrals.connect(user2).disableCoupon(1, CODE_HASH))
+        .to.emit(referrals, "CouponDisabled")
+        .withArgs(1, CODE_HASH);
+    });
+
+    it("Should enforce usage caps, expiry and ownership changes", async function () {
+      const expiresAt = (await time.latest()) + 3600;
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, ethers.ZeroAddress, 1000, 0, 1, expiresAt);
+      await referrals.connect(user1).createCoupon(1, ethers.id("LATER"), ethers.ZeroAddress, 1000, 0, 0, expiresAt);
+      await referrals.connect(user1).createCoupon(1, ethers.id("OWNER"), ethers.ZeroAddress, 1000, 0, 0, 0);
+
+      await referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: prices[DAYS_30] });
+      await expect(
+        referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: prices[DAYS_30] })
+      ).to.be.revertedWith("Invalid coupon");
+
+      await time.increaseTo(expiresAt + 1);
+      expect(await referrals.isCouponValid(1, ethers.id("LATER"))).to.be.false;
+
+      expect(await referrals.isCouponValid(1, ethers.id("OWNER"))).to.be.true;
+      await datasetToken.connect(user1).transferFrom(user1.address, owner.address, 1);
+      expect(await referrals.isCouponValid(1, ethers.id("OWNER"))).to.be.false;
+    });
+  });
+
+  describe("Purchases", function () {
+    it("Should sell at the discounted price", async function () {
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, ethers.ZeroAddress, 1000, 0, 0, 0);
+      const price = prices[DAYS_30] - (prices[DAYS_30] * 1000n) / 10000n;
+
+      await expect(referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: prices[DAYS_30] }))
+        .to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(1, 1, user2.address, anyValue, price, anyValue, anyValue)
+        .and.to.emit(referrals, "CouponRedeemed")
+        .withArgs(1, CODE_HASH, user2.address, 1, price);
+
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.true;
+      expect(await datasetAccess.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal(prices[DAYS_30] - price);
+      expect((await referrals.coupons(1, CODE_HASH)).uses).to.equal(1);
+    });
+
+    it("Should pay the commission out of the owner's share", async function () {
+      await datasetAccess.connect(user1).setRoyalty(1, [royaltyRecipient.address], [500]);
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 1000, 500, 0, 0);
+
+      const price = prices[DAYS_30] - (prices[DAYS_30] * 1000n) / 10000n;
+      const referralAmount = (price * 500n) / 10000n;
+      const platformAmount = (price * BigInt(PLATFORM_FEE)) / 10000n;
+      const royaltyAmount = (price * 500n) / 10000n;
+      const ownerAmount = price - platformAmount - royaltyAmount - referralAmount;
+
+      await expect(referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: price }))
+        .to.emit(datasetAccess, "ReferralPaid")
+        .withArgs(1, referrer.address, referralAmount, ethers.ZeroAddress)
+        .and.to.emit(datasetAccess, "PaymentDistributed")
+        .withArgs(1, price, ownerAmount, platformAmount, royaltyAmount);
+
+      const balance = (account) => datasetAccess.pendingWithdrawals(account.address, ethers.ZeroAddress);
+      expect(await balance(referrer)).to.equal(referralAmount);
+      expect(await balance(platformWallet)).to.equal(platformAmount);
+      expect(await balance(royaltyRecipient)).to.equal(royaltyAmount);
+      expect(await balance(user1)).to.equal(ownerAmount);
+
+      const purchaseReferral = await datasetAccess.purchaseReferrals(1);
+      expect(purchaseReferral.referrer).to.equal(referrer.address);
+      expect(purchaseReferral.commission).to.equal(500);
+
+      const dataset = await datasetAccess.getDataset(1);
+      expect(dataset.totalRevenue).to.equal(price);
+    });
+
+    it("Should reject commissions that break the royalty cap", async function () {
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 0, 500, 0, 0);
+      await datasetAccess.connect(user1).setRoyalty(1, [royaltyRecipient.address], [600]);
+
+      await expect(
+        referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: prices[DAYS_30] })
+      ).to.be.revertedWith("Commission exceeds royalty cap");
+    });
+
+    it("Should pay the commission only when a held payment is released", async function () {
+      const DatasetEscrow = await ethers.getContractFactory("DatasetEscrow");
+      const datasetEscrow = await DatasetEscrow.deploy(await datasetAccess.getAddress());
+      await datasetEscrow.waitForDeployment();
+      await datasetToken.grantRole(BURNER_ROLE, await datasetEscrow.getAddress());
+      await datasetAccess.setEscrowAgent(await datasetEscrow.getAddress());
+      await datasetEscrow.connect(user1).setRefundWindow(1, 24 * 60 * 60);
+
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 0, 500, 0, 0);
+      const price = prices[DAYS_30];
+      const balance = (account) => datasetAccess.pendingWithdrawals(account.address, ethers.ZeroAddress);
+
+      // Refunded purchase: the referrer gets nothing
+      await referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: price });
+      expect(await balance(referrer)).to.equal(0);
+      await datasetEscrow.connect(user2).requestRefund(1, "Not as described");
+      await expect(datasetEscrow.connect(owner).resolveDispute(1, true)).to.not.emit(datasetAccess, "ReferralPaid");
+      expect(await balance(referrer)).to.equal(0);
+      expect(await balance(user2)).to.equal(price);
+
+      // Released purchase: the commission is paid with the split
+      await referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: price });
+      await time.increase(24 * 60 * 60 + 1);
+      await expect(datasetEscrow.releasePayment(2))
+        .to.emit(datasetAccess, "ReferralPaid")
+        .withArgs(1, referrer.address, (price * 500n) / 10000n, ethers.ZeroAddress);
+      expect(await balance(referrer)).to.equal((price * 500n) / 10000n);
+    });
+
+    it("Should only record referral purchases from access modules", async function () {
+      await expect(
+        datasetAccess.connect(user2).recordReferralPurchase(
+          user2.address, 1, 3600, prices[DAYS_30], referrer.address, 500, { value: prices[DAYS_30] }
+        )
+      ).to.be.revertedWith("Not an access module");
+
+      await datasetAccess.setAccessModule(user2.address, true);
+      await expect(
+        datasetAccess.connect(user2).recordReferralPurchase(
+          user2.address, 1, 3600, prices[DAYS_30], ethers.ZeroAddress, 500, { value: prices[DAYS_30] }
+        )
+      ).to.be.revertedWith("Invalid referrer address");
+      await expect(
+        datasetAccess.connect(user2).recordReferralPurchase(
+          user2.address, 1, 3600, prices[DAYS_30], referrer.address, 1001, { value: prices[DAYS_30] }
+        )
+      ).to.be.revertedWith("Commission exceeds royalty cap");
+    });
+
+    it("Should require enough payment", async function () {
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, ethers.ZeroAddress, 1000, 0, 0, 0);
+
+      await expect(
+        referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: prices[DAYS_30] / 2n })
+      ).to.be.revertedWith("Insufficient payment");
+    });
+
+    it("Should let referrers withdraw their commission from DatasetAccess", async function () {
+      await referrals.connect(user1).createCoupon(1, CODE_HASH, referrer.address, 0, 500, 0, 0);
+      await referrals.connect(user2).purchaseAccess(1, DAYS_30, CODE, { value: prices[DAYS_30] });
+
+      const amount = await datasetAccess.pendingWithdrawals(referrer.address, ethers.ZeroAddress);
+      expect(amount).to.equal((prices[DAYS_30] * 500n) / 10000n);
+      await expect(datasetAccess.connect(referrer).withdraw()).to.changeEtherBalance(referrer, amount);
+      await expect(datasetAccess.connect(referrer).withdraw()).to.be.revertedWith("No funds to withdraw");
+    });
+  });
+});
@@ -0,0 +1,132 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetRoyaltySplitter", function () {
+  let datasetToken;
+  let datasetAccess;
+  let splitter;
+  let splitterAddress;
+  let usdc;
+  let usdcAddress;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let user3;
+  let marketplace;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, user3, marketplace] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+
+    await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+
+    const DatasetRoyaltySplitter = await ethers.getContractFactory("DatasetRoyaltySplitter");
+    splitter = await DatasetRoyaltySplitter.deploy(await datasetAccess.getAddress(), 1);
+    await splitter.waitForDeployment();
+    splitterAddress = await splitter.getAddress();
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await usdc.waitForDeployment();
+    usdcAddress = await usdc.getAddress();
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access contract and dataset", async function () {
+      expect(await splitter.datasetAccess()).to.equal(await datasetAccess.getAddress());
+      expect(await splitter.datasetId()).to.equal(1);
+    });
+
+    it("Should fail with an invalid access contract or dataset", async function () {
+      const DatasetRoyaltySplitter = await ethers.getContractFactory("DatasetRoyaltySplitter");
+      await expect(DatasetRoyaltySplitter.deploy(ethers.ZeroAddress, 1)).to.be.revertedWith("Invalid access contract address");
+      await expect(DatasetRoyaltySplitter.deploy(await datasetAccess.getAddress(), 2)).to.be.revertedWith("Dataset does not exist");
+    });
+  });
+
+  describe("Secondary Sale Royalties", function () {
+    const salePrice = ethers.parseEther("10");
+
+    beforeEach(async function () {
+      await datasetAccess.connect(user1).setRoyalty(1, [user2.address, user3.address], [300, 100]);
+      await datasetToken.connect(user1).setDatasetRoyalty(1, splitterAddress, 500);
+    });
+
+    it("Should split ETH royalties between the DatasetAccess recipients", async function () {
+      // A marketplace pays the royalty reported for the ownership token
+      const [receiver, royalty] = await datasetToken.royaltyInfo(1, salePrice);
+      expect(receiver).to.equal(splitterAddress);
+      await expect(marketplace.sendTransaction({ to: receiver, value: royalty }))
+        .to.emit(splitter, "RoyaltyReceived")
+        .withArgs(marketplace.address, royalty);
+
+      await expect(splitter.connect(marketplace).distribute(ethers.ZeroAddress))
+        .to.emit(splitter, "RoyaltiesDistributed")
+        .withArgs(ethers.ZeroAddress, royalty);
+
+      expect(await splitter.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal((royalty * 3n) / 4n);
+      expect(await splitter.pendingWithdrawals(user3.address, ethers.ZeroAddress)).to.equal(royalty / 4n);
+
+      await expect(splitter.connect(user2).withdraw(ethers.ZeroAddress)).to.changeEtherBalance(user2, (royalty * 3n) / 4n);
+      await expect(splitter.connect(user2).withdraw(ethers.ZeroAddress)).to.be.revertedWith("No funds to withdraw");
+    });
+
+    it("Should only distribute new royalties", async function () {
+      await marketplace.sendTransaction({ to: splitterAddress, value: 1000 });
+      await splitter.distribute(ethers.ZeroAddress);
+      await expect(splitter.distribute(ethers.ZeroAddress)).to.be.revertedWith("Nothing to distribute");
+
+      await marketplace.sendTransaction({ to: splitterAddress, value: 400 });
+      await splitter.distribute(ethers.ZeroAddress);
+      expect(await splitter.pendingWithdrawals(user2.address, ethers.ZeroAddress)).to.equal(1050);
+      expect(await splitter.totalPendingWithdrawals(ethers.ZeroAddress)).to.equal(1400);
+    });
+
+    it("Should split ERC-20 royalties and pay rounding dust to the dataset owner", async function () {
+      await usdc.mint(splitterAddress, 1001);
+      await splitter.distribute(usdcAddress);
+
+      expect(await splitter.pendingWithdrawals(user2.address, usdcAddress)).to.equal(750);
+      expect(await splitter.pendingWithdrawals(user3.address, usdcAddress)).to.equal(250);
+      expect(await splitter.pendingWithdrawals(user1.address, usdcAddress)).to.equal(1);
+
+      await expect(splitter.connect(user3).withdraw(usdcAddress)).to.changeTokenBalance(usdc, user3, 250);
+    });
+
+    it("Should pay the current dataset owner when no recipients are set", async function () {
+      await datasetAccess.connect(user1).setRoyalty(1, [], []);
+      await datasetToken.connect(user1).transferFrom(user1.address, user3.address, await datasetToken.ownershipTokens(1));
+
+      await marketplace.sendTransaction({ to: splitterAddress, value: 500 });
+      await splitter.distribute(ethers.ZeroAddress);
+
+      expect(await splitter.pendingWithdrawals(user3.address, ethers.ZeroAddress)).to.equal(500);
+      expect(await splitter.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(0);
+    });
+  });
+});
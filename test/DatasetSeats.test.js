@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetSeats", function () {
+  let datasetToken;
+  let datasetAccess;
+  let seats;
+  let owner;
+  let platformWallet;
+  let publisher;
+  let teamLead;
+  let analyst1;
+  let analyst2;
+  let analyst3;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const DAYS_30 = 3;
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  beforeEach(async function () {
+    [owner, platformWallet, publisher, teamLead, analyst1, analyst2, analyst3] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+
+    const DatasetSeats = await ethers.getContractFactory("DatasetSeats");
+    seats = await DatasetSeats.deploy(await datasetAccess.getAddress());
+    await seats.waitForDeployment();
+    await datasetAccess.setAccessModule(await seats.getAddress(), true);
+    await datasetToken.grantRole(MINTER_ROLE, await seats.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await seats.getAddress());
+
+    await datasetAccess.connect(publisher).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access and token contracts", async function () {
+      expect(await seats.datasetAccess()).to.equal(await datasetAccess.getAddress());
+      expect(await seats.datasetToken()).to.equal(await datasetToken.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetSeats = await ethers.getContractFactory("DatasetSeats");
+      await expect(DatasetSeats.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Purchasing Licenses", function () {
+    it("Should charge per seat and record one purchase", async function () {
+      const price = prices[DAYS_30] * 5n;
+
+      await expect(seats.connect(teamLead).purchaseLicense(1, DAYS_30, 5, { value: price }))
+        .to.emit(seats, "LicensePurchased")
+        .withArgs(1, 1, teamLead.address, 5, price, anyValue, 1)
+        .and.to.emit(datasetAccess, "AccessPurchased")
+        .withArgs(1, 1, teamLead.address, 6, price, anyValue, 2)
+        .and.to.emit(seats, "SeatAssigned")
+        .withArgs(1, teamLead.address, 2);
+
+      const license = await seats.getLicense(1);
+      expect(license.holder).to.equal(teamLead.address);
+      expect(license.seats).to.equal(5);
+      expect(license.assigned).to.equal(1);
+      expect(license.expiryTime).to.equal((await datasetAccess.getPurchase(1)).expiryTime);
+      expect((await datasetAccess.getPurchase(1)).planId).to.equal(1);
+      expect(await seats.getHolderLicenses(teamLead.address)).to.deep.equal([1n]);
+      expect(await datasetAccess.checkAccess(teamLead.address, 1)).to.be.true;
+    });
+
+    it("Should reject invalid purchases", async function () {
+      await expect(
+        seats.connect(teamLead).purchaseLicense(1, DAYS_30, 0, { value: prices[DAYS_30] })
+      ).to.be.revertedWith("Seats must be greater than 0");
+      await expect(
+        seats.connect(teamLead).purchaseLicense(1, DAYS_30, 3, { value: prices[DAYS_30] * 2n })
+      ).to.be.revertedWith("Insufficient payment");
+      await expect(
+        seats.connect(teamLead).purchaseLicense(99, DAYS_30, 3, { value: prices[DAYS_30] * 3n })
+      ).to.be.revertedWith("Dataset does not exist");
+      await expect(
+        seats.connect(teamLead).purchaseLicense(1, 6, 1, { value: prices[DAYS_30] })
+      ).to.be.revertedWith("Invalid duration");
+    });
+  });
+
+  describe("Managing Seats", function () {
+    beforeEach(async function () {
+      await seats.connect(teamLead).purchaseLicense(1, DAYS_30, 3, { value: prices[DAYS_30] * 3n });
+    });
+
+    it("Should give assigned members access until the license expires", async function () {
+      await expect(seats.connect(teamLead).assignSeat(1, analyst1.address))
+        .to.emit(seats, "SeatAssigned")
+        .withArgs(1, analyst1.address, 3);
+
+      expect(await datasetAccess.checkAccess(analyst1.address, 1)).to.be.true;
+      const [, expiry] = await datasetAccess.getAccessDetails(analyst1.address, 1);
+      expect(expiry).to.equal((await seats.getLicense(1)).expiryTime);
+
+      await time.increaseTo(expiry);
+      expect(await datasetAccess.checkAccess(analyst1.address, 1)).to.be.false;
+      await expect(seats.connect(teamLead).assignSeat(1, analyst2.address)).to.be.revertedWith("License expired");
+    });
+
+    it("Should cap assignments at the seats bought", async function () {
+      await seats.connect(teamLead).assignSeat(1, analyst1.address);
+      await seats.connect(teamLead).assignSeat(1, analyst2.address);
+
+      await expect(seats.connect(teamLead).assignSeat(1, analyst3.address)).to.be.revertedWith("No seats available");
+      await expect(seats.connect(teamLead).assignSeat(1, analyst1.address)).to.be.revertedWith("Member already assigned");
+    });
+
+    it("Should free seats when members are unassigned", async function () {
+      await seats.connect(teamLead).assignSeat(1, analyst1.address);
+      await seats.connect(teamLead).assignSeat(1, analyst2.address);
+
+      await expect(seats.connect(teamLead).unassignSeat(1, analyst1.address))
+        .to.emit(seats, "SeatUnassigned")
+        .withArgs(1, analyst1.address, 3);
+      expect(await datasetAccess.checkAccess(analyst1.address, 1)).to.be.false;
+      expect(await seats.seatTokens(1, analyst1.address)).to.equal(0);
+
+      await seats.connect(teamLead).assignSeat(1, analyst3.address);
+      expect(await datasetAccess.checkAccess(analyst3.address, 1)).to.be.true;
+
+      await expect(seats.connect(teamLead).unassignSeat(1, analyst1.address)).to.be.revertedWith("Member not assigned");
+    });
+
+    it("Should let the holder give up their own seat", async function () {
+      await seats.connect(teamLead).unassignSeat(1, teamLead.address);
+      expect(await datasetAccess.checkAccess(teamLead.address, 1)).to.be.false;
+      expect((await seats.getLicense(1)).assigned).to.equal(0);
+    });
+
+    it("Should free the seat of a member whose access was revoked", async function () {
+      await seats.connect(teamLead).assignSeat(1, analyst1.address);
+      await datasetAccess.connect(publisher).revokeAccess(1, analyst1.address);
+
+      await expect(seats.connect(teamLead).unassignSeat(1, analyst1.address))
+        .to.emit(seats, "SeatUnassigned")
+        .withArgs(1, analyst1.address, 3);
+      expect((await seats.getLicense(1)).assigned).to.equal(1);
+    });
+
+    it("Should only let the holder manage seats", async function () {
+      await expect(seats.connect(analyst1).assignSeat(1, analyst1.address)).to.be.revertedWith("Not license holder");
+      await expect(seats.connect(analyst1).unassignSeat(1, teamLead.address)).to.be.revertedWith("Not license holder");
+      await expect(seats.connect(teamLead).assignSeat(2, analyst1.address)).to.be.revertedWith("License does not exist");
+      await expect(seats.connect(teamLead).assignSeat(1, ethers.ZeroAddress)).to.be.revertedWith("Invalid member address");
+    });
+  });
+
+  describe("Refund Windows", function () {
+    const WINDOW = 24 * 60 * 60;
+    let datasetEscrow;
+
+    beforeEach(async function () {
+      const DatasetEscrow = await ethers.getContractFactory("DatasetEscrow");
+      datasetEscrow = await DatasetEscrow.deploy(await datasetAccess.getAddress());
+      await datasetEscrow.waitForDeployment();
+      await datasetToken.grantRole(BURNER_ROLE, await datasetEscrow.getAddress());
+      await datasetAccess.setEscrowAgent(await datasetEscrow.getAddress());
+      await datasetEscrow.connect(publisher).setRefundWindow(1, WINDOW);
+
+      await seats.connect(teamLead).purchaseLicense(1, DAYS_30, 3, { value: prices[DAYS_30] * 3n });
+    });
+
+    it("Should keep seats unassignable while the payment is held", async function () {
+      expect((await seats.getLicense(1)).escrowAgent).to.equal(await datasetEscrow.getAddress());
+      expect(await datasetAccess.checkAccess(teamLead.address, 1)).to.be.true;
+      await expect(
+        seats.connect(teamLead).assignSeat(1, analyst1.address)
+      ).to.be.revertedWith("Seats unavailable during refund window");
+
+      await time.increase(WINDOW);
+      await datasetEscrow.releasePayment(1);
+      await seats.connect(teamLead).assignSeat(1, analyst1.address);
+      expect(await datasetAccess.checkAccess(analyst1.address, 1)).to.be.true;
+    });
+
+    it("Should leave no seats behind after a refund", async function () {
+      await datasetEscrow.connect(teamLead).requestRefund(1, "Wrong dataset");
+      await expect(
+        seats.connect(teamLead).assignSeat(1, analyst1.address)
+      ).to.be.revertedWith("Seats unavailable during refund window");
+
+      await datasetEscrow.connect(owner).resolveDispute(1, true);
+      await expect(seats.connect(teamLead).assignSeat(1, analyst1.address)).to.be.revertedWith("License refunded");
+      expect(await datasetAccess.checkAccess(teamLead.address, 1)).to.be.false;
+      expect(await datasetAccess.checkAccess(analyst1.address, 1)).to.be.false;
+    });
+  });
+});
@@ -0,0 +1,278 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetSubscriptions", function () {
+  let datasetToken;
+  let datasetAccess;
+  let datasetSubscriptions;
+  let usdc;
+  let usdcAddress;
+  let subscriptionsAddress;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let keeper;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const DAY = 24 * 60 * 60;
+  const MONTH = 30 * DAY;
+  const GRACE = 3 * DAY;
+  const MONTHLY_PRICE = 10_000_000n; // 10 USDC
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  // Subscription statuses
+  const ACTIVE = 0;
+  const PAST_DUE = 1;
+  const CANCELLED = 2;
+  const EXPIRED = 3;
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, keeper] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    const DatasetSubscriptions = await ethers.getContractFactory("DatasetSubscriptions");
+    datasetSubscriptions = await DatasetSubscriptions.deploy(await datasetAccess.getAddress());
+    await datasetSubscriptions.waitForDeployment();
+    subscriptionsAddress = await datasetSubscriptions.getAddress();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+    await datasetAccess.setAccessModule(subscriptionsAddress, true);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await usdc.waitForDeployment();
+    usdcAddress = await usdc.getAddress();
+    await datasetAccess.setPaymentToken(usdcAddress, true);
+
+    await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+    await usdc.mint(user2.address, MONTHLY_PRICE * 12n);
+  });
+
+  describe("Deployment", function () {
+    it("Should set the access contract", async function () {
+      expect(await datasetSubscriptions.datasetAccess()).to.equal(await datasetAccess.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetSubscriptions = await ethers.getContractFactory("DatasetSubscriptions");
+      await expect(DatasetSubscriptions.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+  });
+
+  describe("Plan Management", function () {
+    it("Should create a subscription plan", async function () {
+      await expect(
+        datasetSubscriptions.connect(user1).createSubscriptionPlan(1, usdcAddress, MONTHLY_PRICE, MONTH, GRACE)
+      ).to.emit(datasetSubscriptions, "SubscriptionPlanCreated")
+        .withArgs(1, 1, usdcAddress, MONTHLY_PRICE, MONTH, GRACE);
+
+      const plan = await datasetSubscriptions.getSubscriptionPlan(1);
+      expect(plan.period).to.equal(MONTH);
+      expect(plan.active).to.be.true;
+      expect(await datasetSubscriptions.getDatasetSubscriptionPlans(1)).to.deep.equal([1n]);
+    });
+
+    it("Should fail to create a plan with invalid terms", async function () {
+      await expect(
+        datasetSubscriptions.connect(user2).createSubscriptionPlan(1, usdcAddress, MONTHLY_PRICE, MONTH, GRACE)
+      ).to.be.revertedWith("Not authorized to manage subscription plans");
+      await expect(
+        datasetSubscriptions.connect(user1).createSubscriptionPlan(1, ethers.ZeroAddress, MONTHLY_PRICE, MONTH, GRACE)
+      ).to.be.revertedWith("Payment token not allowed");
+      await expect(
+        datasetSubscriptions.connect(user1).createSubscriptionPlan(1, usdcAddress, 0, MONTH, GRACE)
+      ).to.be.revertedWith("Price must be greater than 0");
+      await expect(
+        datasetSubscriptions.connect(user1).createSubscriptionPlan(1, usdcAddress, MONTHLY_PRICE, 0, GRACE)
+      ).to.be.revertedWith("Period must be greater than 0");
+    });
+
+    it("Should close a plan to new subscribers", async function () {
+      await datasetSubscriptions.connect(user1).createSubscriptionPlan(1, usdcAddress, MONTHLY_PRICE, MONTH, GRACE);
+
+      await expect(datasetSubscriptions.connect(user2).setSubscriptionPlanActive(1, false))
+        .to.be.revertedWith("Not authorized to manage subscription plans");
+      await expect(datasetSubscriptions.connect(user1).setSubscriptionPlanActive(1, false))
+        .to.emit(datasetSubscriptions, "SubscriptionPlanStatusChanged")
+        .withArgs(1, false);
+
+      await usdc.connect(user2).approve(subscriptionsAddress, MONTHLY_PRICE);
+      await expect(datasetSubscriptions.connect(user2).subscribe(1)).to.be.revertedWith("Plan is not active");
+    });
+
+    it("Should let MANAGER role holders manage plans", async function () {
+      const MANAGER = 0;
+      await datasetAccess.connect(user1).setDatasetRole(1, MANAGER, keeper.address, true);
+
+      await expect(datasetSubscriptions.connect(keeper).createSubscriptionPlan(1, usdcAddress, MONTHLY_PRICE, MONTH, GRACE))
+        .to.emit(datasetSubscriptions, "SubscriptionPlanCreated");
+      await expect(datasetSubscriptions.connect(keeper).setSubscriptionPlanActive(1, false))
+        .to.emit(datasetSubscriptions, "SubscriptionPlanStatusChanged")
+        .withArgs(1, false);
+    });
+  });
+
+  describe("Billing", function () {
+    beforeEach(async function () {
+      await datasetSubscriptions.connect(user1).createSubscriptionPlan(1, usdcAddress, MONTHLY_PRICE, MONTH, GRACE);
+      await usdc.connect(user2).approve(subscriptionsAddress, MONTHLY_PRICE * 3n);
+    });
+
+    it("Should charge the first period on subscribe", async function () {
+      await expect(datasetSubscriptions.connect(user2).subscribe(1))
+        .to.emit(datasetSubscriptions, "Subscribed")
+        .withArgs(1, 1, user2.address)
+        .and.to.emit(datasetSubscriptions, "SubscriptionCharged");
+
+      const [hasAccess, expiryTime] = await datasetAccess.getAccessDetails(user2.address, 1);
+      expect(hasAccess).to.be.true;
+      expect(expiryTime).to.equal(BigInt((await time.latest()) + MONTH));
+
+      const sub = await datasetSubscriptions.getSubscription(1);
+      expect(sub.status).to.equal(ACTIVE);
+      expect(sub.nextChargeTime).to.equal(expiryTime);
+      expect(sub.chargeCount).to.equal(1);
+      expect(await datasetSubscriptions.activeSubscription(user2.address, 1)).to.equal(1);
+      expect(await datasetSubscriptions.getUserSubscriptions(user2.address)).to.deep.equal([1n]);
+
+      // Split the same way as direct purchases
+      const platformFee = (MONTHLY_PRICE * BigInt(PLATFORM_FEE)) / 10000n;
+      expect(await datasetAccess.pendingWithdrawals(platformWallet.address, usdcAddress)).to.equal(platformFee);
+      expect(await datasetAccess.pendingWithdrawals(user1.address, usdcAddress)).to.equal(MONTHLY_PRICE - platformFee);
+    });
+
+    it("Should fail to subscribe twice to the same dataset", async function () {
+      await datasetSubscriptions.connect(user2).subscribe(1);
+      await expect(datasetSubscriptions.connect(user2).subscribe(1)).to.be.revertedWith("Already subscribed to dataset");
+    });
+
+    it("Should fail to subscribe without an allowance", async function () {
+      await usdc.connect(user2).approve(subscriptionsAddress, 0);
+      await expect(datasetSubscriptions.connect(user2).subscribe(1))
+        .to.be.revertedWithCustomError(usdc, "ERC20InsufficientAllowance");
+    });
+
+    it("Should only charge once the period has ended", async function () {
+      await datasetSubscriptions.connect(user2).subscribe(1);
+
+      expect(await datasetSubscriptions.isDue(1)).to.be.false;
+      await expect(datasetSubscriptions.connect(keeper).chargeDue(1)).to.be.revertedWith("Subscription not due");
+
+      await time.increase(MONTH);
+      expect(await datasetSubscriptions.isDue(1)).to.be.true;
+    });
+
+    it("Should renew the same access token each period", async function () {
+      await datasetSubscriptions.connect(user2).subscribe(1);
+      const [, firstExpiry, tokenId] = await datasetAccess.getAccessDetails(user2.address, 1);
+
+      // The charge is mined in the block at firstExpiry
+      await time.increaseTo(firstExpiry - 1n);
+
+      await expect(datasetSubscriptions.connect(keeper).chargeDue(1))
+        .to.emit(datasetSubscriptions, "SubscriptionCharged")
+        .withArgs(1, 2, MONTHLY_PRICE, firstExpiry + BigInt(MONTH))
+        .and.to.emit(datasetAccess, "AccessRenewed");
+
+      const [hasAccess, expiryTime, renewedTokenId] = await datasetAccess.getAccessDetails(user2.address, 1);
+      expect(hasAccess).to.be.true;
+      expect(renewedTokenId).to.equal(tokenId);
+      expect(expiryTime).to.equal(firstExpiry + BigInt(MONTH));
+      expect((await datasetToken.getUserTokens(user2.address)).length).to.equal(1);
+      expect(await usdc.balanceOf(user2.address)).to.equal(MONTHLY_PRICE * 10n);
+      expect((await datasetSubscriptions.getSubscription(1)).chargeCount).to.equal(2);
+    });
+
+    it("Should enter the grace period when a charge fails", async function () {
+      await datasetSubscriptions.connect(user2).subscribe(1);
+      await usdc.connect(user2).approve(subscriptionsAddress, 0);
+
+      const sub = await datasetSubscriptions.getSubscription(1);
+      await time.increaseTo(sub.nextChargeTime);
+
+      await expect(datasetSubscriptions.connect(keeper).chargeDue(1))
+        .to.emit(datasetSubscriptions, "SubscriptionChargeFailed")
+        .withArgs(1, sub.nextChargeTime + BigInt(GRACE));
+
+      expect((await datasetSubscriptions.getSubscription(1)).status).to.equal(PAST_DUE);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.false;
+
+      // A retry inside the grace period restores the subscription
+      await usdc.connect(user2).approve(subscriptionsAddress, MONTHLY_PRICE);
+      await time.increase(DAY);
+      await expect(datasetSubscriptions.connect(keeper).chargeDue(1))
+        .to.emit(datasetSubscriptions, "SubscriptionCharged");
+
+      expect((await datasetSubscriptions.getSubscription(1)).status).to.equal(ACTIVE);
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.true;
+    });
+
+    it("Should expire after the grace period", async function () {
+      await datasetSubscriptions.connect(user2).subscribe(1);
+      await usdc.connect(user2).approve(subscriptionsAddress, 0);
+
+      const sub = await datasetSubscriptions.getSubscription(1);
+      await time.increaseTo(sub.nextChargeTime);
+      await datasetSubscriptions.connect(keeper).chargeDue(1);
+
+      await time.increaseTo(sub.nextChargeTime + BigInt(GRACE));
+      await expect(datasetSubscriptions.connect(keeper).chargeDue(1))
+        .to.emit(datasetSubscriptions, "SubscriptionExpired")
+        .withArgs(1);
+
+      expect((await datasetSubscriptions.getSubscription(1)).status).to.equal(EXPIRED);
+      expect(await datasetSubscriptions.activeSubscription(user2.address, 1)).to.equal(0);
+      await expect(datasetSubscriptions.connect(keeper).chargeDue(1)).to.be.revertedWith("Subscription is not active");
+    });
+
+    it("Should let the subscriber cancel", async function () {
+      await datasetSubscriptions.connect(user2).subscribe(1);
+
+      await expect(datasetSubscriptions.connect(keeper).cancelSubscription(1)).to.be.revertedWith("Not subscriber");
+      await expect(datasetSubscriptions.connect(user2).cancelSubscription(1))
+        .to.emit(datasetSubscriptions, "SubscriptionCancelled")
+        .withArgs(1);
+
+      expect((await datasetSubscriptions.getSubscription(1)).status).to.equal(CANCELLED);
+      // Paid access runs until the end of the period
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.true;
+
+      await time.increase(MONTH);
+      await expect(datasetSubscriptions.connect(keeper).chargeDue(1)).to.be.revertedWith("Subscription is not active");
+      expect(await datasetAccess.checkAccess(user2.address, 1)).to.be.false;
+
+      // The dataset can be subscribed to again
+      await datasetSubscriptions.connect(user2).subscribe(1);
+      expect(await datasetSubscriptions.activeSubscription(user2.address, 1)).to.equal(2);
+    });
+
+    it("Should stop charging once the module is removed", async function () {
+      await datasetSubscriptions.connect(user2).subscribe(1);
+      await datasetAccess.setAccessModule(subscriptionsAddress, false);
+
+      await time.increase(MONTH);
+      await expect(datasetSubscriptions.connect(keeper).chargeDue(1)).to.be.revertedWith("Not an access module");
+    });
+  });
+});
@@ -1,6 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
 const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signForwardRequest } = require("../scripts/relay");
 
 describe("DatasetToken", function () {
   let DatasetToken;
@@ -19,7 +20,7 @@ describe("DatasetToken", function () {
     [owner, minter, user1, user2, ...addrs] = await ethers.getSigners();
 
     DatasetToken = await ethers.getContractFactory("DatasetToken");
-    datasetToken = await DatasetToken.deploy(owner.address);
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
     await datasetToken.waitForDeployment();
 
     // Grant minter role to minter account
@@ -106,34 +107,57 @@ describe("DatasetToken", function () {
     it("Should mint access token successfully", async function () {
       const datasetId = 1;
       const expiryTime = (await time.latest()) + 3600; // 1 hour from now
-      const metadataURI = "ipfs://QmAccess123";
 
       await expect(
         datasetToken.connect(minter).mintAccessToken(
           user1.address,
           datasetId,
           expiryTime,
-          user2.address,
-          metadataURI
+          user2.address
         )
       ).to.emit(datasetToken, "AccessTokenMinted")
         .withArgs(1, datasetId, user1.address, user2.address, expiryTime);
 
       expect(await datasetToken.ownerOf(1)).to.equal(user1.address);
-      expect(await datasetToken.tokenURI(1)).to.equal(metadataURI);
+      expect(await datasetToken.tokenURI(1)).to.match(/^data:application\/json;base64,/);
+    });
+
+    it("Should still accept the deprecated signature with a metadata URI", async function () {
+      const datasetId = 1;
+      const expiryTime = (await time.latest()) + 3600;
+
+      await expect(
+        datasetToken.connect(minter)["mintAccessToken(address,uint256,uint256,address,string)"](
+          user1.address,
+          datasetId,
+          expiryTime,
+          user2.address,
+          "ipfs://QmIgnored"
+        )
+      ).to.emit(datasetToken, "AccessTokenMinted")
+        .withArgs(1, datasetId, user1.address, user2.address, expiryTime);
+
+      expect(await datasetToken.tokenURI(1)).to.match(/^data:application\/json;base64,/);
+      await expect(
+        datasetToken.connect(user1)["mintAccessToken(address,uint256,uint256,address,string)"](
+          user1.address,
+          datasetId,
+          expiryTime,
+          user2.address,
+          ""
+        )
+      ).to.be.revertedWithCustomError(datasetToken, "AccessControlUnauthorizedAccount");
     });
 
     it("Should set correct token info for access token", async function () {
       const datasetId = 1;
       const expiryTime = (await time.latest()) + 3600;
-      const metadataURI = "ipfs://QmAccess123";
 
       await datasetToken.connect(minter).mintAccessToken(
         user1.address,
         datasetId,
         expiryTime,
-        user2.address,
-        metadataURI
+        user2.address
       );
 
       const tokenInfo = await datasetToken.tokenInfo(1);
@@ -152,8 +176,7 @@ describe("DatasetToken", function () {
           user1.address,
           1,
           pastTime,
-          user2.address,
-          "ipfs://test"
+          user2.address
         )
       ).to.be.revertedWith("Expiry time must be in the future");
     });
@@ -166,11 +189,73 @@ describe("DatasetToken", function () {
           user1.address,
           1,
           expiryTime,
-          user1.address, // Same as recipient
-          "ipfs://test"
+          user1.address // Same as recipient
         )
       ).to.be.revertedWith("Cannot mint access token to dataset owner");
     });
+
+    it("Should extend access token expiry", async function () {
+      const expiryTime = (await time.latest()) + 3600;
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, expiryTime, user2.address);
+
+      await expect(datasetToken.connect(minter).extendAccessToken(1, expiryTime + 3600))
+        .to.emit(datasetToken, "AccessTokenExtended")
+        .withArgs(1, 1, expiryTime, expiryTime + 3600);
+
+      expect((await datasetToken.tokenInfo(1)).expiryTime).to.equal(expiryTime + 3600);
+      expect(await datasetToken.getUserTokens(user1.address)).to.deep.equal([1n]);
+    });
+
+    it("Should fail to shorten or extend invalid tokens", async function () {
+      const expiryTime = (await time.latest()) + 3600;
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, expiryTime, user2.address);
+      await datasetToken.connect(minter).mintDatasetToken(user2.address, 1, "ipfs://dataset");
+
+      await expect(
+        datasetToken.connect(minter).extendAccessToken(1, expiryTime)
+      ).to.be.revertedWith("Expiry time must be extended into the future");
+      await expect(
+        datasetToken.connect(minter).extendAccessToken(2, expiryTime + 3600)
+      ).to.be.revertedWith("Can only extend access tokens");
+      await expect(
+        datasetToken.connect(minter).extendAccessToken(99, expiryTime + 3600)
+      ).to.be.revertedWith("Token does not exist");
+      await expect(
+        datasetToken.connect(user1).extendAccessToken(1, expiryTime + 3600)
+      ).to.be.revertedWithCustomError(datasetToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("Should shorten access token expiry and fall back to a later token", async function () {
+      const expiryTime = (await time.latest()) + 7200;
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, expiryTime, user2.address);
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, expiryTime - 1800, user2.address);
+      expect((await datasetToken.getLatestAccess(user1.address, 1)).tokenId).to.equal(1);
+
+      await expect(datasetToken.shortenAccessToken(1, expiryTime - 3600))
+        .to.emit(datasetToken, "AccessTokenShortened")
+        .withArgs(1, 1, expiryTime, expiryTime - 3600);
+
+      expect((await datasetToken.tokenInfo(1)).expiryTime).to.equal(expiryTime - 3600);
+      expect((await datasetToken.getLatestAccess(user1.address, 1)).tokenId).to.equal(2);
+    });
+
+    it("Should fail to shorten invalid tokens", async function () {
+      const now = await time.latest();
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, now + 3600, user2.address);
+      await datasetToken.connect(minter).mintDatasetToken(user2.address, 1, "ipfs://dataset");
+
+      await expect(datasetToken.shortenAccessToken(1, now + 3600)).to.be.revertedWith(
+        "Expiry time must be shortened to a future time"
+      );
+      await expect(datasetToken.shortenAccessToken(1, now)).to.be.revertedWith(
+        "Expiry time must be shortened to a future time"
+      );
+      await expect(datasetToken.shortenAccessToken(2, now + 1800)).to.be.revertedWith("Can only shorten access tokens");
+      await expect(datasetToken.shortenAccessToken(99, now + 1800)).to.be.revertedWith("Token does not exist");
+      await expect(
+        datasetToken.connect(minter).shortenAccessToken(1, now + 1800)
+      ).to.be.revertedWithCustomError(datasetToken, "AccessControlUnauthorizedAccount");
+    });
   });
 
   describe("Access Validation", function () {
@@ -189,24 +274,22 @@ describe("DatasetToken", function () {
         user2.address,
         1,
         futureTime,
-        user1.address,
-        "ipfs://access"
+        user1.address
       );
       accessTokenId = 2;
 
-      // Mint expired access token
-      const pastTime = (await time.latest()) + 1;
+      // Mint access token that expires shortly (expiry must be after the mint block)
+      const pastTime = (await time.latest()) + 10;
       await datasetToken.connect(minter).mintAccessToken(
         user2.address,
         1,
         pastTime,
-        user1.address,
-        "ipfs://expired"
+        user1.address
       );
       expiredAccessTokenId = 3;
 
       // Move time forward to expire the token
-      await time.increase(2);
+      await time.increase(10);
     });
 
     it("Should validate ownership token access", async function () {
@@ -246,23 +329,21 @@ describe("DatasetToken", function () {
         user1.address,
         1,
         futureTime,
-        user2.address,
-        "ipfs://access"
+        user2.address
       );
       accessTokenId = 1;
 
-      // Mint expired token
-      const pastTime = (await time.latest()) + 1;
+      // Mint token that expires shortly (expiry must be after the mint block)
+      const pastTime = (await time.latest()) + 10;
       await datasetToken.connect(minter).mintAccessToken(
         user1.address,
         1,
         pastTime,
-        user2.address,
-        "ipfs://expired"
+        user2.address
       );
       expiredTokenId = 2;
 
-      await time.increase(2);
+      await time.increase(10);
     });
 
     it("Should burn expired token by owner", async function () {
@@ -280,6 +361,25 @@ describe("DatasetToken", function () {
         .withArgs(expiredTokenId, 1);
     });
 
+    it("Should batch burn expired tokens by anyone", async function () {
+      await expect(datasetToken.connect(addrs[0]).burnExpiredTokens([expiredTokenId, accessTokenId, 999]))
+        .to.emit(datasetToken, "TokenBurned")
+        .withArgs(expiredTokenId, 1);
+
+      expect(await datasetToken.getUserTokens(user1.address)).to.deep.equal([BigInt(accessTokenId)]);
+      expect(await datasetToken.getUserDatasetTokens(user1.address, 1)).to.deep.equal([BigInt(accessTokenId)]);
+      expect(await datasetToken.ownerOf(accessTokenId)).to.equal(user1.address);
+    });
+
+    it("Should return the number of tokens burned in a batch", async function () {
+      await datasetToken.connect(minter).mintDatasetToken(user2.address, 2, "ipfs://dataset");
+
+      expect(await datasetToken.burnExpiredTokens.staticCall([expiredTokenId, accessTokenId, 3])).to.equal(1);
+
+      await time.increase(3600);
+      expect(await datasetToken.burnExpiredTokens.staticCall([expiredTokenId, accessTokenId, 3])).to.equal(2);
+    });
+
     it("Should fail to burn non-expired token", async function () {
       await expect(
         datasetToken.connect(user1).burnExpiredToken(accessTokenId)
@@ -338,8 +438,7 @@ describe("DatasetToken", function () {
         user1.address,
         1,
         futureTime,
-        user2.address,
-        "ipfs://access"
+        user2.address
       );
       accessTokenId = 2;
     });
@@ -366,6 +465,27 @@ describe("DatasetToken", function () {
       expect(user2Tokens).to.deep.equal([ownershipTokenId]); // Ownership token transferred
     });
 
+    it("Should track the ownership token per dataset", async function () {
+      expect(await datasetToken.ownershipTokens(1)).to.equal(ownershipTokenId);
+      expect(await datasetToken.datasetOwnerOf(1)).to.equal(user1.address);
+
+      await datasetToken.connect(user1).transferFrom(user1.address, user2.address, ownershipTokenId);
+      expect(await datasetToken.datasetOwnerOf(1)).to.equal(user2.address);
+      expect(await datasetToken.datasetOwnerOf(2)).to.equal(ethers.ZeroAddress);
+    });
+
+    it("Should set ownership registry", async function () {
+      await expect(datasetToken.setOwnershipRegistry(user2.address))
+        .to.emit(datasetToken, "OwnershipRegistryUpdated")
+        .withArgs(ethers.ZeroAddress, user2.address);
+
+      expect(await datasetToken.ownershipRegistry()).to.equal(user2.address);
+
+      await expect(
+        datasetToken.connect(user1).setOwnershipRegistry(user1.address)
+      ).to.be.revertedWithCustomError(datasetToken, "AccessControlUnauthorizedAccount");
+    });
+
     it("Should allow admin to change transferability", async function () {
       await datasetToken.setTokenTransferability(accessTokenId, true);
       
@@ -429,6 +549,187 @@ describe("DatasetToken", function () {
     });
   });
 
+  describe("Token Metadata", function () {
+    let expiryTime;
+
+    function decodeDataURI(uri, mimeType) {
+      const prefix = `data:${mimeType};base64,`;
+      expect(uri.startsWith(prefix)).to.be.true;
+      return Buffer.from(uri.slice(prefix.length), "base64").toString("utf8");
+    }
+
+    beforeEach(async function () {
+      await datasetToken.connect(minter).mintDatasetToken(user1.address, 7, "ipfs://QmDataset7");
+      expiryTime = (await time.latest()) + 3600;
+      await datasetToken.connect(minter).mintAccessToken(user2.address, 7, expiryTime, user1.address);
+    });
+
+    it("Should keep the IPFS URI of ownership tokens", async function () {
+      expect(await datasetToken.tokenURI(1)).to.equal("ipfs://QmDataset7");
+    });
+
+    it("Should generate access token metadata on-chain", async function () {
+      const metadata = JSON.parse(decodeDataURI(await datasetToken.tokenURI(2), "application/json"));
+
+      expect(metadata.name).to.equal("Dataset #7 Access Pass");
+      expect(metadata.attributes).to.deep.equal([
+        { trait_type: "Dataset ID", display_type: "number", value: 7 },
+        { trait_type: "Type", value: "Access" },
+        { trait_type: "Expiry", display_type: "date", value: expiryTime },
+        { trait_type: "Status", value: "Active" }
+      ]);
+
+      const svg = decodeDataURI(metadata.image, "image/svg+xml");
+      expect(svg).to.match(/^<svg /);
+      expect(svg).to.contain("#7</text>");
+      expect(svg).to.contain(`Expires (unix): ${expiryTime}`);
+      expect(svg).to.contain("Active</text>");
+    });
+
+    it("Should report expired access tokens", async function () {
+      await time.increaseTo(expiryTime);
+
+      const metadata = JSON.parse(decodeDataURI(await datasetToken.tokenURI(2), "application/json"));
+      expect(metadata.attributes[3]).to.deep.equal({ trait_type: "Status", value: "Expired" });
+      expect(decodeDataURI(metadata.image, "image/svg+xml")).to.contain("Expired</text>");
+    });
+
+    it("Should follow access token extensions", async function () {
+      await datasetToken.connect(minter).extendAccessToken(2, expiryTime + 3600);
+
+      const metadata = JSON.parse(decodeDataURI(await datasetToken.tokenURI(2), "application/json"));
+      expect(metadata.attributes[2].value).to.equal(expiryTime + 3600);
+    });
+
+    it("Should fail for nonexistent tokens", async function () {
+      await expect(datasetToken.tokenURI(99)).to.be.revertedWithCustomError(datasetToken, "ERC721NonexistentToken");
+    });
+  });
+
+  describe("ERC-2981 Royalties", function () {
+    const salePrice = ethers.parseEther("10");
+
+    beforeEach(async function () {
+      await datasetToken.connect(minter).mintDatasetToken(user1.address, 1, "ipfs://dataset");
+      await datasetToken.connect(minter).mintAccessToken(user2.address, 1, (await time.latest()) + 3600, user1.address);
+    });
+
+    it("Should support the ERC-2981 interface", async function () {
+      expect(await datasetToken.supportsInterface("0x2a55205a")).to.be.true; // IERC2981
+      expect(await datasetToken.supportsInterface("0x80ac58cd")).to.be.true; // IERC721
+    });
+
+    it("Should report the dataset royalty on the ownership token only", async function () {
+      expect(await datasetToken.royaltyInfo(1, salePrice)).to.deep.equal([ethers.ZeroAddress, 0n]);
+
+      await expect(datasetToken.connect(user1).setDatasetRoyalty(1, addrs[0].address, 500))
+        .to.emit(datasetToken, "DatasetRoyaltyUpdated")
+        .withArgs(1, addrs[0].address, 500);
+
+      expect(await datasetToken.royaltyInfo(1, salePrice)).to.deep.equal([addrs[0].address, ethers.parseEther("0.5")]);
+      expect(await datasetToken.royaltyInfo(2, salePrice)).to.deep.equal([ethers.ZeroAddress, 0n]);
+    });
+
+    it("Should follow the ownership token holder", async function () {
+      await expect(
+        datasetToken.connect(user2).setDatasetRoyalty(1, user2.address, 500)
+      ).to.be.revertedWith("Not dataset owner");
+
+      await datasetToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+      await datasetToken.connect(user2).setDatasetRoyalty(1, user2.address, 250);
+      expect(await datasetToken.royaltyInfo(1, salePrice)).to.deep.equal([user2.address, ethers.parseEther("0.25")]);
+
+      // Admin can also configure it
+      await datasetToken.setDatasetRoyalty(1, user1.address, 100);
+      expect((await datasetToken.royaltyInfo(1, salePrice))[0]).to.equal(user1.address);
+    });
+
+    it("Should validate and reset the royalty", async function () {
+      await expect(datasetToken.connect(user1).setDatasetRoyalty(2, user1.address, 500)).to.be.revertedWith("Dataset does not exist");
+      await expect(datasetToken.connect(user1).setDatasetRoyalty(1, user1.address, 1001)).to.be.revertedWith("Royalty fee too high");
+
+      await datasetToken.connect(user1).setDatasetRoyalty(1, addrs[0].address, 500);
+      await expect(datasetToken.connect(user1).setDatasetRoyalty(1, ethers.ZeroAddress, 500))
+        .to.emit(datasetToken, "DatasetRoyaltyUpdated")
+        .withArgs(1, ethers.ZeroAddress, 0);
+      expect(await datasetToken.royaltyInfo(1, salePrice)).to.deep.equal([ethers.ZeroAddress, 0n]);
+    });
+  });
+
+  describe("Ownership Escrow", function () {
+    beforeEach(async function () {
+      await datasetToken.connect(minter).mintDatasetToken(user1.address, 1, "ipfs://dataset");
+    });
+
+    it("Should let the admin manage ownership escrows", async function () {
+      await expect(datasetToken.setOwnershipEscrow(addrs[0].address, true))
+        .to.emit(datasetToken, "OwnershipEscrowUpdated")
+        .withArgs(addrs[0].address, true);
+      expect(await datasetToken.ownershipEscrows(addrs[0].address)).to.be.true;
+
+      await expect(
+        datasetToken.connect(user1).setOwnershipEscrow(user1.address, true)
+      ).to.be.revertedWithCustomError(datasetToken, "AccessControlUnauthorizedAccount");
+      await expect(datasetToken.setOwnershipEscrow(ethers.ZeroAddress, true)).to.be.revertedWith("Invalid escrow address");
+    });
+
+    it("Should remember the depositor while an escrow holds the token", async function () {
+      const escrow = addrs[0];
+      await datasetToken.setOwnershipEscrow(escrow.address, true);
+
+      await datasetToken.connect(user1).transferFrom(user1.address, escrow.address, 1);
+      expect(await datasetToken.escrowDepositors(1)).to.equal(user1.address);
+
+      await datasetToken.connect(escrow).transferFrom(escrow.address, user2.address, 1);
+      expect(await datasetToken.escrowDepositors(1)).to.equal(ethers.ZeroAddress);
+      expect(await datasetToken.ownerOf(1)).to.equal(user2.address);
+    });
+
+    it("Should only accept toggle notifications from the ownership registry", async function () {
+      await expect(datasetToken.onDatasetToggled(1, false)).to.be.revertedWith("Only ownership registry");
+    });
+  });
+
+  describe("Meta-Transactions", function () {
+    let forwarder;
+    let forwarderAddress;
+    let tokenAddress;
+
+    beforeEach(async function () {
+      const MockForwarder = await ethers.getContractFactory("MockForwarder");
+      forwarder = await MockForwarder.deploy();
+      await forwarder.waitForDeployment();
+      forwarderAddress = await forwarder.getAddress();
+
+      // The forwarder is fixed at deployment
+      datasetToken = await DatasetToken.deploy(owner.address, forwarderAddress);
+      await datasetToken.waitForDeployment();
+      tokenAddress = await datasetToken.getAddress();
+      await datasetToken.grantRole(MINTER_ROLE, minter.address);
+
+      await datasetToken.connect(minter).mintDatasetToken(user1.address, 1, "ipfs://dataset");
+    });
+
+    it("Should trust the forwarder set at deployment", async function () {
+      expect(await datasetToken.trustedForwarder()).to.equal(forwarderAddress);
+      expect(await datasetToken.isTrustedForwarder(forwarderAddress)).to.be.true;
+      expect(await datasetToken.isTrustedForwarder(user1.address)).to.be.false;
+    });
+
+    it("Should transfer ownership tokens through relayed requests", async function () {
+      const data = datasetToken.interface.encodeFunctionData("transferFrom", [user1.address, user2.address, 1]);
+
+      // Only the holder's signature moves the token
+      const forged = await signForwardRequest(user2, forwarder, { to: tokenAddress, data, gas: 500000n });
+      await expect(forwarder.execute(forged)).to.be.revertedWithCustomError(forwarder, "FailedCall");
+
+      const request = await signForwardRequest(user1, forwarder, { to: tokenAddress, data, gas: 500000n });
+      await forwarder.connect(addrs[0]).execute(request);
+
+      expect(await datasetToken.ownerOf(1)).to.equal(user2.address);
+    });
+  });
+
   describe("View Functions", function () {
     beforeEach(async function () {
       // Create some test data
@@ -440,8 +741,7 @@ describe("DatasetToken", function () {
         user2.address,
         1,
         futureTime,
-        user1.address,
-        "ipfs://access"
+        user1.address
       );
     });
 
@@ -461,11 +761,100 @@ describe("DatasetToken", function () {
       expect(dataset2Tokens.length).to.equal(1); // 1 ownership only
     });
 
+    it("Should page through user and dataset tokens", async function () {
+      let [tokenIds, total] = await datasetToken.getUserTokensPage(user1.address, 0, 1);
+      expect(tokenIds).to.deep.equal([1n]);
+      expect(total).to.equal(2);
+
+      [tokenIds, total] = await datasetToken.getUserTokensPage(user1.address, 1, 10);
+      expect(tokenIds).to.deep.equal([2n]);
+
+      [tokenIds, total] = await datasetToken.getUserTokensPage(user1.address, 2, 10);
+      expect(tokenIds).to.deep.equal([]);
+      expect(total).to.equal(2);
+
+      [tokenIds, total] = await datasetToken.getDatasetTokensPage(1, 1, ethers.MaxUint256);
+      expect(tokenIds).to.deep.equal([3n]);
+      expect(total).to.equal(2);
+
+      [tokenIds, total] = await datasetToken.getUserDatasetTokensPage(user2.address, 1, 0, 10);
+      expect(tokenIds).to.deep.equal([3n]);
+      expect(total).to.equal(1);
+
+      [tokenIds, total] = await datasetToken.getUserDatasetTokensPage(user2.address, 1, 1, 10);
+      expect(tokenIds).to.deep.equal([]);
+      expect(total).to.equal(1);
+    });
+
     it("Should return current token ID", async function () {
       expect(await datasetToken.getCurrentTokenId()).to.equal(4); // Next token ID
     });
   });
 
+  describe("Access Index", function () {
+    it("Should track the latest access token per user and dataset", async function () {
+      const now = await time.latest();
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, now + 7200, user2.address);
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, now + 3600, user2.address);
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 2, now + 9000, user2.address);
+
+      expect(await datasetToken.getUserDatasetTokens(user1.address, 1)).to.deep.equal([1n, 2n]);
+      expect(await datasetToken.getUserDatasetTokens(user1.address, 2)).to.deep.equal([3n]);
+
+      const [tokenId, expiryTime] = await datasetToken.getLatestAccess(user1.address, 1);
+      expect(tokenId).to.equal(1);
+      expect(expiryTime).to.equal(now + 7200);
+
+      const [noTokenId, noExpiry] = await datasetToken.getLatestAccess(user2.address, 1);
+      expect(noTokenId).to.equal(0);
+      expect(noExpiry).to.equal(0);
+    });
+
+    it("Should move the latest pointer on extension and burn", async function () {
+      const now = await time.latest();
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, now + 7200, user2.address);
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, now + 3600, user2.address);
+
+      await datasetToken.connect(minter).extendAccessToken(2, now + 10800);
+      expect((await datasetToken.getLatestAccess(user1.address, 1))[0]).to.equal(2);
+
+      await datasetToken.forceBurn(2);
+      const [tokenId, expiryTime] = await datasetToken.getLatestAccess(user1.address, 1);
+      expect(tokenId).to.equal(1);
+      expect(expiryTime).to.equal(now + 7200);
+      expect(await datasetToken.getUserDatasetTokens(user1.address, 1)).to.deep.equal([1n]);
+
+      await datasetToken.forceBurn(1);
+      expect((await datasetToken.getLatestAccess(user1.address, 1))[0]).to.equal(0);
+      expect(await datasetToken.getUserTokens(user1.address)).to.deep.equal([]);
+      expect(await datasetToken.getDatasetTokens(1)).to.deep.equal([]);
+    });
+
+    it("Should move the index with transferable access tokens", async function () {
+      const expiryTime = (await time.latest()) + 3600;
+      await datasetToken.connect(minter).mintAccessToken(user1.address, 1, expiryTime, addrs[0].address);
+      await datasetToken.setTokenTransferability(1, true);
+
+      await datasetToken.connect(user1).transferFrom(user1.address, user2.address, 1);
+
+      expect((await datasetToken.getLatestAccess(user1.address, 1))[0]).to.equal(0);
+      expect((await datasetToken.getLatestAccess(user2.address, 1))[0]).to.equal(1);
+      expect(await datasetToken.getUserDatasetTokens(user2.address, 1)).to.deep.equal([1n]);
+    });
+
+    it("Should keep arrays consistent when removing from the middle", async function () {
+      await datasetToken.connect(minter).mintDatasetToken(user1.address, 1, "ipfs://1");
+      await datasetToken.connect(minter).mintDatasetToken(user1.address, 2, "ipfs://2");
+      await datasetToken.connect(minter).mintDatasetToken(user1.address, 3, "ipfs://3");
+
+      await datasetToken.forceBurn(1);
+      expect(await datasetToken.getUserTokens(user1.address)).to.deep.equal([3n, 2n]);
+
+      await datasetToken.forceBurn(3);
+      expect(await datasetToken.getUserTokens(user1.address)).to.deep.equal([2n]);
+    });
+  });
+
   describe("Edge Cases", function () {
     it("Should handle multiple tokens for same dataset", async function () {
       const datasetId = 1;
@@ -479,15 +868,13 @@ describe("DatasetToken", function () {
         user2.address,
         datasetId,
         futureTime,
-        user1.address,
-        "ipfs://access1"
+        user1.address
       );
       await datasetToken.connect(minter).mintAccessToken(
         addrs[0].address,
         datasetId,
         futureTime,
-        user1.address,
-        "ipfs://access2"
+        user1.address
       );
 
       const datasetTokens = await datasetToken.getDatasetTokens(datasetId);
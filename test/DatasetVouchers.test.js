@@ -0,0 +1,250 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { signAccessVoucher } = require("../scripts/sign-voucher");
+const { getDatasetAccessFactory } = require("../scripts/link-libraries");
+
+describe("DatasetVouchers", function () {
+  let datasetToken;
+  let datasetAccess;
+  let datasetVouchers;
+  let vouchersAddress;
+  let usdc;
+  let usdcAddress;
+  let owner;
+  let platformWallet;
+  let user1;
+  let user2;
+  let user3;
+
+  const PLATFORM_FEE = 250; // 2.5%
+  const CONTENT_HASH = ethers.id("dataset contents");
+  const MINTER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("MINTER_ROLE"));
+  const BURNER_ROLE = ethers.keccak256(ethers.toUtf8Bytes("BURNER_ROLE"));
+  const DAY = 24 * 60 * 60;
+  const prices = [ethers.parseEther("0.01"), ethers.parseEther("0.05"), ethers.parseEther("0.2"), ethers.parseEther("0.5"), ethers.parseEther("1.0"), ethers.parseEther("2.0")];
+
+  beforeEach(async function () {
+    [owner, platformWallet, user1, user2, user3] = await ethers.getSigners();
+
+    const DatasetToken = await ethers.getContractFactory("DatasetToken");
+    datasetToken = await DatasetToken.deploy(owner.address, ethers.ZeroAddress);
+    await datasetToken.waitForDeployment();
+
+    const DatasetAccess = await getDatasetAccessFactory();
+    datasetAccess = await DatasetAccess.deploy(
+      await datasetToken.getAddress(),
+      platformWallet.address,
+      PLATFORM_FEE,
+      owner.address,
+      ethers.ZeroAddress
+    );
+    await datasetAccess.waitForDeployment();
+
+    const DatasetVouchers = await ethers.getContractFactory("DatasetVouchers");
+    datasetVouchers = await DatasetVouchers.deploy(await datasetAccess.getAddress());
+    await datasetVouchers.waitForDeployment();
+    vouchersAddress = await datasetVouchers.getAddress();
+
+    await datasetToken.grantRole(MINTER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.grantRole(BURNER_ROLE, await datasetAccess.getAddress());
+    await datasetToken.setOwnershipRegistry(await datasetAccess.getAddress());
+    await datasetAccess.setAccessModule(vouchersAddress, true);
+
+    const MockERC20 = await ethers.getContractFactory("MockERC20");
+    usdc = await MockERC20.deploy("USD Coin", "USDC", 6);
+    await usdc.waitForDeployment();
+    usdcAddress = await usdc.getAddress();
+    await datasetAccess.setPaymentToken(usdcAddress, true);
+
+    await datasetAccess.connect(user1).createDataset("ipfs://dataset", CONTENT_HASH, prices);
+  });
+
+  async function signVoucher(signer, fields = {}) {
+    return signAccessVoucher(signer, vouchersAddress, {
+      buyer: user2.address,
+      datasetId: 1,
+      duration: 3 * DAY,
+      price: 0,
+      nonce: 1,
+      deadline: (await time.latest()) + DAY,
+      ...fields
+    });
+  }
+
+  describe("Deployment", function () {
+    it("Should set the access contract", async function () {
+      expect(await datasetVouchers.datasetAccess()).to.equal(await datasetAccess.getAddress());
+    });
+
+    it("Should fail with invalid access contract", async function () {
+      const DatasetVouchers = await ethers.getContractFactory("DatasetVouchers");
+      await expect(DatasetVouchers.deploy(ethers.ZeroAddress)).to.be.revertedWith("Invalid access contract address");
+    });
+
+    it("Should match the digest signed by the helper", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+      const digest = await datasetVouchers.hashVoucher(voucher);
+
+      expect(ethers.recoverAddress(digest, signature)).to.equal(user1.address);
+    });
+  });
+
+  describe("Redemption", function () {
+    it("Should redeem a free trial voucher", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+
+      await expect(datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature))
+        .to.emit(datasetVouchers, "VoucherRedeemed")
+        .withArgs(1, 1, user2.address, 1, 0)
+        .and.to.emit(datasetToken, "AccessTokenMinted");
+
+      const [hasAccess, expiryTime] = await datasetAccess.getAccessDetails(user2.address, 1);
+      expect(hasAccess).to.be.true;
+      expect(expiryTime).to.equal(BigInt((await time.latest()) + 3 * DAY));
+      expect(await datasetVouchers.usedNonces(user1.address, 1, 1)).to.be.true;
+
+      // Public prices are untouched
+      expect((await datasetAccess.getDataset(1)).prices).to.deep.equal(prices);
+    });
+
+    it("Should redeem a negotiated ETH price", async function () {
+      const price = ethers.parseEther("0.3");
+      const { voucher, signature } = await signVoucher(user1, { price, duration: 90 * DAY });
+
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature, { value: price - 1n })
+      ).to.be.revertedWith("Insufficient payment");
+
+      await datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature, { value: price });
+
+      const platformFee = (price * BigInt(PLATFORM_FEE)) / 10000n;
+      expect(await datasetAccess.pendingWithdrawals(user1.address, ethers.ZeroAddress)).to.equal(price - platformFee);
+      expect((await datasetAccess.getPurchase(1)).price).to.equal(price);
+    });
+
+    it("Should redeem a negotiated ERC-20 price", async function () {
+      const price = 250_000_000n; // 250 USDC
+      await usdc.mint(user2.address, price);
+      await usdc.connect(user2).approve(vouchersAddress, price);
+      const { voucher, signature } = await signVoucher(user1, { price, paymentToken: usdcAddress });
+
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature, { value: 1 })
+      ).to.be.revertedWith("ETH not accepted for token payment");
+
+      await datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature);
+
+      expect(await usdc.balanceOf(await datasetAccess.getAddress())).to.equal(price);
+      expect(await datasetAccess.getTokenRevenue(1, usdcAddress)).to.equal(price);
+    });
+
+    it("Should reject replayed vouchers", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+      await datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature);
+
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature)
+      ).to.be.revertedWith("Voucher already used or cancelled");
+    });
+
+    it("Should reject vouchers for another buyer", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+
+      await expect(
+        datasetVouchers.connect(user3).redeemAccessVoucher(voucher, signature)
+      ).to.be.revertedWith("Not voucher buyer");
+    });
+
+    it("Should reject expired vouchers", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+      await time.increase(DAY + 1);
+
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature)
+      ).to.be.revertedWith("Voucher expired");
+    });
+
+    it("Should reject vouchers not signed by the dataset owner", async function () {
+      const { voucher, signature } = await signVoucher(user3);
+
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature)
+      ).to.be.revertedWith("Invalid voucher signature");
+
+      const tampered = { ...(await signVoucher(user1)).voucher, duration: 365n * BigInt(DAY) };
+      const { signature: ownerSignature } = await signVoucher(user1);
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(tampered, ownerSignature)
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+
+    it("Should invalidate vouchers signed by a previous owner", async function () {
+      const { voucher, signature } = await signVoucher(user1);
+      await datasetToken.connect(user1).transferFrom(user1.address, user3.address, await datasetToken.ownershipTokens(1));
+
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature)
+      ).to.be.revertedWith("Invalid voucher signature");
+    });
+
+    it("Should track nonces per signer so a new owner can reuse them", async function () {
+      const first = await signVoucher(user1);
+      await datasetVouchers.connect(user2).redeemAccessVoucher(first.voucher, first.signature);
+      await datasetToken.connect(user1).transferFrom(user1.address, user3.address, await datasetToken.ownershipTokens(1));
+
+      const second = await signVoucher(user3, { buyer: user2.address });
+      await expect(datasetVouchers.connect(user2).redeemAccessVoucher(second.voucher, second.signature))
+        .to.emit(datasetVouchers, "VoucherRedeemed")
+        .withArgs(1, 1, user2.address, 2, 0);
+
+      expect(await datasetVouchers.usedNonces(user1.address, 1, 1)).to.be.true;
+      expect(await datasetVouchers.usedNonces(user3.address, 1, 1)).to.be.true;
+    });
+
+    it("Should accept ERC-1271 signatures from contract wallet owners", async function () {
+      const MockSafeWallet = await ethers.getContractFactory("MockSafeWallet");
+      const safe = await MockSafeWallet.deploy(user3.address);
+      await safe.waitForDeployment();
+      await safe.connect(user3).execute(
+        await datasetAccess.getAddress(),
+        0,
+        datasetAccess.interface.encodeFunctionData("createDataset", ["ipfs://safe", CONTENT_HASH, prices])
+      );
+
+      const { voucher, signature } = await signVoucher(user3, { datasetId: 2 });
+      await datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature);
+
+      expect(await datasetAccess.checkAccess(user2.address, 2)).to.be.true;
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("Should let the dataset owner cancel a voucher", async function () {
+      const { voucher, signature } = await signVoucher(user1, { nonce: 42 });
+
+      await expect(datasetVouchers.connect(user2).cancelVoucher(1, 42)).to.be.revertedWith("Not authorized to cancel vouchers");
+      await expect(datasetVouchers.connect(user1).cancelVoucher(1, 42))
+        .to.emit(datasetVouchers, "VoucherCancelled")
+        .withArgs(1, 42, user1.address);
+
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature)
+      ).to.be.revertedWith("Voucher already used or cancelled");
+      await expect(datasetVouchers.connect(user1).cancelVoucher(1, 42)).to.be.revertedWith("Voucher already used or cancelled");
+    });
+
+    it("Should let MANAGER role holders cancel the owner's vouchers", async function () {
+      const MANAGER = 0;
+      const { voucher, signature } = await signVoucher(user1, { nonce: 7 });
+      await datasetAccess.connect(user1).setDatasetRole(1, MANAGER, user3.address, true);
+
+      await expect(datasetVouchers.connect(user3).cancelVoucher(1, 7))
+        .to.emit(datasetVouchers, "VoucherCancelled")
+        .withArgs(1, 7, user1.address);
+      await expect(
+        datasetVouchers.connect(user2).redeemAccessVoucher(voucher, signature)
+      ).to.be.revertedWith("Voucher already used or cancelled");
+    });
+  });
+});